@@ -30,7 +30,8 @@ HHM.config.version = `1.0.0`;
  * Include your room config here (the object that will be passed to HBInit).
  *
  * If set to false, you will have to call PluginManager#start manually with a
- * room instance to start the plugin system.
+ * room instance to start the plugin system. This allows you to check the
+ * configuration using HHM.manager.validateConfig() before a token is used.
  */
 HHM.config.room = {
   roomName: `haxroomie`,
@@ -72,6 +73,20 @@ HHM.config.postInit = HBInit => {
  * The properties of this object should be plugin names, the values should be
  * configuration objects or an empty object if you want to use the default
  * configuration.
+ *
+ * Rarely used plugins can be loaded lazily by adding lazy: true and a list of
+ * triggers to their configuration. Triggers are event handler names, e.g.
+ * 'onPlayerChat', HHM events like 'onHhm_pluginLoaded' or custom events. The
+ * plugin is loaded when one of the triggers fires for the first time, and the
+ * triggering event is then passed on to the plugin, e.g.
+ *
+ * 'aut/tournament': { lazy: true, triggers: ['onCommand_tournament'] },
+ *
+ * To make sure a plugin source has not been tampered with, add its SHA-256 or
+ * SHA-384 subresource integrity value to its configuration. The plugin is not
+ * loaded if its source does not match, e.g.
+ *
+ * 'hr/spam': { integrity: 'sha384-<base64 digest>' },
  */
 HHM.config.plugins = {
   'sav/roles': {
@@ -85,6 +100,38 @@ HHM.config.plugins = {
   'hr/spam': {},
 };
 
+/**
+ * Plugin profiles, which can be activated at runtime using
+ * HHM.manager.switchProfile(profileName).
+ *
+ * Each profile contains a plugin collection with the same structure as
+ * HHM.config.plugins above. When switching profiles, plugins which are not
+ * part of the new profile are removed along with dependencies no other plugin
+ * needs, new plugins are loaded, and the configuration of the remaining
+ * plugins is updated. Disabled plugins stay disabled. If anything goes wrong,
+ * the previous state is restored.
+ */
+HHM.config.profiles = {
+  // tournament: {
+  //   plugins: {
+  //     'sav/roles': {},
+  //     'sav/core': {},
+  //   },
+  // },
+};
+
+/**
+ * Preferred providers for plugin interfaces.
+ *
+ * Plugins can require interfaces (like 'roles') instead of specific plugins,
+ * any plugin which declares the interface in its provides list can then be
+ * used. Map interface names to a plugin name or a list of plugin names here to
+ * choose which plugin is used, e.g. `{ roles: 'sav/roles' }`. The first listed
+ * plugin which is loaded is used, otherwise the first listed plugin which is
+ * not loaded yet will be loaded.
+ */
+HHM.config.interfaces = {};
+
 /**
  * List of plugin repositories.
  *
@@ -101,6 +148,13 @@ HHM.config.plugins = {
  *    below for possible values
  *  - suffix: string that will be appended to the plugin name (optional,
  *    defaults to `.js`), may be ignored depending on the repository type
+ *  - sandbox: whether to execute plugins from this repository in the sandbox
+ *    (optional, by default only if HHM.config.permissionMode is enforce), see
+ *    HHM.config.sandboxGlobals below
+ *  - trustedKeys: public keys (base64-encoded SPKI or JWK, ECDSA P-256) used
+ *    to verify the signature of the repository.json (optional)
+ *  - requireSignature: only load plugins which are part of the manifest
+ *    signed by one of the trustedKeys (optional, defaults to false)
  *
  * Additionally, each repository type can define further properties. The
  * possible repository types are:
@@ -118,8 +172,8 @@ HHM.config.plugins = {
  *    - path: path to the repository root within the GitHub repository, no
  *      leading slash (optional, defaults to `src`)
  *
- * Plugins are loaded as text via $.ajax and then executed in a
- * new Function() context that receives a HBInit function, which can be used to
+ * Plugins are loaded as text via $.ajax and then executed in the sandbox (see
+ * HHM.config.sandboxGlobals below) with a HBInit function, which can be used to
  * get a room instance like in a vanilla headless script.
  */
 HHM.config.repositories = [
@@ -133,6 +187,108 @@ HHM.config.repositories = [
   },
 ];
 
+/**
+ * Globals available to sandboxed plugins.
+ *
+ * Unless HHM.config.permissionMode is warn, plugins are executed in the
+ * sandbox: each plugin runs in a separate realm (a hidden iframe in the
+ * browser) where only standard JavaScript globals, HBInit, localStorage and the
+ * globals listed here are available, and it cannot reach the page or the
+ * objects of the HHM except through its room. HHM is only available to plugins
+ * with the manager permission.
+ *
+ * The plugins configured before the user plugins (like the HHM core plugins),
+ * the postInit code and plugins given as functions are not sandboxed. Set
+ * sandbox: true or sandbox: false in the plugin or repository configuration to
+ * change this, the plugin configuration takes precedence.
+ */
+HHM.config.sandboxGlobals = [`clearInterval`, `clearTimeout`, `console`,
+  `setInterval`, `setTimeout`];
+
+/**
+ * How to handle plugins which access privileged room functions (like
+ * kickPlayer or setPassword) without declaring the corresponding permission in
+ * their plugin specification.
+ *
+ * One of: enforce (block and log the call), warn (log a warning)
+ *
+ * Permissions can be granted or revoked for each plugin by adding a
+ * permissions property to its configuration above, e.g.
+ * `permissions: { grant: ['ban'], revoke: ['kick'] }`. The permission settings
+ * are read once when the HHM is started.
+ *
+ * In enforce mode, plugins are executed in the sandbox by default, see
+ * HHM.config.sandboxGlobals above.
+ */
+HHM.config.permissionMode = `enforce`;
+
+/**
+ * Lockfile for reproducible room starts.
+ *
+ * Generate a lockfile for the currently loaded plugins using
+ * `JSON.stringify(await HHM.manager.generateLockfile())` and paste it here.
+ * Plugins in the lockfile are loaded only from the repository and version
+ * recorded in the lockfile, and only if their source did not change. Plugins
+ * which are not in the lockfile are not loaded unless allowUnlockedPlugins is
+ * set to true below, in which case they are loaded as usual, with a warning.
+ */
+// HHM.config.lockfile = { lockfileVersion: 1, plugins: { … } };
+// HHM.config.allowUnlockedPlugins = false;
+
+/**
+ * Records all room events to reproduce problems offline.
+ *
+ * Native events, their arguments and the results of room functions called by
+ * plugins are saved into an event log in the browser storage. List the saved
+ * event logs using `await HHM.classes.EventRecorder.list()` and replay one
+ * with the same plugins using HHM.classes.EventReplayer. Options:
+ *
+ *  - name: name of the event log, defaults to recording-<start time>
+ *  - maxEntries: recording stops after this many entries (100000)
+ *  - saveInterval: milliseconds between saves of new entries, 0 to save only
+ *    on stop (10000)
+ *  - persist: whether to save the event log at all (true)
+ *  - redact: properties which are not recorded, e.g. ['auth', 'conn'] for
+ *    player identities, replays of such logs lack them ([])
+ */
+// HHM.config.eventRecording = { maxEntries: 100000 };
+
+/**
+ * Maximum number of plugin sources fetched at the same time during startup.
+ *
+ * The sources of all plugins above (except lazy plugins) and of their
+ * dependencies, if listed in the repository information, are fetched in
+ * parallel while waiting for the room link. Plugins are still loaded in the
+ * same order. Set to 0 to disable prefetching.
+ */
+HHM.config.prefetchConcurrency = 4;
+
+/**
+ * Milliseconds to wait for the room link when restarting the room using
+ * HHM.manager.restartRoom() before keeping the previous room (60000).
+ */
+// HHM.config.roomRestartTimeout = 60000;
+
+/**
+ * How conflicts between plugins are resolved.
+ *
+ * Plugins declare conflicts with other plugins in the incompatible_with
+ * property of their plugin specification. One of:
+ *
+ *  - refuse: the plugin causing the conflict is not loaded and an error is
+ *    logged, loading fails even if the plugin was only an optional dependency
+ *  - prefer-first: the plugin which was loaded first is kept, optional
+ *    dependencies causing a conflict are skipped
+ *  - prefer-user-config: the plugin listed in the plugin configuration above is
+ *    kept, a plugin loaded first is removed if no other plugin depends on it.
+ *    If both or none of the plugins are listed, the plugin which was loaded
+ *    first is kept
+ *
+ * The last 100 detected conflicts can be inspected using
+ * HHM.manager.getConflicts().
+ */
+HHM.config.conflictPolicy = `refuse`;
+
 /**
  * Log level for HHM, change this if you want more or less output.
  *
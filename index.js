@@ -1,19 +1,20 @@
 "use strict";
 
-global.$ = global.jQuery =
-    typeof $ === `undefined` ? require(`jquery`) : $;
+// jQuery is only needed by the browser platform adapter
+if (typeof window !== `undefined`) {
+  global.$ = global.jQuery =
+      typeof $ === `undefined` ? require(`jquery`) : $;
+}
 
 require(`./src/namespace`).populate();
 
-if (typeof Storage !== `undefined`) {
-  HHM.storage = HHM.storage || require(`./src/storage`);
-}
+HHM.storage = HHM.storage || require(`./src/storage`);
 
 // Create plugin manager
 HHM.manager = new HHM.classes.PluginManager();
 
-HHM.deferreds.managerStarted = new $.Deferred();
-HHM.deferreds.roomLink = new $.Deferred();
+HHM.deferreds.managerStarted = HHM.platform.get().createDeferred();
+HHM.deferreds.roomLink = HHM.platform.get().createDeferred();
 
 // Provides the config, waits for captcha solution and starts the plugin
 // manager
@@ -0,0 +1,521 @@
+const PluginLoadFailure = require(`./PluginLoadFailure`);
+const PluginLoader = require(`./PluginLoader`);
+const conflictUtil = require(`../conflict`);
+const dependencyUtil = require(`../dependency`);
+const integrityUtil = require(`../integrity`);
+const permissionsUtil = require(`../permissions`);
+const toposort = require(`toposort`);
+
+/**
+ * Validates an HHM configuration without a room.
+ *
+ * Plugins are resolved through a separate {@link PluginLoader} using the
+ * repositories of the configuration, so the plugin manager and its room are
+ * not affected.
+ *
+ * @class ConfigValidator
+ * @property {PluginManager} pluginManager Associated plugin manager.
+ * @property {PluginLoader} pluginLoader Plugin loader used to resolve
+ *  plugins.
+ * @property {Map.<string, ConfigValidator~ResolvedPlugin>} plugins Resolved
+ *  plugins by name.
+ * @property {ConfigValidator~Report} report Validation report.
+ * @see PluginManager#validateConfig
+ */
+class ConfigValidator {
+  /**
+   * Creates a validator.
+   *
+   * @function ConfigValidator#constructor
+   * @param {PluginManager} pluginManager Plugin manager, its repository
+   *  factory is used to create repositories.
+   */
+  constructor(pluginManager) {
+    this._class = `ConfigValidator`;
+    this.pluginManager = pluginManager;
+    this.pluginLoader = new PluginLoader(pluginManager);
+    this.plugins = new Map();
+    this.report = { valid: true, errors: [], warnings: [], plugins: {} };
+  }
+
+  /**
+   * Adds an error to the report.
+   *
+   * @function ConfigValidator#_addError
+   * @private
+   * @param {(string|undefined)} pluginName Name of the plugin the error
+   *  relates to.
+   * @param {string} reason One of {@link PluginLoadFailure.reasons}.
+   * @param {string} message Human-readable error message.
+   */
+  _addError(pluginName, reason, message) {
+    this.report.valid = false;
+    this.report.errors.push({ pluginName, reason, message });
+  }
+
+  /**
+   * Adds a warning to the report.
+   *
+   * @function ConfigValidator#_addWarning
+   * @private
+   * @param {(string|undefined)} pluginName Name of the plugin the warning
+   *  relates to.
+   * @param {string} reason One of {@link PluginLoadFailure.reasons}.
+   * @param {string} message Human-readable warning message.
+   */
+  _addWarning(pluginName, reason, message) {
+    this.report.warnings.push({ pluginName, reason, message });
+  }
+
+  /**
+   * Checks the resolved plugins for conflicts.
+   *
+   * Conflicts are errors if the conflict policy is `refuse`, and warnings
+   * otherwise.
+   *
+   * @function ConfigValidator#_checkConflicts
+   * @private
+   * @param {object} config HHM configuration.
+   */
+  _checkConflicts(config) {
+    const plugins = Array.from(this.plugins.values());
+    const refuse = [undefined, conflictUtil.policies.REFUSE]
+        .includes(config.conflictPolicy);
+
+    for (let i = 0; i < plugins.length; i++) {
+      for (let otherPlugin of plugins.slice(i + 1)) {
+        const conflict = conflictUtil.find(plugins[i], otherPlugin);
+
+        if (conflict === undefined) {
+          continue;
+        }
+
+        const message = `Plugin ${plugins[i].name} conflicts with plugin `
+            + `${otherPlugin.name} (${conflict.declaration} declared by `
+            + `${conflict.declaredBy})`;
+
+        if (refuse) {
+          this._addError(plugins[i].name,
+              PluginLoadFailure.reasons.INCOMPATIBLE, message);
+        } else {
+          this._addWarning(plugins[i].name,
+              PluginLoadFailure.reasons.INCOMPATIBLE,
+              `${message}, resolved by conflict policy `
+              + config.conflictPolicy);
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks whether the handler execution orders of the resolved plugins
+   * contain cycles.
+   *
+   * Mirrors {@link TrappedRoomManager#determineExecutionOrder}, but only for
+   * handlers which appear in an `order` property.
+   *
+   * @function ConfigValidator#_checkExecutionOrders
+   * @private
+   */
+  _checkExecutionOrders() {
+    const handlerNames = new Set();
+
+    this.plugins.forEach(({ pluginSpec }) => Object.getOwnPropertyNames(
+        pluginSpec.order || {}).forEach((name) => handlerNames.add(name)));
+
+    for (let handlerName of handlerNames) {
+      const vertices = [];
+
+      this.plugins.forEach(({ name, pluginSpec }) => {
+        const order = pluginSpec.order || {};
+
+        for (let orderProperty of [`before`, `after`]) {
+          const handlerOrder = (order[handlerName] || {})
+              .hasOwnProperty(orderProperty) ? order[handlerName]
+              : (order[`*`] || {});
+
+          for (let otherName of [].concat(handlerOrder[orderProperty] || [])) {
+            if (!this.plugins.has(otherName)) {
+              continue;
+            }
+
+            vertices.push(orderProperty === `before` ? [name, otherName]
+                : [otherName, name]);
+          }
+        }
+      });
+
+      try {
+        toposort(vertices);
+      } catch (e) {
+        this._addError(undefined, PluginLoadFailure.reasons.ORDER_CYCLE,
+            `Cyclic execution order for handler ${handlerName}: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Creates the repositories of the given configuration.
+   *
+   * @function ConfigValidator#_createRepositories
+   * @async
+   * @private
+   * @param {object} config HHM configuration.
+   */
+  async _createRepositories(config) {
+    const repositories = [];
+    const userRepositoryConfigs = config.repositories || [];
+
+    for (let i = 0; i < userRepositoryConfigs.length; i++) {
+      try {
+        repositories.push(await this.pluginManager.getPluginRepositoryFactory()
+            .createRepository(userRepositoryConfigs[i]));
+      } catch (e) {
+        this._addError(undefined, PluginLoadFailure.reasons.INVALID_CONFIG,
+            `Unable to create repository at index ${i}. ${e.name}: `
+            + e.message);
+      }
+    }
+
+    this.pluginLoader.initializeRepositories(repositories);
+  }
+
+  /**
+   * Returns the interfaces required by resolved plugins which no resolved
+   * plugin provides.
+   *
+   * @function ConfigValidator#_getMissingInterfaces
+   * @private
+   * @returns {Array.<{pluginName: string, interfaceString: string}>} Missing
+   *  interfaces and the plugins requiring them.
+   */
+  _getMissingInterfaces() {
+    const missing = [];
+
+    this.plugins.forEach(({ name, pluginSpec }) => {
+      for (let interfaceString of pluginSpec.requires || []) {
+        const { name: interfaceName, range } =
+            dependencyUtil.parse(interfaceString);
+
+        const provided = Array.from(this.plugins.values()).some((plugin) =>
+            (plugin.pluginSpec.provides || [])
+                .map((provided) => dependencyUtil.parse(provided))
+                .some((provided) => provided.name === interfaceName
+                    && dependencyUtil.satisfies(provided.range, range)));
+
+        if (!provided) {
+          missing.push({ pluginName: name, interfaceString });
+        }
+      }
+    });
+
+    return missing;
+  }
+
+  /**
+   * Resolves the queued plugins and their dependencies.
+   *
+   * @function ConfigValidator#_resolvePlugins
+   * @async
+   * @private
+   * @param {Array.<ConfigValidator~QueueEntry>} queue Plugins to be resolved,
+   *  processed in place.
+   */
+  async _resolvePlugins(queue) {
+    while (queue.length > 0) {
+      const { pluginName, pluginConfig, range, requiredBy, optional } =
+          queue.shift();
+      const addProblem = (optional ? this._addWarning : this._addError)
+          .bind(this);
+      const source = requiredBy === undefined ? `` : ` (required by `
+          + `${requiredBy}${optional ? `, optional` : ``})`;
+
+      if (this.plugins.has(pluginName)) {
+        const { version } = this.plugins.get(pluginName).pluginSpec;
+
+        if (!dependencyUtil.satisfies(version, range)) {
+          addProblem(pluginName, PluginLoadFailure.reasons.VERSION_MISMATCH,
+              `Plugin ${pluginName}@${range} required${source}, but version `
+              + `${version} is resolved`);
+        }
+
+        continue;
+      }
+
+      const result = await this.pluginLoader.resolvePluginSpec(pluginName,
+          pluginConfig, range);
+
+      if (result === undefined) {
+        addProblem(pluginName, PluginLoadFailure.reasons.LOAD_FAILED,
+            `Plugin ${pluginName}`
+            + (range !== undefined ? ` matching ${range}` : ``)
+            + ` could not be found in the configured repositories${source}`);
+        continue;
+      }
+
+      const { pluginSpec, repository } = result;
+
+      if (pluginSpec.name !== undefined && pluginSpec.name !== pluginName) {
+        this._addError(pluginName, PluginLoadFailure.reasons.LOAD_FAILED,
+            `Invalid plugin specification: name is ${pluginSpec.name} but `
+            + `plugin was resolved as ${pluginName}`);
+        continue;
+      }
+
+      this.plugins.set(pluginName, { name: pluginName, pluginSpec });
+      this.report.plugins[pluginName] = {
+        version: pluginSpec.version,
+        repository: repository.getName(),
+        requiredBy,
+      };
+
+      for (let [dependencies, isOptional] of [
+        [pluginSpec.dependencies || [], optional],
+        [pluginSpec.optionalDependencies || [], true]]) {
+        for (let dependency of dependencies) {
+          const { name, range } = dependencyUtil.parse(dependency);
+
+          // Self-dependencies only mark plugins which cannot be disabled
+          if (name === pluginName) {
+            continue;
+          }
+
+          queue.push({ pluginName: name, range, requiredBy: pluginName,
+            optional: isOptional });
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolves the plugins of the given configuration, including plugins
+   * providing required interfaces.
+   *
+   * @function ConfigValidator#_resolveConfigPlugins
+   * @async
+   * @private
+   * @param {object} config HHM configuration.
+   */
+  async _resolveConfigPlugins(config) {
+    const configPlugins = config.plugins || {};
+
+    await this._resolvePlugins([
+      ...this.pluginManager.preUserPlugins
+          .filter(({ pluginName }) => pluginName !== undefined)
+          .map(({ pluginName, pluginConfig }) => ({ pluginName,
+            pluginConfig })),
+      ...Object.getOwnPropertyNames(configPlugins).map((pluginName) => ({
+        pluginName,
+        pluginConfig: configPlugins[pluginName] || {},
+      })),
+    ]);
+
+    const triedProviders = new Set();
+    let missingInterfaces = this._getMissingInterfaces();
+
+    // Resolve configured providers until all interfaces are provided or no
+    // untried providers are left
+    while (missingInterfaces.length > 0) {
+      const queue = [];
+
+      for (let { pluginName, interfaceString } of missingInterfaces) {
+        const { name } = dependencyUtil.parse(interfaceString);
+        const provider = [].concat((config.interfaces || {})[name] || [])
+            .find((provider) => !triedProviders.has(provider));
+
+        if (provider !== undefined) {
+          triedProviders.add(provider);
+          queue.push({ pluginName: provider, requiredBy: pluginName });
+        }
+      }
+
+      if (queue.length === 0) {
+        break;
+      }
+
+      await this._resolvePlugins(queue);
+      missingInterfaces = this._getMissingInterfaces();
+    }
+
+    for (let { pluginName, interfaceString } of missingInterfaces) {
+      this._addError(pluginName,
+          PluginLoadFailure.reasons.INTERFACE_UNAVAILABLE,
+          `No plugin provides interface ${interfaceString} required by `
+          + `plugin ${pluginName}`);
+    }
+  }
+
+  /**
+   * Validates the given configuration.
+   *
+   * The structure of the configuration is checked first, see
+   * {@link ConfigValidator.checkStructure}. Then the repositories are created,
+   * and all plugins of `config.plugins`, their dependencies and providers of
+   * their required interfaces are resolved, checking version ranges,
+   * conflicts and handler execution orders.
+   *
+   * @function ConfigValidator#validate
+   * @async
+   * @param {object} config HHM configuration.
+   * @returns {Promise.<ConfigValidator~Report>} Validation report.
+   */
+  async validate(config) {
+    for (let message of ConfigValidator.checkStructure(config)) {
+      this._addError(undefined, PluginLoadFailure.reasons.INVALID_CONFIG,
+          message);
+    }
+
+    if (!this.report.valid) {
+      return this.report;
+    }
+
+    await this._createRepositories(config);
+    await this._resolveConfigPlugins(config);
+
+    this._checkConflicts(config);
+    this._checkExecutionOrders();
+
+    return this.report;
+  }
+}
+
+/**
+ * Checks the structure of the given configuration.
+ *
+ * @function ConfigValidator.checkStructure
+ * @param {object} config HHM configuration.
+ * @returns {Array.<string>} Error messages, empty if the structure is valid.
+ */
+ConfigValidator.checkStructure = (config) => {
+  const messages = [];
+  const isObject = (value) => typeof value === `object` && value !== null
+      && !Array.isArray(value);
+  const checkPlugins = (plugins, path) => {
+    if (plugins === undefined) {
+      return;
+    }
+
+    if (!isObject(plugins)) {
+      messages.push(`${path} must be an object`);
+      return;
+    }
+
+    for (let pluginName of Object.getOwnPropertyNames(plugins)) {
+      const pluginConfig = plugins[pluginName];
+
+      if (pluginConfig !== undefined && pluginConfig !== null
+          && !isObject(pluginConfig)) {
+        messages.push(`${path}['${pluginName}'] must be an object`);
+      } else if ((pluginConfig || {}).lazy === true
+          && (!Array.isArray(pluginConfig.triggers)
+              || pluginConfig.triggers.length === 0)) {
+        messages.push(`${path}['${pluginName}'] is lazy, but has no triggers`);
+      } else if ((pluginConfig || {}).integrity !== undefined
+          && integrityUtil.parse(pluginConfig.integrity) === undefined) {
+        messages.push(`${path}['${pluginName}'].integrity must be a sha256 `
+            + `or sha384 integrity value`);
+      }
+    }
+  };
+
+  if (!isObject(config)) {
+    return [`Configuration must be an object`];
+  }
+
+  checkPlugins(config.plugins, `HHM.config.plugins`);
+
+  if (config.profiles !== undefined && !isObject(config.profiles)) {
+    messages.push(`HHM.config.profiles must be an object`);
+  } else {
+    for (let profileName of Object.getOwnPropertyNames(config.profiles || {})) {
+      const profile = config.profiles[profileName];
+
+      if (!isObject(profile)) {
+        messages.push(`HHM.config.profiles.${profileName} must be an object`);
+      } else {
+        checkPlugins(profile.plugins,
+            `HHM.config.profiles.${profileName}.plugins`);
+      }
+    }
+  }
+
+  if (config.repositories !== undefined
+      && !Array.isArray(config.repositories)) {
+    messages.push(`HHM.config.repositories must be an array`);
+  }
+
+  if (config.lockfile !== undefined && (!isObject(config.lockfile)
+      || !isObject(config.lockfile.plugins))) {
+    messages.push(`HHM.config.lockfile must be an object with a plugins `
+        + `property, see HHM.manager.generateLockfile()`);
+  }
+
+  if (config.eventRecording !== undefined
+      && !isObject(config.eventRecording)) {
+    messages.push(`HHM.config.eventRecording must be an object`);
+  }
+
+  if (config.interfaces !== undefined && !isObject(config.interfaces)) {
+    messages.push(`HHM.config.interfaces must be an object`);
+  }
+
+  if (config.conflictPolicy !== undefined && !Object.values(
+      conflictUtil.policies).includes(config.conflictPolicy)) {
+    messages.push(`HHM.config.conflictPolicy must be one of `
+        + Object.values(conflictUtil.policies).join(`, `));
+  }
+
+  if (config.permissionMode !== undefined && !Object.values(
+      permissionsUtil.modes).includes(config.permissionMode)) {
+    messages.push(`HHM.config.permissionMode must be one of `
+        + Object.values(permissionsUtil.modes).join(`, `));
+  }
+
+  return messages;
+};
+
+/**
+ * Validation report.
+ *
+ * @typedef {object} ConfigValidator~Report
+ * @property {boolean} valid Whether no errors were found.
+ * @property {Array.<ConfigValidator~Problem>} errors Errors, plugins with
+ *  errors cannot be loaded.
+ * @property {Array.<ConfigValidator~Problem>} warnings Warnings, e.g. for
+ *  optional dependencies which cannot be found.
+ * @property {Object.<string, {version: (string|undefined), repository:
+ *  string, requiredBy: (string|undefined)}>} plugins Resolved plugins with
+ *  their version, repository and the plugin which required them, if they are
+ *  not part of the configuration.
+ */
+
+/**
+ * Error or warning within a {@link ConfigValidator~Report}.
+ *
+ * @typedef {object} ConfigValidator~Problem
+ * @property {(string|undefined)} pluginName Name of the plugin the problem
+ *  relates to, `undefined` for general problems.
+ * @property {string} reason One of {@link PluginLoadFailure.reasons}.
+ * @property {string} message Human-readable message.
+ */
+
+/**
+ * Resolved plugin.
+ *
+ * @typedef {object} ConfigValidator~ResolvedPlugin
+ * @property {string} name Plugin name.
+ * @property {object} pluginSpec Plugin specification.
+ */
+
+/**
+ * Plugin waiting to be resolved.
+ *
+ * @typedef {object} ConfigValidator~QueueEntry
+ * @property {string} pluginName Plugin name.
+ * @property {object} [pluginConfig] Plugin configuration.
+ * @property {string} [range] Required semver version range.
+ * @property {string} [requiredBy] Name of the plugin requiring it.
+ * @property {boolean} [optional] Whether the plugin is an optional dependency.
+ */
+
+module.exports = ConfigValidator;
@@ -0,0 +1,501 @@
+let eventLogStorage;
+
+/**
+ * Number of log entries saved together in one storage item.
+ */
+const chunkSize = 1000;
+
+/**
+ * Matches the storage keys of entry chunks, see
+ * {@link EventRecorder#save}.
+ */
+const chunkKeyPattern = /#\d+$/;
+
+/**
+ * Records native room events and room function calls of a plugin manager.
+ *
+ * Events are recorded from {@link TrappedRoomManager#onExecuteEventHandlers},
+ * function calls from {@link TrappedRoomManager#onPropertyGet}. Consecutive
+ * `onGameTick` events are merged, and results of function calls are only
+ * recorded if they differ from the previous result of the same call. Events
+ * caused by a function call, e.g. `onPlayerTeamChange` after
+ * `room.setPlayerTeam()`, are marked as nested since the call causes them
+ * again during replay.
+ *
+ * Properties like the player `auth` and `conn` can be left out of the event
+ * log using the `redact` option. The password and token of the room
+ * configuration are never saved.
+ *
+ * Event logs are saved in the storage returned by
+ * {@link EventRecorder.getStorage} while recording and when the
+ * recording is stopped. The entries are saved in chunks, and only chunks with
+ * new or changed entries are written.
+ *
+ * @class EventRecorder
+ * @property {PluginManager} pluginManager Recorded plugin manager.
+ * @property {string} name Name under which the event log is saved.
+ * @property {boolean} recording Whether events are being recorded.
+ * @property {Array.<string>} redact Object properties which are left out of
+ *  the recorded arguments and results.
+ * @property {number} savedEntries Number of entries which are saved and did
+ *  not change since.
+ * @property {(EventRecorder~EventLog|undefined)} eventLog Recorded
+ *  event log.
+ */
+class EventRecorder {
+
+  /**
+   * Constructor.
+   *
+   * @function EventRecorder#constructor
+   * @param {PluginManager} pluginManager Plugin manager to be recorded.
+   * @param {object} [options] Recording options, see
+   *  `HHM.config.eventRecording`.
+   * @param {string} [options.name] Name under which the event log is saved,
+   *  defaults to `recording-<start time>`, prefixed with the storage namespace
+   *  of the plugin manager if it has one.
+   * @param {number} [options.maxEntries] Maximum number of log entries,
+   *  recording stops once it is reached.
+   * @param {number} [options.saveInterval] Interval in milliseconds in which
+   *  new entries are saved, 0 to only save when the recording is stopped.
+   * @param {boolean} [options.persist] Whether to save the event log at all.
+   * @param {Array.<string>} [options.redact] Object properties which are left
+   *  out of the recorded arguments and results, at any depth, none by
+   *  default. Events of redacted logs are replayed without these properties.
+   */
+  constructor(pluginManager, { name, maxEntries = 100000, saveInterval = 10000,
+                               persist = true,
+                               redact = [] } = {}) {
+    this._class = `EventRecorder`;
+    this.pluginManager = pluginManager;
+    this.name = name;
+    this.maxEntries = maxEntries;
+    this.saveInterval = saveInterval;
+    this.persist = persist;
+    this.redact = redact;
+    this.recording = false;
+    this.eventLog = undefined;
+    this.savedEntries = 0;
+
+    this.callDepth = 0;
+    this.functionNames = new Set();
+    this.handlerNames = new Set();
+    this.lastResults = new Map();
+    this.saveTimeout = undefined;
+    this.wrappedFunctions = new WeakMap();
+  }
+
+  /**
+   * Adds the given entry to the event log.
+   *
+   * @function EventRecorder#_addEntry
+   * @private
+   * @param {Array.<*>} entry Log entry.
+   */
+  _addEntry(entry) {
+    if (this.eventLog.entries.length >= this.maxEntries) {
+      this.pluginManager.log.warn(`Event log ${this.name} reached `
+          + `${this.maxEntries} entries, recording stopped`);
+
+      // Stops recording immediately, saving finishes asynchronously
+      if (this.pluginManager.eventRecorder === this) {
+        this.pluginManager.stopEventRecording();
+      } else {
+        this.stop();
+      }
+
+      return;
+    }
+
+    this.eventLog.entries.push(entry);
+    this._scheduleSave();
+  }
+
+  /**
+   * Marks the entry at the given index as changed, so it is saved again.
+   *
+   * @function EventRecorder#_markChanged
+   * @private
+   * @param {number} index Index of the changed entry.
+   */
+  _markChanged(index) {
+    this.savedEntries = Math.min(this.savedEntries, index);
+    this._scheduleSave();
+  }
+
+  /**
+   * Schedules saving the event log after the save interval, unless saving is
+   * already scheduled.
+   *
+   * @function EventRecorder#_scheduleSave
+   * @private
+   */
+  _scheduleSave() {
+    if (this.persist && this.saveInterval > 0
+        && this.saveTimeout === undefined) {
+      this.saveTimeout = setTimeout(() => {
+        this.saveTimeout = undefined;
+        this.save();
+      }, this.saveInterval);
+    }
+  }
+
+  /**
+   * Serializes the given value, leaving out redacted properties.
+   *
+   * @function EventRecorder#_serialize
+   * @private
+   * @param {*} value Value to be serialized.
+   * @returns {*} Serialized value.
+   */
+  _serialize(value) {
+    return EventRecorder.serialize(value, this.redact);
+  }
+
+  /**
+   * Returns the milliseconds since the start of the recording.
+   *
+   * @function EventRecorder#_getTime
+   * @private
+   * @returns {number} Elapsed time in milliseconds.
+   */
+  _getTime() {
+    return Date.now() - this.eventLog.startedAt;
+  }
+
+  /**
+   * Returns the event log including the currently loaded plugins.
+   *
+   * @function EventRecorder#getEventLog
+   * @returns {EventRecorder~EventLog} Event log.
+   */
+  getEventLog() {
+    const pluginManager = this.pluginManager;
+
+    if (pluginManager.room !== undefined) {
+      this.eventLog.plugins = pluginManager.getLoadedPluginIds()
+          .map((pluginId) => ({
+            name: pluginManager.getPluginName(pluginId),
+            version: pluginManager.getPlugin(pluginId).getPluginSpec()
+                .version,
+          }));
+    }
+
+    return this.eventLog;
+  }
+
+  /**
+   * Returns whether calls to the given room property are recorded.
+   *
+   * @function EventRecorder#isRecordedFunction
+   * @param {string} propertyName Room property name.
+   * @returns {boolean} Whether the property is a native room function and
+   *  events are being recorded.
+   */
+  isRecordedFunction(propertyName) {
+    return this.recording && this.functionNames.has(propertyName);
+  }
+
+  /**
+   * Records the given event.
+   *
+   * Events which are not native room events are ignored.
+   *
+   * @function EventRecorder#recordEvent
+   * @param {string} handlerName Event handler name.
+   * @param {Array.<*>} args Event arguments.
+   */
+  recordEvent(handlerName, args) {
+    if (!this.recording || !this.handlerNames.has(handlerName)) {
+      return;
+    }
+
+    if (handlerName === `onGameTick`) {
+      const entries = this.eventLog.entries;
+      const lastEntry = entries[entries.length - 1];
+
+      if (lastEntry !== undefined && lastEntry[0] === `t`) {
+        lastEntry[2]++;
+        this._markChanged(entries.length - 1);
+      } else {
+        this._addEntry([`t`, this._getTime(), 1]);
+      }
+
+      return;
+    }
+
+    this._addEntry([this.callDepth > 0 ? `n` : `e`, this._getTime(),
+      handlerName, this._serialize(args)]);
+  }
+
+  /**
+   * Saves the new and changed entries of the event log.
+   *
+   * The event log is saved under its name without entries, the entries are
+   * saved in chunks of 1000 under `<name>#<chunk index>`. Only chunks
+   * containing new or changed entries are written. Use
+   * {@link EventRecorder.load} to load the complete event log.
+   *
+   * @function EventRecorder#save
+   * @async
+   * @returns {Promise.<boolean>} Whether the event log was saved.
+   */
+  async save() {
+    if (!this.persist || this.eventLog === undefined) {
+      return false;
+    }
+
+    const { entries, ...eventLog } = this.getEventLog();
+    const firstChunk = Math.floor(this.savedEntries / chunkSize);
+    const chunks = Math.ceil(entries.length / chunkSize);
+
+    this.savedEntries = entries.length;
+
+    try {
+      const storage = await EventRecorder.getStorage();
+
+      for (let i = firstChunk; i < chunks; i++) {
+        await storage.setItem(`${this.name}#${i}`,
+            entries.slice(i * chunkSize, (i + 1) * chunkSize));
+      }
+
+      await storage.setItem(this.name, { ...eventLog, chunks });
+    } catch (e) {
+      this._markChanged(firstChunk * chunkSize);
+      this.pluginManager.log.error(`Unable to save event log ${this.name}. `
+          + `${e.name}: ${e.message}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Starts recording.
+   *
+   * Makes sure all native events are dispatched by the room, even if no
+   * plugin handles them.
+   *
+   * @function EventRecorder#start
+   * @returns {EventRecorder} The recorder.
+   */
+  start() {
+    const room = this.pluginManager.room;
+    const parentRoom = room.getParentRoom();
+    const startedAt = Date.now();
+    const { password, token, ...roomConfig } =
+        this.pluginManager.config.room || {};
+
+    const storageNamespace = this.pluginManager.storageNamespace;
+
+    this.name = this.name || (storageNamespace === undefined ? ``
+        : `${storageNamespace}/`) + `recording-${startedAt}`;
+    this.eventLog = {
+      version: 1,
+      name: this.name,
+      startedAt,
+      roomConfig,
+      redacted: this.redact,
+      plugins: [],
+      entries: [],
+    };
+    this.savedEntries = 0;
+
+    this.functionNames = new Set(Object.getOwnPropertyNames(parentRoom)
+        .filter((name) => typeof parentRoom[name] === `function`
+            && !name.startsWith(`on`)));
+
+    this.handlerNames = new Set(require(`../room`).nativeEventHandlerNames);
+    this.handlerNames.delete(`onRoomLink`);
+
+    this.handlerNames.forEach((handlerName) =>
+        this.pluginManager._provideEventDispatcher(handlerName));
+
+    this.recording = true;
+    this.pluginManager.log.info(`Recording events into event log `
+        + this.name);
+
+    return this;
+  }
+
+  /**
+   * Stops recording.
+   *
+   * @function EventRecorder#stop
+   * @async
+   * @param {object} [options] Options.
+   * @param {boolean} [options.save] Whether to save the event log.
+   * @returns {Promise.<EventRecorder~EventLog>} Event log.
+   */
+  async stop({ save = true } = {}) {
+    this.recording = false;
+
+    if (this.saveTimeout !== undefined) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = undefined;
+    }
+
+    if (save) {
+      await this.save();
+    }
+
+    return this.getEventLog();
+  }
+
+  /**
+   * Wraps the given room function so its calls are recorded.
+   *
+   * @function EventRecorder#wrapFunction
+   * @param {string} functionName Name of the room function.
+   * @param {Function} roomFunction Room function.
+   * @returns {Function} Recording wrapper.
+   */
+  wrapFunction(functionName, roomFunction) {
+    if (this.wrappedFunctions.has(roomFunction)) {
+      return this.wrappedFunctions.get(roomFunction);
+    }
+
+    const recorder = this;
+
+    const wrappedFunction = function(...args) {
+      if (!recorder.recording) {
+        return roomFunction.apply(this, args);
+      }
+
+      const serializedArgs = recorder._serialize(args);
+      const entry = [`c`, recorder._getTime(), functionName, serializedArgs];
+
+      recorder._addEntry(entry);
+      recorder.callDepth++;
+
+      let result;
+
+      try {
+        result = roomFunction.apply(this, args);
+      } finally {
+        recorder.callDepth--;
+      }
+
+      const callKey = functionName + JSON.stringify(serializedArgs);
+      const serializedResult = JSON.stringify(recorder._serialize(result));
+
+      if (recorder.lastResults.get(callKey) !== serializedResult) {
+        recorder.lastResults.set(callKey, serializedResult);
+        entry.push(JSON.parse(serializedResult));
+      }
+
+      return result;
+    };
+
+    this.wrappedFunctions.set(roomFunction, wrappedFunction);
+
+    return wrappedFunction;
+  }
+
+  /**
+   * Returns the storage containing the saved event logs.
+   *
+   * @function EventRecorder.getStorage
+   * @async
+   * @returns {Promise.<LocalForage>} Storage instance.
+   * @see module:src/storage
+   */
+  static async getStorage() {
+    if (eventLogStorage === undefined) {
+      eventLogStorage = require(`../storage`).create({ name: `hhm`,
+        storeName: `eventLogs` });
+    }
+
+    return eventLogStorage;
+  }
+
+  /**
+   * Serializes the given value into a JSON-compatible value.
+   *
+   * @function EventRecorder.serialize
+   * @param {*} value Value to be serialized.
+   * @param {Array.<string>} [redactedKeys] Object properties which are left
+   *  out, at any depth.
+   * @returns {*} Serialized value, `null` for values which cannot be
+   *  serialized.
+   */
+  static serialize(value, redactedKeys = []) {
+    try {
+      return value === undefined ? null : JSON.parse(JSON.stringify(value,
+          (key, v) => redactedKeys.includes(key) ? undefined : v));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns the names of the saved event logs.
+   *
+   * @function EventRecorder.list
+   * @async
+   * @returns {Promise.<Array.<string>>} Event log names.
+   */
+  static async list() {
+    const keys = await (await EventRecorder.getStorage()).keys();
+
+    return keys.filter((key) => !chunkKeyPattern.test(key));
+  }
+
+  /**
+   * Loads the event log with the given name.
+   *
+   * @function EventRecorder.load
+   * @async
+   * @param {string} name Event log name.
+   * @returns {Promise.<(EventRecorder~EventLog|null)>} Event log or
+   *  `null` if there is no event log with the given name.
+   */
+  static async load(name) {
+    const storage = await EventRecorder.getStorage();
+    const savedEventLog = await storage.getItem(name);
+
+    // Event logs saved in one piece contain their entries
+    if (savedEventLog === null || savedEventLog.chunks === undefined) {
+      return savedEventLog;
+    }
+
+    const { chunks, ...eventLog } = savedEventLog;
+    const entryChunks = [];
+
+    for (let i = 0; i < chunks; i++) {
+      entryChunks.push(await storage.getItem(`${name}#${i}`) || []);
+    }
+
+    return { ...eventLog, entries: [].concat(...entryChunks) };
+  }
+}
+
+
+/**
+ * Recorded event log.
+ *
+ * Entries are arrays starting with the entry type and the milliseconds since
+ * the start of the recording:
+ *
+ *  - `['e', time, handlerName, args]`: native event
+ *  - `['n', time, handlerName, args]`: native event caused by a room function
+ *    call
+ *  - `['t', time, count]`: consecutive `onGameTick` events
+ *  - `['c', time, functionName, args, result]`: room function call by a
+ *    plugin, the result is left out if it did not change since the previous
+ *    call with the same arguments
+ *
+ * @typedef {object} EventRecorder~EventLog
+ * @property {number} version Event log format version, currently 1.
+ * @property {string} name Event log name.
+ * @property {number} startedAt Start of the recording as a timestamp.
+ * @property {object} roomConfig Room configuration without password and
+ *  token.
+ * @property {Array.<string>} [redacted] Object properties which were left out
+ *  of the recorded arguments and results.
+ * @property {Array.<{name: string, version: (string|undefined)}>} plugins
+ *  Plugins loaded when the event log was last saved.
+ * @property {Array.<Array.<*>>} entries Log entries.
+ */
+
+module.exports = EventRecorder;
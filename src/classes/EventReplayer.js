@@ -0,0 +1,214 @@
+const EventRecorder = require(`./EventRecorder`);
+const RoomSimulator = require(`./RoomSimulator`);
+const platform = require(`../platform`);
+
+/**
+ * Replays an event log in a simulated room.
+ *
+ * A new plugin manager is started for the given configuration against a
+ * {@link RoomSimulator}, which should load the same plugins as the recorded
+ * room, ideally using a lockfile. The recorded events are then fed into the
+ * simulated room in the recorded order, without delays, while room functions
+ * returning information like `getPlayerList()` return the recorded results.
+ * The calls of output functions like `sendChat` or `kickPlayer` during the
+ * replay are compared to the recorded ones, leaving out the properties which
+ * were redacted during the recording.
+ *
+ * @example
+ * const eventLog = await HHM.classes.EventRecorder.load(`recording-123`);
+ * const report = await new HHM.classes.EventReplayer(eventLog,
+ *     { config: HHM.config }).run();
+ *
+ * if (!report.matches) console.table(report.diff);
+ *
+ * @class EventReplayer
+ * @property {EventRecorder~EventLog} eventLog Replayed event log.
+ * @property {object} config HHM configuration of the replaying manager.
+ * @property {RoomSimulator} simulator Simulator providing the room.
+ * @property {(PluginManager|undefined)} manager Replaying plugin manager,
+ *  created by {@link EventReplayer#run}.
+ */
+class EventReplayer {
+
+  /**
+   * Constructor.
+   *
+   * @function EventReplayer#constructor
+   * @param {EventRecorder~EventLog} eventLog Event log.
+   * @param {object} [options] Replay options.
+   * @param {object} [options.config] HHM configuration, the room
+   *  configuration defaults to the recorded one.
+   * @param {string} [options.name] Name of the replaying plugin manager.
+   * @param {RoomSimulator} [options.simulator] Existing simulator.
+   */
+  constructor(eventLog, { config = {}, name = `replay`,
+                          simulator = new RoomSimulator() } = {}) {
+    this._class = `EventReplayer`;
+    this.eventLog = eventLog;
+    this.config = config;
+    this.name = name;
+    this.simulator = simulator;
+    this.manager = undefined;
+  }
+
+  /**
+   * Returns the output function calls of the given event log.
+   *
+   * @function EventReplayer#_getOutputs
+   * @private
+   * @param {EventRecorder~EventLog} eventLog Event log.
+   * @returns {Array.<EventReplayer~Output>} Output calls.
+   */
+  _getOutputs(eventLog) {
+    return eventLog.entries.filter(([type, , functionName]) => type === `c`
+        && EventReplayer.outputFunctions.includes(functionName))
+        .map(([, , functionName, args]) => ({ functionName, args }));
+  }
+
+  /**
+   * Makes the room functions which return information return the recorded
+   * results, in the recorded order.
+   *
+   * Calls without recorded result, e.g. because plugins behave differently,
+   * are answered by the simulator.
+   *
+   * @function EventReplayer#_installRecordedResults
+   * @private
+   * @param {external:native-api.RoomObject} room Simulated room.
+   */
+  _installRecordedResults(room) {
+    const results = new Map();
+    const lastResults = new Map();
+
+    for (let [type, , functionName, args, ...result] of
+        this.eventLog.entries) {
+      if (type !== `c` || !functionName.startsWith(`get`)) continue;
+
+      const callKey = functionName + JSON.stringify(args);
+
+      if (result.length > 0) {
+        lastResults.set(callKey, result[0]);
+      }
+
+      if (!results.has(callKey)) {
+        results.set(callKey, []);
+      }
+
+      results.get(callKey).push(lastResults.get(callKey));
+    }
+
+    const functionNames = new Set([...results.keys()].map((callKey) =>
+        callKey.substring(0, callKey.indexOf(`[`))));
+
+    for (let functionName of functionNames) {
+      const simulatedFunction = room[functionName];
+
+      room[functionName] = (...args) => {
+        const callResults = results.get(functionName + JSON.stringify(
+            EventRecorder.serialize(args, this.eventLog.redacted)));
+
+        return callResults !== undefined && callResults.length > 0
+            ? EventRecorder.serialize(callResults.shift())
+            : simulatedFunction(...args);
+      };
+    }
+  }
+
+  /**
+   * Runs the replay.
+   *
+   * @function EventReplayer#run
+   * @async
+   * @returns {Promise.<EventReplayer~Report>} Replay report.
+   */
+  async run() {
+    const config = platform.get().extend({}, this.config,
+        { room: this.config.room || this.eventLog.roomConfig });
+
+    config.eventRecording = { name: `${this.eventLog.name}-replay`,
+      persist: false, redact: this.eventLog.redacted || [] };
+
+    this.manager = require(`../manager`).createManager({ config,
+      name: this.name });
+
+    try {
+      await this.manager.start((roomConfig) => {
+        const room = this.simulator.HBInit(roomConfig);
+        this._installRecordedResults(room);
+
+        return room;
+      });
+
+      let events = 0;
+
+      for (let [type, , ...data] of this.eventLog.entries) {
+        if (type === `e`) {
+          this.simulator.replayEvent(data[0], data[1]);
+          events++;
+        } else if (type === `t`) {
+          for (let i = 0; i < data[0]; i++) {
+            this.simulator.replayEvent(`onGameTick`);
+          }
+
+          events += data[0];
+        }
+      }
+
+      // Give asynchronous handlers the chance to finish
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const replayLog = await this.manager.stopEventRecording(
+          { save: false });
+      const expected = this._getOutputs(this.eventLog);
+      const actual = this._getOutputs(replayLog);
+      const diff = [];
+
+      for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+        if (JSON.stringify(expected[i]) !== JSON.stringify(actual[i])) {
+          diff.push({ index: i, expected: expected[i], actual: actual[i] });
+        }
+      }
+
+      return { events, expected, actual, diff, matches: diff.length === 0,
+        replayLog };
+    } finally {
+      await this.manager.stop({ persist: false });
+    }
+  }
+}
+
+/**
+ * Room functions whose calls are compared during replay.
+ *
+ * @memberOf EventReplayer
+ */
+EventReplayer.outputFunctions = [`kickPlayer`, `sendAnnouncement`,
+  `sendChat`, `setPlayerAdmin`, `setPlayerTeam`];
+
+/**
+ * Output function call.
+ *
+ * @typedef {object} EventReplayer~Output
+ * @property {string} functionName Room function name.
+ * @property {Array.<*>} args Serialized arguments.
+ */
+
+/**
+ * Replay report.
+ *
+ * @typedef {object} EventReplayer~Report
+ * @property {number} events Number of replayed events.
+ * @property {Array.<EventReplayer~Output>} expected Recorded
+ *  output calls.
+ * @property {Array.<EventReplayer~Output>} actual Output calls
+ *  during the replay.
+ * @property {Array.<{index: number, expected:
+ *  (EventReplayer~Output|undefined), actual:
+ *  (EventReplayer~Output|undefined)}>} diff Differing output calls
+ *  by position.
+ * @property {boolean} matches Whether the outputs match.
+ * @property {EventRecorder~EventLog} replayLog Event log of the
+ *  replay.
+ */
+
+module.exports = EventReplayer;
@@ -0,0 +1,258 @@
+/**
+ * Keeps track of room extensions and the plugins providing them.
+ *
+ * Each extended room property is replaced by a dispatcher function which calls
+ * the most recently added provider of an enabled plugin. Providers can access
+ * the previous provider (or the original room function) through the
+ * `previousFunction` property of their first argument. Since the chain is
+ * resolved on each call, providers can be removed at any time.
+ *
+ * @class ExtensionRegistry
+ * @property {Map.<string, ExtensionRegistry~Extension>} extensions Extensions
+ *  by room property name.
+ * @property {HhmRoomObject} room Associated room object.
+ * @see HhmRoomObject#extend
+ */
+class ExtensionRegistry {
+  /**
+   * Creates an extension registry for the given room.
+   *
+   * @function ExtensionRegistry#constructor
+   * @param {HhmRoomObject} room Room object.
+   */
+  constructor(room) {
+    this._class = `ExtensionRegistry`;
+    this.extensions = new Map();
+    this.room = room;
+  }
+
+  /**
+   * Calls the provider at the given index, or the next provider below it whose
+   * plugin is enabled.
+   *
+   * @function ExtensionRegistry#_callProvider
+   * @private
+   * @param {string} name Extension name.
+   * @param {number} index Index of the provider to start with.
+   * @param {external:haxball-room-trapper.TrappedRoom} caller Room of the
+   *  calling plugin.
+   * @param {Array} args Call arguments.
+   * @returns {*} Return value of the provider or original function.
+   */
+  _callProvider(name, index, caller, args) {
+    const { original, providers } = this.extensions.get(name);
+    const pluginManager = this.room._pluginManager;
+
+    for (let i = index; i >= 0; i--) {
+      if (typeof providers[i].element !== `function`
+          || !pluginManager.isPluginEnabled(providers[i].pluginId)) {
+        continue;
+      }
+
+      const previousFunction = i > 0 || typeof original === `function`
+          ? (...previousArgs) => this._callProvider(name, i - 1, caller,
+              previousArgs)
+          : undefined;
+
+      return providers[i].element({
+        previousFunction,
+        callingPluginName: caller._name,
+      }, ...args);
+    }
+
+    if (typeof original === `function`) {
+      return original(...args);
+    }
+
+    pluginManager.log.warn(`Plugin ${pluginManager.getPluginName(
+        providers[providers.length - 1].pluginId)}, which provides function `
+        + `${name}, is disabled, please make sure to properly declare `
+        + `dependencies and honor plugin states.`);
+
+    return () => {};
+  }
+
+  /**
+   * Creates the dispatcher function for the given extension.
+   *
+   * @function ExtensionRegistry#_createDispatcher
+   * @private
+   * @param {string} name Extension name.
+   * @returns {Function} Dispatcher function.
+   */
+  _createDispatcher(name) {
+    const registry = this;
+
+    return function(...args) {
+      const providers = registry.extensions.get(name).providers;
+
+      return registry._callProvider(name, providers.length - 1, this, args);
+    };
+  }
+
+  /**
+   * Adds a provider for the given extension.
+   *
+   * @function ExtensionRegistry#addProvider
+   * @param {number} pluginId ID of the providing plugin.
+   * @param {string} name Room property name.
+   * @param {(Function|*)} element Extension function or value, values can
+   *  only be added for undefined room properties.
+   * @returns {boolean} Whether the provider was added.
+   */
+  addProvider(pluginId, name, element) {
+    const isFunction = typeof element === `function`;
+
+    if (!isFunction && this.room[name] !== undefined) {
+      return false;
+    }
+
+    if (!this.extensions.has(name)) {
+      this.extensions.set(name, {
+        original: this.room[name],
+        providers: [],
+        dispatcher: this._createDispatcher(name),
+      });
+    }
+
+    const extension = this.extensions.get(name);
+    const previousProvider = extension.providers[extension.providers.length - 1];
+    const pluginManager = this.room._pluginManager;
+
+    extension.providers.push({ pluginId, element });
+    this.room[name] = isFunction ? extension.dispatcher : element;
+
+    if (previousProvider === undefined) {
+      pluginManager.triggerHhmEvent(HHM.events.EXTENSION_ADDED, {
+        plugin: pluginManager.getPlugin(pluginId),
+        extensionName: name,
+      });
+    } else {
+      pluginManager.triggerHhmEvent(HHM.events.EXTENSION_OVERRIDDEN, {
+        plugin: pluginManager.getPlugin(pluginId),
+        extensionName: name,
+        previousPlugin: pluginManager.getPlugin(previousProvider.pluginId),
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Creates a snapshot of the registered extensions.
+   *
+   * @function ExtensionRegistry#createSnapshot
+   * @returns {Map.<string, ExtensionRegistry~Extension>} Snapshot which can be
+   *  passed to {@link ExtensionRegistry#restoreSnapshot}.
+   */
+  createSnapshot() {
+    return new Map(Array.from(this.extensions.entries(), ([name, extension]) =>
+        [name, { ...extension, providers: [...extension.providers] }]));
+  }
+
+  /**
+   * Returns the names of the plugins providing the given extension, the most
+   * recently added provider first.
+   *
+   * @function ExtensionRegistry#getProviders
+   * @param {string} name Room property name.
+   * @returns {Array.<string>} Plugin names.
+   */
+  getProviders(name) {
+    if (!this.extensions.has(name)) {
+      return [];
+    }
+
+    return this.extensions.get(name).providers
+        .map(({ pluginId }) => this.room._pluginManager.getPluginName(pluginId))
+        .reverse();
+  }
+
+  /**
+   * Removes all providers of the given plugin.
+   *
+   * If an extension has no providers left, the original room property is
+   * restored.
+   *
+   * @function ExtensionRegistry#removeProviders
+   * @param {number} pluginId Plugin ID.
+   */
+  removeProviders(pluginId) {
+    const pluginManager = this.room._pluginManager;
+
+    for (let [name, extension] of this.extensions) {
+      if (!extension.providers.some((p) => p.pluginId === pluginId)) {
+        continue;
+      }
+
+      extension.providers = extension.providers
+          .filter((p) => p.pluginId !== pluginId);
+
+      if (extension.providers.length === 0) {
+        if (extension.original === undefined) {
+          delete this.room[name];
+        } else {
+          this.room[name] = extension.original;
+        }
+
+        this.extensions.delete(name);
+      } else {
+        const { element } =
+            extension.providers[extension.providers.length - 1];
+
+        this.room[name] = typeof element === `function`
+            ? extension.dispatcher : element;
+      }
+
+      pluginManager.triggerHhmEvent(HHM.events.EXTENSION_REMOVED, {
+        plugin: pluginManager.getPlugin(pluginId),
+        extensionName: name,
+      });
+    }
+  }
+
+  /**
+   * Replaces the original room property of the given extension, e.g. when the
+   * native room was replaced.
+   *
+   * @function ExtensionRegistry#replaceOriginal
+   * @param {string} name Extension name.
+   * @param {*} previousOriginal Original value to be replaced, the original is
+   *  kept if it differs.
+   * @param {*} original New original value.
+   */
+  replaceOriginal(name, previousOriginal, original) {
+    const extension = this.extensions.get(name);
+
+    if (extension !== undefined && extension.original === previousOriginal) {
+      extension.original = original;
+    }
+  }
+
+  /**
+   * Restores the given snapshot.
+   *
+   * Room properties are not restored, see
+   * {@link PluginManager#_restoreSnapshot}.
+   *
+   * @function ExtensionRegistry#restoreSnapshot
+   * @param {Map.<string, ExtensionRegistry~Extension>} snapshot Snapshot
+   *  created by {@link ExtensionRegistry#createSnapshot}.
+   */
+  restoreSnapshot(snapshot) {
+    this.extensions.clear();
+    snapshot.forEach((extension, name) => this.extensions.set(name, extension));
+  }
+}
+
+/**
+ * Registered extension.
+ *
+ * @typedef {object} ExtensionRegistry~Extension
+ * @property {*} original Value of the room property before it was extended.
+ * @property {Array.<{pluginId: number, element: *}>} providers Providers in
+ *  the order they were added.
+ * @property {Function} dispatcher Function replacing the room property.
+ */
+
+module.exports = ExtensionRegistry;
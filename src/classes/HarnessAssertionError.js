@@ -0,0 +1,16 @@
+/**
+ * Error thrown when an expectation of a scenario is not met.
+ *
+ * @class HarnessAssertionError
+ * @property {*} actual Actual value, if available.
+ */
+class HarnessAssertionError extends Error {
+  constructor(message, actual) {
+    super(actual === undefined ? message
+        : `${message}, got ${JSON.stringify(actual)}`);
+    this.name = `HarnessAssertionError`;
+    this.actual = actual;
+  }
+}
+
+module.exports = HarnessAssertionError;
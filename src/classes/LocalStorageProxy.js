@@ -1,3 +1,5 @@
+const platform = require(`../platform`);
+
 
 /**
  * Provides proxy access to localStorage with key prefixes, so that each plugin has a clean
@@ -6,11 +8,15 @@
  * _Important_: If you modify keys within the prefix of this proxy in the underlying localStorage
  * instance, you must call _rebuildKeyCache() afterwards.
  *
+ * The underlying storage is the `localStorage` of the platform adapter unless
+ * another storage is given.
+ *
  * @class LocalStorageProxy
  * @see https://developer.mozilla.org/en-US/docs/Web/API/Storage
  */
 class LocalStorageProxy {
-  constructor(prefix) {
+  constructor(prefix, storage = platform.get().localStorage) {
+    this._storage = storage;
     this._prefix = prefix + `.`;
     this._keys = new Set();
     this._rebuildKeyCache();
@@ -18,9 +24,9 @@ class LocalStorageProxy {
 
   _rebuildKeyCache() {
     this._keys.clear();
-    for (let i = 0; i < localStorage.length; i++)
+    for (let i = 0; i < this._storage.length; i++)
     {
-      const key = localStorage.key(i);
+      const key = this._storage.key(i);
 
       if (key.startsWith(this._prefix)) {
         this._keys.add(key.substring(this._prefix.length));
@@ -41,16 +47,16 @@ class LocalStorageProxy {
   }
 
   getItem(keyName) {
-    return localStorage.getItem(this._prefix + keyName);
+    return this._storage.getItem(this._prefix + keyName);
   }
 
   setItem(keyName, keyValue) {
-    localStorage.setItem(this._prefix + keyName, keyValue);
+    this._storage.setItem(this._prefix + keyName, keyValue);
     this._keys.add(keyName);
   }
 
   removeItem(keyName) {
-    localStorage.removeItem(this._prefix + keyName);
+    this._storage.removeItem(this._prefix + keyName);
     this._keys.delete(keyName)
   }
 
@@ -59,7 +65,7 @@ class LocalStorageProxy {
     this._keys.clear();
 
     for (let k of keys) {
-      localStorage.removeItem(this._prefix + k);
+      this._storage.removeItem(this._prefix + k);
     }
   }
 }
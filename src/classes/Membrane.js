@@ -0,0 +1,335 @@
+/**
+ * Returns whether the given value is an object or a function.
+ *
+ * @param {*} value Value to be checked.
+ * @returns {boolean} Whether the value can be wrapped in a proxy.
+ */
+function isObject(value) {
+  return (typeof value === `object` && value !== null)
+      || typeof value === `function`;
+}
+
+/**
+ * Applies the given function to each element of the given array-like object.
+ *
+ * Unlike `Array.prototype.map`, this does not call any methods of the given
+ * object, which may come from the other realm.
+ *
+ * @param {Array} list Array-like object.
+ * @param {Function} convert Function applied to each element.
+ * @returns {Array} Converted elements.
+ */
+function mapList(list, convert) {
+  const result = [];
+
+  for (let i = 0; i < list.length; i++) {
+    result.push(convert(list[i]));
+  }
+
+  return result;
+}
+
+/**
+ * Separates the objects of a sandbox realm from the objects of the HHM.
+ *
+ * Objects passed from the HHM into the sandbox are wrapped in proxies, and so
+ * are objects passed from the sandbox to the HHM. Each value read from, written
+ * to, passed to or returned from these proxies is wrapped in turn, so code in
+ * the sandbox only ever sees objects of its own realm or proxies. Wrapping an
+ * object twice returns the same proxy, and passing a proxy back returns the
+ * original object.
+ *
+ * Standard objects which exist in both realms, like `Object.prototype` or
+ * `Array`, are not wrapped but replaced by their counterpart in the other
+ * realm, so e.g. arrays of the HHM are instances of the `Array` of the
+ * sandbox. The `Function` constructors and `eval` of the HHM are replaced by
+ * functions of the sandbox which throw, see {@link PluginSandbox}.
+ *
+ * @class Membrane
+ * @property {function(*): *} filter Function applied to each object of the HHM
+ *  before it is passed into the sandbox, can return a replacement object or
+ *  `undefined` to hide the object.
+ * @property {Map.<object, object>} hostIntrinsics Standard objects of the HHM
+ *  and their counterparts in the sandbox realm.
+ * @property {Map.<object, object>} sandboxIntrinsics Standard objects of the
+ *  sandbox realm and their counterparts in the HHM.
+ * @property {WeakMap.<object, Proxy>} inboundProxies Proxies for objects of the
+ *  HHM, by object.
+ * @property {WeakMap.<Proxy, object>} inboundTargets Objects of the HHM, by
+ *  proxy.
+ * @property {WeakMap.<object, Proxy>} outboundProxies Proxies for objects of
+ *  the sandbox, by object.
+ * @property {WeakMap.<Proxy, object>} outboundTargets Objects of the sandbox,
+ *  by proxy.
+ */
+class Membrane {
+  /**
+   * Creates a membrane between the HHM and the given sandbox realm.
+   *
+   * @function Membrane#constructor
+   * @param {object} realm Global object of the sandbox realm, must not be
+   *  accessible to code in the sandbox.
+   * @param {object} [options] Membrane options.
+   * @param {Array.<Array.<object>>} [options.intrinsics] Pairs of standard
+   *  objects of the HHM and the sandbox realm which replace each other.
+   * @param {function(*): *} [options.filter] See {@link Membrane#filter}.
+   */
+  constructor(realm, { intrinsics = [], filter = (value) => value } = {}) {
+    this._class = `Membrane`;
+    this.filter = filter;
+    this.hostIntrinsics = new Map(intrinsics);
+    this.sandboxIntrinsics = new Map(intrinsics.map(
+        ([hostValue, sandboxValue]) => [sandboxValue, hostValue]));
+    this.inboundProxies = new WeakMap();
+    this.inboundTargets = new WeakMap();
+    this.outboundProxies = new WeakMap();
+    this.outboundTargets = new WeakMap();
+
+    // Taken before any plugin code runs in the realm
+    const realmReflect = realm.Reflect;
+    const realmArray = realm.Array;
+    const realmObject = realm.Object;
+    const realmFunction = realm.Function(`return function() {};`)();
+    const realmBind = realm.Function.prototype.bind;
+
+    this._host = {
+      Reflect,
+      createShadow: (value) => typeof value === `function`
+          ? function() {}.bind() : Array.isArray(value) ? [] : {},
+    };
+
+    // Shadows of proxies used in the sandbox belong to the sandbox realm, the
+    // realm of a function proxy is the realm of its shadow
+    this._sandbox = {
+      Reflect: realmReflect,
+      createShadow: (value) => typeof value === `function`
+          ? Reflect.apply(realmBind, realmFunction, [])
+          : Array.isArray(value) ? Reflect.construct(realmArray, [])
+              : Reflect.construct(realmObject, []),
+    };
+  }
+
+  /**
+   * Converts the given property descriptor, keeping only its own fields.
+   *
+   * @function Membrane#_convertDescriptor
+   * @private
+   * @param {object} descriptor Property descriptor.
+   * @param {function(*): *} convert Function applied to the value and the
+   *  accessor functions.
+   * @returns {object} Converted property descriptor.
+   */
+  _convertDescriptor(descriptor, convert) {
+    const converted = {};
+
+    for (let field of [`configurable`, `enumerable`, `writable`]) {
+      if (Object.prototype.hasOwnProperty.call(descriptor, field)) {
+        converted[field] = Boolean(descriptor[field]);
+      }
+    }
+
+    for (let field of [`value`, `get`, `set`]) {
+      if (Object.prototype.hasOwnProperty.call(descriptor, field)) {
+        converted[field] = convert(descriptor[field]);
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Creates a proxy for the given object.
+   *
+   * The proxy forwards all operations to the object, converting values from
+   * the side of the proxy to the side of the object and back. Its target is a
+   * shadow object of the same kind in the realm of the proxy, which only
+   * receives non-configurable properties, so that the proxy can satisfy the
+   * invariants for them.
+   *
+   * @function Membrane#_createProxy
+   * @private
+   * @param {object} target Object to be wrapped.
+   * @param {object} targetSide Reflect object of the realm of the object.
+   * @param {object} proxySide Shadow factory of the realm of the proxy.
+   * @param {function(*): *} wrap Converts values of the object side to the
+   *  proxy side.
+   * @param {function(*): *} unwrap Converts values of the proxy side to the
+   *  object side.
+   * @returns {Proxy} Proxy for the object.
+   */
+  _createProxy(target, { Reflect: targetReflect }, { createShadow },
+               wrap, unwrap) {
+    const shadow = createShadow(target);
+
+    const getDescriptor = (key) => {
+      const descriptor = targetReflect.getOwnPropertyDescriptor(target, key);
+
+      if (descriptor === undefined) {
+        return undefined;
+      }
+
+      const converted = this._convertDescriptor(descriptor, wrap);
+      const shadowDescriptor = Reflect.getOwnPropertyDescriptor(shadow, key);
+
+      if (shadowDescriptor === undefined || shadowDescriptor.configurable) {
+        converted.configurable = true;
+      } else if (shadowDescriptor.hasOwnProperty(`writable`)) {
+        converted.writable = shadowDescriptor.writable;
+      }
+
+      return converted;
+    };
+
+    const traps = {
+      apply: (_, thisArg, args) => wrap(targetReflect.apply(target,
+          unwrap(thisArg), mapList(args, unwrap))),
+      construct: (_, args, newTarget) => wrap(targetReflect.construct(target,
+          mapList(args, unwrap), unwrap(newTarget))),
+      defineProperty: (_, key, descriptor) => {
+        const defined = targetReflect.defineProperty(target, key,
+            this._convertDescriptor(descriptor, unwrap));
+
+        if (defined && descriptor.configurable === false) {
+          Reflect.defineProperty(shadow, key,
+              this._convertDescriptor(descriptor, (value) => value));
+        }
+
+        return defined;
+      },
+      deleteProperty: (_, key) => {
+        const deleted = targetReflect.deleteProperty(target, key);
+
+        if (deleted) {
+          Reflect.deleteProperty(shadow, key);
+        }
+
+        return deleted;
+      },
+      get: (_, key) => {
+        // Would expose the calling functions
+        if (typeof target === `function`
+            && (key === `caller` || key === `arguments`)) {
+          return undefined;
+        }
+
+        return wrap(targetReflect.get(target, key));
+      },
+      getOwnPropertyDescriptor: (_, key) => getDescriptor(key),
+      getPrototypeOf: () => wrap(targetReflect.getPrototypeOf(target)),
+      has: (_, key) => targetReflect.has(target, key),
+      isExtensible: () => Reflect.isExtensible(shadow),
+      ownKeys: () => mapList(targetReflect.ownKeys(target), (key) => key),
+      preventExtensions: () => {
+        if (!targetReflect.preventExtensions(target)) {
+          return false;
+        }
+
+        // From now on, the properties of the shadow have to match
+        for (let key of Reflect.ownKeys(shadow)) {
+          if (!targetReflect.getOwnPropertyDescriptor(target, key)) {
+            Reflect.deleteProperty(shadow, key);
+          }
+        }
+
+        for (let key of mapList(targetReflect.ownKeys(target), (k) => k)) {
+          const descriptor = this._convertDescriptor(
+              targetReflect.getOwnPropertyDescriptor(target, key), wrap);
+          Reflect.defineProperty(shadow, key, descriptor);
+        }
+
+        Reflect.setPrototypeOf(shadow,
+            wrap(targetReflect.getPrototypeOf(target)));
+
+        return Reflect.preventExtensions(shadow);
+      },
+      set: (_, key, value) => targetReflect.set(target, key, unwrap(value)),
+      setPrototypeOf: (_, prototype) =>
+          targetReflect.setPrototypeOf(target, unwrap(prototype)),
+    };
+
+    // Errors thrown on the side of the object are wrapped like return values
+    const handler = {};
+
+    for (let trapName of Object.getOwnPropertyNames(traps)) {
+      handler[trapName] = (...args) => {
+        try {
+          return traps[trapName](...args);
+        } catch (e) {
+          throw wrap(e);
+        }
+      };
+    }
+
+    return new Proxy(shadow, handler);
+  }
+
+  /**
+   * Converts the given value of the HHM for use in the sandbox.
+   *
+   * @function Membrane#toSandbox
+   * @param {*} value Value of the HHM.
+   * @returns {*} Primitive values as they are, the original object for
+   *  proxies of objects of the sandbox, the counterpart of standard objects,
+   *  and a proxy for all other objects which pass the filter.
+   */
+  toSandbox(value) {
+    if (!isObject(value)) {
+      return value;
+    } else if (this.outboundTargets.has(value)) {
+      return this.outboundTargets.get(value);
+    } else if (this.inboundTargets.has(value)) {
+      return value;
+    } else if (this.hostIntrinsics.has(value)) {
+      return this.hostIntrinsics.get(value);
+    }
+
+    value = this.filter(value);
+
+    if (!isObject(value)) {
+      return value;
+    }
+
+    if (!this.inboundProxies.has(value)) {
+      const proxy = this._createProxy(value, this._host, this._sandbox,
+          (v) => this.toSandbox(v), (v) => this.toHost(v));
+
+      this.inboundProxies.set(value, proxy);
+      this.inboundTargets.set(proxy, value);
+    }
+
+    return this.inboundProxies.get(value);
+  }
+
+  /**
+   * Converts the given value of the sandbox for use in the HHM.
+   *
+   * @function Membrane#toHost
+   * @param {*} value Value of the sandbox.
+   * @returns {*} Primitive values as they are, the original object for
+   *  proxies of objects of the HHM, the counterpart of standard objects, and
+   *  a proxy for all other objects.
+   */
+  toHost(value) {
+    if (!isObject(value)) {
+      return value;
+    } else if (this.inboundTargets.has(value)) {
+      return this.inboundTargets.get(value);
+    } else if (this.outboundTargets.has(value)) {
+      return value;
+    } else if (this.sandboxIntrinsics.has(value)) {
+      return this.sandboxIntrinsics.get(value);
+    }
+
+    if (!this.outboundProxies.has(value)) {
+      const proxy = this._createProxy(value, this._sandbox, this._host,
+          (v) => this.toHost(v), (v) => this.toSandbox(v));
+
+      this.outboundProxies.set(value, proxy);
+      this.outboundTargets.set(proxy, value);
+    }
+
+    return this.outboundProxies.get(value);
+  }
+}
+
+module.exports = Membrane;
@@ -0,0 +1,47 @@
+/**
+ * In-memory implementation of the Web Storage API.
+ *
+ * Used as `localStorage` on platforms which do not provide one, e.g. by the
+ * Node.js platform adapter. The stored data is lost when the process ends.
+ *
+ * @class MemoryStorage
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Storage
+ * @see module:src/platform/node
+ */
+class MemoryStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  get length() {
+    return this._items.size;
+  }
+
+  key(n) {
+    if (n >= this._items.size) {
+      return null;
+    }
+
+    return [...this._items.keys()][n];
+  }
+
+  getItem(keyName) {
+    const key = String(keyName);
+
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  setItem(keyName, keyValue) {
+    this._items.set(String(keyName), String(keyValue));
+  }
+
+  removeItem(keyName) {
+    this._items.delete(String(keyName));
+  }
+
+  clear() {
+    this._items.clear();
+  }
+}
+
+module.exports = MemoryStorage;
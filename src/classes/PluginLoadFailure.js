@@ -0,0 +1,109 @@
+/**
+ * Report describing why a plugin could not be loaded.
+ *
+ * Created by {@link PluginManager#addPlugin} if the plugin or one of its
+ * dependencies failed to load, see {@link PluginManager#getLastLoadFailure}
+ * and the failures of the boot report.
+ *
+ * @property {(string|undefined)} pluginName Name of the plugin that was
+ *  requested, `undefined` if it was loaded by code.
+ * @property {Array.<PluginLoadFailure~Error>} errors Errors in the order in
+ *  which they were encountered.
+ *
+ * @class PluginLoadFailure
+ */
+class PluginLoadFailure {
+  constructor(pluginName) {
+    this._class = `PluginLoadFailure`;
+    this.pluginName = pluginName;
+    this.errors = [];
+  }
+
+  /**
+   * Registers an error.
+   *
+   * @function PluginLoadFailure#addError
+   * @param {string} pluginName Name of the plugin the error relates to.
+   * @param {string} reason One of {@link PluginLoadFailure.reasons}.
+   * @param {string} message Human-readable error message.
+   * @param {string} [dependencyChain] Dependency chain explaining why the
+   *  plugin was loaded, see {@link PluginManager#_createDependencyChain}.
+   * @param {PluginManager~ConflictReport} [conflict] Conflict report, for
+   *  errors caused by conflicting plugins.
+   * @returns {PluginLoadFailure} The report.
+   */
+  addError(pluginName, reason, message, dependencyChain, conflict) {
+    this.errors.push({ pluginName, reason, message, dependencyChain,
+      conflict });
+
+    return this;
+  }
+
+  /**
+   * Returns the errors with the given reason.
+   *
+   * @function PluginLoadFailure#getErrors
+   * @param {string} [reason] One of {@link PluginLoadFailure.reasons}, all
+   *  errors are returned if not given.
+   * @returns {Array.<PluginLoadFailure~Error>} Matching errors.
+   */
+  getErrors(reason) {
+    return reason === undefined ? this.errors
+        : this.errors.filter((e) => e.reason === reason);
+  }
+
+  /**
+   * Returns a human-readable summary of the report.
+   *
+   * @function PluginLoadFailure#toString
+   * @returns {string} One line per error.
+   */
+  toString() {
+    return `Failed to load plugin ${this.pluginName || `from code`}:\n`
+        + this.errors.map((e) => `- [${e.reason}] ${e.message}`).join(`\n`);
+  }
+}
+
+/**
+ * Known failure reasons.
+ *
+ * @memberOf PluginLoadFailure
+ * @property {string} DEPENDENCY_FAILED A dependency could not be loaded.
+ * @property {string} INCOMPATIBLE The plugin conflicts with a loaded plugin,
+ *  see {@link module:src/conflict}.
+ * @property {string} INTERFACE_UNAVAILABLE No plugin provides a required
+ *  interface.
+ * @property {string} INVALID_CONFIG The HHM configuration is invalid, only
+ *  reported by {@link PluginManager#validateConfig}.
+ * @property {string} LOAD_FAILED The plugin could not be found, or an error
+ *  happened during its execution.
+ * @property {string} ORDER_CYCLE The handler execution orders of the
+ *  plugins contain a cycle, only reported by
+ *  {@link PluginManager#validateConfig}.
+ * @property {string} VERSION_MISMATCH The loaded version of a dependency does
+ *  not satisfy the required version range.
+ */
+PluginLoadFailure.reasons = {
+  DEPENDENCY_FAILED: `dependencyFailed`,
+  INCOMPATIBLE: `incompatible`,
+  INTERFACE_UNAVAILABLE: `interfaceUnavailable`,
+  INVALID_CONFIG: `invalidConfig`,
+  LOAD_FAILED: `loadFailed`,
+  ORDER_CYCLE: `orderCycle`,
+  VERSION_MISMATCH: `versionMismatch`,
+};
+
+/**
+ * Single error within a {@link PluginLoadFailure}.
+ *
+ * @typedef {object} PluginLoadFailure~Error
+ * @property {string} pluginName Name of the plugin the error relates to.
+ * @property {string} reason One of {@link PluginLoadFailure.reasons}.
+ * @property {string} message Human-readable error message.
+ * @property {(string|undefined)} dependencyChain Dependency chain, if
+ *  available.
+ * @property {(PluginManager~ConflictReport|undefined)} conflict Conflict
+ *  report, if the error was caused by conflicting plugins.
+ */
+
+module.exports = PluginLoadFailure;
@@ -1,20 +1,128 @@
 const LocalStorageProxy = require(`./LocalStorageProxy`);
+const PluginSandbox = require(`./PluginSandbox`);
+const dependencyUtil = require(`../dependency`);
+const permissionsUtil = require(`../permissions`);
+const platform = require(`../platform`);
+const { IntegrityError, SignatureError } = require(`./repository`);
+
+/**
+ * Classes whose instances are only available to sandboxed plugins with the
+ * `manager` permission.
+ */
+const managerClasses = [`EventRecorder`, `ExtensionRegistry`, `HhmRoomObject`,
+  `PluginLoader`, `PluginManager`, `TrappedRoomManager`];
+
+/**
+ * Creates a stub which accepts any property access, call or construction.
+ *
+ * Used in place of the room and other objects when plugins are only executed
+ * to read their plugin specification.
+ *
+ * @param {object} [properties] Properties which are returned as set, all
+ *  other properties return a new stub. Assigned properties are stored here.
+ * @returns {Proxy} Stub.
+ */
+function createStub(properties) {
+  return new Proxy(properties === undefined ? function() {} : properties, {
+    apply: () => createStub(),
+    construct: () => createStub(),
+    get: (target, name) => {
+      if (properties !== undefined && target.hasOwnProperty(name)) {
+        return target[name];
+      }
+
+      // Do not pretend to be a promise, and convert to an empty string
+      if (name === `then`) {
+        return undefined;
+      }
+
+      return name === Symbol.toPrimitive ? () => `` : createStub();
+    },
+    set: (target, name, value) => {
+      if (properties !== undefined) {
+        target[name] = value;
+      }
+
+      return true;
+    },
+  });
+}
 
 /**
  * PluginLoader class, responsible for loading plugins via repositories or via
  * code.
  *
  * @class PluginLoader
+ * @property {object} log Logger of the associated plugin manager.
+ * @property {PluginManager} pluginManager Associated plugin manager.
  * @property {HhmRoomObject} room Room object.
+ * @property {Map.<number, (object|undefined)>} realms Global objects of the
+ *  realms of sandboxed plugins, by plugin ID. `undefined` while the plugin is
+ *  executed or if its code threw.
  * @property {Object.<string, Function>} repositoryTypeHandlers Handler
  *  functions for different repository types, see
  *  {@link module:src/repository}.
+ * @property {PluginSandbox} sandbox Sandbox used to execute plugins in
+ *  separate realms.
  */
 class PluginLoader {
 
   constructor(pluginManager) {
     this._class = `PluginLoader`;
     this.pluginManager = pluginManager;
+    this.log = pluginManager.log;
+    this.realms = new Map();
+    this.sandbox = new PluginSandbox();
+  }
+
+  /**
+   * Creates the filter for the objects passed into the sandbox of the given
+   * plugin, see {@link Membrane#filter}.
+   *
+   * Plugins with the `manager` permission can access all objects once their
+   * permissions have been determined, i.e. after their code was executed, so
+   * that plugins cannot use the name of another plugin to get its permissions
+   * in the meantime. For other plugins, the given objects and the internal
+   * objects of the plugin manager are `undefined`, the room of the plugin
+   * manager is replaced with the room of the plugin, and rooms of other
+   * plugins are replaced with the rooms as seen by the plugin, see
+   * {@link TrappedRoomManager#getPluginRoomView}.
+   *
+   * @function PluginLoader#_createSandboxFilter
+   * @private
+   * @param {number} [pluginId] ID of the plugin, if `undefined`, the plugin is
+   *  treated as having no permissions and no room.
+   * @param {Array.<object>} hiddenObjects Objects which require the `manager`
+   *  permission, like the `HHM` object.
+   * @returns {function(*): *} Filter function.
+   */
+  _createSandboxFilter(pluginId, hiddenObjects) {
+    const pluginManager = this.pluginManager;
+
+    return (value) => {
+      const permissions = pluginManager.pluginPermissions.get(pluginId);
+
+      if (permissions !== undefined && permissions.includes(`manager`)) {
+        return value;
+      }
+
+      if (value === pluginManager.room) {
+        return pluginManager.plugins.get(pluginId);
+      }
+
+      if (hiddenObjects.includes(value)
+          || managerClasses.includes(value._class)) {
+        return undefined;
+      }
+
+      if (pluginId !== undefined && value._id !== pluginId
+          && pluginManager.plugins.get(value._id) === value) {
+        return pluginManager.room._trappedRoomManager
+            .getPluginRoomView(pluginId, value);
+      }
+
+      return value;
+    };
   }
 
   /**
@@ -29,8 +137,18 @@ class PluginLoader {
    *  for the plugin.
    * @param {string} [pluginName] Default plugin name, should be the same as
    *  the name property of the `pluginSpec` if given.
+   * @param {boolean} [sandboxed] Whether to execute the plugin in the sandbox.
+   * @see PluginSandbox#execute
    */
-  _executePlugin(pluginCode, pluginRoom, pluginName) {
+  _executePlugin(pluginCode, pluginRoom, pluginName, sandboxed = false) {
+    // IDs of removed plugins can be reused
+    this._releaseRealm(pluginRoom._id);
+    this.releaseRealms();
+
+    if (sandboxed) {
+      this.realms.set(pluginRoom._id, undefined);
+    }
+
     const HBInit = () => {
       pluginRoom._lifecycle.valid = true;
       return pluginRoom;
@@ -39,23 +157,20 @@ class PluginLoader {
     const source = typeof pluginCode === `function`
         ? pluginCode.toString() : pluginCode;
     const sourceHash = HHM.util.hashFunction(source, HHM.util.hashSeed);
-
-    // For scripts that use window.HBInit
-    const windowCopy = {
-      ...window,
-      HBInit,
-      localStorage: new LocalStorageProxy(pluginName ? pluginName : sourceHash),
-    }
+    const storageNamespace = this.pluginManager.storageNamespace;
+    const storagePrefix = pluginName ? pluginName : sourceHash;
+    const localStorage = new LocalStorageProxy(storageNamespace === undefined
+        ? storagePrefix : `${storageNamespace}/${storagePrefix}`);
 
     try {
-      if (typeof pluginCode === `function`) {
-        pluginCode(HBInit, windowCopy);
-      } else {
-        Function.apply(null, [`HBInit`, `localStorage`, `window`, pluginCode])(HBInit,
-            windowCopy.localStorage, windowCopy);
+      const realm = this._runPluginCode(pluginCode, HBInit, localStorage,
+          sandboxed, pluginRoom._id);
+
+      if (sandboxed) {
+        this.realms.set(pluginRoom._id, realm);
       }
     } catch (e) {
-      HHM.log.error(`Unable to execute plugin. ${e.name}: ${e.message}`);
+      this.log.error(`Unable to execute plugin. ${e.name}: ${e.message}`);
       pluginRoom._lifecycle.valid = false;
     }
 
@@ -66,24 +181,160 @@ class PluginLoader {
 
         if (pluginRoom.pluginSpec.hasOwnProperty(`name`) &&
             pluginRoom.pluginSpec.name !== pluginName) {
-          HHM.log.error(`Invalid plugin specification: name is ` +
+          this.log.error(`Invalid plugin specification: name is ` +
               `${pluginRoom.pluginSpec.name} but was loaded as ${pluginName}`);
           pluginRoom._lifecycle.valid = false;
         }
       }
     }
 
+    pluginRoom._sandboxed = sandboxed;
     pluginRoom._source = source;
     pluginRoom._sourceHash = sourceHash;
 
     if (!this.pluginManager.hasPlugin(pluginRoom._id)) {
-      HHM.log.error(
+      this.log.error(
           `Invalid plugin ${pluginRoom.getName()}, either an error happened ` +
           `during plugin execution or HBInit() was not called`);
       this.pluginManager.removePlugin(pluginRoom._id);
     }
   }
 
+  /**
+   * Returns the repositories which are tried when loading the given plugin, in
+   * the order they are tried.
+   *
+   * Repositories which claim to contain the plugin come first. If the plugin
+   * configuration names a repository, only that repository is returned.
+   *
+   * @function PluginLoader#_getRepositoryCandidates
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @param {object} [pluginConfig] Plugin configuration.
+   * @returns {Array.<repository.Repository>} Repositories.
+   */
+  _getRepositoryCandidates(pluginName, pluginConfig = {}) {
+    let repositoryCandidates = [];
+    let otherRepositories = [];
+
+    // Find repositories which claim they contain the plugin we're looking for
+    for (let repository of this.repositories) {
+      const repositoryInfo = repository.getRepositoryInformation();
+
+      if (pluginConfig.repository !== undefined) {
+        if (pluginConfig.repository === repository.getName()) {
+          repositoryCandidates = [repository];
+          break;
+        }
+      }
+      else if (repositoryInfo.plugins !== undefined
+          && repositoryInfo.plugins.includes(pluginName)) {
+        repositoryCandidates.push(repository);
+      } else {
+        otherRepositories.push(repository)
+      }
+    }
+
+    if (pluginConfig.repository !== undefined) {
+      if (repositoryCandidates.length === 0) {
+        this.log.warn(`Required repository ${pluginConfig.repository} for `
+            + `plugin ${pluginName} not found`);
+      }
+
+      otherRepositories = [];
+    }
+
+    return [...repositoryCandidates, ...otherRepositories];
+  }
+
+  /**
+   * Returns whether the given plugin should be executed in the sandbox.
+   *
+   * The `sandbox` property of the plugin configuration takes precedence over
+   * the `sandbox` property of the repository configuration. Without either,
+   * plugin code given as a string is sandboxed if the `permissionMode` is
+   * `enforce`, unless the plugin was configured by the room operator, see
+   * {@link PluginManager#isTrustedPlugin}.
+   *
+   * @function PluginLoader#_isSandboxed
+   * @private
+   * @param {string} [pluginName] Plugin name.
+   * @param {object} [pluginConfig] Plugin configuration.
+   * @param {repository.Repository} [repository] Repository the plugin is
+   *  loaded from.
+   * @param {(Function|string)} [pluginCode] Plugin code.
+   * @returns {boolean} Whether the plugin should be sandboxed.
+   */
+  _isSandboxed(pluginName, pluginConfig = {}, repository, pluginCode) {
+    const userConfig =
+        (this.pluginManager.config.plugins || {})[pluginName] || {};
+    const sandbox = [pluginConfig.sandbox, userConfig.sandbox]
+        .find((s) => s !== undefined);
+
+    if (sandbox !== undefined) {
+      return sandbox === true;
+    }
+
+    const repositorySandbox = repository === undefined ? undefined
+        : repository.getConfiguration().sandbox;
+
+    if (repositorySandbox !== undefined) {
+      return repositorySandbox === true;
+    }
+
+    return typeof pluginCode === `string`
+        && this.pluginManager.getPermissionSettings().mode
+            === permissionsUtil.modes.ENFORCE
+        && !this.pluginManager.isTrustedPlugin(pluginName);
+  }
+
+  /**
+   * Executes the plugin code with the given `HBInit` function and
+   * `localStorage` object.
+   *
+   * Plugins of managers with a storage namespace get an `HHM` object whose
+   * `storage` is {@link PluginManager#getStorage} instead of the global one.
+   * In the sandbox, `HHM` is only available to plugins with the `manager`
+   * permission, see {@link PluginLoader#_createSandboxFilter}.
+   *
+   * @function PluginLoader#_runPluginCode
+   * @private
+   * @param {(Function|string)} pluginCode Plugin code.
+   * @param {Function} HBInit Function returning the room for the plugin.
+   * @param {object} localStorage Local storage for the plugin.
+   * @param {boolean} sandboxed Whether to execute the plugin in the sandbox.
+   * @param {number} [pluginId] ID of the plugin.
+   * @returns {(object|undefined)} Global object of the sandbox realm, or
+   *  `undefined` if the plugin was not sandboxed.
+   * @throws {Error} Any error thrown by the plugin code.
+   */
+  _runPluginCode(pluginCode, HBInit, localStorage, sandboxed, pluginId) {
+    // Plugins of namespaced managers must not use the global HHM.storage
+    const hhm = this.pluginManager.storageNamespace === undefined ? HHM
+        : Object.create(HHM,
+            { storage: { value: this.pluginManager.getStorage() } });
+
+    if (sandboxed) {
+      return this.sandbox.execute(pluginCode,
+          { HBInit, localStorage, HHM: hhm },
+          this.pluginManager.config.sandboxGlobals,
+          this._createSandboxFilter(pluginId,
+              [HHM, hhm, platform.get().global]));
+    }
+
+    // For scripts that use window.HBInit
+    const windowCopy = { ...platform.get().global, HBInit, localStorage,
+      HHM: hhm };
+
+    if (typeof pluginCode === `function`) {
+      pluginCode(HBInit, windowCopy);
+    } else {
+      Function.apply(null,
+          [`HBInit`, `localStorage`, `window`, `HHM`, pluginCode])(
+          HBInit, localStorage, windowCopy, hhm);
+    }
+  }
+
   /**
    * Returns whether the given repository already exists.
    *
@@ -146,7 +397,7 @@ class PluginLoader {
 
     // Check if repository exists
     if (this.hasRepository(repository)) {
-      HHM.log.warn(`Skipping duplicate repository entry for repository `
+      this.log.warn(`Skipping duplicate repository entry for repository `
           + `"${repository.getName()}"`);
       return false;
     }
@@ -177,6 +428,199 @@ class PluginLoader {
     return false;
   }
 
+  /**
+   * Returns whether the given plugin was executed in the sandbox.
+   *
+   * @function PluginLoader#isSandboxedPlugin
+   * @param {number} pluginId Plugin ID.
+   * @returns {boolean} Whether the plugin is sandboxed.
+   */
+  isSandboxedPlugin(pluginId) {
+    return this.realms.has(pluginId);
+  }
+
+  /**
+   * Destroys the realms of sandboxed plugins which are no longer loaded.
+   *
+   * @function PluginLoader#releaseRealms
+   * @see PluginSandbox#execute
+   */
+  releaseRealms() {
+    for (let pluginId of [...this.realms.keys()]) {
+      if (!this.pluginManager.plugins.has(pluginId)) {
+        this._releaseRealm(pluginId);
+      }
+    }
+  }
+
+  /**
+   * Destroys the realm of the given plugin, if any.
+   *
+   * @function PluginLoader#_releaseRealm
+   * @private
+   * @param {number} pluginId Plugin ID.
+   */
+  _releaseRealm(pluginId) {
+    const realm = this.realms.get(pluginId);
+
+    // The realm is destroyed by the sandbox if the plugin code threw
+    if (realm !== undefined) {
+      platform.get().destroyRealm(realm);
+    }
+
+    this.realms.delete(pluginId);
+  }
+
+  /**
+   * Returns the plugin specification of the given plugin without loading it.
+   *
+   * The plugin is fetched like {@link PluginLoader#tryToLoadPlugin} does,
+   * including the lockfile checks, and executed in the sandbox with stubs in
+   * place of the room and local storage, so the plugin code must depend
+   * neither on the room nor on globals other than `HHM.config.sandboxGlobals`
+   * to set its plugin specification.
+   *
+   * @function PluginLoader#resolvePluginSpec
+   * @async
+   * @param {string} pluginName Plugin name.
+   * @param {object} [pluginConfig] Plugin configuration.
+   * @param {string} [versionRange] Semver version range the plugin version has
+   *  to satisfy.
+   * @returns {Promise.<({pluginSpec: object, repository:
+   *  repository.Repository}|undefined)>} Plugin specification and the
+   *  repository it was found in, or `undefined` if no matching plugin was
+   *  found.
+   */
+  async resolvePluginSpec(pluginName, pluginConfig = {}, versionRange) {
+    const lockfileEntry = this._getLockfileEntry(pluginName);
+
+    if (this._isRefusedByLockfile(pluginName)) {
+      this.log.warn(`Plugin ${pluginName} is not part of the lockfile`);
+      return undefined;
+    }
+
+    for (let repository of await this._getPluginRepositories(pluginName,
+        pluginConfig)) {
+      let pluginCode;
+
+      try {
+        pluginCode = await repository.getPluginSource(pluginName,
+            pluginConfig.integrity);
+      } catch (e) {
+        if (!(e instanceof IntegrityError || e instanceof SignatureError)) {
+          throw e;
+        }
+
+        this.log.warn(e.message);
+        continue;
+      }
+
+      if (pluginCode === false || (lockfileEntry !== undefined
+          && !this._checkSourceHash(pluginName, repository, pluginCode,
+              lockfileEntry.sourceHash))) {
+        continue;
+      }
+
+      const properties = {};
+      let pluginSpec;
+
+      // The plugin is not loaded, so keep it away from the real globals
+      try {
+        const realm = this._runPluginCode(pluginCode,
+            () => createStub(properties), createStub(), true);
+
+        pluginSpec = HHM.util.clone(properties.pluginSpec || {});
+        platform.get().destroyRealm(realm);
+      } catch (e) {
+        this.log.warn(`Unable to execute plugin ${pluginName} from repository `
+            + `${repository.getName()}. ${e.name}: ${e.message}`);
+        continue;
+      }
+
+      if (!dependencyUtil.satisfies(pluginSpec.version, versionRange)) {
+        this.log.debug(`Plugin ${pluginName} from repository `
+            + `${repository.getName()} has version ${pluginSpec.version}, `
+            + `which does not satisfy ${versionRange}`);
+        continue;
+      }
+
+      return { pluginSpec, repository };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Fetches the sources of the given plugins and their dependencies
+   * concurrently, so they are cached when the plugins are loaded.
+   *
+   * For each plugin, the repositories are tried in the same order as when
+   * loading the plugin, or the locked repository is used. Dependencies are
+   * taken from the `dependencies` property of the repository information of
+   * the repository containing the plugin, see
+   * {@link repository.RepositoryInformation}.
+   *
+   * Plugins are neither executed nor loaded, so this does not affect the load
+   * order. Errors are logged and otherwise ignored, they will be reported when
+   * the plugin is loaded.
+   *
+   * @function PluginLoader#prefetchPluginSources
+   * @async
+   * @param {Array.<{pluginName: string, pluginConfig: object}>} plugins
+   *  Plugins to be prefetched.
+   * @param {number} [concurrency] Maximum number of plugins fetched at the
+   *  same time.
+   * @returns {Promise.<Array.<string>>} Names of the plugins whose sources
+   *  were found.
+   */
+  async prefetchPluginSources(plugins, concurrency = 4) {
+    const queue = [...plugins];
+    const queued = new Set(queue.map(({ pluginName }) => pluginName));
+    const prefetched = [];
+
+    const prefetchNext = async () => {
+      while (queue.length > 0) {
+        const { pluginName, pluginConfig } = queue.shift();
+
+        for (let repository of await this._getPluginRepositories(pluginName,
+            pluginConfig)) {
+          try {
+            if (await repository.getPluginSource(pluginName,
+                (pluginConfig || {}).integrity) === false) {
+              continue;
+            }
+          } catch (e) {
+            this.log.debug(`Unable to prefetch plugin ${pluginName} from `
+                + `repository ${repository.getName()}. ${e.name}: `
+                + e.message);
+            continue;
+          }
+
+          prefetched.push(pluginName);
+
+          const dependencies = (repository.getRepositoryInformation()
+              .dependencies || {})[pluginName] || [];
+
+          for (let dependency of dependencyUtil.getNames(dependencies)) {
+            if (!queued.has(dependency)) {
+              queued.add(dependency);
+              queue.push({ pluginName: dependency });
+            }
+          }
+
+          break;
+        }
+      }
+    };
+
+    // Workers share the queue, idle workers stop early but the queue is
+    // drained by the remaining ones
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) },
+        prefetchNext));
+
+    return prefetched;
+  }
+
   /**
    * Tries to load a plugin from name, code, or URL.
    *
@@ -185,22 +629,27 @@ class PluginLoader {
    * @param {string} [pluginName] Plugin name.
    * @param {(string|Function)} [pluginCode] Plugin code as string or function.
    * @param {object} [pluginConfig] Plugin configuration.
+   * @param {string} [versionRange] Semver version range the plugin version has
+   *  to satisfy, only taken into account when loading by name.
    * @returns {Promise.<number>} the ID of the plugin or -1 if it couldn't be
    *  #loaded.
    */
-  async tryToLoadPlugin({ pluginName, pluginCode, pluginConfig } = {}) {
+  async tryToLoadPlugin({ pluginName, pluginCode, pluginConfig,
+                          versionRange } = {}) {
     let pluginId = -1;
 
     if (pluginCode !== undefined) {
-      pluginId = this._tryToLoadPluginByCode(pluginCode, pluginName);
+      pluginId = this._tryToLoadPluginByCode(pluginCode, pluginName,
+          pluginConfig);
     } else if (pluginName !== undefined) {
-      pluginId = await this._tryToLoadPluginByName(pluginName, pluginConfig);
+      pluginId = await this._tryToLoadPluginByName(pluginName, pluginConfig,
+          versionRange);
     }
 
     if (pluginId !== -1 ) {
       const pluginRoom = this.pluginManager.getPlugin(pluginId);
 
-      HHM.log.info(`Plugin ${pluginRoom.getName()} loaded from `
+      this.log.info(`Plugin ${pluginRoom.getName()} loaded from `
           + pluginRoom._loadedFrom.getName());
     }
 
@@ -215,13 +664,16 @@ class PluginLoader {
    * @param {(string|Function)} pluginCode Plugin code as `string` or `Function`.
    * @param {string} [pluginName] Optional plugin name.
    * @param {object} [pluginConfig] Plugin configuration.
+   * @param {repository.Repository} [repository] Repository the code was
+   *  loaded from.
    * @returns {number} the ID of the plugin or -1 if it couldn't be loaded.
    * @see PluginLoader#_executePlugin
    */
   _tryToLoadPluginByCode(pluginCode, pluginName,
-                         pluginConfig = {}) {
+                         pluginConfig = {}, repository) {
     const pluginRoom = this.pluginManager.getPlugin(pluginName, true);
-    this._executePlugin(pluginCode, pluginRoom, pluginName);
+    this._executePlugin(pluginCode, pluginRoom, pluginName,
+        this._isSandboxed(pluginName, pluginConfig, repository, pluginCode));
 
     pluginRoom._loadedFrom = { getName: () => `code`};
 
@@ -232,80 +684,308 @@ class PluginLoader {
   /**
    * Tries to load the given plugin from the configured repositories.
    *
+   * If a version range is given, plugins whose version does not satisfy the
+   * range are removed again and the next repository is tried.
+   *
+   * If a lockfile is configured and contains the plugin, the plugin is only
+   * loaded from the locked repository, see
+   * {@link PluginLoader#_tryToLoadLockedPlugin}.
+   *
    * @function PluginLoader#_tryToLoadPluginByName
    * @async
    * @private
    * @param {string} pluginName Name of the plugin to be loaded.
    * @param {object} [pluginConfig] Plugin configuration.
+   * @param {string} [versionRange] Semver version range the plugin version has
+   *  to satisfy.
    * @returns {Promise.<number>} The ID of the plugin or -1 if it couldn't be
    *  loaded.
    */
-  async _tryToLoadPluginByName(pluginName, pluginConfig = {}) {
+  async _tryToLoadPluginByName(pluginName, pluginConfig = {}, versionRange) {
+    const lockfileEntry = this._getLockfileEntry(pluginName);
 
-    let repositoryCandidates = [];
-    let otherRepositories = [];
+    if (lockfileEntry !== undefined) {
+      return this._tryToLoadLockedPlugin(pluginName, pluginConfig,
+          versionRange, lockfileEntry);
+    }
 
-    if (pluginConfig.repository !== undefined) {
-      for (let repository of this.repositories) {
-        if (pluginConfig.repository === repository.getName()) {
-          repositoryCandidates.push(repository);
-          break;
-        }
+    if (this._isRefusedByLockfile(pluginName)) {
+      this.log.error(`Plugin ${pluginName} is not part of the lockfile, set `
+          + `HHM.config.allowUnlockedPlugins to true to load it anyway`);
+      return -1;
+    }
+
+    if (this.pluginManager.config.lockfile !== undefined) {
+      this.log.warn(`Plugin ${pluginName} is not part of the lockfile, loading `
+          + `it from the configured repositories`);
+    }
+
+    for (let repository of this._getRepositoryCandidates(pluginName,
+        pluginConfig)) {
+      const pluginId = await this._tryToLoadPluginFromRepository(pluginName,
+          pluginConfig, versionRange, repository);
+
+      if (pluginId !== -1) {
+        return pluginId;
       }
     }
 
-    // Find repositories which claim they contain the plugin we're looking for
-    for (let repository of this.repositories) {
-      const repositoryInfo = repository.getRepositoryInformation();
+    this.log.warn(`Unable to load plugin ${pluginName}`
+        + (versionRange !== undefined ? ` matching version ${versionRange}` : ``)
+        + ` from configured repositories`);
 
-      if (pluginConfig.repository !== undefined) {
-        if (pluginConfig.repository === repository.getName()) {
-          repositoryCandidates = [repository];
-          break;
-        }
+    return -1;
+  }
+
+  /**
+   * Tries to load the given plugin from the given repository.
+   *
+   * @function PluginLoader#_tryToLoadPluginFromRepository
+   * @async
+   * @private
+   * @param {string} pluginName Name of the plugin to be loaded.
+   * @param {object} pluginConfig Plugin configuration.
+   * @param {(string|undefined)} versionRange Semver version range the plugin
+   *  version has to satisfy.
+   * @param {repository.Repository} repository Repository.
+   * @param {number} [sourceHash] Expected hash of the plugin source, the
+   *  plugin is not loaded if the hash of its source differs.
+   * @returns {Promise.<number>} The ID of the plugin or -1 if it couldn't be
+   *  loaded.
+   */
+  async _tryToLoadPluginFromRepository(pluginName, pluginConfig, versionRange,
+                                       repository, sourceHash) {
+    const fetchStart = Date.now();
+    let repositoryResult;
+
+    try {
+      repositoryResult = await repository.getPluginSource(pluginName,
+          pluginConfig.integrity);
+    } catch (e) {
+      if (e instanceof SignatureError) {
+        this.log.error(e.message);
+        return -1;
       }
-      else if (repositoryInfo.plugins !== undefined
-          && repositoryInfo.plugins.includes(pluginName)) {
-        repositoryCandidates.push(repository);
-      } else {
-        otherRepositories.push(repository)
+
+      if (!(e instanceof IntegrityError)) {
+        throw e;
       }
+
+      this.log.error(e.message);
+      this.pluginManager.triggerHhmEvent(
+          HHM.events.PLUGIN_INTEGRITY_MISMATCH, {
+            pluginName,
+            repository,
+            expected: e.expected,
+            actual: e.actual,
+          });
+
+      return -1;
     }
 
-    if (pluginConfig.repository !== undefined) {
-      if (repositoryCandidates.length === 0) {
-        HHM.log.warn(`Required repository ${pluginConfig.repository} for `
-            + `plugin ${pluginName} not found`);
-      }
+    const fetchTime = Date.now() - fetchStart;
 
-      otherRepositories = [];
+    if (repositoryResult === false) {
+      this.log.debug(`Repository ${repository.getName()} returned false `
+        + `for plugin ${pluginName}`);
+      return -1;
     }
 
-    for (let repository of [...repositoryCandidates, ...otherRepositories]) {
+    if (!this._checkSourceHash(pluginName, repository, repositoryResult,
+        sourceHash)) {
+      return -1;
+    }
 
-      let repositoryResult = await repository.getPluginSource(pluginName);
+    // Assume it's plugin code
+    const pluginId = await this._tryToLoadPluginByCode(repositoryResult,
+        pluginName, pluginConfig, repository);
 
-      if (repositoryResult === false) {
-        HHM.log.debug(`Repository ${repository.getName()} returned false `
-          + `for plugin ${pluginName}`);
-        continue;
-      }
+    if (pluginId === -1) {
+      return -1;
+    }
 
-      // Assume it's plugin code
-      const pluginId =
-          await this._tryToLoadPluginByCode(repositoryResult, pluginName);
+    const pluginRoom = this.pluginManager.getPlugin(pluginId);
+    const version = pluginRoom.getPluginSpec().version;
 
-      if (pluginId !== -1) {
-        this.pluginManager.getPlugin(pluginId)._loadedFrom = repository;
+    pluginRoom._fetchTime = fetchTime;
+    pluginRoom._loadedFrom = repository;
 
-        return pluginId;
+    if (!dependencyUtil.satisfies(version, versionRange)) {
+      this.log.warn(`Plugin ${pluginName} from repository `
+          + `${repository.getName()} has version ${version}, which does `
+          + `not satisfy ${versionRange}`);
+      this.pluginManager.removePlugin(pluginId);
+      return -1;
+    }
+
+    return pluginId;
+  }
+
+  /**
+   * Checks whether the given plugin source matches the source hash recorded in
+   * the lockfile, and logs an error if it does not.
+   *
+   * @function PluginLoader#_checkSourceHash
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @param {repository.Repository} repository Repository the source was
+   *  fetched from.
+   * @param {(string|Function)} pluginSource Plugin source.
+   * @param {number} [sourceHash] Expected hash of the plugin source.
+   * @returns {boolean} Whether the source matches, always `true` if no source
+   *  hash was given.
+   */
+  _checkSourceHash(pluginName, repository, pluginSource, sourceHash) {
+    if (sourceHash === undefined) {
+      return true;
+    }
+
+    const actualSourceHash = HHM.util.hashFunction(
+        typeof pluginSource === `function`
+            ? pluginSource.toString() : pluginSource,
+        HHM.util.hashSeed);
+
+    if (actualSourceHash !== sourceHash) {
+      this.log.error(`Source of plugin ${pluginName} from repository `
+          + `${repository.getName()} does not match the lockfile: expected `
+          + `hash ${sourceHash}, got ${actualSourceHash}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns the repositories the given plugin is fetched from.
+   *
+   * If the lockfile contains the plugin, only the locked repository is
+   * returned, otherwise the repository candidates, see
+   * {@link PluginLoader#_getRepositoryCandidates}. No repositories are
+   * returned for plugins refused by the lockfile, see
+   * {@link PluginLoader#_isRefusedByLockfile}.
+   *
+   * @function PluginLoader#_getPluginRepositories
+   * @async
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @param {object} [pluginConfig] Plugin configuration.
+   * @returns {Promise.<Array.<repository.Repository>>} Repositories.
+   */
+  async _getPluginRepositories(pluginName, pluginConfig) {
+    const lockfileEntry = this._getLockfileEntry(pluginName);
+
+    if (this._isRefusedByLockfile(pluginName)) {
+      return [];
+    }
+
+    if (lockfileEntry === undefined) {
+      return this._getRepositoryCandidates(pluginName, pluginConfig);
+    }
+
+    const repository = await this._getLockedRepository(lockfileEntry);
+
+    return repository === undefined ? [] : [repository];
+  }
+
+  /**
+   * Returns the lockfile entry for the given plugin.
+   *
+   * @function PluginLoader#_getLockfileEntry
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @returns {(PluginManager~LockfileEntry|undefined)} Lockfile entry, or
+   *  `undefined` if no lockfile is configured or it does not contain the
+   *  plugin.
+   */
+  _getLockfileEntry(pluginName) {
+    const lockfile = this.pluginManager.config.lockfile || {};
+
+    return (lockfile.plugins || {})[pluginName];
+  }
+
+  /**
+   * Returns whether the given plugin must not be loaded because a lockfile is
+   * configured which does not contain it.
+   *
+   * Such plugins can be allowed by setting `HHM.config.allowUnlockedPlugins`
+   * to `true`.
+   *
+   * @function PluginLoader#_isRefusedByLockfile
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @returns {boolean} Whether the plugin is refused.
+   */
+  _isRefusedByLockfile(pluginName) {
+    const config = this.pluginManager.config;
+
+    return config.lockfile !== undefined && config.allowUnlockedPlugins !== true
+        && this._getLockfileEntry(pluginName) === undefined;
+  }
+
+  /**
+   * Returns the repository the given lockfile entry refers to.
+   *
+   * Repositories with a configuration in the lockfile are created from it,
+   * other repositories are looked up by name among the configured
+   * repositories.
+   *
+   * @function PluginLoader#_getLockedRepository
+   * @async
+   * @private
+   * @param {PluginManager~LockfileEntry} lockfileEntry Lockfile entry.
+   * @returns {Promise.<(repository.Repository|undefined)>} Repository, or
+   *  `undefined` if it is not available.
+   */
+  async _getLockedRepository(lockfileEntry) {
+    if (lockfileEntry.repositoryConfig !== undefined) {
+      try {
+        return await this.pluginManager.getPluginRepositoryFactory()
+            .createRepository(lockfileEntry.repositoryConfig);
+      } catch (e) {
+        this.log.error(`Unable to create locked repository `
+            + `${lockfileEntry.repository}. ${e.name}: ${e.message}`);
+        return undefined;
       }
     }
 
-    HHM.log.warn(`Unable to load plugin ${pluginName} from configured `
-        + `repositories`);
+    return this.repositories.find(
+        (repository) => repository.getName() === lockfileEntry.repository);
+  }
 
-    return -1;
+  /**
+   * Tries to load the given plugin from the repository recorded in the
+   * lockfile, making sure the source matches the recorded hash.
+   *
+   * @function PluginLoader#_tryToLoadLockedPlugin
+   * @async
+   * @private
+   * @param {string} pluginName Name of the plugin to be loaded.
+   * @param {object} pluginConfig Plugin configuration.
+   * @param {(string|undefined)} versionRange Semver version range the plugin
+   *  version has to satisfy.
+   * @param {PluginManager~LockfileEntry} lockfileEntry Lockfile entry.
+   * @returns {Promise.<number>} The ID of the plugin or -1 if it couldn't be
+   *  loaded.
+   */
+  async _tryToLoadLockedPlugin(pluginName, pluginConfig, versionRange,
+                               lockfileEntry) {
+    const repository = await this._getLockedRepository(lockfileEntry);
+
+    if (repository === undefined) {
+      this.log.error(`Repository ${lockfileEntry.repository} of locked plugin `
+          + `${pluginName} is not available`);
+      return -1;
+    }
+
+    const pluginId = await this._tryToLoadPluginFromRepository(pluginName,
+        pluginConfig, versionRange, repository, lockfileEntry.sourceHash);
+
+    if (pluginId === -1) {
+      this.log.error(`Unable to load locked plugin ${pluginName} from `
+          + `repository ${repository.getName()}`);
+    }
+
+    return pluginId;
   }
 }
 
@@ -1,10 +1,33 @@
-const $ = require(`jquery`);
+const ConfigValidator = require(`./ConfigValidator`);
 const EventHandlerExecutionMetadata = require(`./EventHandlerExecutionMetadata`);
+const EventRecorder = require(`./EventRecorder`);
+const ExtensionRegistry = require(`./ExtensionRegistry`);
 const PluginLoader = require(`./PluginLoader`);
+const PluginLoadFailure = require(`./PluginLoadFailure`);
 const TrappedRoomManager = require(`./TrappedRoomManager`);
 const { RoomTrapper } = require(`haxball-room-trapper`);
-const configError = new Error(`Invalid HHM configuration`);
+const configError = (messages) => new Error(`Invalid HHM configuration:\n- `
+    + messages.join(`\n- `));
+const conflictUtil = require(`../conflict`);
+const deepEqual = require(`deep-equal`);
+const dependencyUtil = require(`../dependency`);
+const graphUtil = require(`../graph`);
+const permissionsUtil = require(`../permissions`);
+const platform = require(`../platform`);
 const repository = require(`./repository`);
+const storageUtil = require(`../storage`);
+const toposort = require(`toposort`);
+
+/**
+ * Plugin configuration properties which configure the HHM rather than the
+ * plugin, they are not merged into the plugin configuration.
+ */
+const managerConfigKeys = [`permissions`, `sandbox`];
+
+/**
+ * Maximum number of conflict reports kept, older reports are discarded.
+ */
+const maxConflictReports = 100;
 
 /**
  * PluginManager class, core of the HHM system.
@@ -12,25 +35,96 @@ const repository = require(`./repository`);
  * This class is responsible for managing the plugin and room lifecycle, like
  * dependency management and plugin configuration.
  *
+ * Each plugin manager has its own configuration, deferreds, logger, room link
+ * and repositories. The global `HHM.manager` uses the global `HHM.config`,
+ * `HHM.deferreds` and `HHM.log`, further managers can be created using
+ * {@link HHM.createManager}.
+ *
  * @class PluginManager
+ * @property {(string|undefined)} activeProfile Name of the active profile, see
+ *  {@link PluginManager#switchProfile}.
+ * @property {(PluginManager~BootReport|undefined)} bootReport Boot report,
+ *  created when the manager is started and completed once all user plugins
+ *  have been loaded.
+ * @property {Array.<PluginManager~ConflictReport>} conflicts Reports of the
+ *  most recently detected plugin conflicts, in the order they were detected.
+ * @property {object} config HHM configuration of this manager.
+ * @property {object.<string, external:jQuery.Deferred>} deferreds Deferreds of
+ *  this manager, `managerStarted` and `roomLink`.
  * @property {Map.<string, Array.<number>>} dependencies This caches reverse
  *  dependencies, i.e. it's mapping a plugin name to an array of plugin IDs
  *  which depend on it.
+ * @property {Map.<string, Function>} eventDispatchers Event dispatchers added
+ *  to the room for lazy plugin triggers and the event recorder, by event
+ *  handler name, they are removed when the manager is stopped.
+ * @property {(EventRecorder|undefined)} eventRecorder Running event
+ *  recorder, see {@link PluginManager#startEventRecording}.
+ * @property {ExtensionRegistry} extensionRegistry Room extensions and their
+ *  providers, available after the manager was started.
+ * @property {(PluginLoadFailure|undefined)} lastLoadFailure Failure report of
+ *  the most recent failed {@link PluginManager#addPlugin} call.
+ * @property {Map.<string, object.<*>>} lazyPlugins Maps names of lazy plugins
+ *  which have not been loaded yet to their configuration and triggers.
+ * @property {(Promise|undefined)} lazyPluginQueue Loads lazy plugins one
+ *  after the other, `undefined` while the HHM is being stopped.
+ * @property {Map.<string, Array.<number>>} optionalDependencies Like
+ *  `dependencies`, but for optional dependencies.
+ * @property {Map.<number, Array.<string>>} pluginPermissions Frozen
+ *  permissions of each plugin, determined when the plugin was loaded.
  * @property {Map.<number, external:haxball-room-trapper.TrappedRoom>} plugins
  *  Maps plugin IDs to trapped room instances.
  * @property {Array.<number>} pluginsDisabled Array of disabled plugin IDs.
  * @property {Map.<string, number>} pluginIds Maps plugin names to plugin IDs.
+ * @property {(module:src/permissions~Settings|undefined)} permissionSettings
+ *  Permission settings copied from the configuration when the manager was
+ *  started.
+ * @property {Map.<string, object.<*>>} reloadStates Maps names of plugins which
+ *  are currently being reloaded to the state and version of the previous
+ *  instance.
+ * @property {(external:native-api.RoomObject|undefined)} nativeRoom Native
+ *  room the room object is bound to. The room object is the initial native
+ *  room extended in place, so this is a copy of its native functions until
+ *  the room is restarted.
+ * @property {(function(object): external:native-api.RoomObject|undefined)}
+ *  roomFactory Function creating native rooms, passed to
+ *  {@link PluginManager#start}, `platform.createRoom` is used if not set.
+ * @property {(string|undefined)} roomLink Room link, available once the room
+ *  was linked.
+ * @property {(string|undefined)} storageNamespace Namespace which separates
+ *  the stored data of the plugins of this manager from other managers, see
+ *  {@link PluginManager#getStorage}.
  */
 class PluginManager {
 
-  constructor() {
+  /**
+   * Creates a plugin manager.
+   *
+   * @function PluginManager#constructor
+   * @param {object} [options] Manager options.
+   * @param {object} [options.config] HHM configuration, defaults to
+   *  `HHM.config`.
+   * @param {object.<string, external:jQuery.Deferred>} [options.deferreds]
+   *  Deferreds, defaults to `HHM.deferreds`.
+   * @param {object} [options.log] Logger, defaults to `HHM.log`, see
+   *  {@link module:src/log}.
+   * @param {string} [options.storageNamespace] Storage namespace, by default
+   *  the plugins use `HHM.storage` and `localStorage` without a namespace.
+   */
+  constructor({ config = HHM.config, deferreds = HHM.deferreds,
+                log = HHM.log, storageNamespace } = {}) {
     this._class = `PluginManager`;
-    this.dependencies = new Map();
+    this.config = config;
+    this.deferreds = deferreds;
+    this.log = log;
+    this.storageNamespace = storageNamespace;
+    this.nativeRoom = undefined;
+    this.roomFactory = undefined;
+    this.roomLink = undefined;
+    this.eventRecorder = undefined;
     this.repositoryFactory = new repository.RepositoryFactory(
-        require(`../repository`));
-    this.plugins = new Map();
-    this.pluginsDisabled = [];
-    this.pluginIds = new Map();
+        require(`../repository`), log);
+
+    this._resetPluginState();
 
     this.preUserPlugins = [{ pluginName: `hhm/core` },
       { pluginName: `hhm/persistence` }];
@@ -48,20 +142,137 @@ class PluginManager {
    * @private
    * @param {number} pluginId ID of the depending plugin.
    * @param {string} dependentName Name of the plugin that's being dependent on.
+   * @param {Map.<string, Array.<number>>} [dependencyMap] Reverse dependency
+   *  map to be updated, either `dependencies` or `optionalDependencies`.
    */
-  _addDependent(pluginId, dependentName) {
-    if (!this.dependencies.has(dependentName)) {
-      this.dependencies.set(dependentName, []);
+  _addDependent(pluginId, dependentName, dependencyMap = this.dependencies) {
+    if (!dependencyMap.has(dependentName)) {
+      dependencyMap.set(dependentName, []);
     }
 
-    const dependencies = this.dependencies.get(dependentName);
+    const dependencies = dependencyMap.get(dependentName);
 
     // Do not add duplicates
-    if ($.inArray(pluginId, dependencies) === -1) {
+    if (!dependencies.includes(pluginId)) {
       dependencies.push(pluginId);
     }
   }
 
+  /**
+   * Applies the given target plugin set, starting from the given current
+   * plugin set.
+   *
+   * Plugins which are only part of the current set are disabled and removed,
+   * dependents first, along with dependencies which no remaining plugin needs.
+   * Plugins which other remaining plugins depend on are kept. Plugins of the
+   * target set which are already loaded are reconfigured, the others are
+   * loaded. Disabled plugins stay disabled.
+   *
+   * @function PluginManager#_applyPluginSet
+   * @async
+   * @private
+   * @param {Object.<string, object>} currentPlugins Current plugin set,
+   *  mapping plugin names to configurations.
+   * @param {Object.<string, object>} targetPlugins Target plugin set.
+   * @param {Array.<number>} disabledPluginIds IDs of disabled plugins, updated
+   *  in place.
+   * @param {Array.<Array>} configChanges Plugin name, parameter name and old
+   *  value of each configuration change, updated in place.
+   * @returns {Promise.<boolean>} Whether all steps were successful.
+   */
+  async _applyPluginSet(currentPlugins, targetPlugins, disabledPluginIds,
+                        configChanges) {
+    const targetNames = Object.getOwnPropertyNames(targetPlugins);
+    const removedNames = Object.getOwnPropertyNames(currentPlugins)
+        .filter((name) => !targetNames.includes(name));
+
+    for (let name of removedNames) {
+      this.lazyPlugins.delete(name);
+    }
+
+    const loadedPluginIds = removedNames.filter((name) => this.hasPlugin(name))
+        .map((name) => this.getPluginId(name));
+    const dependencyIds = this._getUnlistedDependencyIds(loadedPluginIds,
+        targetNames);
+    let pluginIdsToRemove = [...loadedPluginIds, ...dependencyIds];
+    let pluginCount;
+
+    // Keep plugins which depend on themselves or which remaining plugins
+    // depend on
+    do {
+      pluginCount = pluginIdsToRemove.length;
+      pluginIdsToRemove = pluginIdsToRemove.filter((id) => {
+        const dependents = this.getDependentPlugins(id, true, true);
+
+        return !dependents.includes(id) && dependents.every(
+            (dependentId) => pluginIdsToRemove.includes(dependentId));
+      });
+    } while (pluginIdsToRemove.length !== pluginCount);
+
+    loadedPluginIds.filter((id) => !pluginIdsToRemove.includes(id))
+        .forEach((id) => this.log.info(`Keeping plugin `
+            + `${this.getPluginName(id)}, other plugins depend on it`));
+
+    // Remove dependents first
+    while (pluginIdsToRemove.length > 0) {
+      const pluginId = pluginIdsToRemove.find((id) =>
+          !this.getDependentPlugins(id, false, true).some((dependentId) =>
+              dependentId !== id && pluginIdsToRemove.includes(dependentId)))
+          || pluginIdsToRemove[0];
+
+      pluginIdsToRemove.splice(pluginIdsToRemove.indexOf(pluginId), 1);
+
+      if (this.isPluginEnabled(pluginId)) {
+        if (!this.disablePlugin(pluginId).includes(pluginId)) {
+          this.log.error(`Unable to disable plugin `
+              + this.getPluginName(pluginId));
+          return false;
+        }
+
+        disabledPluginIds.push(pluginId);
+      }
+
+      if (!this.removePlugin(pluginId)) {
+        this.log.error(`Unable to remove plugin ${this.getPluginName(pluginId)}`);
+        return false;
+      }
+    }
+
+    for (let pluginName of targetNames) {
+      const pluginConfig = targetPlugins[pluginName] || {};
+
+      if (!this.hasPlugin(pluginName)) {
+        if (pluginConfig.lazy === true
+            && this._registerLazyPlugin(pluginName, pluginConfig)) {
+          continue;
+        }
+
+        if (await this.addPlugin({ pluginName, pluginConfig }) === -1) {
+          return false;
+        }
+
+        continue;
+      }
+
+      if (!this.isPluginEnabled(pluginName)) {
+        this.log.info(`Keeping plugin ${pluginName} disabled`);
+      }
+
+      const config = this.getPlugin(pluginName).getConfig();
+
+      for (let paramName of Object.getOwnPropertyNames(pluginConfig)) {
+        if (deepEqual(config[paramName], pluginConfig[paramName])) {
+          continue;
+        }
+
+        configChanges.push([pluginName, paramName, config[paramName]]);
+        this.setPluginConfig(pluginName, paramName, pluginConfig[paramName]);
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Adds a plugin by name or by code, and returns the ID of the loaded plugin
    * or -1 if there was an error, or the loadStack if it was given.
@@ -71,6 +282,12 @@ class PluginManager {
    *
    * When initially calling this function, do not pass a loadStack, the function
    * will then return the ID of the loaded plugin or -1 if there was an error.
+   * The {@link PluginLoadFailure} describing the error is available through
+   * {@link PluginManager#getLastLoadFailure}.
+   *
+   * Loading is transactional: if the plugin or one of its dependencies fails
+   * to load, plugins, handlers, hooks, properties, room extensions and
+   * dependency information are restored to the state before the call.
    *
    * @function PluginManager#addPlugin
    * @async
@@ -82,43 +299,77 @@ class PluginManager {
    *  `string`.
    * @param {object} [pluginConfig] Optional plugin configuration, user config
    *  takes precedence.
+   * @param {string} [versionRange] Optional semver version range the plugin
+   *  version has to satisfy, only used when loading by name.
    * @param {Array.<(number|boolean)>} [loadStack] `Array` of loaded plugin IDs
    *  in load order. Used internally during recursion.
+   * @param {PluginLoadFailure} [loadFailure] Collects errors during recursion,
+   *  used internally.
+   * @param {Array.<number>} [conflictRemovals] IDs of plugins which lost a
+   *  conflict against a plugin of the current load transaction, they are
+   *  removed once the transaction succeeds. Used internally during recursion.
    * @returns {Promise<(number|Array.<number>)>} When called without a
    *  `loadStack`, it will return the plugin ID or -1 if the plugin (or one of
    *  its dependencies) failed to load, otherwise it will return the updated
    *  `loadStack`.
    */
-  async addPlugin({ pluginName, pluginCode, pluginConfig } = {}, loadStack) {
+  async addPlugin({ pluginName, pluginCode, pluginConfig, versionRange } = {},
+                  loadStack, loadFailure, conflictRemovals = []) {
 
-    if (HHM.deferreds.managerStarted.state === `pending`) {
+    if (this.deferreds.managerStarted.state === `pending`) {
       this.preUserPlugins.push({ pluginName, pluginCode, pluginConfig });
     }
 
     const initializePlugins = loadStack === undefined;
     loadStack = loadStack || [];
+    loadFailure = loadFailure || new PluginLoadFailure(pluginName);
 
     if (pluginName !== undefined && this.hasPlugin(pluginName)) {
       // Avoid loading plugins twice
-      return loadStack || this.getPluginId(pluginName);
+      return initializePlugins ? this.getPluginId(pluginName) : loadStack;
     }
 
+    const snapshot = initializePlugins ? this._createSnapshot() : undefined;
+
     const pluginId = await this.pluginLoader.tryToLoadPlugin(
-        { pluginName, pluginCode, pluginConfig });
+        { pluginName, pluginCode, pluginConfig, versionRange });
+
+    if (pluginId !== -1) {
+      this.pluginPermissions.set(pluginId,
+          Object.freeze(this.getPluginPermissions(pluginId)));
+    }
+
+    if (pluginId === -1) {
+      loadFailure.addError(pluginName, PluginLoadFailure.reasons.LOAD_FAILED,
+          `Plugin ${pluginName || `from code`}`
+          + (versionRange !== undefined ? ` matching ${versionRange}` : ``)
+          + ` could not be loaded`);
+    }
 
-    loadStack = await this._checkPluginAndLoadDependencies(pluginId, loadStack);
+    loadStack = await this._checkPluginAndLoadDependencies(pluginId, loadStack,
+        loadFailure, conflictRemovals);
 
     const success = !loadStack.includes(false);
 
+    if (!success && initializePlugins) {
+      this._restoreSnapshot(snapshot);
+      this.lastLoadFailure = loadFailure;
+
+      this.log.error(loadFailure.toString());
+    }
+
     if (success) {
       pluginName = this.getPluginName(pluginId);
+      this.lazyPlugins.delete(pluginName);
 
       // Merge user config
       this._mergeConfig(pluginName, (pluginConfig || {}),
-          (HHM.config.plugins || {})[pluginName]);
+          (this.config.plugins || {})[pluginName]);
 
       if (initializePlugins) {
-        HHM.log.info(`Loading plugin ${pluginName} and its dependencies`);
+        this._removeConflictingPlugins(conflictRemovals);
+
+        this.log.info(`Loading plugin ${pluginName} and its dependencies`);
         this._executeRoomLinkHandlers(loadStack);
       }
     }
@@ -139,12 +390,18 @@ class PluginManager {
    * @private
    * @param {number} pluginId ID of the plugin.
    * @param {Array.<(number|boolean)>} loadStack `Array` of loaded plugin IDs
+   * @param {PluginLoadFailure} loadFailure Collects errors.
+   * @param {Array.<number>} conflictRemovals IDs of plugins to be removed once
+   *  the load transaction succeeds, updated in place.
    * @returns {Promise.<Array.<(number|boolean)>>} Updated `loadStack` `Array`,
    *  boolean false indicates an error during plugin load, meaning all loaded
    *  plugins will be removed.
    */
-  async _checkPluginAndLoadDependencies(pluginId, loadStack) {
-    if (!this.hasPlugin(pluginId) || !this._checkPluginsCompatible()) {
+  async _checkPluginAndLoadDependencies(pluginId, loadStack, loadFailure,
+                                        conflictRemovals) {
+    if (!this.hasPlugin(pluginId)
+        || !this._checkPluginsCompatible(pluginId, loadFailure,
+            conflictRemovals)) {
 
       this.removePlugin(pluginId);
       loadStack.push(false);
@@ -156,76 +413,192 @@ class PluginManager {
     const pluginRoom = this.getPlugin(pluginId);
 
     const pluginSpec = pluginRoom.getPluginSpec();
+    const dependenciesAlreadyLoaded = [];
+
+    // Interfaces are resolved after loading the dependencies, which might
+    // provide them
+    const dependencySuccess = await this._loadDependencies(pluginId,
+        pluginSpec.dependencies || [], loadStack, loadFailure,
+        dependenciesAlreadyLoaded, conflictRemovals)
+        && this._resolveRequiredInterfaces(pluginId, loadFailure)
+        && await this._loadDependencies(pluginId,
+            Object.values(pluginRoom._interfaceProviders || {}), loadStack,
+            loadFailure, dependenciesAlreadyLoaded, conflictRemovals);
+
+    // Remove plugin and its dependencies
+    if (!dependencySuccess) {
+      for (let dependency of dependencyUtil.getNames(
+          this._getDependencies(pluginId))) {
+        if (!dependenciesAlreadyLoaded.includes(dependency)) {
+          this.removePlugin(this.getPluginId(dependency));
+        }
+      }
+
+      this.removePlugin(pluginId);
+
+      loadStack.push(false);
 
-    if (!pluginSpec.hasOwnProperty(`dependencies`)) {
       return loadStack;
     }
 
-    let dependencySuccess = true;
-    let dependenciesAlreadyLoaded = [];
-    for (let dependency of pluginSpec.dependencies) {
-      this._addDependent(pluginId, dependency);
+    return this._loadOptionalDependencies(pluginId, loadStack, loadFailure,
+        conflictRemovals);
+  }
 
-      if (this.room.hasPlugin(dependency)) {
-        dependenciesAlreadyLoaded.push(dependency);
+  /**
+   * Checks whether the given dependency provides the interfaces which were
+   * resolved to it for the given plugin.
+   *
+   * @function PluginManager#_checkProvidedInterfaces
+   * @private
+   * @param {number} pluginId ID of the plugin requiring the interfaces.
+   * @param {string} dependencyName Name of the loaded dependency.
+   * @param {PluginLoadFailure} loadFailure Collects errors.
+   * @returns {boolean} Whether the dependency provides all interfaces it was
+   *  chosen for.
+   * @see PluginManager#_resolveRequiredInterfaces
+   */
+  _checkProvidedInterfaces(pluginId, dependencyName, loadFailure) {
+    const plugin = this.getPlugin(pluginId);
+    const interfaceProviders = plugin._interfaceProviders || {};
+
+    for (let interfaceString of Object.getOwnPropertyNames(interfaceProviders)) {
+      if (interfaceProviders[interfaceString] !== dependencyName
+          || this.getInterfaceProviders(interfaceString)
+              .includes(dependencyName)) {
         continue;
       }
 
-      loadStack = await this.addPlugin({ pluginName: dependency }, loadStack);
+      const message = `Plugin ${dependencyName} does not provide interface `
+          + `${interfaceString} required by plugin ${plugin._name}`;
 
-      dependencySuccess = !loadStack.includes(false)
-          && this._checkPluginsCompatible();
+      this.log.error(message);
+      loadFailure.addError(plugin._name,
+          PluginLoadFailure.reasons.INTERFACE_UNAVAILABLE, message);
 
-      if (!dependencySuccess) {
-        break;
-      }
+      return false;
     }
 
-    // Remove plugin and its dependencies
-    if (!dependencySuccess) {
-      for (let dependency of pluginSpec.dependencies) {
-        if (!dependenciesAlreadyLoaded.includes(dependency)) {
-          this.removePlugin(this.getPluginId(dependency));
-        }
-      }
+    return true;
+  }
 
-      this.removePlugin(pluginId);
+  /**
+   * Checks whether the loaded version of the given dependency satisfies the
+   * version range required by the given plugin.
+   *
+   * @function PluginManager#_checkDependencyVersion
+   * @private
+   * @param {number} pluginId ID of the depending plugin.
+   * @param {string} dependencyName Name of the loaded dependency.
+   * @param {string} [range] Required semver version range.
+   * @param {PluginLoadFailure} [loadFailure] Collects errors.
+   * @returns {boolean} `true` if no range was given or the loaded version
+   *  satisfies it, `false` otherwise.
+   */
+  _checkDependencyVersion(pluginId, dependencyName, range, loadFailure) {
+    const version = this.getPlugin(dependencyName).getPluginSpec().version;
 
-      loadStack.push(false);
+    if (dependencyUtil.satisfies(version, range)) {
+      return true;
     }
 
-    return loadStack;
+    const message = `Plugin ${this.getPluginName(pluginId)} requires `
+        + `${dependencyName}@${range}, but version ${version} is loaded`;
+    const dependencyChain = this._createDependencyChain(
+        this.getPluginId(dependencyName));
+
+    this.log.error(message);
+    this.log.error(dependencyChain);
+
+    if (loadFailure !== undefined) {
+      loadFailure.addError(dependencyName,
+          PluginLoadFailure.reasons.VERSION_MISMATCH, message, dependencyChain);
+    }
+
+    return false;
   }
 
   /**
-   * Checks whether incompatible plugins have been loaded.
+   * Checks whether the given plugin conflicts with other loaded plugins and
+   * resolves the conflicts according to the conflict policy.
+   *
+   * A report is created for each conflict, see
+   * {@link PluginManager#getConflicts}.
    *
    * @function PluginManager#_checkPluginsCompatible
    * @private
-   * @returns {boolean} `true` if all plugins are compatible with each other,
-   *  `false` otherwise
+   * @param {number} pluginId ID of the newly loaded plugin.
+   * @param {PluginLoadFailure} [loadFailure] Collects errors.
+   * @param {Array.<number>} [conflictRemovals] IDs of plugins to be removed
+   *  once the load transaction succeeds, updated in place. Plugins listed here
+   *  are not checked.
+   * @returns {boolean} `true` if the plugin does not conflict with other
+   *  plugins or all conflicts were resolved in its favor, `false` otherwise.
+   * @see module:src/conflict
    */
-  _checkPluginsCompatible() {
-    const pluginIds = this.plugins.keys();
+  _checkPluginsCompatible(pluginId, loadFailure, conflictRemovals = []) {
+    const plugin = this.getPlugin(pluginId);
+    const policy = conflictUtil.getPolicy(this.config);
 
-    for (let pluginId of pluginIds) {
-      let pluginRoom = this.getPlugin(pluginId);
-      let pluginSpec = pluginRoom.getPluginSpec();
+    for (let [otherPluginId, otherPlugin] of this.plugins) {
+      if (otherPluginId === pluginId
+          || conflictRemovals.includes(otherPluginId)) {
+        continue;
+      }
+
+      const conflict = conflictUtil.find(
+          { name: plugin.getName(), pluginSpec: plugin.getPluginSpec() },
+          { name: otherPlugin.getName(),
+            pluginSpec: otherPlugin.getPluginSpec() });
 
-      if (!pluginSpec.hasOwnProperty(`incompatible_with`)) {
+      if (conflict === undefined) {
         continue;
       }
 
-      for (let incompatiblePluginName of pluginSpec.incompatible_with) {
-        const incompatiblePluginId = this.getPluginId(incompatiblePluginName);
-        if (incompatiblePluginId in pluginIds) {
-          HHM.log.error(`Incompatible plugins: ${pluginId} incompatible with`
-              + `${incompatiblePluginName}`);
-          HHM.log.error(this._createDependencyChain(this.getPluginName(pluginId)));
-          HHM.log.error(this._createDependencyChain(incompatiblePluginName));
-          return false;
-        }
+      const report = {
+        ...conflict,
+        plugins: [this.getPluginOrigin(pluginId),
+          this.getPluginOrigin(otherPluginId)],
+        policy,
+        resolution: this._resolveConflict(policy, pluginId, otherPluginId),
+      };
+
+      this.conflicts.push(report);
+      this.conflicts.splice(0, this.conflicts.length - maxConflictReports);
+
+      this.triggerHhmEvent(HHM.events.PLUGIN_CONFLICT, {
+        plugin,
+        conflictingPlugin: otherPlugin,
+        report,
+      });
+
+      const message = `Plugin ${plugin.getName()} conflicts with plugin `
+          + `${otherPlugin.getName()} (${conflict.declaration} declared by `
+          + `${conflict.declaredBy})`;
+
+      if (report.resolution === conflictUtil.resolutions.REPLACED_EXISTING) {
+        this.log.warn(`${message}, replacing ${otherPlugin.getName()}`);
+        conflictRemovals.push(otherPluginId);
+        continue;
+      }
+
+      const dependencyChain = this._createDependencyChain(pluginId)
+          + this._createDependencyChain(otherPluginId);
+
+      if (report.resolution === conflictUtil.resolutions.REFUSED) {
+        this.log.error(message);
+        this.log.error(dependencyChain);
+      } else {
+        this.log.warn(`${message}, keeping ${otherPlugin.getName()}`);
+      }
+
+      if (loadFailure !== undefined) {
+        loadFailure.addError(plugin.getName(),
+            PluginLoadFailure.reasons.INCOMPATIBLE, message, dependencyChain,
+            report);
       }
+
+      return false;
     }
 
     return true;
@@ -245,7 +618,7 @@ class PluginManager {
    *  for each dependency, of the format "X required by Y".
    */
   _createDependencyChain(dependencyId, alreadyInChain = []) {
-    if (dependencyId in alreadyInChain) {
+    if (alreadyInChain.includes(dependencyId)) {
       return ``;
     }
 
@@ -275,6 +648,36 @@ class PluginManager {
     return result;
   }
 
+  /**
+   * Creates a snapshot of the plugin state.
+   *
+   * This includes plugins and their names, dependency information, the state
+   * of the trapped room manager and the properties of the room object, which
+   * are changed by room extensions.
+   *
+   * @function PluginManager#_createSnapshot
+   * @private
+   * @returns {object.<*>} Snapshot which can be passed to
+   *  {@link PluginManager#_restoreSnapshot} once.
+   * @see TrappedRoomManager#createSnapshot
+   */
+  _createSnapshot() {
+    const copyDependencies = (dependencies) => new Map(
+        Array.from(dependencies.entries(), ([name, ids]) => [name, [...ids]]));
+
+    return {
+      dependencies: copyDependencies(this.dependencies),
+      extensions: this.extensionRegistry.createSnapshot(),
+      optionalDependencies: copyDependencies(this.optionalDependencies),
+      pluginIds: new Map(this.pluginIds),
+      pluginPermissions: new Map(this.pluginPermissions),
+      plugins: new Map(this.plugins),
+      pluginsDisabled: [...this.pluginsDisabled],
+      roomManager: this.getRoomManager().createSnapshot(),
+      roomProperties: Object.getOwnPropertyDescriptors(this.room),
+    };
+  }
+
   /**
    * Creates the initial user repositories.
    *
@@ -291,11 +694,28 @@ class PluginManager {
 
     for (let i = 0; i < userRepositoryConfigs.length; i++) {
       try {
-        repositories.push(await this.repositoryFactory.createRepository(
-            userRepositoryConfigs[i]));
+        const repository = await this.repositoryFactory.createRepository(
+            userRepositoryConfigs[i]);
+
+        repositories.push(repository);
+
+        this.bootReport.repositories.push({
+          index: i,
+          name: repository.getName(),
+          type: repository.getType(),
+          informationLoaded:
+              repository.getRepositoryInformation().plugins !== undefined,
+          signatureVerified: repository.isSignatureVerified(),
+        });
       } catch (e) {
-        HHM.log.error(`Error during repository creation for user repository at `
+        this.log.error(`Error during repository creation for user repository at `
           + `index ${i}. ${e.name}: ${e.message}`);
+
+        this.bootReport.repositories.push({
+          index: i,
+          type: (userRepositoryConfigs[i] || {}).type,
+          error: `${e.name}: ${e.message}`,
+        });
       }
     }
 
@@ -320,8 +740,8 @@ class PluginManager {
 
     let dependenciesEnabled = false;
     enabledPlugins.push(pluginId);
-    for (let dependency of
-        this.getPlugin(pluginId).getPluginSpec().dependencies || []) {
+    for (let dependency of dependencyUtil.getNames(
+        this._getDependencies(pluginId))) {
 
       let dependencyId = this.getPluginId(dependency);
 
@@ -348,6 +768,8 @@ class PluginManager {
         plugin: this.getPlugin(pluginId),
       });
 
+      this._triggerDependencyAvailabilityEvents(pluginId, true);
+
       return true;
     }
 
@@ -361,6 +783,7 @@ class PluginManager {
    * handlers / events will be executed / triggered in this order:
    *
    * - `onRoomLink` handler on the plugin
+   * - `onAfterReload` handler on the plugin, if it is being reloaded
    * - `beforePluginLoaded` HHM event
    * - plugin is then marked as loaded an can process events
    * - `pluginLoaded` HHM event
@@ -384,15 +807,18 @@ class PluginManager {
       }
 
       const pluginSpec = plugin.getPluginSpec();
+      const dependencies = dependencyUtil.getNames([
+        ...this._getDependencies(id),
+        ...(pluginSpec.optionalDependencies || []),
+      ]);
 
-      if (pluginSpec.dependencies === undefined ||
-          pluginSpec.dependencies.length === 0) return;
+      if (dependencies.length === 0) return;
 
       pluginSpec.order = pluginSpec.order || {};
       const onRoomLinkOrder = pluginSpec.order.onRoomLink || {};
       onRoomLinkOrder.after = onRoomLinkOrder.after || [];
 
-      for (let dependency of pluginSpec.dependencies) {
+      for (let dependency of dependencies) {
         // Allow self-dependency to avoid a plugin being disabled
         if (dependency === plugin._name) continue;
 
@@ -408,14 +834,23 @@ class PluginManager {
         .determineExecutionOrder(loadStack, `onRoomLink`)
         .filter((id) => loadStack.includes(id));
 
-    HHM.log.info(`Loading the following plugins:`);
-    HHM.log.info(onRoomLinkExecutionOrder.map(
+    this.log.info(`Loading the following plugins:`);
+    this.log.info(onRoomLinkExecutionOrder.map(
         (id) => this.getPlugin(id)._name).join(", "));
 
     for (let pluginId of onRoomLinkExecutionOrder) {
       let plugin = this.getPlugin(pluginId);
 
-      this.triggerLocalEvent(plugin, `onRoomLink`, HHM.roomLink);
+      const roomLinkStart = Date.now();
+      this.triggerLocalEvent(plugin, `onRoomLink`, this.roomLink);
+      plugin._roomLinkDuration = Date.now() - roomLinkStart;
+
+      if (this.reloadStates.has(plugin._name)) {
+        const { state, oldVersion } = this.reloadStates.get(plugin._name);
+        this.reloadStates.delete(plugin._name);
+
+        this.triggerLocalEvent(plugin, `onAfterReload`, state, oldVersion);
+      }
 
       this.triggerHhmEvent(HHM.events.BEFORE_PLUGIN_LOADED, {
         plugin: plugin,
@@ -423,13 +858,15 @@ class PluginManager {
 
       plugin._lifecycle.loaded = true;
 
-      HHM.log.info(`Plugin loaded successfully: ${plugin._name}`);
+      this.log.info(`Plugin loaded successfully: ${plugin._name}`);
 
       this.room._trappedRoomManager.handlersDirty = true;
 
       this.triggerHhmEvent(HHM.events.PLUGIN_LOADED, {
         plugin: plugin,
       });
+
+      this._triggerDependencyAvailabilityEvents(pluginId, true);
     }
   }
 
@@ -454,164 +891,859 @@ class PluginManager {
   }
 
   /**
-   * Adds event handlers which must be in place before any plugin is loaded.
+   * Returns all chains of plugins depending on the given plugin.
    *
-   * Registers an initial `onRoomLink` handler which will be removed once
-   * it has been executed.
-   *
-   * @function PluginManager#_initializeCoreEventHandlers
+   * @function PluginManager#_getDependencyChains
+   * @private
+   * @param {number} pluginId Plugin ID.
+   * @param {Array.<string>} [chain] Names of the plugins depending on the
+   *  given plugin so far, used internally during recursion.
+   * @returns {Array.<Array.<string>>} Dependency chains, each starting with
+   *  the given plugin, followed by a plugin depending on it, and so on.
    */
-  _initializeCoreEventHandlers() {
-    this.room.onRoomLink =
-        (roomLink) => {
-          HHM.roomLink = roomLink;
-          delete this.room.onRoomLink;
-          HHM.deferreds.roomLink.resolve();
-        };
+  _getDependencyChains(pluginId, chain = []) {
+    const pluginName = this.getPluginName(pluginId);
+    chain = [...chain, pluginName];
+
+    const dependents = [...new Set([
+      ...(this.dependencies.get(pluginName) || []),
+      ...(this.optionalDependencies.get(pluginName) || []),
+    ])].filter((id) => this.hasPlugin(id)
+        && !chain.includes(this.getPluginName(id)));
+
+    if (dependents.length === 0) {
+      return chain.length > 1 ? [chain] : [];
+    }
+
+    return dependents.reduce((chains, id) =>
+        [...chains, ...this._getDependencyChains(id, chain)], []);
   }
 
   /**
-   * Loads the plugins which have to be loaded before user plugins.
-   *
-   * All plugins added using PluginManager#addPlugin() before the
-   * PluginManager#start() function was called will be loaded here.
+   * Completes the boot report with the loaded plugins.
    *
-   * @function PluginManager#_loadPreUserPlugins
-   * @async
+   * @function PluginManager#_finishBootReport
    * @private
-   * @returns {Promise.<boolean>} Whether loading the pre-user plugins was
-   *  successful.
+   * @returns {PluginManager~BootReport} Completed boot report.
    */
-  async _loadPreUserPlugins() {
-    for (let { pluginName, pluginCode, pluginConfig } of this.preUserPlugins) {
-      const pluginId = await this.addPlugin(
-          { pluginName, pluginCode, pluginConfig });
+  _finishBootReport() {
+    const permissionWarnings =
+        Array.from(this.getRoomManager().permissionWarnings);
+
+    this.bootReport.plugins = this.getLoadedPluginIds().map((id) => {
+      const plugin = this.getPlugin(id);
+      const { version, loadedFrom, configEntry, dependencyChains } =
+          this.getPluginOrigin(id);
+
+      const warnings = [
+        ...this.conflicts
+            .filter(({ plugins }) => plugins.some(
+                ({ pluginName }) => pluginName === plugin.getName()))
+            .map(({ plugins, resolution }) => `Conflict between plugins `
+                + `${plugins.map(({ pluginName }) => pluginName).join(` and `)}`
+                + `, resolution: ${resolution}`),
+        ...permissionWarnings
+            .filter((warningId) => warningId.startsWith(`${id}:`))
+            .map((warningId) => `Accessed ${warningId.split(`:`)[1]} without `
+                + `permission`),
+      ];
 
-      if (pluginId === -1) {
-        HHM.log.warn(`Unable to load pre-user plugin: `
-            + (pluginName || pluginCode));
-      }
-    }
+      return {
+        name: plugin.getName(),
+        version,
+        repository: loadedFrom,
+        fetchTime: plugin._fetchTime,
+        roomLinkDuration: plugin._roomLinkDuration,
+        configEntry,
+        dependencyChains,
+        warnings,
+      };
+    });
+
+    this.bootReport.lazyPlugins = this.getLazyPluginNames();
+    this.bootReport.finishedAt = Date.now();
+    this.bootReport.duration =
+        this.bootReport.finishedAt - this.bootReport.startedAt;
+
+    return this.bootReport;
   }
 
   /**
-   * Loads the plugins defined in the user config.
+   * Returns the IDs of the loaded plugins which the given plugins depend on,
+   * directly or indirectly, and which are neither part of the given plugin
+   * names nor pre-user plugins.
    *
-   * @function PluginManager#_loadUserPlugins
-   * @async
+   * @function PluginManager#_getUnlistedDependencyIds
    * @private
-   * @returns {Promise.<boolean>} Whether loading the user plugins was
-   *  successful.
+   * @param {Array.<number>} pluginIds Plugin IDs.
+   * @param {Array.<string>} pluginNames Names of listed plugins.
+   * @returns {Array.<number>} Plugin IDs of the dependencies.
    */
-  async _loadUserPlugins() {
-    for (let pluginName of Object.getOwnPropertyNames(HHM.config.plugins || {})) {
-      await this.addPlugin({ pluginName,
-        pluginConfig: HHM.config.plugins[pluginName] });
+  _getUnlistedDependencyIds(pluginIds, pluginNames) {
+    const dependencyIds = [];
+    const pendingIds = [...pluginIds];
+
+    while (pendingIds.length > 0) {
+      const dependencyNames = dependencyUtil.getNames(
+          this._getDependencies(pendingIds.pop()));
+
+      for (let dependencyName of dependencyNames) {
+        const dependencyId = this.getPluginId(dependencyName);
+
+        if (dependencyId === -1 || pluginIds.includes(dependencyId)
+            || dependencyIds.includes(dependencyId)
+            || pluginNames.includes(dependencyName)
+            || this.preUserPlugins.some((p) =>
+                p.pluginName === dependencyName)) {
+          continue;
+        }
 
-      if (!this.room.hasPlugin(pluginName)) {
-        HHM.log.warn(`Unable to load user plugin: ${pluginName}`);
+        dependencyIds.push(dependencyId);
+        pendingIds.push(dependencyId);
       }
     }
+
+    return dependencyIds;
   }
 
   /**
-   * Merges the given configurations into the configuration for the given plugin.
+   * Returns the dependency strings of the given plugin, including the
+   * providers of its required interfaces.
    *
-   * @function PluginManager#_mergeConfig
+   * @function PluginManager#_getDependencies
    * @private
-   * @param {string} pluginName Name of the plugin.
-   * @param {object.<string, *>} configs Plugin configurations to be merged in.
+   * @param {number} pluginId Plugin ID.
+   * @returns {Array.<string>} Dependency strings, see
+   *  {@link module:src/dependency.parse}.
    */
-  _mergeConfig(pluginName, ...configs) {
-    if (!this.hasPlugin(pluginName) || configs.length === 0) {
-      return;
-    }
-
-    $.extend(this.getPlugin(pluginName).getConfig(), ...configs);
+  _getDependencies(pluginId) {
+    const plugin = this.getPlugin(pluginId);
 
-    // TODO trigger event to be able to monitor config changes during boot?
+    return [...new Set([...(plugin.getPluginSpec().dependencies || []),
+      ...Object.values(plugin._interfaceProviders || {})])];
   }
 
   /**
-   * Executes the `postInit` code from the config if any.
+   * Sets the room link.
    *
-   * @function PluginManager#_postInit
-   * @async
+   * The room link of `HHM.manager` is also available as `HHM.roomLink`, for
+   * backwards compatibility.
+   *
+   * @function PluginManager#_setRoomLink
    * @private
-   * @returns {Promise.<boolean>} Whether executing the `postInit` code was
-   *  successful.
+   * @param {(string|undefined)} roomLink Room link.
    */
-  async _postInit() {
-    if (HHM.config.hasOwnProperty(`postInit`) && !HHM.config.dryRun) {
-      const postInitPluginId = await this.addPlugin({
-          pluginName: `_user/postInit`,
-          pluginCode: HHM.config.postInit,
-      });
-
-      if (postInitPluginId < 0) {
-        HHM.log.error(`Unable to execute postInit code, please check the code`);
+  _setRoomLink(roomLink) {
+    this.roomLink = roomLink;
 
-        return false;
-      } else {
-        const postInitPlugin = this.plugins.get(postInitPluginId);
-
-        HHM.log.info(`postInit code executed`);
-
-        return true;
-      }
+    if (HHM.manager === this) {
+      HHM.roomLink = roomLink;
     }
   }
 
   /**
-   * Reloads the given plugin from the configured repositories.
+   * Returns the loaded plugin IDs in reverse dependency order, i.e. each
+   * plugin comes before its dependencies and optional dependencies.
    *
-   * To accomplish this, the following things happen:
-   *
-   *  - all plugins that depend on this plugin are recursively disabled unless
-   *    safe is set to false
-   *  - the given plugin is disabled and removed
-   *  - the given plugin is re-added from the configured repositories
-   *  - the dependent plugins are re-enabled unless safe is set to false
+   * Falls back to reverse load order if the dependencies contain a cycle.
    *
-   * @function PluginManager#reloadPlugin
-   * @param {string} pluginName Plugin name to be reloaded.
-   * @param {boolean} [safe] Whether to disable dependent plugins before
-   *  unloading the given plugin.
-   * @returns {boolean} Whether the plugin was successfully reloaded
-   * @throws {Error} If the given plugin is not loaded or if safe mode was
-   *  enabled but the plugin can't be disabled.
+   * @function PluginManager#_getShutdownOrder
+   * @private
+   * @returns {Array.<number>} Plugin IDs.
    */
-  async reloadPlugin(pluginName, safe = true) {
-    if (!this.hasPlugin(pluginName)) {
-      throw new Error(`Plugin ${pluginName} is not loaded`);
-    }
+  _getShutdownOrder() {
+    const pluginIds = this.getLoadedPluginIds();
+    const edges = [];
 
-    const pluginId = this.getPluginId(pluginName);
+    for (let pluginId of pluginIds) {
+      const dependencyNames = dependencyUtil.getNames([
+        ...this._getDependencies(pluginId),
+        ...(this.getPlugin(pluginId).getPluginSpec().optionalDependencies
+            || []),
+      ]);
 
-    let dependentPlugins = [];
+      for (let dependencyName of dependencyNames) {
+        const dependencyId = this.getPluginId(dependencyName);
 
-    if (safe) {
-      if (!this.canPluginBeDisabled(pluginId)) {
-        throw new Error(`Plugin ${pluginName} can't be safely reloaded`);
+        if (dependencyId !== -1 && dependencyId !== pluginId) {
+          edges.push([pluginId, dependencyId]);
+        }
       }
-
-      dependentPlugins = this.disablePlugin(pluginId, true)
-          .filter(id => id !== pluginId).reverse();
     }
 
-    if (!this.removePlugin(pluginId, safe)) {
-      throw new Error(`Failed to remove plugin ${pluginName} before reloading`);
+    try {
+      return toposort.array(pluginIds, edges);
+    } catch (e) {
+      this.log.warn(`Cyclic plugin dependencies, shutting down plugins in `
+          + `reverse load order`);
+
+      return pluginIds.reverse();
+    }
+  }
+
+  /**
+   * Adds event handlers which must be in place before any plugin is loaded.
+   *
+   * Registers an initial `onRoomLink` handler which will be removed once
+   * it has been executed.
+   *
+   * @function PluginManager#_initializeCoreEventHandlers
+   */
+  _initializeCoreEventHandlers() {
+    this.room.onRoomLink =
+        (roomLink) => {
+          this._setRoomLink(roomLink);
+          delete this.room.onRoomLink;
+          this.deferreds.roomLink.resolve();
+        };
+  }
+
+  /**
+   * Loads the given dependencies of the given plugin.
+   *
+   * Loading stops at the first dependency which cannot be loaded, has a
+   * non-matching version, or does not provide the interfaces it was chosen
+   * for.
+   *
+   * @function PluginManager#_loadDependencies
+   * @async
+   * @private
+   * @param {number} pluginId ID of the depending plugin.
+   * @param {Array.<string>} dependencies Dependency strings.
+   * @param {Array.<(number|boolean)>} loadStack `Array` of loaded plugin IDs,
+   *  updated in place.
+   * @param {PluginLoadFailure} loadFailure Collects errors.
+   * @param {Array.<string>} dependenciesAlreadyLoaded Names of dependencies
+   *  which were loaded before, updated in place.
+   * @param {Array.<number>} conflictRemovals IDs of plugins to be removed once
+   *  the load transaction succeeds, updated in place.
+   * @returns {Promise.<boolean>} Whether all dependencies were loaded.
+   */
+  async _loadDependencies(pluginId, dependencies, loadStack, loadFailure,
+                          dependenciesAlreadyLoaded, conflictRemovals) {
+    for (let dependencyString of dependencies) {
+      const { name: dependency, range } = dependencyUtil.parse(dependencyString);
+      this._addDependent(pluginId, dependency);
+
+      if (this.room.hasPlugin(dependency)) {
+        dependenciesAlreadyLoaded.push(dependency);
+
+        if (!this._checkDependencyVersion(pluginId, dependency, range,
+            loadFailure)
+            || !this._checkProvidedInterfaces(pluginId, dependency,
+                loadFailure)) {
+          return false;
+        }
+
+        continue;
+      }
+
+      await this.addPlugin({ pluginName: dependency, versionRange: range },
+          loadStack, loadFailure, conflictRemovals);
+
+      if (loadStack.includes(false)) {
+        const message = `Unable to load dependency ${dependencyString} of `
+            + `plugin ${this.getPluginName(pluginId)}`;
+        const dependencyChain = this._createDependencyChain(pluginId);
+
+        this.log.error(message);
+        this.log.error(dependencyChain);
+        loadFailure.addError(this.getPluginName(pluginId),
+            PluginLoadFailure.reasons.DEPENDENCY_FAILED, message,
+            dependencyChain);
+
+        return false;
+      }
+
+      if (!this._checkProvidedInterfaces(pluginId, dependency, loadFailure)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Tries to load the optional dependencies of the given plugin.
+   *
+   * Optional dependencies which cannot be loaded are skipped, they do not
+   * cause the given plugin to fail loading, unless they were refused because
+   * of a conflict with the `refuse` conflict policy.
+   *
+   * @function PluginManager#_loadOptionalDependencies
+   * @async
+   * @private
+   * @param {number} pluginId ID of the plugin.
+   * @param {Array.<(number|boolean)>} loadStack `Array` of loaded plugin IDs.
+   * @param {PluginLoadFailure} loadFailure Collects errors.
+   * @param {Array.<number>} conflictRemovals IDs of plugins to be removed once
+   *  the load transaction succeeds, updated in place.
+   * @returns {Promise.<Array.<(number|boolean)>>} Updated `loadStack` `Array`,
+   *  including the IDs of successfully loaded optional dependencies.
+   */
+  async _loadOptionalDependencies(pluginId, loadStack, loadFailure,
+                                  conflictRemovals) {
+    const pluginName = this.getPluginName(pluginId);
+    const optionalDependencies =
+        this.getPlugin(pluginId).getPluginSpec().optionalDependencies || [];
+
+    for (let dependencyString of optionalDependencies) {
+      const { name: dependency, range } = dependencyUtil.parse(dependencyString);
+      this._addDependent(pluginId, dependency, this.optionalDependencies);
+
+      if (this.hasPlugin(dependency)) {
+        continue;
+      }
+
+      // Use a separate load stack, failure report and conflict removals so a
+      // failure does not affect this plugin, and roll back the failed optional
+      // dependency
+      const snapshot = this._createSnapshot();
+      const optionalLoadFailure = new PluginLoadFailure(dependency);
+      const optionalConflictRemovals = [];
+      const optionalLoadStack = await this.addPlugin(
+          { pluginName: dependency, versionRange: range }, [],
+          optionalLoadFailure, optionalConflictRemovals);
+
+      if (optionalLoadStack.includes(false)) {
+        this._restoreSnapshot(snapshot);
+
+        const refusedConflicts = optionalLoadFailure
+            .getErrors(PluginLoadFailure.reasons.INCOMPATIBLE)
+            .filter(({ conflict }) => conflict !== undefined
+                && conflict.resolution === conflictUtil.resolutions.REFUSED);
+
+        if (refusedConflicts.length > 0) {
+          loadFailure.errors.push(...refusedConflicts);
+          loadStack.push(false);
+
+          return loadStack;
+        }
+
+        this.log.info(`Optional dependency ${dependencyString} of plugin `
+            + `${pluginName} is not available`);
+        continue;
+      }
+
+      loadStack.push(...optionalLoadStack);
+      conflictRemovals.push(...optionalConflictRemovals);
+    }
+
+    return loadStack;
+  }
+
+  /**
+   * Loads the plugins which have to be loaded before user plugins.
+   *
+   * All plugins added using PluginManager#addPlugin() before the
+   * PluginManager#start() function was called will be loaded here.
+   *
+   * @function PluginManager#_loadPreUserPlugins
+   * @async
+   * @private
+   * @returns {Promise.<boolean>} Whether loading the pre-user plugins was
+   *  successful.
+   */
+  async _loadPreUserPlugins() {
+    for (let { pluginName, pluginCode, pluginConfig } of this.preUserPlugins) {
+      const pluginId = await this.addPlugin(
+          { pluginName, pluginCode, pluginConfig });
+
+      if (pluginId === -1) {
+        this.log.warn(`Unable to load pre-user plugin: `
+            + (pluginName || pluginCode));
+        this.bootReport.failures.push(this.getLastLoadFailure());
+      }
+    }
+  }
+
+  /**
+   * Returns the plugin set of the given profile.
+   *
+   * @function PluginManager#_getProfilePlugins
+   * @private
+   * @param {string} [profileName] Profile name, `HHM.config.plugins` is
+   *  returned if not given.
+   * @returns {Object.<string, object>} Plugin names mapped to plugin
+   *  configurations.
+   */
+  _getProfilePlugins(profileName) {
+    if (profileName === undefined) {
+      return this.config.plugins || {};
+    }
+
+    return this.config.profiles[profileName].plugins || {};
+  }
+
+  /**
+   * Loads the given lazy plugin and replays the triggering event to it.
+   *
+   * @function PluginManager#_loadLazyPlugin
+   * @async
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @param {object} pluginConfig Plugin configuration.
+   * @param {string} handlerName Name of the triggering event handler.
+   * @param {Array} args Arguments of the triggering event.
+   * @returns {Promise.<boolean>} Whether the plugin was loaded.
+   */
+  async _loadLazyPlugin(pluginName, pluginConfig, handlerName, args) {
+    await this.deferreds.managerStarted.promise();
+
+    // Cancelled by PluginManager#stop
+    if (this.lazyPluginQueue === undefined) {
+      return false;
+    }
+
+    if (this.hasPlugin(pluginName)) {
+      return true;
+    }
+
+    this.log.info(`Loading lazy plugin ${pluginName}, triggered by `
+        + handlerName);
+
+    const pluginId = await this.addPlugin({ pluginName, pluginConfig });
+
+    if (pluginId === -1) {
+      this.log.error(`Unable to load lazy plugin ${pluginName}`);
+
+      return false;
+    }
+
+    this.triggerLocalEvent(this.getPlugin(pluginId), handlerName, ...args);
+
+    return true;
+  }
+
+  /**
+   * Loads the plugins defined in the user config.
+   *
+   * Plugins configured with `lazy: true` are not loaded, but registered using
+   * {@link PluginManager#_registerLazyPlugin}.
+   *
+   * @function PluginManager#_loadUserPlugins
+   * @async
+   * @private
+   * @returns {Promise.<boolean>} Whether loading the user plugins was
+   *  successful.
+   */
+  async _loadUserPlugins() {
+    for (let pluginName of Object.getOwnPropertyNames(this.config.plugins || {})) {
+      const pluginConfig = this.config.plugins[pluginName];
+
+      if ((pluginConfig || {}).lazy === true
+          && this._registerLazyPlugin(pluginName, pluginConfig)) {
+        continue;
+      }
+
+      const pluginId = await this.addPlugin({ pluginName, pluginConfig });
+
+      if (!this.room.hasPlugin(pluginName)) {
+        this.log.warn(`Unable to load user plugin: ${pluginName}`);
+      }
+
+      if (pluginId === -1) {
+        this.bootReport.failures.push(this.getLastLoadFailure());
+      }
+    }
+  }
+
+  /**
+   * Merges the given configurations into the configuration for the given plugin.
+   *
+   * Properties configuring the HHM, like `permissions`, are left out.
+   *
+   * @function PluginManager#_mergeConfig
+   * @private
+   * @param {string} pluginName Name of the plugin.
+   * @param {object.<string, *>} configs Plugin configurations to be merged in.
+   */
+  _mergeConfig(pluginName, ...configs) {
+    if (!this.hasPlugin(pluginName) || configs.length === 0) {
+      return;
+    }
+
+    const pluginConfigs = configs.map((config) => {
+      const pluginConfig = Object.assign({}, config);
+      managerConfigKeys.forEach((key) => delete pluginConfig[key]);
+
+      return pluginConfig;
+    });
+
+    platform.get().extend(this.getPlugin(pluginName).getConfig(),
+        ...pluginConfigs);
+
+    // TODO trigger event to be able to monitor config changes during boot?
+  }
+
+  /**
+   * Executes the `postInit` code from the config if any.
+   *
+   * @function PluginManager#_postInit
+   * @async
+   * @private
+   * @returns {Promise.<boolean>} Whether executing the `postInit` code was
+   *  successful, `true` if there is none.
+   */
+  async _postInit() {
+    if (this.config.hasOwnProperty(`postInit`) && !this.config.dryRun) {
+      const postInitPluginId = await this.addPlugin({
+          pluginName: `_user/postInit`,
+          pluginCode: this.config.postInit,
+      });
+
+      if (postInitPluginId === -1) {
+        this.log.error(`Unable to execute postInit code, please check the code`);
+        this.bootReport.failures.push(this.getLastLoadFailure());
+
+        return false;
+      } else {
+        const postInitPlugin = this.plugins.get(postInitPluginId);
+
+        this.log.info(`postInit code executed`);
+
+        return true;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Starts prefetching the sources of the pre-user and user plugins.
+   *
+   * Lazy plugins are not prefetched. Prefetching can be disabled by setting
+   * `HHM.config.prefetchConcurrency` to 0.
+   *
+   * @function PluginManager#_prefetchPluginSources
+   * @private
+   * @returns {Promise.<Array.<string>>} Names of the prefetched plugins.
+   * @see PluginLoader#prefetchPluginSources
+   */
+  _prefetchPluginSources() {
+    const concurrency = this.config.prefetchConcurrency === undefined ? 4
+        : this.config.prefetchConcurrency;
+    const userPlugins = this.config.plugins || {};
+
+    if (concurrency <= 0) {
+      return Promise.resolve([]);
+    }
+
+    const plugins = [
+      ...this.preUserPlugins.filter(({ pluginName, pluginCode }) =>
+          pluginName !== undefined && pluginCode === undefined),
+      ...Object.getOwnPropertyNames(userPlugins)
+          .filter((pluginName) => (userPlugins[pluginName] || {}).lazy !== true)
+          .map((pluginName) => ({
+            pluginName,
+            pluginConfig: userPlugins[pluginName] || {},
+          })),
+    ];
+
+    const start = Date.now();
+
+    return this.pluginLoader.prefetchPluginSources(plugins, concurrency)
+        .then((pluginNames) => {
+          this.log.debug(`Prefetched ${pluginNames.length} plugin sources in `
+              + `${Date.now() - start}ms`);
+
+          return pluginNames;
+        });
+  }
+
+  /**
+   * Removes the plugins which lost a conflict during the current load
+   * transaction.
+   *
+   * @function PluginManager#_removeConflictingPlugins
+   * @private
+   * @param {Array.<number>} conflictRemovals IDs of the plugins to be removed.
+   * @see PluginManager#_checkPluginsCompatible
+   */
+  _removeConflictingPlugins(conflictRemovals) {
+    for (let pluginId of conflictRemovals) {
+      // The plugin may have been removed in the meantime
+      if (!this.hasPlugin(pluginId)) {
+        continue;
+      }
+
+      const pluginName = this.getPluginName(pluginId);
+
+      if (!this.removePlugin(pluginId)) {
+        this.log.error(`Unable to remove conflicting plugin ${pluginName}`);
+        continue;
+      }
+
+      this.log.info(`Conflicting plugin ${pluginName} removed`);
+    }
+  }
+
+  /**
+   * Returns the resolution for a conflict between the given plugins according
+   * to the given conflict policy.
+   *
+   * Plugins which were loaded first are only replaced if no other plugin
+   * depends on them.
+   *
+   * @function PluginManager#_resolveConflict
+   * @private
+   * @param {string} policy One of {@link module:src/conflict.policies}.
+   * @param {number} pluginId ID of the newly loaded plugin.
+   * @param {number} existingPluginId ID of the plugin which was loaded first.
+   * @returns {string} One of {@link module:src/conflict.resolutions}.
+   */
+  _resolveConflict(policy, pluginId, existingPluginId) {
+    if (policy === conflictUtil.policies.REFUSE) {
+      return conflictUtil.resolutions.REFUSED;
+    }
+
+    if (policy === conflictUtil.policies.PREFER_USER_CONFIG) {
+      const [configEntry, existingConfigEntry] = [pluginId, existingPluginId]
+          .map((id) => this.getPluginOrigin(id).configEntry);
+
+      if (configEntry !== undefined && existingConfigEntry === undefined
+          && this.getDependentPlugins(existingPluginId, false, true)
+              .length === 0
+          && this.canPluginBeDisabled(existingPluginId)) {
+        return conflictUtil.resolutions.REPLACED_EXISTING;
+      }
+    }
+
+    return conflictUtil.resolutions.KEPT_EXISTING;
+  }
+
+  /**
+   * Returns the name of the plugin which should provide the given interface.
+   *
+   * Providers configured in `HHM.config.interfaces` take precedence: the first
+   * configured provider which is loaded and provides the interface is chosen,
+   * otherwise the first configured provider which is not yet loaded. Without
+   * configuration, the first loaded plugin providing the interface is chosen.
+   *
+   * @function PluginManager#_resolveInterface
+   * @private
+   * @param {string} interfaceString Interface name, optionally followed by
+   *  `@` and a semver version range, e.g. `roles@1`.
+   * @returns {(string|undefined)} Plugin name or `undefined` if no provider
+   *  was found.
+   */
+  _resolveInterface(interfaceString) {
+    const { name } = dependencyUtil.parse(interfaceString);
+    const loadedProviders = this.getInterfaceProviders(interfaceString);
+    const configuredProviders =
+        [].concat((this.config.interfaces || {})[name] || []);
+
+    if (configuredProviders.length > 0) {
+      return configuredProviders.find((p) => loadedProviders.includes(p))
+          || configuredProviders.find((p) => !this.hasPlugin(p));
+    }
+
+    if (loadedProviders.length > 1) {
+      this.log.warn(`Multiple plugins provide interface ${interfaceString}: `
+          + `${loadedProviders.join(`, `)}, using ${loadedProviders[0]}. `
+          + `Configure HHM.config.interfaces.${name} to choose a provider`);
+    }
+
+    return loadedProviders[0];
+  }
+
+  /**
+   * Resolves the interfaces required by the given plugin to the plugins
+   * providing them.
+   *
+   * The result is stored in the `_interfaceProviders` property of the plugin,
+   * mapping interface strings to plugin names.
+   *
+   * @function PluginManager#_resolveRequiredInterfaces
+   * @private
+   * @param {number} pluginId Plugin ID.
+   * @param {PluginLoadFailure} loadFailure Collects errors.
+   * @returns {boolean} Whether all required interfaces could be resolved.
+   * @see PluginManager#_resolveInterface
+   */
+  _resolveRequiredInterfaces(pluginId, loadFailure) {
+    const plugin = this.getPlugin(pluginId);
+    const requiredInterfaces = plugin.getPluginSpec().requires || [];
+
+    if (requiredInterfaces.length === 0) {
+      return true;
+    }
+
+    const interfaceProviders = {};
+
+    for (let interfaceString of requiredInterfaces) {
+      const providerName = this._resolveInterface(interfaceString);
+
+      if (providerName === undefined) {
+        const message = `No plugin provides interface ${interfaceString} `
+            + `required by plugin ${plugin._name}`;
+
+        this.log.error(message);
+        loadFailure.addError(plugin._name,
+            PluginLoadFailure.reasons.INTERFACE_UNAVAILABLE, message);
+
+        return false;
+      }
+
+      interfaceProviders[interfaceString] = providerName;
+    }
+
+    plugin._interfaceProviders = interfaceProviders;
+
+    return true;
+  }
+
+  /**
+   * Resets the plugin state to that of a newly created plugin manager.
+   *
+   * @function PluginManager#_resetPluginState
+   * @private
+   */
+  _resetPluginState() {
+    this.activeProfile = undefined;
+    this.bootReport = undefined;
+    this.conflicts = [];
+    this.dependencies = new Map();
+    this.eventDispatchers = new Map();
+    this.lastLoadFailure = undefined;
+    this.lazyPlugins = new Map();
+    this.lazyPluginQueue = Promise.resolve();
+    this.optionalDependencies = new Map();
+    this.permissionSettings = undefined;
+    this.pluginPermissions = new Map();
+    this.plugins = new Map();
+    this.pluginsDisabled = [];
+    this.pluginIds = new Map();
+    this.reloadStates = new Map();
+  }
+
+  /**
+   * Restores a snapshot created by {@link PluginManager#_createSnapshot}.
+   *
+   * @function PluginManager#_restoreSnapshot
+   * @private
+   * @param {object.<*>} snapshot Snapshot to be restored.
+   */
+  _restoreSnapshot(snapshot) {
+    const restore = (target, source) => {
+      target.clear();
+      source.forEach((value, key) => target.set(key, value));
+    };
+
+    restore(this.dependencies, snapshot.dependencies);
+    restore(this.optionalDependencies, snapshot.optionalDependencies);
+    restore(this.pluginIds, snapshot.pluginIds);
+    restore(this.pluginPermissions, snapshot.pluginPermissions);
+    restore(this.plugins, snapshot.plugins);
+    this.pluginsDisabled.splice(0, this.pluginsDisabled.length,
+        ...snapshot.pluginsDisabled);
+
+    this.getRoomManager().restoreSnapshot(snapshot.roomManager);
+    this.extensionRegistry.restoreSnapshot(snapshot.extensions);
+
+    // Remove and restore room properties, e.g. from room.extend()
+    for (let propertyName of Object.getOwnPropertyNames(this.room)) {
+      if (!snapshot.roomProperties.hasOwnProperty(propertyName)) {
+        delete this.room[propertyName];
+      }
+    }
+
+    for (let [propertyName, descriptor] of
+        Object.entries(snapshot.roomProperties)) {
+      if (descriptor.hasOwnProperty(`value`)
+          && this.room[propertyName] !== descriptor.value) {
+        Object.defineProperty(this.room, propertyName, descriptor);
+      }
+    }
+  }
+
+  /**
+   * Reloads the given plugin from the configured repositories.
+   *
+   * To accomplish this, the following things happen:
+   *
+   *  - all plugins that depend on this plugin are recursively disabled unless
+   *    safe is set to false
+   *  - `onBeforeReload` is triggered on the given plugin, its return value is
+   *    the state which will be passed on to the new instance
+   *  - the given plugin is disabled and removed
+   *  - the given plugin is re-added from the configured repositories, whose
+   *    cached sources of the plugin are discarded first, and
+   *    `onAfterReload(state, oldVersion)` is triggered on the new instance
+   *    after its `onRoomLink` handler, before it is marked as loaded
+   *  - if the new instance fails to load, the previous instance is restored
+   *    and `onAfterReload(state, oldVersion)` is triggered on it instead
+   *  - the dependent plugins are re-enabled unless safe is set to false
+   *
+   * @function PluginManager#reloadPlugin
+   * @param {string} pluginName Plugin name to be reloaded.
+   * @param {boolean} [safe] Whether to disable dependent plugins before
+   *  unloading the given plugin.
+   * @returns {boolean} Whether the plugin was successfully reloaded
+   * @throws {Error} If the given plugin is not loaded or if safe mode was
+   *  enabled but the plugin can't be disabled.
+   */
+  async reloadPlugin(pluginName, safe = true) {
+    if (!this.hasPlugin(pluginName)) {
+      throw new Error(`Plugin ${pluginName} is not loaded`);
+    }
+
+    const pluginId = this.getPluginId(pluginName);
+    const plugin = this.getPlugin(pluginId);
+
+    let dependentPlugins = [];
+
+    if (safe) {
+      if (!this.canPluginBeDisabled(pluginId)) {
+        throw new Error(`Plugin ${pluginName} can't be safely reloaded`);
+      }
+
+      dependentPlugins = this.disablePlugin(pluginId, true)
+          .filter(id => id !== pluginId).reverse();
+    }
+
+    const oldVersion = plugin.getPluginSpec().version;
+    let state = this.triggerLocalEvent(plugin, `onBeforeReload`)
+        .getMostRecentReturnValue();
+
+    // Errors during onBeforeReload are logged during handler execution
+    state = state instanceof Error ? undefined : HHM.util.clone(state);
+
+    const snapshot = this._createSnapshot();
+
+    if (!this.removePlugin(pluginId, safe)) {
+      throw new Error(`Failed to remove plugin ${pluginName} before reloading`);
+    }
+
+    this.reloadStates.set(pluginName, { state, oldVersion });
+
+    // Fetch the current source instead of the one the plugin was loaded from
+    for (let repository of this.pluginLoader.repositories) {
+      repository.clearPluginSource(pluginName);
     }
 
     const newPluginId = await this.addPlugin({ pluginName });
 
+    this.reloadStates.delete(pluginName);
+
+    const success = newPluginId !== -1;
+
+    if (!success) {
+      this.log.error(`Unable to reload plugin ${pluginName}, restoring the `
+          + `previous instance`);
+
+      this._restoreSnapshot(snapshot);
+      this.triggerLocalEvent(plugin, `onAfterReload`, state, oldVersion);
+      this.enablePlugin(pluginId);
+    }
+
     if (safe) {
       for (let dependentId of dependentPlugins) {
         this.enablePlugin(dependentId);
       }
     }
 
-    return newPluginId !== -1;
+    return success;
   }
 
   /**
@@ -644,19 +1776,242 @@ class PluginManager {
 
     const pluginRoom = this.plugins.get(pluginId);
 
+    // Disabled plugins have already been reported as unavailable
+    if (this.isPluginEnabled(pluginId)) {
+      this._triggerDependencyAvailabilityEvents(pluginId, false);
+    }
+
     this.triggerHhmEvent(HHM.events.PLUGIN_REMOVED, {
       plugin: pluginRoom,
     });
 
+    // Removing extensions triggers events, which must not find the handlers
+    // of the plugin half removed
+    this.extensionRegistry.removeProviders(pluginId);
     this.room._trappedRoomManager.removePluginHandlersAndProperties(pluginId);
 
+    // Remove reverse dependency entries of the removed plugin
+    for (let dependencyMap of [this.dependencies, this.optionalDependencies]) {
+      dependencyMap.forEach((dependents) => {
+        const index = dependents.indexOf(pluginId);
+        if (index !== -1) dependents.splice(index, 1);
+      });
+    }
+
     this.plugins.delete(pluginId);
     this.pluginIds.delete(pluginName);
-    this.pluginsDisabled.splice(this.pluginsDisabled.indexOf(pluginId), 1);
+    this.pluginPermissions.delete(pluginId);
+    if (this.pluginsDisabled.includes(pluginId)) {
+      this.pluginsDisabled.splice(this.pluginsDisabled.indexOf(pluginId), 1);
+    }
 
     return true;
   }
 
+  /**
+   * Makes the given native room unusable.
+   *
+   * The headless API provides no way to close a room, so the game is stopped,
+   * all players are kicked and a random password and the recaptcha are
+   * required to join.
+   *
+   * @function PluginManager._closeNativeRoom
+   * @private
+   * @param {external:native-api.RoomObject} nativeRoom Native room functions.
+   * @param {string} reason Reason shown to kicked players.
+   */
+  static _closeNativeRoom(nativeRoom, reason) {
+    nativeRoom.stopGame();
+
+    for (let player of nativeRoom.getPlayerList()) {
+      if (player.id !== 0) {
+        nativeRoom.kickPlayer(player.id, reason, false);
+      }
+    }
+
+    nativeRoom.setPassword(Math.random().toString(36).slice(2));
+    nativeRoom.setRequireRecaptcha(true);
+  }
+
+  /**
+   * Creates a native room with the room factory, see
+   * {@link PluginManager#start}.
+   *
+   * @function PluginManager#_createNativeRoom
+   * @private
+   * @param {external:native-api.RoomConfigObject} roomConfig Room
+   *  configuration.
+   * @returns {external:native-api.RoomObject} Native room.
+   */
+  _createNativeRoom(roomConfig) {
+    return (this.roomFactory || platform.get().createRoom)(roomConfig);
+  }
+
+  /**
+   * Creates a new native room and binds the running HHM to it.
+   *
+   * The native room is created by the same room factory as the current room,
+   * see {@link PluginManager#start}. Loaded plugins, their handlers and their
+   * state are kept, only the native room behind the room object is replaced.
+   * The room object is only bound to the new native room once its room link is
+   * available, then `onRoomLink` is triggered for all plugins with the new
+   * room link, followed by the `roomRestarted` HHM event.
+   *
+   * The previous native room is closed as far as the headless API allows it:
+   * its players are kicked (which triggers `onPlayerLeave`) and it is locked,
+   * so it does not trigger any further events. If no room link arrives within
+   * `HHM.config.roomRestartTimeout` milliseconds (60 seconds by default), e.g.
+   * because the token is invalid, the new native room is abandoned and the
+   * HHM keeps using the previous room.
+   *
+   * @function PluginManager#restartRoom
+   * @async
+   * @param {object} [newRoomConfig] Room configuration, merged into
+   *  `HHM.config.room`, e.g. a new `roomName`, `maxPlayers` or `token`.
+   * @returns {Promise.<(HhmRoomObject|boolean)>} The room object, or `false`
+   *  if the HHM has not been started or the room could not be created.
+   */
+  async restartRoom(newRoomConfig = {}) {
+    if (this.room === undefined
+        || this.deferreds.managerStarted.state() !== `resolved`) {
+      this.log.warn(`Unable to restart room, HHM has not been started`);
+      return false;
+    }
+
+    const roomConfig = platform.get().extend({}, this.config.room,
+        newRoomConfig);
+    let nativeRoom;
+
+    this.log.info(`Restarting room, gl with the captcha`);
+
+    try {
+      nativeRoom = this._createNativeRoom(roomConfig);
+    } catch (e) {
+      this.log.error(`Unable to create room. ${e.name}: ${e.message}`);
+      return false;
+    }
+
+    const timeout = this.config.roomRestartTimeout === undefined ? 60000
+        : this.config.roomRestartTimeout;
+    let timeoutId;
+
+    const roomLink = await new Promise((resolve) => {
+      nativeRoom.onRoomLink = resolve;
+      timeoutId = setTimeout(() => resolve(undefined), timeout);
+    });
+
+    clearTimeout(timeoutId);
+
+    if (roomLink === undefined) {
+      // Close the room in case the room link still arrives
+      nativeRoom.onRoomLink = () => PluginManager._closeNativeRoom(nativeRoom,
+          `Room creation timed out`);
+
+      this.log.error(`Unable to restart room, no room link received within `
+          + `${timeout}ms, keeping the previous room`);
+      return false;
+    }
+
+    delete nativeRoom.onRoomLink;
+
+    const previousNativeRoom = this.nativeRoom;
+
+    try {
+      require(`../room`).replaceNativeRoom(this.room, nativeRoom);
+    } catch (e) {
+      require(`../room`).replaceNativeRoom(this.room, previousNativeRoom);
+      PluginManager._closeNativeRoom(nativeRoom, `Room restart failed`);
+
+      this.log.error(`Unable to bind room to the new native room, keeping the `
+          + `previous room. ${e.name}: ${e.message}`);
+      return false;
+    }
+
+    this.nativeRoom = nativeRoom;
+    PluginManager._closeNativeRoom(previousNativeRoom,
+        `Room moved to ${roomLink}`);
+
+    this._setRoomLink(roomLink);
+
+    this.log.info(`Room restarted: ${roomLink}`);
+
+    this.triggerEvent(`onRoomLink`, roomLink);
+    this.triggerHhmEvent(HHM.events.ROOM_RESTARTED, { roomLink, roomConfig });
+
+    return this.room;
+  }
+
+  /**
+   * Notifies plugins which optionally depend on the given plugin that it has
+   * become available or unavailable.
+   *
+   * Only loaded plugins are notified, and only if the version of the given
+   * plugin satisfies the version range of their optional dependency.
+   *
+   * @function PluginManager#_triggerDependencyAvailabilityEvents
+   * @private
+   * @param {number} pluginId ID of the plugin which has become available or
+   *  unavailable.
+   * @param {boolean} available Whether to trigger `onDependencyAvailable` or
+   *  `onDependencyUnavailable`.
+   */
+  _triggerDependencyAvailabilityEvents(pluginId, available) {
+    const pluginName = this.getPluginName(pluginId);
+    const version = this.getPlugin(pluginId).getPluginSpec().version;
+
+    for (let dependentId of
+        [...(this.optionalDependencies.get(pluginName) || [])]) {
+      const dependent = this.getPlugin(dependentId);
+
+      if (dependentId === pluginId || dependent === undefined
+          || !dependent.isLoaded()) {
+        continue;
+      }
+
+      const { range } = (dependent.getPluginSpec().optionalDependencies || [])
+          .map((d) => dependencyUtil.parse(d))
+          .find((d) => d.name === pluginName) || {};
+
+      if (!dependencyUtil.satisfies(version, range)) {
+        continue;
+      }
+
+      this.triggerLocalEvent(dependent, available ? `onDependencyAvailable`
+          : `onDependencyUnavailable`, pluginName);
+    }
+  }
+
+  /**
+   * Loads the lazy plugins which have the given event handler as a trigger.
+   *
+   * Called for each event dispatched by the trapped room manager. Each lazy
+   * plugin is loaded only once, even if loading fails. Loading happens
+   * asynchronously, so the triggering event is replayed to the plugin once
+   * it has been loaded.
+   *
+   * @function PluginManager#_triggerLazyPlugins
+   * @private
+   * @param {string} handlerName Event handler name.
+   * @param {Array} args Event arguments.
+   * @see TrappedRoomManager#onExecuteEventHandlers
+   */
+  _triggerLazyPlugins(handlerName, args) {
+    if (this.lazyPlugins.size === 0) {
+      return;
+    }
+
+    for (let [pluginName, { pluginConfig, triggers }] of this.lazyPlugins) {
+      if (!triggers.includes(handlerName)) {
+        continue;
+      }
+
+      this.lazyPlugins.delete(pluginName);
+
+      this.lazyPluginQueue = this.lazyPluginQueue.then(() =>
+          this._loadLazyPlugin(pluginName, pluginConfig, handlerName, args));
+    }
+  }
+
   /**
    * Triggers an event for the given room.
    *
@@ -712,8 +2067,8 @@ class PluginManager {
     if (dependents.length > 0) {
 
       if (!recursive) {
-        HHM.log.warn(`Can't disable plugin ${plugin.getName()}`);
-        HHM.log.warn(this._createDependencyChain(plugin.getId(), []));
+        this.log.warn(`Can't disable plugin ${plugin.getName()}`);
+        this.log.warn(this._createDependencyChain(plugin.getId(), []));
         return disabledPlugins;
       }
 
@@ -735,6 +2090,8 @@ class PluginManager {
       plugin: this.getPlugin(pluginId),
     });
 
+    this._triggerDependencyAvailabilityEvents(pluginId, false);
+
     return disabledPlugins;
   }
 
@@ -751,6 +2108,183 @@ class PluginManager {
     return this._enablePluginAndDependencies(pluginId);
   }
 
+  /**
+   * Exports the dependency graph of the loaded plugins.
+   *
+   * The graph contains the plugins with their state, version and repository,
+   * the dependencies between them and the handler execution order for each
+   * event.
+   *
+   * @function PluginManager#exportDependencyGraph
+   * @param {string} [format] Export format, one of
+   *  {@link module:src/graph.formats}.
+   * @returns {(string|undefined)} Dependency graph in the given format, or
+   *  `undefined` if the format is not supported.
+   * @see PluginManager#getDependencyGraph
+   */
+  exportDependencyGraph({ format = graphUtil.formats.JSON } = {}) {
+    const result = graphUtil.format(this.getDependencyGraph(), format);
+
+    if (result === undefined) {
+      this.log.error(`Unsupported dependency graph format ${format}, use one `
+          + `of ${Object.values(graphUtil.formats).join(`, `)}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Generates a lockfile for the plugins loaded from repositories.
+   *
+   * The lockfile records the repository, the resolved repository version (e.g.
+   * the commit SHA for GitHub repositories) and the source hash of each
+   * plugin. When set as `HHM.config.lockfile`, plugins are loaded from the
+   * recorded repositories only, and only if their source matches the
+   * recorded hash.
+   *
+   * Plugins loaded by code are not part of the lockfile, and neither are lazy
+   * plugins which have not been loaded yet. Plugins which are not part of the
+   * lockfile are not loaded unless `HHM.config.allowUnlockedPlugins` is set.
+   *
+   * @function PluginManager#generateLockfile
+   * @async
+   * @returns {Promise.<PluginManager~Lockfile>} Lockfile, can be serialized
+   *  as JSON.
+   */
+  async generateLockfile() {
+    const plugins = {};
+    const resolvedVersions = new Map();
+
+    for (let pluginId of this.getLoadedPluginIds()) {
+      const plugin = this.getPlugin(pluginId);
+      const repository = plugin._loadedFrom;
+
+      // Plugins loaded by code have a pseudo repository
+      if (repository === undefined
+          || typeof repository.getUserConfiguration !== `function`) {
+        continue;
+      }
+
+      // Resolving the version may require a request, e.g. to the GitHub API
+      if (!resolvedVersions.has(repository)) {
+        resolvedVersions.set(repository, repository.resolveVersion());
+      }
+
+      const resolvedVersion = await resolvedVersions.get(repository);
+      const userConfig = repository.getUserConfiguration();
+      let repositoryConfig = resolvedVersion === undefined ? userConfig
+          : platform.get().extend({}, userConfig,
+              { version: resolvedVersion });
+
+      // Configurations containing plugin code can only be referenced by name
+      if (!deepEqual(JSON.parse(JSON.stringify(repositoryConfig)),
+          repositoryConfig)) {
+        repositoryConfig = undefined;
+      }
+
+      plugins[plugin.getName()] = {
+        repository: repository.getName(),
+        repositoryConfig,
+        resolvedVersion,
+        version: plugin.getPluginSpec().version,
+        sourceHash: plugin._sourceHash,
+      };
+    }
+
+    if (this.lazyPlugins.size > 0) {
+      this.log.warn(`Lazy plugins ${this.getLazyPluginNames().join(`, `)} `
+          + `have not been loaded yet and are not part of the lockfile`);
+    }
+
+    return { lockfileVersion: 1, plugins };
+  }
+
+  /**
+   * Returns the boot report.
+   *
+   * @function PluginManager#getBootReport
+   * @returns {(PluginManager~BootReport|undefined)} Boot report, or
+   *  `undefined` if the manager has not finished starting yet.
+   * @see HHM.events.BOOT_REPORT
+   */
+  getBootReport() {
+    return (this.bootReport || {}).finishedAt !== undefined
+        ? this.bootReport : undefined;
+  }
+
+  /**
+   * Returns the reports of the plugin conflicts detected so far.
+   *
+   * Conflicts are reported even if the plugins involved were removed later,
+   * or if the load transaction which caused the conflict was rolled back.
+   * Only the last 100 reports are kept.
+   *
+   * @function PluginManager#getConflicts
+   * @returns {Array.<PluginManager~ConflictReport>} Conflict reports, in the
+   *  order they were detected.
+   */
+  getConflicts() {
+    return [...this.conflicts];
+  }
+
+  /**
+   * Returns the dependency graph of the loaded plugins.
+   *
+   * @function PluginManager#getDependencyGraph
+   * @returns {PluginManager~DependencyGraph} Dependency graph.
+   * @see PluginManager#exportDependencyGraph
+   */
+  getDependencyGraph() {
+    const roomManager = this.getRoomManager();
+    const pluginIds = this.getLoadedPluginIds();
+
+    if (roomManager.handlersDirty) {
+      roomManager.determineExecutionOrders();
+    }
+
+    const plugins = pluginIds.map((id) => {
+      const plugin = this.getPlugin(id);
+
+      return {
+        id,
+        name: plugin.getName(),
+        version: plugin.getPluginSpec().version,
+        enabled: this.isPluginEnabled(id),
+        canBeDisabled: this.canPluginBeDisabled(id),
+        loadedFrom: plugin._loadedFrom !== undefined
+            ? plugin._loadedFrom.getName() : undefined,
+      };
+    });
+
+    const dependencies = pluginIds.flatMap((id) => {
+      const from = this.getPluginName(id);
+      const optionalDependencies = dependencyUtil.getNames(
+          this.getPlugin(id).getPluginSpec().optionalDependencies)
+          .filter((name) => this.hasPlugin(name));
+
+      return [
+        ...this.getPluginDependencies(id)
+            .map((to) => ({ from, to, optional: false })),
+        ...optionalDependencies.map((to) => ({ from, to, optional: true })),
+      ];
+    });
+
+    const executionOrders = {};
+
+    roomManager.handlerExecutionOrders.forEach((ids, handlerName) => {
+      executionOrders[handlerName] = ids.filter((id) => pluginIds.includes(id))
+          .map((id) => this.getPluginName(id));
+    });
+
+    // Plugins which are still being loaded are not part of the graph
+    return {
+      plugins,
+      dependencies: dependencies.filter(({ to }) =>
+          pluginIds.includes(this.getPluginId(to))),
+      executionOrders,
+    };
+  }
+
   /**
    * Returns an `Array` of plugins that depend on the plugin with the given ID.
    *
@@ -774,7 +2308,8 @@ class PluginManager {
       return [];
     }
 
-    let dependencies = includeDisabled ? this.dependencies.get(pluginName) :
+    let dependencies = includeDisabled
+        ? [...this.dependencies.get(pluginName)] :
         this.dependencies.get(pluginName).filter(
             (pluginId) => this.isPluginEnabled(pluginId));
 
@@ -793,6 +2328,16 @@ class PluginManager {
     return [...new Set(dependencies)].reverse();
   }
 
+  /**
+   * Returns the room extension registry.
+   *
+   * @function PluginManager#getExtensionRegistry
+   * @returns {ExtensionRegistry} Extension registry of this plugin manager.
+   */
+  getExtensionRegistry() {
+    return this.extensionRegistry;
+  }
+
   /**
    * Returns an `Array` of plugin IDs for currently enabled plugins.
    *
@@ -801,20 +2346,90 @@ class PluginManager {
    * @function PluginManager#getEnabledPluginIds
    * @returns {Array.<number>} Enabled plugin IDs.
    */
-  getEnabledPluginIds() {
-    return Array.from(this.plugins.keys())
-        .filter((id) => this.getPlugin(id).isEnabled());
+  getEnabledPluginIds() {
+    return Array.from(this.plugins.keys())
+        .filter((id) => this.getPlugin(id).isEnabled());
+  }
+
+  /**
+   * Returns the running event recorder.
+   *
+   * @function PluginManager#getEventRecorder
+   * @returns {(EventRecorder|undefined)} Event recorder or
+   *  `undefined` if no events are being recorded.
+   */
+  getEventRecorder() {
+    return this.eventRecorder;
+  }
+
+  /**
+   * Returns an `Array` of all registered handler names.
+   *
+   * @function PluginManager#getHandlerNames
+   * @see TrappedRoomManager#getAllEventHandlerNames
+   * @returns {Array.<string>} Registered handler names.
+   */
+  getHandlerNames(excludeDisabled = true) {
+    return this.room._trappedRoomManager.getAllEventHandlerNames(excludeDisabled);
+  }
+
+  /**
+   * Returns the names of the plugins providing the given interface.
+   *
+   * Plugins declare provided interfaces in the `provides` property of their
+   * plugin specification, e.g. `roles@1.2.0`.
+   *
+   * @function PluginManager#getInterfaceProviders
+   * @param {string} interfaceString Interface name, optionally followed by `@`
+   *  and a semver version range the provided version has to satisfy, e.g.
+   *  `roles@1`.
+   * @returns {Array.<string>} Names of valid plugins providing the interface,
+   *  in load order.
+   */
+  getInterfaceProviders(interfaceString) {
+    const { name, range } = dependencyUtil.parse(interfaceString);
+
+    return Array.from(this.plugins.values())
+        .filter((plugin) => this.hasPlugin(plugin._id)
+            && (plugin.getPluginSpec().provides || [])
+                .map((provided) => dependencyUtil.parse(provided))
+                .some((provided) => provided.name === name
+                    && dependencyUtil.satisfies(provided.range, range)))
+        .map((plugin) => plugin._name);
+  }
+
+  /**
+   * Returns the name of the active profile.
+   *
+   * @function PluginManager#getActiveProfile
+   * @returns {(string|undefined)} Profile name or `undefined` if no profile
+   *  was activated yet.
+   * @see PluginManager#switchProfile
+   */
+  getActiveProfile() {
+    return this.activeProfile;
+  }
+
+  /**
+   * Returns the failure report of the most recent failed
+   * {@link PluginManager#addPlugin} call.
+   *
+   * @function PluginManager#getLastLoadFailure
+   * @returns {(PluginLoadFailure|undefined)} Failure report or `undefined` if
+   *  no plugin failed to load yet.
+   */
+  getLastLoadFailure() {
+    return this.lastLoadFailure;
   }
 
   /**
-   * Returns an `Array` of all registered handler names.
+   * Returns the names of lazy plugins which have not been loaded yet.
    *
-   * @function PluginManager#getHandlerNames
-   * @see TrappedRoomManager#getAllEventHandlerNames
-   * @returns {Array.<string>} Registered handler names.
+   * @function PluginManager#getLazyPluginNames
+   * @returns {Array.<string>} Plugin names.
    */
-  getHandlerNames(excludeDisabled = true) {
-    return this.room._trappedRoomManager.getAllEventHandlerNames(excludeDisabled);
+  getLazyPluginNames() {
+    return Array.from(this.lazyPlugins.keys());
   }
 
   /**
@@ -854,7 +2469,13 @@ class PluginManager {
     const hasPlugin = this.hasPlugin(pluginName);
 
     if (pluginName === undefined || (create && !hasPlugin)) {
-      const id = Date.now();
+      let id = Date.now();
+
+      // Plugins from local repositories can be created in the same millisecond
+      while (this.plugins.has(id)) {
+        id++;
+      }
+
       this.plugins.set(id,
           this.roomTrapper.createTrappedRoom(this.room, id));
       pluginRoom = this.plugins.get(id);
@@ -890,13 +2511,15 @@ class PluginManager {
   getPluginDependencies(pluginIdOrName, recursive = false, ids = false) {
     const plugin = this.getPlugin(pluginIdOrName);
 
-    if ((plugin.getPluginSpec().dependencies || []).length === 0) {
+    const dependencyStrings = this._getDependencies(plugin._id);
+
+    if (dependencyStrings.length === 0) {
       return [];
     }
 
     const dependencies = [];
 
-    plugin.getPluginSpec().dependencies.forEach((pluginName) => {
+    for (let pluginName of dependencyUtil.getNames(dependencyStrings)) {
       const dependency = this.getPlugin(pluginName);
 
       dependencies.push(ids ? dependency._id : dependency._name);
@@ -907,7 +2530,7 @@ class PluginManager {
         dependencies.push(...this.getDependentPlugins(
             dependency._id, true, ids));
       }
-    });
+    }
 
     return [...new Set(dependencies)];
   }
@@ -948,6 +2571,121 @@ class PluginManager {
         : String(pluginId);
   }
 
+  /**
+   * Returns why the given plugin was loaded.
+   *
+   * @function PluginManager#getPluginOrigin
+   * @param {(number|string)} pluginIdOrName Plugin ID or name.
+   * @returns {(PluginManager~PluginOrigin|undefined)} Plugin origin, or
+   *  `undefined` if the plugin is not loaded.
+   */
+  getPluginOrigin(pluginIdOrName) {
+    const { pluginId, pluginName } =
+        this._extractPluginNameAndId(pluginIdOrName);
+
+    if (!this.plugins.has(pluginId)) {
+      return undefined;
+    }
+
+    const plugin = this.plugins.get(pluginId);
+    const configPath = this.activeProfile === undefined ? `HHM.config.plugins`
+        : `HHM.config.profiles.${this.activeProfile}.plugins`;
+    let configEntry;
+
+    if (pluginName === `_user/postInit`) {
+      configEntry = `HHM.config.postInit`;
+    } else if (this._getProfilePlugins(this.activeProfile)
+        .hasOwnProperty(pluginName)) {
+      configEntry = `${configPath}['${pluginName}']`;
+    }
+
+    return {
+      pluginName: plugin.getName(),
+      version: plugin.getPluginSpec().version,
+      loadedFrom: plugin._loadedFrom !== undefined
+          ? plugin._loadedFrom.getName() : undefined,
+      configEntry,
+      dependencyChains: this._getDependencyChains(pluginId),
+    };
+  }
+
+  /**
+   * Returns the permission settings of this manager.
+   *
+   * The settings are copied from the configuration when the manager is
+   * started, changing `permissionMode` or the `permissions` of a plugin
+   * configuration afterwards has no effect.
+   *
+   * @function PluginManager#getPermissionSettings
+   * @returns {module:src/permissions~Settings} Frozen permission settings.
+   */
+  getPermissionSettings() {
+    if (this.permissionSettings === undefined) {
+      this.permissionSettings = permissionsUtil.createSettings(this.config);
+    }
+
+    return this.permissionSettings;
+  }
+
+  /**
+   * Returns the permissions of the given plugin.
+   *
+   * Permissions are taken from the `permissions` property of the plugin
+   * specification. Plugins loaded before the user plugins and the `postInit`
+   * code are configured by the room operator and therefore have all
+   * permissions, unless they are sandboxed, see
+   * {@link PluginManager#isTrustedPlugin}.
+   *
+   * The room operator can override the permissions of any plugin using the
+   * `permissions` property of its plugin configuration in `HHM.config.plugins`,
+   * either as an `Array` replacing the declared permissions or as an object
+   * with `grant` and `revoke` `Array`s.
+   *
+   * The permissions are determined once the plugin code was executed and do
+   * not change afterwards, overrides are read from
+   * {@link PluginManager#getPermissionSettings}.
+   *
+   * @function PluginManager#getPluginPermissions
+   * @param {(number|string)} pluginIdOrName Plugin ID or name.
+   * @returns {Array.<string>} Permission names, see
+   *  {@link module:src/permissions.privilegedProperties}.
+   */
+  getPluginPermissions(pluginIdOrName) {
+    const { pluginId, pluginName } =
+        this._extractPluginNameAndId(pluginIdOrName);
+
+    if (!this.plugins.has(pluginId)) {
+      return [];
+    }
+
+    if (this.pluginPermissions.has(pluginId)) {
+      return [...this.pluginPermissions.get(pluginId)];
+    }
+
+    const override = this.getPermissionSettings().overrides[pluginName];
+
+    const isTrusted = this.isTrustedPlugin(pluginName)
+        && !this.pluginLoader.isSandboxedPlugin(pluginId);
+
+    let permissions = isTrusted ? [permissionsUtil.ALL]
+        : this.plugins.get(pluginId).getPluginSpec().permissions || [];
+
+    if (Array.isArray(override)) {
+      permissions = override;
+    } else if (typeof override === `object` && override !== null) {
+      permissions = [...permissions, ...(override.grant || [])];
+    }
+
+    if (permissions.includes(permissionsUtil.ALL)) {
+      permissions = permissionsUtil.getPermissionNames();
+    }
+
+    const revoked = Array.isArray(override) ? []
+        : ((override || {}).revoke || []);
+
+    return [...new Set(permissions)].filter((p) => !revoked.includes(p));
+  }
+
   /**
    * Returns the plugin repository factory.
    *
@@ -990,7 +2728,7 @@ class PluginManager {
     let pluginSpec = this.getPlugin(pluginId).pluginSpec;
 
     if (!this.removePlugin(pluginId)) {
-      HHM.log.error(`Unable to remove plugin ${pluginName} after getting its pluginSpec`);
+      this.log.error(`Unable to remove plugin ${pluginName} after getting its pluginSpec`);
     }
 
     return pluginSpec;
@@ -1006,6 +2744,24 @@ class PluginManager {
     return this.room._trappedRoomManager;
   }
 
+  /**
+   * Returns the storage module for the plugins of this manager.
+   *
+   * If the manager has a storage namespace, the names of all storage instances
+   * created through the returned module are prefixed with it, otherwise this
+   * is `HHM.storage`. Plugins executed from source code see the returned
+   * module as `HHM.storage`.
+   *
+   * @function PluginManager#getStorage
+   * @returns {object} Storage module, see {@link module:src/storage}.
+   */
+  getStorage() {
+    const storage = HHM.storage || storageUtil;
+
+    return this.storageNamespace === undefined ? storage
+        : storageUtil.withNamespace(storage, this.storageNamespace);
+  }
+
   /**
    * Returns `true` if a plugin with the given ID or name exists and is valid,
    * `false` otherwise.
@@ -1026,6 +2782,19 @@ class PluginManager {
         && this.plugins.get(pluginId)._lifecycle.valid;
   }
 
+  /**
+   * Returns whether the given plugin has the given permission.
+   *
+   * @function PluginManager#hasPluginPermission
+   * @param {(number|string)} pluginIdOrName Plugin ID or name.
+   * @param {string} permission Permission name.
+   * @returns {boolean} Whether the plugin has the permission.
+   * @see PluginManager#getPluginPermissions
+   */
+  hasPluginPermission(pluginIdOrName, permission) {
+    return this.getPluginPermissions(pluginIdOrName).includes(permission);
+  }
+
   /**
    * Returns whether the given plugin is enabled.
    */
@@ -1037,6 +2806,23 @@ class PluginManager {
         this.getPlugin(pluginId).isEnabled();
   }
 
+  /**
+   * Returns whether the given plugin was configured by the room operator.
+   *
+   * These are the plugins loaded before the user plugins and the `postInit`
+   * code, they are not sandboxed by default and have all permissions unless
+   * they are sandboxed.
+   *
+   * @function PluginManager#isTrustedPlugin
+   * @param {string} [pluginName] Plugin name.
+   * @returns {boolean} Whether the plugin is trusted.
+   * @see PluginManager#getPluginPermissions
+   */
+  isTrustedPlugin(pluginName) {
+    return pluginName !== undefined && (pluginName === `_user/postInit`
+        || this.preUserPlugins.some((p) => p.pluginName === pluginName));
+  }
+
   /**
    * Returns true if the plugin can be disabled (or is already disabled),
    * false otherwise.
@@ -1065,7 +2851,8 @@ class PluginManager {
    * Provides a room object.
    *
    * If no room object was provided, create a new room based on the
-   * HHM.config.room configuration.
+   * HHM.config.room configuration, which is optional if a room factory was
+   * passed to {@link PluginManager#start}.
    *
    * The resulting room object is then extended with some basic HHM
    * functionality like access to plugins.
@@ -1080,17 +2867,81 @@ class PluginManager {
   _provideRoom(room) {
 
     if (room === undefined) {
-      if (typeof HHM.config.room === `object`) {
-        HHM.log.info(`Creating room, gl with the captcha`);
-        room = HBInit(HHM.config.room);
+      if (typeof this.config.room === `object`
+          || this.roomFactory !== undefined) {
+        this.log.info(`Creating room, gl with the captcha`);
+        room = this._createNativeRoom(this.config.room || {});
       } else {
         return;
       }
     }
 
+    this.nativeRoom = Object.assign({}, room);
+
     return require(`../room`).createRoom(room, this);
   }
 
+  /**
+   * Makes sure events with the given handler name are dispatched to the
+   * trapped room manager even if no plugin has a handler for them.
+   *
+   * Events are only dispatched if the room has a handler for them, so a
+   * dispatcher is added to the room if necessary.
+   *
+   * @function PluginManager#_provideEventDispatcher
+   * @private
+   * @param {string} handlerName Event handler name.
+   * @see TrappedRoomManager#onExecuteEventHandlers
+   */
+  _provideEventDispatcher(handlerName) {
+    const room = this.room;
+
+    if (room.hasOwnProperty(handlerName)) {
+      return;
+    }
+
+    room[handlerName] = (...args) => room._trappedRoomManager
+        .onExecuteEventHandlers(room, handlerName, ...args);
+
+    this.eventDispatchers.set(handlerName, room[handlerName]);
+  }
+
+  /**
+   * Registers the given lazy plugin, it will be loaded when one of its
+   * triggers fires.
+   *
+   * Triggers are event handler names, e.g. `onPlayerChat`, `onHhm_pluginLoaded`
+   * or names of custom events.
+   *
+   * @function PluginManager#_registerLazyPlugin
+   * @private
+   * @param {string} pluginName Plugin name.
+   * @param {object} pluginConfig Plugin configuration containing the
+   *  `triggers`.
+   * @returns {boolean} Whether the plugin was registered, `false` if no
+   *  triggers were configured.
+   * @see PluginManager#_triggerLazyPlugins
+   */
+  _registerLazyPlugin(pluginName, pluginConfig) {
+    const triggers = [].concat(pluginConfig.triggers || []);
+
+    if (triggers.length === 0) {
+      this.log.warn(`No triggers configured for lazy plugin ${pluginName}, `
+          + `loading it immediately`);
+
+      return false;
+    }
+
+    this.lazyPlugins.set(pluginName, { pluginConfig, triggers });
+
+    triggers.forEach((trigger) => this._provideEventDispatcher(trigger));
+
+    this.log.info(`Plugin ${pluginName} will be loaded on first `
+        + triggers.join(`, `));
+
+    return true;
+  }
+
   /**
    * Called when a plugin name is set or changed.
    *
@@ -1148,6 +2999,225 @@ class PluginManager {
         { newValue: value, oldValue});
   }
 
+  /**
+   * Starts recording the native room events and the room function calls of
+   * plugins.
+   *
+   * The event log can be replayed using {@link EventReplayer}.
+   * Recording is started automatically when the manager is started if
+   * `HHM.config.eventRecording` is set.
+   *
+   * @function PluginManager#startEventRecording
+   * @param {object} [options] Recording options, see
+   *  {@link EventRecorder#constructor}.
+   * @returns {(EventRecorder|undefined)} Event recorder, the running
+   *  one if events are already being recorded, or `undefined` if the manager
+   *  has not been started.
+   */
+  startEventRecording(options = {}) {
+    if (this.room === undefined) {
+      this.log.error(`Unable to record events, HHM has not been started`);
+      return undefined;
+    }
+
+    if (this.eventRecorder !== undefined) {
+      return this.eventRecorder;
+    }
+
+    this.eventRecorder = new EventRecorder(this, options).start();
+
+    return this.eventRecorder;
+  }
+
+  /**
+   * Stops the HHM.
+   *
+   * Cancels the loading of lazy plugins, waiting for a lazy plugin which is
+   * currently being loaded, triggers the `beforeShutdown` HHM event, calls the
+   * `onDisable` handler of all enabled plugins in reverse dependency order,
+   * persists the plugin data using `hhm/persistence` if requested, and
+   * removes all plugin handlers and properties as well as the event
+   * dispatchers added for lazy plugins and the event recorder. Afterwards, all plugins are unloaded and
+   * {@link PluginManager#start} can be called again with a new room.
+   *
+   * Plugins should clear their timers and intervals in their `onDisable`
+   * handler.
+   *
+   * @function PluginManager#stop
+   * @async
+   * @param {object} [options] Shutdown options.
+   * @param {boolean} [options.persist] Whether to persist the plugin data
+   *  before shutting down, `true` by default.
+   * @returns {Promise.<boolean>} `false` if the HHM was not started, `true`
+   *  otherwise.
+   */
+  async stop({ persist = true } = {}) {
+    if (this.room === undefined) {
+      this.log.warn(`Unable to stop HHM, it has not been started`);
+      return false;
+    }
+
+    this.log.info(`Stopping HHM`);
+
+    const lazyPluginQueue = this.lazyPluginQueue;
+    this.lazyPlugins.clear();
+    this.lazyPluginQueue = undefined;
+    await lazyPluginQueue;
+
+    this.triggerHhmEvent(HHM.events.BEFORE_SHUTDOWN, { persist });
+
+    const pluginIds = this._getShutdownOrder();
+
+    // Plugins are not marked as disabled, so persistence still works
+    for (let pluginId of pluginIds.filter((id) => this.isPluginEnabled(id))) {
+      this.triggerLocalEvent(this.getPlugin(pluginId), `onDisable`);
+    }
+
+    if (persist) {
+      const persistencePlugin = this.getPlugin(`hhm/persistence`);
+
+      if (persistencePlugin === undefined) {
+        this.log.warn(`Unable to persist plugin data, hhm/persistence is not `
+            + `loaded`);
+      } else {
+        try {
+          await persistencePlugin.persistAllPluginData();
+        } catch (e) {
+          this.log.error(`Unable to persist plugin data. ${e.name}: `
+              + e.message);
+        }
+      }
+    }
+
+    await this.stopEventRecording({ save: persist });
+
+    for (let pluginId of pluginIds) {
+      this.room._trappedRoomManager.removePluginHandlersAndProperties(pluginId);
+    }
+
+    for (let [handlerName, dispatcher] of this.eventDispatchers) {
+      if (this.room[handlerName] === dispatcher) {
+        delete this.room[handlerName];
+      }
+    }
+
+    this._resetPluginState();
+    this.pluginLoader.releaseRealms();
+    this.room = undefined;
+    this.nativeRoom = undefined;
+    this.roomTrapper = undefined;
+    this.extensionRegistry = undefined;
+
+    this._setRoomLink(undefined);
+    this.deferreds.managerStarted = platform.get().createDeferred();
+    this.deferreds.roomLink = platform.get().createDeferred();
+
+    this.log.info(`HHM stopped`);
+
+    return true;
+  }
+
+  /**
+   * Stops recording events.
+   *
+   * @function PluginManager#stopEventRecording
+   * @async
+   * @param {object} [options] Options.
+   * @param {boolean} [options.save] Whether to save the event log, `true` by
+   *  default.
+   * @returns {Promise.<(EventRecorder~EventLog|undefined)>} Event
+   *  log or `undefined` if no events were being recorded.
+   */
+  async stopEventRecording({ save = true } = {}) {
+    if (this.eventRecorder === undefined) {
+      return undefined;
+    }
+
+    const eventRecorder = this.eventRecorder;
+    this.eventRecorder = undefined;
+
+    return eventRecorder.stop({ save });
+  }
+
+  /**
+   * Switches to the given profile.
+   *
+   * Profiles are configured in `HHM.config.profiles`, which maps profile
+   * names to objects with a `plugins` property. It has the same structure as
+   * `HHM.config.plugins`, which is the plugin set before the first switch.
+   *
+   * Plugins which are not part of the new profile are disabled and removed,
+   * as are their dependencies unless other plugins still need them. The
+   * plugins of the new profile are loaded or, if they were already loaded,
+   * configured using the profile configuration. Plugins which were disabled
+   * before the switch stay disabled. If any of these steps fails, plugins
+   * loaded during the switch are disabled and removed, the previous state is
+   * restored, and the configuration changes and disabled plugins are
+   * reverted.
+   *
+   * @function PluginManager#switchProfile
+   * @async
+   * @param {string} profileName Name of the profile.
+   * @returns {Promise.<boolean>} Whether the profile was switched.
+   */
+  async switchProfile(profileName) {
+    if (!(this.config.profiles || {}).hasOwnProperty(profileName)) {
+      this.log.error(`Unknown profile ${profileName}`);
+      return false;
+    }
+
+    if (profileName === this.activeProfile) {
+      return true;
+    }
+
+    this.log.info(`Switching to profile ${profileName}`);
+
+    const snapshot = this._createSnapshot();
+    const lazyPlugins = new Map(this.lazyPlugins);
+    const disabledPluginIds = [];
+    const configChanges = [];
+
+    const success = await this._applyPluginSet(
+        this._getProfilePlugins(this.activeProfile),
+        this._getProfilePlugins(profileName), disabledPluginIds, configChanges);
+
+    if (!success) {
+      this.log.error(`Unable to switch to profile ${profileName}, restoring `
+          + `previous state`);
+
+      // Plugins loaded during the switch may have set up timers etc. already
+      for (let pluginId of this._getShutdownOrder()) {
+        if (snapshot.plugins.has(pluginId)) continue;
+
+        this.disablePlugin(pluginId);
+        this.removePlugin(pluginId, false);
+      }
+
+      this._restoreSnapshot(snapshot);
+      this.lazyPlugins = lazyPlugins;
+
+      for (let [pluginName, paramName, value] of configChanges.reverse()) {
+        this.setPluginConfig(pluginName, paramName, value);
+      }
+
+      // The snapshot marks these plugins as enabled, but they have already
+      // been notified that they were disabled
+      this.pluginsDisabled.push(...disabledPluginIds);
+
+      for (let pluginId of disabledPluginIds.reverse()) {
+        this.enablePlugin(pluginId);
+      }
+
+      return false;
+    }
+
+    this.activeProfile = profileName;
+
+    this.log.info(`Switched to profile ${profileName}`);
+
+    return true;
+  }
+
   /**
    * Triggers an event with the given handler name and arguments.
    *
@@ -1156,7 +3226,8 @@ class PluginManager {
    * handlers for the given event. To trigger an event, simply use its event
    * handler name.
    *
-   * Can also be (ab)used to trigger native events.
+   * Can also be (ab)used to trigger native events. Does nothing if the HHM
+   * has not been started or has been stopped.
    *
    * @function PluginManager#triggerEvent
    * @param {string} eventHandlerName Name of the event handler to be triggered.
@@ -1167,6 +3238,10 @@ class PluginManager {
    * @see TrappedRoomManager#onExecuteEventHandlers
    */
   triggerEvent(eventHandlerName, ...args) {
+    if (this.room === undefined) {
+      return true;
+    }
+
     return PluginManager._triggerEventOnRoom(this.room, eventHandlerName,
         ...args);
   }
@@ -1176,12 +3251,18 @@ class PluginManager {
    *
    * @TODO documentation, make private?
    *
+   * Does nothing if the HHM has not been started or has been stopped.
+   *
    * @function PluginManager#triggerHhmEvent
    * @param {string} [eventName] Name of the event.
    * @param {Object} [args] Event arguments.
    */
   triggerHhmEvent(eventName, args = {}) {
-    $.extend(args, { eventName });
+    if (this.room === undefined) {
+      return;
+    }
+
+    platform.get().extend(args, { eventName });
     this.triggerEvent(`onHhm_${eventName}`, args);
     this.triggerEvent(`onHhm`, args);
   }
@@ -1198,6 +3279,8 @@ class PluginManager {
    *  proxy.
    * @param {string} eventHandlerName Name of the event handler.
    * @param {...*} [args] Event arguments.
+   * @returns {EventHandlerExecutionMetadata} Event metadata, containing the
+   *  return value of the event handler if there was one.
    */
   triggerLocalEvent(plugin, eventHandlerName, ...args) {
     const eventHandlerObject = plugin.getEventHandlerObject(eventHandlerName);
@@ -1211,54 +3294,126 @@ class PluginManager {
       localEventName: eventHandlerName, localEventArgs: args,
       metadata,
     });
+
+    return metadata;
+  }
+
+  /**
+   * Validates the given configuration without a room.
+   *
+   * Creates the configured repositories, resolves all plugins of
+   * `config.plugins`, their dependencies and the providers of their required
+   * interfaces, and checks version ranges, conflicts and handler execution
+   * orders. Plugins are executed in the sandbox with a stub room to read their
+   * plugin specification, they are not loaded.
+   *
+   * @function PluginManager#validateConfig
+   * @async
+   * @param {object} [config] HHM configuration, defaults to `HHM.config`.
+   * @param {boolean} [throwOnError] Whether to throw an error listing all
+   *  validation errors instead of returning the report if the configuration is
+   *  invalid.
+   * @returns {Promise.<ConfigValidator~Report>} Validation report.
+   * @throws {Error} If `throwOnError` is set and the configuration is invalid.
+   */
+  async validateConfig(config = this.config, throwOnError = false) {
+    const report = await new ConfigValidator(this).validate(config);
+
+    report.errors.forEach(({ message }) => this.log.error(message));
+    report.warnings.forEach(({ message }) => this.log.warn(message));
+
+    if (!report.valid && throwOnError) {
+      throw configError(report.errors.map(({ message }) => message));
+    }
+
+    return report;
   }
 
   /**
    * Starts the HHM plugin manager.
    *
    * If a room was provided, it will be used, otherwise a new room will be
-   * created. If no room and no room config was provided, the start will be
-   * aborted.
+   * created from `HHM.config.room`. If no room and no room config was
+   * provided, the start will be aborted.
+   *
+   * Rooms are created using the given room factory, e.g.
+   * {@link RoomSimulator#HBInit}, or `platform.createRoom` (the native
+   * `HBInit`) by default. The room factory is also used by
+   * {@link PluginManager#restartRoom}.
    *
    * @function PluginManager#start
    * @async
-   * @param {external:native-api.RoomObject} [room] Existing room object.
+   * @param {(external:native-api.RoomObject|function(object):
+   *  external:native-api.RoomObject)} [room] Existing room object or room
+   *  factory.
+   * @param {boolean} [throwOnError] Whether to throw an error if the structure
+   *  of the configuration is invalid, otherwise the problems are only logged.
    * @returns {Promise.<(HhmRoomObject|boolean)>} Extended or newly created room
    *  object or false if no config was loaded.
+   * @throws {Error} If `throwOnError` is set and the structure of the
+   *  configuration is invalid, see {@link ConfigValidator.checkStructure}.
    */
-  async start(room) {
-    if (HHM.config === undefined) {
+  async start(room, throwOnError = false) {
+    if (this.config === undefined) {
       return false;
     }
 
+    const configErrors = ConfigValidator.checkStructure(this.config);
+
+    if (configErrors.length > 0 && throwOnError) {
+      throw configError(configErrors);
+    }
+
+    configErrors.forEach((message) => this.log.error(message));
+
+    if (typeof room === `function`) {
+      this.roomFactory = room;
+      room = undefined;
+    }
+
     room = this._provideRoom(room);
 
-    HHM.log.info(`HHM bootstrapping complete, config loaded`);
+    this.log.info(`HHM bootstrapping complete, config loaded`);
 
     // No room assumes there was no room config, so we wait for the next call
     // to start() and return the room afterwards
     if (room === undefined) {
       // TODO log
-      await HHM.deferreds.managerStarted.promise();
+      await this.deferreds.managerStarted.promise();
       return this.room;
     }
 
     this.room = room;
+    this.permissionSettings = permissionsUtil.createSettings(this.config);
+    this.bootReport = {
+      startedAt: Date.now(),
+      repositories: [],
+      failures: [],
+    };
 
     this.roomTrapper = new RoomTrapper(new TrappedRoomManager(this.room));
+    this.extensionRegistry = new ExtensionRegistry(this.room);
 
     this._initializeCoreEventHandlers();
 
+    if (this.config.eventRecording !== undefined) {
+      this.startEventRecording(this.config.eventRecording);
+    }
+
     this.pluginLoader.initializeRepositories(
-        await this._createInitialRepositories(HHM.config.repositories || []));
+        await this._createInitialRepositories(this.config.repositories || []));
 
-    HHM.log.info(`Waiting for room link`);
+    // Plugins are still loaded one after the other, they only use the cached
+    // sources
+    this._prefetchPluginSources();
 
-    await HHM.deferreds.roomLink.promise();
+    this.log.info(`Waiting for room link`);
+
+    await this.deferreds.roomLink.promise();
 
     await this._loadPreUserPlugins();
 
-    HHM.log.info(`Initial pre-user plugins loaded and configured`);
+    this.log.info(`Initial pre-user plugins loaded and configured`);
 
     this.triggerHhmEvent(HHM.events.PRE_USER_PLUGINS_LOADED);
 
@@ -1267,14 +3422,126 @@ class PluginManager {
     await this._postInit() || (() => {
       throw new Error(`Error during HHM start, _postInit failed`); })();
 
-    HHM.log.info(`User plugins loaded and configured`);
+    this.log.info(`User plugins loaded and configured`);
 
-    HHM.deferreds.managerStarted.resolve();
+    this.deferreds.managerStarted.resolve();
 
     this.triggerHhmEvent(HHM.events.USER_PLUGINS_LOADED);
 
+    const bootReport = this._finishBootReport();
+
+    this.log.info(`Boot completed in ${bootReport.duration}ms, `
+        + `${bootReport.plugins.length} plugins loaded, `
+        + `${bootReport.failures.length} failures`);
+
+    this.triggerHhmEvent(HHM.events.BOOT_REPORT, { report: bootReport });
+
     return room;
   }
 }
 
+/**
+ * Explains why a plugin was loaded.
+ *
+ * @typedef {object} PluginManager~PluginOrigin
+ * @property {string} pluginName Plugin name.
+ * @property {(string|undefined)} version Plugin version.
+ * @property {(string|undefined)} loadedFrom Name of the repository the plugin
+ *  was loaded from, or `code`.
+ * @property {(string|undefined)} configEntry User config entry listing the
+ *  plugin, e.g. `HHM.config.plugins['sav/roles']`.
+ * @property {Array.<Array.<string>>} dependencyChains Chains of plugin names
+ *  which pulled the plugin in, each starting with the plugin itself, followed
+ *  by a plugin depending on it, and so on.
+ */
+
+/**
+ * Dependency graph of the loaded plugins.
+ *
+ * @typedef {object} PluginManager~DependencyGraph
+ * @property {Array.<PluginManager~DependencyGraphPlugin>} plugins Loaded
+ *  plugins.
+ * @property {Array.<{from: string, to: string, optional: boolean}>}
+ *  dependencies Dependencies by plugin name, from the depending plugin to the
+ *  dependency. Plugins depending on themselves cannot be disabled.
+ * @property {Object.<string, Array.<string>>} executionOrders Plugin names in
+ *  handler execution order for each event handler name.
+ */
+
+/**
+ * Plugin within a {@link PluginManager~DependencyGraph}.
+ *
+ * @typedef {object} PluginManager~DependencyGraphPlugin
+ * @property {number} id Plugin ID.
+ * @property {string} name Plugin name.
+ * @property {(string|undefined)} version Plugin version.
+ * @property {boolean} enabled Whether the plugin is enabled.
+ * @property {boolean} canBeDisabled Whether the plugin can be disabled, see
+ *  {@link PluginManager#canPluginBeDisabled}.
+ * @property {(string|undefined)} loadedFrom Name of the repository the plugin
+ *  was loaded from, or `code`.
+ */
+
+/**
+ * Lockfile, see {@link PluginManager#generateLockfile}.
+ *
+ * @typedef {object} PluginManager~Lockfile
+ * @property {number} lockfileVersion Version of the lockfile format.
+ * @property {Object.<string, PluginManager~LockfileEntry>} plugins Lockfile
+ *  entries by plugin name.
+ */
+
+/**
+ * Locked plugin.
+ *
+ * @typedef {object} PluginManager~LockfileEntry
+ * @property {string} repository Name of the repository the plugin was loaded
+ *  from.
+ * @property {(object|undefined)} repositoryConfig Repository configuration
+ *  with the resolved version, `undefined` if the configuration cannot be
+ *  serialized, e.g. for local repositories.
+ * @property {(string|undefined)} resolvedVersion Resolved repository version,
+ *  e.g. a commit SHA.
+ * @property {(string|undefined)} version Plugin version.
+ * @property {number} sourceHash Hash of the plugin source.
+ */
+
+/**
+ * Report describing the start of the plugin manager.
+ *
+ * @typedef {object} PluginManager~BootReport
+ * @property {number} startedAt Timestamp of the start, in milliseconds.
+ * @property {number} finishedAt Timestamp at which all user plugins were
+ *  loaded, in milliseconds.
+ * @property {number} duration Boot duration in milliseconds.
+ * @property {Array.<object>} repositories Configured repositories in
+ *  configuration order, with their `index`, `name`, `type`, whether their
+ *  repository information was loaded (`informationLoaded`) and whether their
+ *  signature was verified (`signatureVerified`), or an `error` if the
+ *  repository could not be created.
+ * @property {Array.<object>} plugins Loaded plugins with their `name`,
+ *  `version`, source `repository`, `fetchTime` and `roomLinkDuration` in
+ *  milliseconds, `configEntry` and `dependencyChains` (see
+ *  {@link PluginManager~PluginOrigin}) and `warnings`.
+ * @property {Array.<string>} lazyPlugins Names of lazy plugins which have not
+ *  been loaded yet.
+ * @property {Array.<PluginLoadFailure>} failures Failure reports of plugins
+ *  which could not be loaded.
+ */
+
+/**
+ * Describes a conflict between two plugins.
+ *
+ * @typedef {object} PluginManager~ConflictReport
+ * @property {string} declaredBy Name of the plugin declaring the conflict.
+ * @property {string} declaration Conflict declaration, e.g.
+ *  `sav/roles@<2.0.0`.
+ * @property {Array.<PluginManager~PluginOrigin>} plugins The conflicting
+ *  plugins, the plugin whose loading caused the conflict first.
+ * @property {string} policy Conflict policy, one of
+ *  {@link module:src/conflict.policies}.
+ * @property {string} resolution One of
+ *  {@link module:src/conflict.resolutions}.
+ */
+
 module.exports = PluginManager;
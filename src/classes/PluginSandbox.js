@@ -0,0 +1,347 @@
+const Membrane = require(`./Membrane`);
+const platform = require(`../platform`);
+
+/**
+ * Standard ECMAScript globals which are taken from the sandbox realm.
+ *
+ * `Function` and `eval` are replaced by functions which throw, since they
+ * evaluate code in the global scope of the realm.
+ */
+const intrinsicGlobals = [`Array`, `ArrayBuffer`, `BigInt`, `BigInt64Array`,
+  `BigUint64Array`, `Boolean`, `DataView`, `Date`, `decodeURI`,
+  `decodeURIComponent`, `encodeURI`, `encodeURIComponent`, `Error`,
+  `EvalError`, `Float32Array`, `Float64Array`, `Infinity`, `Int8Array`,
+  `Int16Array`, `Int32Array`, `Intl`, `isFinite`, `isNaN`, `JSON`, `Map`,
+  `Math`, `NaN`, `Number`, `Object`, `parseFloat`, `parseInt`, `Promise`,
+  `Proxy`, `RangeError`, `ReferenceError`, `Reflect`, `RegExp`, `Set`,
+  `String`, `Symbol`, `SyntaxError`, `TypeError`, `Uint8Array`,
+  `Uint8ClampedArray`, `Uint16Array`, `Uint32Array`, `undefined`, `URIError`,
+  `WeakMap`, `WeakSet`];
+
+/**
+ * Timer functions, which would evaluate strings in the global scope of the
+ * HHM.
+ */
+const timerFunctions = [`setInterval`, `setTimeout`];
+
+/**
+ * Matches dynamic imports, which would load modules with the global scope of
+ * the realm.
+ */
+const importPattern = /(^|[^.])\bimport(\s*(?:\(|\/[/*]))/;
+
+/**
+ * Prepares a new realm, executed in the realm itself.
+ *
+ * The `constructor` of the function prototypes is replaced by a function which
+ * throws, so the `Function` constructor of the realm cannot be reached through
+ * functions. Stack traces are only available as strings, since structured
+ * stack traces contain the functions and `this` values of all callers.
+ */
+const realmSetup = `
+  const deny = (name) => function() {
+    throw new TypeError(name + ' is not available in the plugin sandbox');
+  };
+
+  const prototypes = {
+    Function: Function.prototype,
+    AsyncFunction: Object.getPrototypeOf(async function() {}),
+    GeneratorFunction: Object.getPrototypeOf(function* () {}),
+    AsyncGeneratorFunction: Object.getPrototypeOf(async function* () {}),
+  };
+
+  const constructors = { eval: deny('eval') };
+
+  for (const name of Object.keys(prototypes)) {
+    constructors[name] = deny(name);
+    Object.defineProperty(constructors[name], 'prototype',
+        { value: prototypes[name], writable: false });
+    Object.defineProperty(prototypes[name], 'constructor',
+        { value: constructors[name], writable: false, configurable: false });
+  }
+
+  Object.defineProperty(Error, 'prepareStackTrace',
+      { value: undefined, writable: false, configurable: false });
+
+  return { constructors, prototypes };
+`;
+
+/**
+ * Creates the console of a sandboxed plugin, executed in the sandbox realm.
+ *
+ * Arguments are converted to strings before they are passed to the console of
+ * the HHM, which would otherwise only see proxies of them.
+ */
+const consoleSetup = `
+  const format = (value) => {
+    if (typeof value === 'function') {
+      return '[Function ' + value.name + ']';
+    } else if (typeof value !== 'object' || value === null) {
+      return value;
+    } else if (value instanceof Error) {
+      return value.stack;
+    }
+
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return String(value);
+    }
+  };
+
+  const sandboxConsole = {};
+
+  for (const name of Object.keys(hostConsole)) {
+    sandboxConsole[name] = (...args) => {
+      hostConsole[name](...args.map(format));
+    };
+  }
+
+  return sandboxConsole;
+`;
+
+/**
+ * Returns the prototypes of the different kinds of functions of the HHM.
+ *
+ * @returns {object.<string, object>} Prototypes by constructor name.
+ */
+function getHostFunctionPrototypes() {
+  return {
+    Function: Function.prototype,
+    AsyncFunction: Object.getPrototypeOf(async function() {}),
+    GeneratorFunction: Object.getPrototypeOf(function* () {}),
+    AsyncGeneratorFunction: Object.getPrototypeOf(async function* () {}),
+  };
+}
+
+/**
+ * Executes plugins in a separate realm.
+ *
+ * Each plugin gets a new realm from the platform adapter (a hidden same-origin
+ * iframe in the browser, a `vm` context in Node.js), whose global object is
+ * never exposed. Instead, the plugin is executed in strict mode with a global
+ * scope which only contains the standard ECMAScript globals of the realm, the
+ * arguments passed by the plugin loader (`HBInit`, `localStorage` and `HHM`)
+ * and the globals listed in the `sandboxGlobals` of the HHM configuration.
+ * Other global variables like `document` or `require` are `undefined`, and so
+ * are `parent` and `top` in the browser.
+ *
+ * All objects of the HHM, including the room, are passed through a
+ * {@link Membrane}, so the plugin cannot reach objects or prototypes of the
+ * HHM realm, and the `Function` constructors of both realms throw. The filter
+ * of the membrane decides which objects of the HHM a plugin can get, see
+ * {@link PluginLoader#_createSandboxFilter}.
+ *
+ * Plugins cannot use `eval`, `new Function()`, dynamic imports, or strings as
+ * callbacks for timers.
+ *
+ * @class PluginSandbox
+ */
+class PluginSandbox {
+  constructor() {
+    this._class = `PluginSandbox`;
+  }
+
+  /**
+   * Creates the globals of a sandboxed plugin which are taken from `window`,
+   * the global object of the platform.
+   *
+   * Functions are bound to `window`, since many of them throw when called on
+   * a different object. Timer functions only accept functions as callbacks and
+   * return a number.
+   *
+   * @function PluginSandbox#_createHostGlobals
+   * @private
+   * @param {Array.<string>} allowedGlobals Names of the globals.
+   * @returns {object.<string, *>} Globals by name.
+   */
+  _createHostGlobals(allowedGlobals) {
+    const globalScope = platform.get().global;
+    const globals = {};
+
+    for (let name of allowedGlobals) {
+      const value = globalScope[name];
+
+      if (typeof value !== `function`) {
+        globals[name] = value;
+      } else if (timerFunctions.includes(name)) {
+        globals[name] = (callback, ...args) => {
+          if (typeof callback !== `function`) {
+            throw new TypeError(`${name} only accepts functions in the plugin `
+                + `sandbox`);
+          }
+
+          // Timers in Node.js are objects which link to other timers
+          return Number(value.call(globalScope, callback, ...args));
+        };
+      } else {
+        globals[name] = value.bind(globalScope);
+      }
+    }
+
+    return globals;
+  }
+
+  /**
+   * Creates and prepares a new realm.
+   *
+   * @function PluginSandbox#_createRealm
+   * @private
+   * @returns {{global: object, Function: Function, intrinsics:
+   *  Array.<Array.<object>>}} Global object and `Function` constructor of the
+   *  realm, and pairs of standard objects of the HHM and the realm, see
+   *  {@link Membrane#constructor}.
+   */
+  _createRealm() {
+    const realmGlobal = platform.get().createRealm();
+    const RealmFunction = realmGlobal.Function;
+    const { constructors, prototypes } = RealmFunction(realmSetup)();
+
+    const hostPrototypes = getHostFunctionPrototypes();
+    const intrinsics = [[eval, constructors.eval]];
+
+    for (let name of Object.keys(hostPrototypes)) {
+      intrinsics.push([hostPrototypes[name], prototypes[name]],
+          [hostPrototypes[name].constructor, constructors[name]]);
+    }
+
+    for (let name of intrinsicGlobals) {
+      const value = globalThis[name];
+
+      if ((typeof value !== `object` && typeof value !== `function`)
+          || value === null) {
+        continue;
+      }
+
+      intrinsics.push([value, realmGlobal[name]]);
+
+      if (typeof value === `function` && typeof value.prototype === `object`) {
+        intrinsics.push([value.prototype, realmGlobal[name].prototype]);
+      }
+    }
+
+    return { global: realmGlobal, Function: RealmFunction, intrinsics,
+      constructors };
+  }
+
+  /**
+   * Executes the given plugin code in a new realm.
+   *
+   * Plugin code given as a `Function` is converted to a string first, so it
+   * must not rely on variables from the scope it was defined in.
+   *
+   * @function PluginSandbox#execute
+   * @param {(Function|string)} pluginCode Plugin code.
+   * @param {object.<string, *>} globals Globals passed to the plugin in
+   *  addition to the allowed globals, e.g. `HBInit`.
+   * @param {Array.<string>} [allowedGlobals] Names of the globals taken from
+   *  `window`, defaults to {@link PluginSandbox.defaultGlobals}.
+   * @param {function(*): *} [filter] Filter for the objects passed into the
+   *  sandbox, see {@link Membrane#filter}. It is also applied to the globals
+   *  whenever they are accessed.
+   * @returns {object} Global object of the realm, which can be passed to the
+   *  `destroyRealm` function of the platform adapter once the plugin was
+   *  removed.
+   * @throws {Error} Any error thrown by the plugin code, or a `SyntaxError` if
+   *  the plugin code contains a dynamic import.
+   */
+  execute(pluginCode, globals,
+          allowedGlobals = PluginSandbox.defaultGlobals, filter) {
+    const body = typeof pluginCode === `function`
+        ? `return (${pluginCode.toString()}).call(this, HBInit, window);`
+        : pluginCode;
+
+    if (importPattern.test(body)) {
+      throw new SyntaxError(`Dynamic imports are not available in the plugin `
+          + `sandbox`);
+    }
+
+    const realm = this._createRealm();
+    const membrane = new Membrane(realm.global,
+        { intrinsics: realm.intrinsics, filter });
+
+    const hostGlobals = Object.assign(this._createHostGlobals(
+        allowedGlobals.filter((name) => name !== `console`)), globals);
+    const realmGlobals = { Function: realm.constructors.Function,
+      eval: realm.constructors.eval };
+
+    for (let name of intrinsicGlobals) {
+      realmGlobals[name] = realm.global[name];
+    }
+
+    if (allowedGlobals.includes(`console`)) {
+      const hostConsole = platform.get().global.console;
+      const consoleFunctions = {};
+
+      for (let name of [`debug`, `error`, `info`, `log`, `warn`]) {
+        consoleFunctions[name] = hostConsole[name].bind(hostConsole);
+      }
+
+      realmGlobals.console = realm.Function(`hostConsole`, consoleSetup)(
+          membrane.toSandbox(consoleFunctions));
+    }
+
+    // Variables assigned by the plugin
+    const pluginGlobals = Reflect.construct(realm.global.Object, []);
+
+    const getGlobal = (name) => {
+      if (Object.prototype.hasOwnProperty.call(pluginGlobals, name)) {
+        return pluginGlobals[name];
+      } else if (Object.prototype.hasOwnProperty.call(hostGlobals, name)) {
+        return membrane.toSandbox(hostGlobals[name]);
+      } else if (Object.prototype.hasOwnProperty.call(realmGlobals, name)) {
+        return realmGlobals[name];
+      }
+
+      return undefined;
+    };
+
+    const globalHandler = {
+      get: (_, name) => getGlobal(name),
+      has: (_, name) => getGlobal(name) !== undefined
+          || Object.prototype.hasOwnProperty.call(pluginGlobals, name),
+      set: (_, name, value) => {
+        pluginGlobals[name] = value;
+        return true;
+      },
+    };
+
+    const globalObject = new Proxy(pluginGlobals, globalHandler);
+
+    realmGlobals.globalThis = realmGlobals.self = realmGlobals.window
+        = globalObject;
+
+    // Resolves all identifiers through the global object
+    const scope = new Proxy(pluginGlobals, Object.assign({}, globalHandler, {
+      get: (_, name) => name === Symbol.unscopables
+          ? undefined : getGlobal(name),
+      has: () => true,
+    }));
+
+    try {
+      // Makes sure the code cannot end the function it is wrapped in
+      realm.Function(`"use strict";\n${body}\n`);
+
+      const plugin = realm.Function(`scope`, `with (scope) { `
+          + `return function() { "use strict";\n${body}\n}; }`)(scope);
+
+      Reflect.apply(plugin, globalObject, []);
+    } catch (e) {
+      platform.get().destroyRealm(realm.global);
+      throw membrane.toHost(e);
+    }
+
+    return realm.global;
+  }
+}
+
+/**
+ * Globals available to sandboxed plugins if `HHM.config.sandboxGlobals` is
+ * not set.
+ *
+ * @memberOf PluginSandbox
+ */
+PluginSandbox.defaultGlobals = [`clearInterval`, `clearTimeout`, `console`,
+  `setInterval`, `setTimeout`];
+
+module.exports = PluginSandbox;
@@ -0,0 +1,976 @@
+/**
+ * Simulates the native headless API for offline plugin testing.
+ *
+ * The simulator provides an `HBInit` function returning a room object which
+ * implements the functions of the native
+ * {@link external:native-api.RoomObject} and calls its event handlers like the
+ * native room would. Player actions like joining, chatting or scoring goals
+ * are simulated by calling the corresponding functions of the simulator.
+ *
+ * Everything happens synchronously and without randomness: player IDs are
+ * assigned in join order, and the game only advances when
+ * {@link RoomSimulator#tick} is called. The only exception is the room link,
+ * which is sent asynchronously after the room was created, like by the native
+ * API.
+ *
+ * @example
+ * const simulator = new HHM.classes.RoomSimulator();
+ * await HHM.manager.start(simulator.HBInit);
+ *
+ * const player = simulator.addPlayer({ name: `Alice`, auth: `alice` });
+ * simulator.chat(player.id, `!help`);
+ * simulator.getMessages(player.id);
+ *
+ * @property {(external:native-api.RoomObject|undefined)} room Simulated room,
+ *  created by {@link RoomSimulator#HBInit}.
+ * @property {Array.<RoomSimulator~ChatMessage>} messages Chat messages and
+ *  announcements that reached the room, in the order they were sent.
+ *
+ * @class RoomSimulator
+ */
+class RoomSimulator {
+
+  /**
+   * Constructor.
+   *
+   * @function RoomSimulator#constructor
+   * @param {object} [options] Simulator options.
+   * @param {string} [options.roomLink] Room link sent to `onRoomLink`.
+   * @param {boolean} [options.autoLink] Whether to send the room link
+   *  automatically after the room was created, otherwise
+   *  {@link RoomSimulator#link} has to be called.
+   */
+  constructor({ roomLink = `https://www.haxball.com/play?c=simulated`,
+                autoLink = true } = {}) {
+    this._class = `RoomSimulator`;
+    this.roomLink = roomLink;
+    this.autoLink = autoLink;
+    this.room = undefined;
+
+    /**
+     * Creates the simulated room, replaces any previously created room.
+     *
+     * Like a closed native room, a replaced room has no players and ignores
+     * all calls.
+     *
+     * Bound to the simulator, so it can be used in place of the native
+     * `HBInit`, e.g. `global.HBInit = simulator.HBInit`.
+     *
+     * @function RoomSimulator#HBInit
+     * @param {external:native-api.RoomConfigObject} [roomConfig] Room
+     *  configuration.
+     * @returns {external:native-api.RoomObject} Simulated room.
+     */
+    this.HBInit = (roomConfig = {}) => this._createRoom(roomConfig);
+
+    this._reset({});
+  }
+
+  /**
+   * Creates the simulated room object.
+   *
+   * @function RoomSimulator#_createRoom
+   * @private
+   * @param {external:native-api.RoomConfigObject} roomConfig Room
+   *  configuration.
+   * @returns {external:native-api.RoomObject} Simulated room.
+   */
+  _createRoom(roomConfig) {
+    this._reset(roomConfig);
+
+    const room = {
+      sendChat: (message, targetId) => {
+        this._addMessage(0, message, targetId);
+      },
+      sendAnnouncement: (message, targetId) => {
+        this._addMessage(null, message, targetId);
+      },
+      setPlayerAdmin: (playerId, admin) => {
+        this._setPlayerAdmin(this.players.get(playerId), admin, null);
+      },
+      setPlayerTeam: (playerId, team) => {
+        this._setPlayerTeam(this.players.get(playerId), team, null);
+      },
+      kickPlayer: (playerId, reason, ban) => {
+        this._removePlayer(this.players.get(playerId), { reason, ban,
+          byPlayer: null });
+      },
+      clearBan: (playerId) => {
+        this.bans.delete(playerId);
+      },
+      clearBans: () => {
+        this.bans.clear();
+      },
+      setScoreLimit: (limit) => {
+        if (this.game === undefined) this.settings.scoreLimit = limit;
+      },
+      setTimeLimit: (limitInMinutes) => {
+        if (this.game === undefined) this.settings.timeLimit = limitInMinutes;
+      },
+      setCustomStadium: (stadiumFileContents) => {
+        let name = `Custom`;
+
+        try {
+          name = JSON.parse(stadiumFileContents).name || name;
+        } catch (e) {
+          // Stadium files may contain JSON5, keep the default name
+        }
+
+        this._setStadium(name, null);
+      },
+      setDefaultStadium: (stadiumName) => {
+        if (RoomSimulator.defaultStadiums.includes(stadiumName)) {
+          this._setStadium(stadiumName, null);
+        }
+      },
+      setTeamsLock: (locked) => {
+        this.settings.teamsLocked = locked;
+      },
+      setTeamColors: (team, angle, textColor, colors) => {
+        this.settings.teamColors[team] = { angle, textColor, colors };
+      },
+      startGame: () => this._startGame(null),
+      stopGame: () => this._stopGame(null),
+      pauseGame: (pauseState) => this._pauseGame(pauseState, null),
+      getPlayer: (playerId) => this.players.has(playerId)
+          ? this._getPlayerObject(this.players.get(playerId)) : null,
+      getPlayerList: () => [...this.players.values()]
+          .map((player) => this._getPlayerObject(player)),
+      getScores: () => this.game === undefined ? null : this._getScores(),
+      getBallPosition: () => this.game === undefined ? null
+          : { ...this.game.ball },
+      startRecording: () => {
+        this.recording = true;
+      },
+      stopRecording: () => {
+        const recording = this.recording ? new Uint8Array(0) : null;
+        this.recording = false;
+
+        return recording;
+      },
+      setPassword: (pass) => {
+        this.settings.password = pass;
+      },
+      setRequireRecaptcha: (required) => {
+        this.settings.requireRecaptcha = required;
+      },
+    };
+
+    for (let functionName of Object.getOwnPropertyNames(room)) {
+      const roomFunction = room[functionName];
+
+      room[functionName] = (...args) => {
+        if (this.room === room) {
+          return roomFunction(...args);
+        }
+
+        return functionName === `getPlayerList` ? [] : null;
+      };
+    }
+
+    this.room = room;
+
+    if (this.autoLink) {
+      setTimeout(() => this.link(), 0);
+    }
+
+    return this.room;
+  }
+
+  /**
+   * Adds a message to the chat log.
+   *
+   * @function RoomSimulator#_addMessage
+   * @private
+   * @param {(number|null)} playerId ID of the sender, `null` for
+   *  announcements.
+   * @param {string} message Message.
+   * @param {(number|undefined)} targetId ID of the recipient.
+   */
+  _addMessage(playerId, message, targetId) {
+    this.messages.push({ playerId, message,
+      targetId: targetId === undefined ? null : targetId });
+  }
+
+  /**
+   * Calls the given event handler of the room, if any.
+   *
+   * @function RoomSimulator#_emit
+   * @private
+   * @param {string} handlerName Event handler name.
+   * @param {...*} args Event handler arguments.
+   * @returns {*} Return value of the event handler.
+   */
+  _emit(handlerName, ...args) {
+    if (this.room !== undefined
+        && typeof this.room[handlerName] === `function`) {
+      return this.room[handlerName](...args);
+    }
+  }
+
+  /**
+   * Returns the kickoff position for players of the given team.
+   *
+   * @function RoomSimulator#_getKickoffPosition
+   * @private
+   * @param {number} team Team ID.
+   * @returns {(Object.<string, number>|null)} Position, `null` for
+   *  spectators.
+   */
+  _getKickoffPosition(team) {
+    const position = RoomSimulator.kickoffPositions[team];
+
+    return position === undefined ? null : { ...position };
+  }
+
+  /**
+   * Returns the player with the given ID, throws if it does not exist.
+   *
+   * @function RoomSimulator#_getPlayer
+   * @private
+   * @param {number} playerId Player ID.
+   * @returns {object} Internal player state.
+   * @throws {Error} If there is no player with the given ID.
+   */
+  _getPlayer(playerId) {
+    if (!this.players.has(playerId)) {
+      throw new Error(`No player with ID ${playerId} in the simulated room`);
+    }
+
+    return this.players.get(playerId);
+  }
+
+  /**
+   * Returns the player object passed to plugins for the given player.
+   *
+   * The `auth` and `conn` properties are only included for `onPlayerJoin`,
+   * like in the native API.
+   *
+   * @function RoomSimulator#_getPlayerObject
+   * @private
+   * @param {object} player Internal player state.
+   * @param {boolean} [withIdentity] Whether to include `auth` and `conn`.
+   * @returns {external:native-api.PlayerObject} Player object.
+   */
+  _getPlayerObject(player, withIdentity = false) {
+    const playerObject = {
+      id: player.id,
+      name: player.name,
+      team: player.team,
+      admin: player.admin,
+      position: this.game === undefined || player.position === null
+          ? null : { ...player.position },
+    };
+
+    if (withIdentity) {
+      playerObject.auth = player.auth;
+      playerObject.conn = player.conn;
+    }
+
+    return playerObject;
+  }
+
+  /**
+   * Returns the player object of the given player, or `null` if no player
+   * was given.
+   *
+   * @function RoomSimulator#_getByPlayerObject
+   * @private
+   * @param {(object|null)} byPlayer Internal player state or `null`.
+   * @returns {(external:native-api.PlayerObject|null)} Player object.
+   */
+  _getByPlayerObject(byPlayer) {
+    return byPlayer === null ? null : this._getPlayerObject(byPlayer);
+  }
+
+  /**
+   * Returns the current scores.
+   *
+   * @function RoomSimulator#_getScores
+   * @private
+   * @returns {external:native-api.ScoresObject} Scores.
+   */
+  _getScores() {
+    return {
+      red: this.game.red,
+      blue: this.game.blue,
+      time: this.game.time,
+      scoreLimit: this.settings.scoreLimit,
+      timeLimit: this.settings.timeLimit * 60,
+    };
+  }
+
+  /**
+   * Checks whether the given player may perform admin actions.
+   *
+   * @function RoomSimulator#_isAllowed
+   * @private
+   * @param {(object|null)} byPlayer Internal player state or `null` for the
+   *  room itself.
+   * @returns {boolean} Whether the player is an admin or `null` was given.
+   */
+  _isAllowed(byPlayer) {
+    return byPlayer === null || byPlayer.admin;
+  }
+
+  /**
+   * Returns whether the game is in overtime.
+   *
+   * @function RoomSimulator#_isOvertime
+   * @private
+   * @returns {boolean} Whether the time limit was reached with a tie.
+   */
+  _isOvertime() {
+    return this.settings.timeLimit > 0
+        && this.game.time >= this.settings.timeLimit * 60;
+  }
+
+  /**
+   * Pauses or unpauses the game.
+   *
+   * @function RoomSimulator#_pauseGame
+   * @private
+   * @param {boolean} pauseState Whether to pause the game.
+   * @param {(object|null)} byPlayer Player causing the change.
+   * @returns {boolean} Whether the pause state was changed.
+   */
+  _pauseGame(pauseState, byPlayer) {
+    if (this.game === undefined || this.game.paused === pauseState
+        || !this._isAllowed(byPlayer)) {
+      return false;
+    }
+
+    this.game.paused = pauseState;
+    this._emit(pauseState ? `onGamePause` : `onGameUnpause`,
+        this._getByPlayerObject(byPlayer));
+
+    return true;
+  }
+
+  /**
+   * Removes the given player from the room.
+   *
+   * @function RoomSimulator#_removePlayer
+   * @private
+   * @param {(object|undefined)} player Internal player state.
+   * @param {object} [kick] Kick information, if the player was kicked.
+   * @returns {boolean} Whether the player was removed.
+   */
+  _removePlayer(player, kick) {
+    if (player === undefined || player.id === 0) {
+      return false;
+    }
+
+    this.players.delete(player.id);
+
+    if (kick !== undefined && kick.ban) {
+      this.bans.set(player.id, { auth: player.auth, conn: player.conn });
+    }
+
+    const playerObject = this._getPlayerObject(player);
+
+    this._emit(`onPlayerLeave`, playerObject);
+
+    if (kick !== undefined) {
+      this._emit(`onPlayerKicked`, playerObject, kick.reason || ``,
+          kick.ban === true, this._getByPlayerObject(kick.byPlayer));
+    }
+
+    return true;
+  }
+
+  /**
+   * Resets the simulator state.
+   *
+   * @function RoomSimulator#_reset
+   * @private
+   * @param {external:native-api.RoomConfigObject} roomConfig Room
+   *  configuration.
+   */
+  _reset(roomConfig) {
+    this.roomConfig = roomConfig;
+    this.players = new Map();
+    this.nextPlayerId = 1;
+    this.bans = new Map();
+    this.messages = [];
+    this.game = undefined;
+    this.recording = false;
+    this.settings = {
+      password: roomConfig.password || null,
+      requireRecaptcha: false,
+      scoreLimit: 3,
+      stadium: `Classic`,
+      teamColors: {},
+      teamsLocked: false,
+      timeLimit: 3,
+    };
+
+    if (roomConfig.noPlayer !== true) {
+      this.players.set(0, { id: 0, name: roomConfig.playerName || `Host`,
+        team: 0, admin: true, auth: null, conn: null, position: null });
+    }
+  }
+
+  /**
+   * Moves the players of both teams to their kickoff positions and the ball
+   * to the center.
+   *
+   * @function RoomSimulator#_resetPositions
+   * @private
+   */
+  _resetPositions() {
+    for (let player of this.players.values()) {
+      player.position = this._getKickoffPosition(player.team);
+    }
+
+    this.game.ball = { x: 0, y: 0 };
+  }
+
+  /**
+   * Changes the admin status of the given player.
+   *
+   * @function RoomSimulator#_setPlayerAdmin
+   * @private
+   * @param {(object|undefined)} player Internal player state.
+   * @param {boolean} admin Admin status.
+   * @param {(object|null)} byPlayer Player causing the change.
+   * @returns {boolean} Whether the admin status was changed.
+   */
+  _setPlayerAdmin(player, admin, byPlayer) {
+    if (player === undefined || player.admin === admin
+        || !this._isAllowed(byPlayer)) {
+      return false;
+    }
+
+    player.admin = admin;
+    this._emit(`onPlayerAdminChange`, this._getPlayerObject(player),
+        this._getByPlayerObject(byPlayer));
+
+    return true;
+  }
+
+  /**
+   * Moves the given player to the given team.
+   *
+   * Players can move themselves unless teams are locked, other players can
+   * only be moved by admins.
+   *
+   * @function RoomSimulator#_setPlayerTeam
+   * @private
+   * @param {(object|undefined)} player Internal player state.
+   * @param {number} team Team ID.
+   * @param {(object|null)} byPlayer Player causing the change.
+   * @returns {boolean} Whether the team was changed.
+   */
+  _setPlayerTeam(player, team, byPlayer) {
+    if (player === undefined || player.team === team
+        || !RoomSimulator.teams.includes(team)) {
+      return false;
+    }
+
+    if (!this._isAllowed(byPlayer)
+        && (byPlayer !== player || this.settings.teamsLocked)) {
+      return false;
+    }
+
+    player.team = team;
+    player.position = this._getKickoffPosition(team);
+    this._emit(`onPlayerTeamChange`, this._getPlayerObject(player),
+        this._getByPlayerObject(byPlayer));
+
+    return true;
+  }
+
+  /**
+   * Changes the stadium if no game is in progress.
+   *
+   * @function RoomSimulator#_setStadium
+   * @private
+   * @param {string} stadiumName Stadium name.
+   * @param {(object|null)} byPlayer Player causing the change.
+   * @returns {boolean} Whether the stadium was changed.
+   */
+  _setStadium(stadiumName, byPlayer) {
+    if (this.game !== undefined) {
+      return false;
+    }
+
+    this.settings.stadium = stadiumName;
+    this._emit(`onStadiumChange`, stadiumName,
+        this._getByPlayerObject(byPlayer));
+
+    return true;
+  }
+
+  /**
+   * Starts the game if no game is in progress.
+   *
+   * @function RoomSimulator#_startGame
+   * @private
+   * @param {(object|null)} byPlayer Player causing the change.
+   * @returns {boolean} Whether the game was started.
+   */
+  _startGame(byPlayer) {
+    if (this.game !== undefined || !this._isAllowed(byPlayer)) {
+      return false;
+    }
+
+    this.game = { red: 0, blue: 0, time: 0, ticks: 0, paused: false };
+    this._resetPositions();
+    this._emit(`onGameStart`, this._getByPlayerObject(byPlayer));
+
+    return true;
+  }
+
+  /**
+   * Stops the game if a game is in progress.
+   *
+   * @function RoomSimulator#_stopGame
+   * @private
+   * @param {(object|null)} byPlayer Player causing the change.
+   * @returns {boolean} Whether the game was stopped.
+   */
+  _stopGame(byPlayer) {
+    if (this.game === undefined || !this._isAllowed(byPlayer)) {
+      return false;
+    }
+
+    this.game = undefined;
+
+    for (let player of this.players.values()) {
+      player.position = null;
+    }
+
+    this._emit(`onGameStop`, this._getByPlayerObject(byPlayer));
+
+    return true;
+  }
+
+  /**
+   * Ends the game with a victory of the leading team.
+   *
+   * @function RoomSimulator#_winGame
+   * @private
+   */
+  _winGame() {
+    this._emit(`onTeamVictory`, this._getScores());
+    this._stopGame(null);
+  }
+
+  /**
+   * Simulates a player joining the room.
+   *
+   * @function RoomSimulator#addPlayer
+   * @param {object} [player] Player information.
+   * @param {string} [player.name] Player name, defaults to `Player <id>`.
+   * @param {string} [player.auth] Public ID of the player.
+   * @param {string} [player.conn] Connection ID of the player.
+   * @returns {(external:native-api.PlayerObject|null)} The player which
+   *  joined, or `null` if the player is banned.
+   */
+  addPlayer({ name, auth = null, conn = null } = {}) {
+    for (let ban of this.bans.values()) {
+      if ((auth !== null && ban.auth === auth)
+          || (conn !== null && ban.conn === conn)) {
+        return null;
+      }
+    }
+
+    const id = this.nextPlayerId++;
+    const player = { id, name: name || `Player ${id}`, team: 0, admin: false,
+      auth, conn, position: null };
+
+    this.players.set(id, player);
+    this._emit(`onPlayerJoin`, this._getPlayerObject(player, true));
+
+    return this._getPlayerObject(player);
+  }
+
+  /**
+   * Simulates a chat message sent by a player.
+   *
+   * @function RoomSimulator#chat
+   * @param {number} playerId ID of the sending player.
+   * @param {string} message Chat message.
+   * @returns {boolean} Whether the message reached the room, i.e. was not
+   *  filtered by `onPlayerChat`.
+   * @throws {Error} If the player does not exist.
+   */
+  chat(playerId, message) {
+    const player = this._getPlayer(playerId);
+
+    if (this._emit(`onPlayerChat`, this._getPlayerObject(player), message)
+        === false) {
+      return false;
+    }
+
+    this._addMessage(playerId, message);
+
+    return true;
+  }
+
+  /**
+   * Returns the chat messages which were visible to the given player.
+   *
+   * @function RoomSimulator#getMessages
+   * @param {number} [playerId] Player ID, all messages are returned if not
+   *  given.
+   * @returns {Array.<RoomSimulator~ChatMessage>} Messages.
+   */
+  getMessages(playerId) {
+    return playerId === undefined ? [...this.messages]
+        : this.messages.filter(({ targetId }) => targetId === null
+            || targetId === playerId);
+  }
+
+  /**
+   * Simulates a player kicking the ball.
+   *
+   * @function RoomSimulator#kickBall
+   * @param {number} playerId ID of the kicking player.
+   * @throws {Error} If the player does not exist.
+   */
+  kickBall(playerId) {
+    const player = this._getPlayer(playerId);
+
+    if (this.game !== undefined && player.team !== 0) {
+      this._emit(`onPlayerBallKick`, this._getPlayerObject(player));
+    }
+  }
+
+  /**
+   * Simulates a player kicking another player.
+   *
+   * @function RoomSimulator#kickPlayer
+   * @param {number} playerId ID of the player to be kicked.
+   * @param {string} reason Kick reason.
+   * @param {boolean} ban Whether to ban the player.
+   * @param {number} byPlayerId ID of the kicking admin.
+   * @returns {boolean} Whether the player was kicked.
+   * @throws {Error} If one of the players does not exist.
+   */
+  kickPlayer(playerId, reason, ban, byPlayerId) {
+    const byPlayer = this._getPlayer(byPlayerId);
+
+    return this._isAllowed(byPlayer) && this._removePlayer(
+        this._getPlayer(playerId), { reason, ban, byPlayer });
+  }
+
+  /**
+   * Sends the room link to `onRoomLink`.
+   *
+   * @function RoomSimulator#link
+   * @param {string} [roomLink] Room link, defaults to the configured link.
+   */
+  link(roomLink = this.roomLink) {
+    this._emit(`onRoomLink`, roomLink);
+  }
+
+  /**
+   * Simulates the ball moving to the given position.
+   *
+   * @function RoomSimulator#moveBall
+   * @param {number} x X coordinate.
+   * @param {number} y Y coordinate.
+   */
+  moveBall(x, y) {
+    if (this.game !== undefined) {
+      this.game.ball = { x, y };
+    }
+  }
+
+  /**
+   * Simulates a player moving to the given position.
+   *
+   * @function RoomSimulator#movePlayer
+   * @param {number} playerId Player ID.
+   * @param {number} x X coordinate.
+   * @param {number} y Y coordinate.
+   * @throws {Error} If the player does not exist.
+   */
+  movePlayer(playerId, x, y) {
+    const player = this._getPlayer(playerId);
+
+    if (this.game !== undefined && player.team !== 0) {
+      player.position = { x, y };
+      this._emit(`onPlayerActivity`, this._getPlayerObject(player));
+    }
+  }
+
+  /**
+   * Simulates a player pausing or unpausing the game.
+   *
+   * @function RoomSimulator#pauseGame
+   * @param {boolean} pauseState Whether to pause the game.
+   * @param {number} byPlayerId ID of the admin.
+   * @returns {boolean} Whether the pause state was changed.
+   * @throws {Error} If the player does not exist.
+   */
+  pauseGame(pauseState, byPlayerId) {
+    return this._pauseGame(pauseState, this._getPlayer(byPlayerId));
+  }
+
+  /**
+   * Simulates activity of a player, e.g. a key press.
+   *
+   * @function RoomSimulator#playerActivity
+   * @param {number} playerId Player ID.
+   * @throws {Error} If the player does not exist.
+   */
+  playerActivity(playerId) {
+    this._emit(`onPlayerActivity`,
+        this._getPlayerObject(this._getPlayer(playerId)));
+  }
+
+  /**
+   * Simulates a player leaving the room.
+   *
+   * @function RoomSimulator#removePlayer
+   * @param {number} playerId Player ID.
+   * @returns {boolean} Whether the player left.
+   * @throws {Error} If the player does not exist.
+   */
+  removePlayer(playerId) {
+    return this._removePlayer(this._getPlayer(playerId));
+  }
+
+  /**
+   * Calls the given event handler with recorded arguments, after applying
+   * the state change described by the event.
+   *
+   * Unlike the other simulation functions, no checks are made and no further
+   * events are triggered, since the event already happened in the recorded
+   * room. Used by {@link EventReplayer}.
+   *
+   * @function RoomSimulator#replayEvent
+   * @param {string} handlerName Native event handler name.
+   * @param {Array.<*>} [args] Recorded event arguments.
+   * @returns {*} Return value of the event handler.
+   */
+  replayEvent(handlerName, args = []) {
+    const [subject] = args;
+    const player = subject !== null && typeof subject === `object`
+        ? this.players.get(subject.id) : undefined;
+
+    switch (handlerName) {
+      case `onPlayerJoin`:
+        this.players.set(subject.id, { id: subject.id, name: subject.name,
+          team: 0, admin: false, auth: subject.auth, conn: subject.conn,
+          position: null });
+        this.nextPlayerId = Math.max(this.nextPlayerId, subject.id + 1);
+        break;
+      case `onPlayerLeave`:
+        this.players.delete(subject.id);
+        break;
+      case `onPlayerAdminChange`:
+        if (player !== undefined) player.admin = subject.admin;
+        break;
+      case `onPlayerTeamChange`:
+        if (player !== undefined) {
+          player.team = subject.team;
+          player.position = this.game === undefined ? null
+              : this._getKickoffPosition(subject.team);
+        }
+        break;
+      case `onGameStart`:
+        this.game = { red: 0, blue: 0, time: 0, ticks: 0, paused: false };
+        this._resetPositions();
+        break;
+      case `onGameStop`:
+        this.game = undefined;
+
+        for (let roomPlayer of this.players.values()) {
+          roomPlayer.position = null;
+        }
+        break;
+      case `onGamePause`:
+      case `onGameUnpause`:
+        if (this.game !== undefined) {
+          this.game.paused = handlerName === `onGamePause`;
+        }
+        break;
+      case `onGameTick`:
+        if (this.game !== undefined) {
+          this.game.time = ++this.game.ticks / 60;
+        }
+        break;
+      case `onPositionsReset`:
+        if (this.game !== undefined) this._resetPositions();
+        break;
+      case `onStadiumChange`:
+        this.settings.stadium = subject;
+        break;
+      case `onTeamGoal`:
+        if (this.game !== undefined) {
+          this.game[subject === 1 ? `red` : `blue`]++;
+        }
+        break;
+      case `onTeamsLockChange`:
+        this.settings.teamsLocked = subject;
+        break;
+    }
+
+    const returnValue = this._emit(handlerName, ...args);
+
+    if (handlerName === `onPlayerChat` && returnValue !== false) {
+      this._addMessage(subject.id, args[1]);
+    }
+
+    return returnValue;
+  }
+
+  /**
+   * Simulates a goal.
+   *
+   * Calls `onTeamGoal`, followed by `onTeamVictory` and `onGameStop` if the
+   * score limit was reached or the game was in overtime, or
+   * `onPositionsReset` otherwise.
+   *
+   * @function RoomSimulator#scoreGoal
+   * @param {number} team ID of the scoring team.
+   * @returns {boolean} Whether the goal was scored, `false` if no game is in
+   *  progress or the game is paused.
+   */
+  scoreGoal(team) {
+    if (this.game === undefined || this.game.paused
+        || (team !== 1 && team !== 2)) {
+      return false;
+    }
+
+    this.game[team === 1 ? `red` : `blue`]++;
+    this._emit(`onTeamGoal`, team);
+
+    const score = this.game[team === 1 ? `red` : `blue`];
+
+    if (this._isOvertime() || (this.settings.scoreLimit > 0
+        && score >= this.settings.scoreLimit)) {
+      this._winGame();
+    } else {
+      this._resetPositions();
+      this._emit(`onPositionsReset`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Simulates an admin changing the admin status of a player.
+   *
+   * @function RoomSimulator#setPlayerAdmin
+   * @param {number} playerId ID of the player.
+   * @param {boolean} admin Admin status.
+   * @param {number} byPlayerId ID of the admin.
+   * @returns {boolean} Whether the admin status was changed.
+   * @throws {Error} If one of the players does not exist.
+   */
+  setPlayerAdmin(playerId, admin, byPlayerId) {
+    return this._setPlayerAdmin(this._getPlayer(playerId), admin,
+        this._getPlayer(byPlayerId));
+  }
+
+  /**
+   * Simulates a team change by a player.
+   *
+   * @function RoomSimulator#setPlayerTeam
+   * @param {number} playerId ID of the player.
+   * @param {number} team ID of the new team.
+   * @param {number} [byPlayerId] ID of the player causing the change,
+   *  defaults to the player itself.
+   * @returns {boolean} Whether the team was changed.
+   * @throws {Error} If one of the players does not exist.
+   */
+  setPlayerTeam(playerId, team, byPlayerId = playerId) {
+    return this._setPlayerTeam(this._getPlayer(playerId), team,
+        this._getPlayer(byPlayerId));
+  }
+
+  /**
+   * Simulates a player starting the game.
+   *
+   * @function RoomSimulator#startGame
+   * @param {number} byPlayerId ID of the admin.
+   * @returns {boolean} Whether the game was started.
+   * @throws {Error} If the player does not exist.
+   */
+  startGame(byPlayerId) {
+    return this._startGame(this._getPlayer(byPlayerId));
+  }
+
+  /**
+   * Simulates a player stopping the game.
+   *
+   * @function RoomSimulator#stopGame
+   * @param {number} byPlayerId ID of the admin.
+   * @returns {boolean} Whether the game was stopped.
+   * @throws {Error} If the player does not exist.
+   */
+  stopGame(byPlayerId) {
+    return this._stopGame(this._getPlayer(byPlayerId));
+  }
+
+  /**
+   * Advances the game by the given number of ticks, 60 ticks being one second.
+   *
+   * Calls `onGameTick` for each tick. Ends the game with a victory if the time
+   * limit is reached and one team is leading.
+   *
+   * @function RoomSimulator#tick
+   * @param {number} [count] Number of ticks.
+   * @returns {number} Number of ticks that were simulated, ticks are not
+   *  simulated if no game is in progress or the game is paused.
+   */
+  tick(count = 1) {
+    let ticks = 0;
+
+    while (ticks < count && this.game !== undefined && !this.game.paused) {
+      this.game.time = ++this.game.ticks / 60;
+      ticks++;
+      this._emit(`onGameTick`);
+
+      if (this.game !== undefined && this._isOvertime()
+          && this.game.red !== this.game.blue) {
+        this._winGame();
+      }
+    }
+
+    return ticks;
+  }
+}
+
+/**
+ * Team IDs.
+ *
+ * @memberOf RoomSimulator
+ */
+RoomSimulator.teams = [0, 1, 2];
+
+/**
+ * Names of the default stadiums.
+ *
+ * @memberOf RoomSimulator
+ */
+RoomSimulator.defaultStadiums = [`Classic`, `Easy`, `Small`, `Big`,
+  `Rounded`, `Hockey`, `BigHockey`, `BigEasy`, `BigRounded`, `Huge`];
+
+/**
+ * Kickoff positions of the players of each team.
+ *
+ * @memberOf RoomSimulator
+ */
+RoomSimulator.kickoffPositions = {
+  1: { x: -100, y: 0 },
+  2: { x: 100, y: 0 },
+};
+
+module.exports = RoomSimulator;
+
+/**
+ * Chat message recorded by the simulator.
+ *
+ * @typedef {object} RoomSimulator~ChatMessage
+ * @property {(number|null)} playerId ID of the sender, `0` for messages sent
+ *  by the room using `sendChat`, `null` for announcements.
+ * @property {string} message Message.
+ * @property {(number|null)} targetId ID of the recipient, `null` if the
+ *  message was sent to all players.
+ */
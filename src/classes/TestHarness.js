@@ -0,0 +1,487 @@
+const HarnessAssertionError = require(`./HarnessAssertionError`);
+const RoomSimulator = require(`./RoomSimulator`);
+const deepEqual = require(`deep-equal`);
+
+/**
+ * Event handlers recorded by default, `onGameTick` is left out since hooks are
+ * not executed for it.
+ */
+const recordedHandlerNames = [`onGamePause`, `onGameStart`, `onGameStop`,
+  `onGameUnpause`, `onPlayerActivity`, `onPlayerAdminChange`,
+  `onPlayerBallKick`, `onPlayerChat`, `onPlayerJoin`, `onPlayerKicked`,
+  `onPlayerLeave`, `onPlayerTeamChange`, `onPositionsReset`,
+  `onStadiumChange`, `onTeamGoal`, `onTeamVictory`];
+
+/**
+ * Drives a plugin manager through scripted scenarios against a
+ * {@link RoomSimulator}.
+ *
+ * The harness creates its own plugin manager for the given configuration and
+ * loads the plugin `hhm/test-harness`, which records the
+ * {@link EventHandlerExecutionMetadata} of all room events using post-event
+ * hooks. Scenarios are written using the action functions like
+ * {@link TestHarness#join} or {@link TestHarness#chat}, and
+ * checked using the `expect*` functions, which throw a
+ * {@link HarnessAssertionError} if the expectation is not met.
+ *
+ * Recorded messages and events are kept until
+ * {@link TestHarness#clear} is called, so expectations cover
+ * everything that happened since the start or the last call to `clear()`.
+ *
+ * @example
+ * const harness = new HHM.classes.TestHarness({ config: {
+ *   repositories: [{ type: `github`, repository: `saviola777/hhm-plugins` }],
+ *   plugins: { 'sav/roles': { roles: { host: `pw` } } },
+ * } });
+ * await harness.start();
+ *
+ * const alice = harness.join(`alice`, { auth: `alice-auth` });
+ * harness.chat(alice, `!auth host pw`);
+ * harness.expectAdminChange(alice, true);
+ * harness.expectReturnValue(`onPlayerChat`, false);
+ *
+ * @class TestHarness
+ * @property {PluginManager} manager Plugin manager under test.
+ * @property {RoomSimulator} simulator Simulator providing the room.
+ * @property {Array.<TestHarness~RecordedEvent>} events Recorded
+ *  events.
+ */
+class TestHarness {
+
+  /**
+   * Constructor.
+   *
+   * @function TestHarness#constructor
+   * @param {object} [options] Harness options.
+   * @param {object} [options.config] HHM configuration for the plugin
+   *  manager, see {@link module:src/manager.createManager}.
+   * @param {string} [options.name] Name of the plugin manager.
+   * @param {PluginManager} [options.manager] Existing plugin manager which
+   *  has not been started yet, used instead of creating one.
+   * @param {RoomSimulator} [options.simulator] Existing simulator.
+   * @param {Array.<string>} [options.observe] Names of additional events to
+   *  record, e.g. custom events triggered by plugins.
+   */
+  constructor({ config = {}, name = `test harness`, manager,
+                simulator = new RoomSimulator(), observe = [] } = {}) {
+    this._class = `TestHarness`;
+    this.manager = manager !== undefined ? manager
+        : require(`../manager`).createManager({ config, name });
+    this.simulator = simulator;
+    this.events = [];
+    this.handlerNames = [...recordedHandlerNames, ...observe];
+    this.recorderRoom = undefined;
+  }
+
+  /**
+   * Returns the ID of the given player.
+   *
+   * @function TestHarness#_getPlayerId
+   * @private
+   * @param {(external:native-api.PlayerObject|number)} player Player object
+   *  or ID.
+   * @returns {number} Player ID.
+   */
+  _getPlayerId(player) {
+    return typeof player === `number` ? player : player.id;
+  }
+
+  /**
+   * Throws an assertion error if the given condition is not met.
+   *
+   * @function TestHarness#_assert
+   * @private
+   * @param {boolean} condition Condition.
+   * @param {string} message Error message.
+   * @param {*} [actual] Actual value.
+   * @throws {HarnessAssertionError} If the condition is not met.
+   */
+  _assert(condition, message, actual) {
+    if (!condition) {
+      throw new HarnessAssertionError(message, actual);
+    }
+  }
+
+  /**
+   * Checks whether the given text matches the given pattern.
+   *
+   * @function TestHarness#_matches
+   * @private
+   * @param {string} text Text.
+   * @param {(string|RegExp)} pattern Substring or regular expression.
+   * @returns {boolean} Whether the text matches.
+   */
+  _matches(text, pattern) {
+    return pattern instanceof RegExp ? pattern.test(text)
+        : String(text).includes(pattern);
+  }
+
+  /**
+   * Records the given event.
+   *
+   * @function TestHarness#_recordEvent
+   * @private
+   * @param {EventHandlerExecutionMetadata} metadata Event metadata.
+   */
+  _recordEvent(metadata) {
+    this.events.push({ handlerName: metadata.handlerName,
+      args: metadata.args, metadata });
+  }
+
+  /**
+   * Advances the game by the given number of ticks.
+   *
+   * @function TestHarness#advanceTicks
+   * @param {number} count Number of ticks, 60 ticks being one second.
+   * @returns {number} Number of simulated ticks.
+   * @see RoomSimulator#tick
+   */
+  advanceTicks(count) {
+    return this.simulator.tick(count);
+  }
+
+  /**
+   * Sends a chat message as the given player.
+   *
+   * @function TestHarness#chat
+   * @param {(external:native-api.PlayerObject|number)} player Player.
+   * @param {string} message Message.
+   * @returns {boolean} Whether the message reached the room.
+   */
+  chat(player, message) {
+    return this.simulator.chat(this._getPlayerId(player), message);
+  }
+
+  /**
+   * Clears the recorded events and messages.
+   *
+   * @function TestHarness#clear
+   */
+  clear() {
+    this.events = [];
+    this.simulator.messages = [];
+  }
+
+  /**
+   * Expects the given player to have been made admin or to have lost admin
+   * status.
+   *
+   * @function TestHarness#expectAdminChange
+   * @param {(external:native-api.PlayerObject|number)} player Player.
+   * @param {boolean} [admin] Expected admin status.
+   * @returns {TestHarness~RecordedEvent} Matching event.
+   * @throws {HarnessAssertionError} If no matching event was recorded.
+   */
+  expectAdminChange(player, admin = true) {
+    const playerId = this._getPlayerId(player);
+    const event = this.getEvents(`onPlayerAdminChange`).find(({ args }) =>
+        args[0].id === playerId && args[0].admin === admin);
+
+    this._assert(event !== undefined, `Expected admin status of player `
+        + `${playerId} to change to ${admin}`);
+
+    return event;
+  }
+
+  /**
+   * Expects the given player to have been kicked.
+   *
+   * @function TestHarness#expectKick
+   * @param {(external:native-api.PlayerObject|number)} player Player.
+   * @param {object} [expected] Expected kick details.
+   * @param {(string|RegExp)} [expected.reason] Expected reason.
+   * @param {boolean} [expected.ban] Whether a ban is expected.
+   * @returns {TestHarness~RecordedEvent} Matching event.
+   * @throws {HarnessAssertionError} If no matching event was recorded.
+   */
+  expectKick(player, { reason, ban } = {}) {
+    const playerId = this._getPlayerId(player);
+    const event = this.getEvents(`onPlayerKicked`).find(({ args }) =>
+        args[0].id === playerId
+        && (reason === undefined || this._matches(args[1], reason))
+        && (ban === undefined || args[2] === ban));
+
+    this._assert(event !== undefined, `Expected player ${playerId} to be `
+        + (ban ? `banned` : `kicked`)
+        + (reason === undefined ? `` : ` with reason ${reason}`));
+
+    return event;
+  }
+
+  /**
+   * Expects a chat message or announcement matching the given pattern.
+   *
+   * @function TestHarness#expectMessage
+   * @param {(string|RegExp)} pattern Substring or regular expression.
+   * @param {object} [filter] Message filter, see
+   *  {@link TestHarness#getMessages}.
+   * @returns {RoomSimulator~ChatMessage} Matching message.
+   * @throws {HarnessAssertionError} If no matching message was sent.
+   */
+  expectMessage(pattern, filter = {}) {
+    const messages = this.getMessages(filter);
+    const message = messages.find(({ message }) =>
+        this._matches(message, pattern));
+
+    this._assert(message !== undefined, `Expected a message matching `
+        + `${pattern}`, messages.map(({ message }) => message));
+
+    return message;
+  }
+
+  /**
+   * Expects no chat message or announcement matching the given pattern.
+   *
+   * @function TestHarness#expectNoMessage
+   * @param {(string|RegExp)} pattern Substring or regular expression.
+   * @param {object} [filter] Message filter, see
+   *  {@link TestHarness#getMessages}.
+   * @throws {HarnessAssertionError} If a matching message was sent.
+   */
+  expectNoMessage(pattern, filter = {}) {
+    const message = this.getMessages(filter).find(({ message }) =>
+        this._matches(message, pattern));
+
+    this._assert(message === undefined, `Expected no message matching `
+        + `${pattern}`, message);
+  }
+
+  /**
+   * Expects the most recent event with the given name to have the given
+   * return value.
+   *
+   * Without a plugin name, the overall return value of the event is checked,
+   * which is `false` if any handler returned `false`.
+   *
+   * @function TestHarness#expectReturnValue
+   * @param {string} handlerName Event handler name.
+   * @param {*} expected Expected return value, compared using deep equality.
+   * @param {object} [options] Options.
+   * @param {string} [options.pluginName] Name of the plugin whose handler or
+   *  hook return value is checked.
+   * @param {*} [options.id] ID of the handler or hook, defaults to the
+   *  handler name, i.e. the event handler of the plugin.
+   * @returns {EventHandlerExecutionMetadata} Event metadata.
+   * @throws {HarnessAssertionError} If no event was recorded or the
+   *  return value does not match.
+   * @see EventHandlerExecutionMetadata#getReturnValue
+   */
+  expectReturnValue(handlerName, expected, { pluginName,
+                                             id = handlerName } = {}) {
+    const metadata = this.getEventMetadata(handlerName);
+
+    this._assert(metadata !== undefined, `Expected a ${handlerName} event`);
+
+    const actual = pluginName === undefined ? metadata.getReturnValue()
+        : (metadata.handlerReturnValues.get(pluginName) || new Map()).get(id);
+
+    this._assert(deepEqual(actual, expected, { strict: true }),
+        `Expected ${handlerName} to return ${JSON.stringify(expected)}`
+        + (pluginName === undefined ? `` : ` for plugin ${pluginName}`),
+        actual);
+
+    return metadata;
+  }
+
+  /**
+   * Waits until pending timeouts and promises of plugins have been processed.
+   *
+   * @function TestHarness#flush
+   * @async
+   * @returns {Promise} Resolved in the next macrotask.
+   */
+  async flush() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Returns the metadata of the most recent event with the given name.
+   *
+   * @function TestHarness#getEventMetadata
+   * @param {string} handlerName Event handler name.
+   * @returns {(EventHandlerExecutionMetadata|undefined)} Event metadata or
+   *  `undefined` if no such event was recorded.
+   */
+  getEventMetadata(handlerName) {
+    const events = this.getEvents(handlerName);
+
+    return events.length === 0 ? undefined
+        : events[events.length - 1].metadata;
+  }
+
+  /**
+   * Returns the recorded events.
+   *
+   * @function TestHarness#getEvents
+   * @param {string} [handlerName] Event handler name, all events are returned
+   *  if not given.
+   * @returns {Array.<TestHarness~RecordedEvent>} Recorded events.
+   */
+  getEvents(handlerName) {
+    return handlerName === undefined ? [...this.events]
+        : this.events.filter((event) => event.handlerName === handlerName);
+  }
+
+  /**
+   * Returns the chat messages and announcements matching the given filter.
+   *
+   * @function TestHarness#getMessages
+   * @param {object} [filter] Message filter.
+   * @param {(external:native-api.PlayerObject|number)} [filter.to] Only
+   *  messages visible to this player.
+   * @param {(external:native-api.PlayerObject|number|null)} [filter.from]
+   *  Only messages sent by this player, `0` for messages of the room and
+   *  `null` for announcements.
+   * @returns {Array.<RoomSimulator~ChatMessage>} Messages.
+   */
+  getMessages({ to, from } = {}) {
+    const messages = this.simulator.getMessages(
+        to === undefined ? undefined : this._getPlayerId(to));
+
+    return from === undefined ? messages : messages.filter(({ playerId }) =>
+        playerId === (from === null ? null : this._getPlayerId(from)));
+  }
+
+  /**
+   * Simulates a player joining the room.
+   *
+   * @function TestHarness#join
+   * @param {string} name Player name.
+   * @param {object} [identity] Player identity.
+   * @param {string} [identity.auth] Public ID of the player.
+   * @param {string} [identity.conn] Connection ID of the player.
+   * @returns {(external:native-api.PlayerObject|null)} Joined player or
+   *  `null` if the player is banned.
+   */
+  join(name, { auth, conn } = {}) {
+    return this.simulator.addPlayer({ name, auth, conn });
+  }
+
+  /**
+   * Simulates a player leaving the room.
+   *
+   * @function TestHarness#leave
+   * @param {(external:native-api.PlayerObject|number)} player Player.
+   * @returns {boolean} Whether the player left.
+   */
+  leave(player) {
+    return this.simulator.removePlayer(this._getPlayerId(player));
+  }
+
+  /**
+   * Records the given events in addition to the default room events.
+   *
+   * @function TestHarness#observe
+   * @param {(string|Array.<string>)} handlerNames Event handler names.
+   * @returns {TestHarness} The harness.
+   */
+  observe(handlerNames) {
+    handlerNames = [].concat(handlerNames);
+    this.handlerNames.push(...handlerNames);
+
+    if (this.recorderRoom !== undefined) {
+      this.recorderRoom.addPostEventHook(handlerNames,
+          ({ metadata }) => this._recordEvent(metadata), `hhm/test-harness`);
+    }
+
+    return this;
+  }
+
+  /**
+   * Simulates a goal.
+   *
+   * @function TestHarness#scoreGoal
+   * @param {number} team ID of the scoring team.
+   * @returns {boolean} Whether the goal was scored.
+   * @see RoomSimulator#scoreGoal
+   */
+  scoreGoal(team) {
+    return this.simulator.scoreGoal(team);
+  }
+
+  /**
+   * Moves the given player to the given team.
+   *
+   * @function TestHarness#setTeam
+   * @param {(external:native-api.PlayerObject|number)} player Player.
+   * @param {number} team Team ID.
+   * @param {(external:native-api.PlayerObject|number)} [byPlayer] Player
+   *  causing the change, defaults to the host.
+   * @returns {boolean} Whether the team was changed.
+   */
+  setTeam(player, team, byPlayer = 0) {
+    return this.simulator.setPlayerTeam(this._getPlayerId(player), team,
+        this._getPlayerId(byPlayer));
+  }
+
+  /**
+   * Starts the plugin manager against the simulated room and loads the
+   * recorder plugin.
+   *
+   * @function TestHarness#start
+   * @async
+   * @returns {Promise.<TestHarness>} The harness.
+   * @throws {Error} If the recorder plugin could not be loaded.
+   */
+  async start() {
+    await this.manager.start(this.simulator.HBInit);
+
+    const harness = this;
+    const pluginId = await this.manager.addPlugin({
+      pluginCode: (HBInit) => {
+        const room = HBInit();
+
+        room.pluginSpec = {
+          name: `hhm/test-harness`,
+        };
+
+        room.addPostEventHook(harness.handlerNames,
+            ({ metadata }) => harness._recordEvent(metadata),
+            `hhm/test-harness`);
+
+        harness.recorderRoom = room;
+      },
+    });
+
+    if (pluginId === -1) {
+      throw new Error(this.manager.getLastLoadFailure().toString());
+    }
+
+    return this;
+  }
+
+  /**
+   * Starts the game.
+   *
+   * @function TestHarness#startGame
+   * @param {(external:native-api.PlayerObject|number)} [byPlayer] Player
+   *  starting the game, defaults to the host.
+   * @returns {boolean} Whether the game was started.
+   */
+  startGame(byPlayer = 0) {
+    return this.simulator.startGame(this._getPlayerId(byPlayer));
+  }
+
+  /**
+   * Stops the game.
+   *
+   * @function TestHarness#stopGame
+   * @param {(external:native-api.PlayerObject|number)} [byPlayer] Player
+   *  stopping the game, defaults to the host.
+   * @returns {boolean} Whether the game was stopped.
+   */
+  stopGame(byPlayer = 0) {
+    return this.simulator.stopGame(this._getPlayerId(byPlayer));
+  }
+}
+
+/**
+ * Event recorded by the test harness.
+ *
+ * @typedef {object} TestHarness~RecordedEvent
+ * @property {string} handlerName Event handler name.
+ * @property {Array.<*>} args Event arguments.
+ * @property {EventHandlerExecutionMetadata} metadata Event metadata.
+ */
+
+module.exports = TestHarness;
@@ -1,6 +1,30 @@
 const merge = require('lodash.merge');
 const toposort = require(`toposort`);
 const EventHandlerExecutionMetadata = require(`./EventHandlerExecutionMetadata`);
+const permissionsUtil = require(`../permissions`);
+
+/**
+ * Copies the given `Map` and, depending on the depth, the `Map`s it contains.
+ *
+ * @param {Map} map `Map` to be copied.
+ * @param {number} [depth] Number of nested `Map` levels to copy.
+ * @returns {Map} Copy of the given `Map`.
+ */
+function copyMap(map, depth = 1) {
+  return new Map(Array.from(map.entries(), ([key, value]) =>
+      [key, depth > 1 ? copyMap(value, depth - 1) : value]));
+}
+
+/**
+ * Replaces the contents of the target `Map` with the contents of the source.
+ *
+ * @param {Map} target `Map` to be changed.
+ * @param {Map} source `Map` whose entries will be copied into the target.
+ */
+function restoreMap(target, source) {
+  target.clear();
+  source.forEach((value, key) => target.set(key, value));
+}
 
 /**
  * Manages access to the trapped rooms, storing handlers and properties for
@@ -28,9 +52,14 @@ const EventHandlerExecutionMetadata = require(`./EventHandlerExecutionMetadata`)
  *  handler.
  * @property {Map.<string, Map.<number, Map.<string, Function>>>}
  *  preEventHooks `Map` of pre-event hooks for each plugin and handler.
+ * @property {Set.<string>} permissionWarnings Plugin IDs and property names
+ *  for which a missing permission warning has already been logged.
+ * @property {Map.<number, WeakMap>} pluginRoomViews Rooms of other plugins as
+ *  seen by each plugin, see {@link TrappedRoomManager#getPluginRoomView}.
  *
  * @property {Object.<number, Object.<string, *>>} properties Properties for
  *  each plugin.
+ * @property {object} log Logger of the associated plugin manager.
  * @property {HhmRoomObject} room Associated room object.
  *
  */
@@ -61,10 +90,13 @@ class TrappedRoomManager {
     this.preEventHandlerHooks = new Map();
     this.postEventHandlerHooks = new Map();
 
+    this.permissionWarnings = new Set();
+    this.pluginRoomViews = new Map();
     this.properties = new Map();
 
     this.room = room;
     this.room._trappedRoomManager = this;
+    this.log = room._pluginManager.log;
   }
 
   /**
@@ -164,6 +196,26 @@ class TrappedRoomManager {
     }
   }
 
+  /**
+   * Returns the function which replaces a privileged room function for a
+   * plugin without the required permission.
+   *
+   * @function TrappedRoomManager#_createBlockedFunction
+   * @private
+   * @param {number} pluginId Plugin ID.
+   * @param {string} propertyName Room property name.
+   * @returns {Function} Function logging the blocked call.
+   */
+  _createBlockedFunction(pluginId, propertyName) {
+    const pluginName = this.room._pluginManager.getPluginName(pluginId);
+
+    return () => {
+      this.log.error(`Blocked call to ${propertyName} by plugin `
+          + `${pluginName}, permission `
+          + `${permissionsUtil.getPermission(propertyName)} is missing`);
+    };
+  }
+
   /**
    * Returns a handler object for the given handler object or function.
    *
@@ -199,7 +251,6 @@ class TrappedRoomManager {
       },
       meta: {
         name: handlerName,
-        plugin: this.room.getPlugin(pluginId),
         userHandler: handler,
       },
       data: {
@@ -223,8 +274,14 @@ class TrappedRoomManager {
       }
     };
 
-    return merge(handlerObjectDefaults, additionalObjectDefaults,
-        handlerObject, handlerObjectRequiredElements);
+    merge(handlerObjectDefaults, additionalObjectDefaults, handlerObject,
+        handlerObjectRequiredElements);
+
+    // Merging would copy every property of the plugin room, including the
+    // privileged ones
+    handlerObjectDefaults.meta.plugin = this.room.getPlugin(pluginId);
+
+    return handlerObjectDefaults;
   }
 
   /**
@@ -248,7 +305,7 @@ class TrappedRoomManager {
     }
      else {
       // TODO support string handlers?
-      HHM.log.warn(`Invalid handler function type: ${typeof handlerFunction}`);
+      this.log.warn(`Invalid handler function type: ${typeof handlerFunction}`);
     }
 
     return metadata;
@@ -280,9 +337,9 @@ class TrappedRoomManager {
     try {
       metadata.registerReturnValue(pluginName, handlerFunction(...args));
     } catch (e) {
-      HHM.log.error(`Error during execution of handler ` +
+      this.log.error(`Error during execution of handler ` +
           `${metadata.handlerName} for plugin ${pluginName}`);
-      HHM.log.error(e);
+      this.log.error(e);
       metadata.registerReturnValue(pluginName, e);
     }
   }
@@ -316,9 +373,9 @@ class TrappedRoomManager {
             metadata.registerReturnValue(pluginName, returnValue, id);
           }
         } catch (e) {
-          HHM.log.error(`Error during execution of hook ` +
+          this.log.error(`Error during execution of hook ` +
               `${id} (handler ${handlerName}) for plugin ${pluginName}`);
-          HHM.log.error(e);
+          this.log.error(e);
         }
       }
     }
@@ -402,6 +459,81 @@ class TrappedRoomManager {
     });
   }
 
+  /**
+   * Returns whether the given plugin may access the given room property.
+   *
+   * Privileged room properties require a permission, see
+   * {@link module:src/permissions}. If the plugin lacks the permission, access
+   * is denied unless the `permissionMode` of the HHM configuration was set to
+   * `warn` when the manager was started, in which case a warning is logged
+   * once for each plugin and property.
+   *
+   * @function TrappedRoomManager#checkPermission
+   * @param {number} pluginId Plugin ID.
+   * @param {string} propertyName Room property name.
+   * @returns {boolean} Whether access is allowed.
+   * @see PluginManager#getPluginPermissions
+   */
+  checkPermission(pluginId, propertyName) {
+    const permission = permissionsUtil.getPermission(propertyName);
+    const pluginManager = this.room._pluginManager;
+
+    if (permission === undefined
+        || pluginManager.hasPluginPermission(pluginId, permission)) {
+      return true;
+    }
+
+    if (pluginManager.getPermissionSettings().mode
+        !== permissionsUtil.modes.WARN) {
+      return false;
+    }
+
+    const warningId = `${pluginId}:${propertyName}`;
+
+    if (!this.permissionWarnings.has(warningId)) {
+      this.permissionWarnings.add(warningId);
+      this.log.warn(`Plugin ${pluginManager.getPluginName(pluginId)} accessed `
+          + `${propertyName} without declaring permission ${permission}, `
+          + `access will be blocked unless permissionMode is set to `
+          + permissionsUtil.modes.WARN);
+    }
+
+    return true;
+  }
+
+  /**
+   * Creates a snapshot of the handlers, hooks and properties of all plugins.
+   *
+   * Handler objects themselves are not copied, but their handler hooks are.
+   *
+   * @function TrappedRoomManager#createSnapshot
+   * @returns {object.<*>} Snapshot, can be passed to
+   *  {@link TrappedRoomManager#restoreSnapshot} once.
+   * @see PluginManager#_createSnapshot
+   */
+  createSnapshot() {
+    const handlerHooks = new Map();
+
+    this.handlers.forEach((pluginHandlers) => pluginHandlers.forEach(
+        (handlerObject) => handlerHooks.set(handlerObject, {
+          preEventHandlerHooks: copyMap(
+              handlerObject.data[`hhm/core`].preEventHandlerHooks, 3),
+          postEventHandlerHooks: copyMap(
+              handlerObject.data[`hhm/core`].postEventHandlerHooks, 3),
+        })));
+
+    return {
+      handlerHooks,
+      handlerNames: new Set(this.handlerNames),
+      handlers: copyMap(this.handlers, 2),
+      postEventHandlerHooks: copyMap(this.postEventHandlerHooks, 3),
+      postEventHooks: copyMap(this.postEventHooks, 3),
+      preEventHandlerHooks: copyMap(this.preEventHandlerHooks, 3),
+      preEventHooks: copyMap(this.preEventHooks, 3),
+      properties: copyMap(this.properties, 2),
+    };
+  }
+
   /**
    * Determine execution order for the given plugins and handler name.
    *
@@ -445,7 +577,7 @@ class TrappedRoomManager {
       let pluginId = e.message.split('"')[1];
       let pluginName = this.room._pluginManager.getPlugin(pluginId)._name;
 
-      HHM.log.error(`There was a cyclic dependency for handler ${handlerName} and plugin ${pluginName}`);
+      this.log.error(`There was a cyclic dependency for handler ${handlerName} and plugin ${pluginName}`);
       // TODO
       //HHM.log.error(this.room._pluginManager._createDependencyChain(pluginId, []));
       throw(e);
@@ -567,6 +699,55 @@ class TrappedRoomManager {
     return Array.from(this.properties.get(pluginId).keys());
   }
 
+  /**
+   * Returns the room of a plugin as seen by another plugin.
+   *
+   * Privileged properties of the returned room additionally require the
+   * permission of the accessing plugin, otherwise plugins could use the room
+   * of a more privileged plugin to get around their own permissions. For the
+   * same reason, the room cannot be extended through the returned room.
+   *
+   * @function TrappedRoomManager#getPluginRoomView
+   * @param {number} pluginId ID of the accessing plugin.
+   * @param {external:haxball-room-trapper.TrappedRoom} pluginRoom Room of the
+   *  accessed plugin.
+   * @returns {external:haxball-room-trapper.TrappedRoom} Room of the accessed
+   *  plugin for the accessing plugin, the same object for repeated calls.
+   * @see HhmRoomObject#getPlugin
+   */
+  getPluginRoomView(pluginId, pluginRoom) {
+    if (!this.pluginRoomViews.has(pluginId)) {
+      this.pluginRoomViews.set(pluginId, new WeakMap());
+    }
+
+    const views = this.pluginRoomViews.get(pluginId);
+
+    if (!views.has(pluginRoom)) {
+      const extend = (name) => {
+        this.log.error(`Plugin ${this.room._pluginManager.getPluginName(
+            pluginId)} is not allowed to extend room property ${name} through `
+            + `the room of plugin ${pluginRoom._name}`);
+
+        return false;
+      };
+
+      views.set(pluginRoom, new Proxy(pluginRoom, {
+        get: (target, propertyName) => {
+          if (propertyName === `extend`) {
+            return extend;
+          }
+
+          return typeof propertyName === `string`
+              && !this.checkPermission(pluginId, propertyName)
+                  ? this._createBlockedFunction(pluginId, propertyName)
+                  : target[propertyName];
+        },
+      }));
+    }
+
+    return views.get(pluginRoom);
+  }
+
   /**
    * Returns whether there are event handlers registered for the given plugin.
    *
@@ -802,6 +983,9 @@ class TrappedRoomManager {
   /**
    * Executes the event handlers registered for the given handler.
    *
+   * The event is recorded first if an event recorder is running, see
+   * {@link PluginManager#startEventRecording}.
+   *
    * @function TrappedRoomManager#onExecuteEventHandlers
    * @param {*} _ Unused.
    * @param {string} handlerName Event handler name.
@@ -810,6 +994,14 @@ class TrappedRoomManager {
    *  `false`, `true` otherwise. Always `true` for onGameTick events.
    */
   onExecuteEventHandlers(_, handlerName, ...args) {
+    const eventRecorder = this.room._pluginManager.eventRecorder;
+
+    if (eventRecorder !== undefined) {
+      eventRecorder.recordEvent(handlerName, args);
+    }
+
+    this.room._pluginManager._triggerLazyPlugins(handlerName, args);
+
     if (this.handlersDirty) {
       this._updateOnGameTickHandlers();
       this.determineExecutionOrders();
@@ -890,7 +1082,12 @@ class TrappedRoomManager {
    *
    * Note that global properties of the proxied room are taken into account as
    * well so long as they don't start with an underscore and only if there is
-   * not a property with the given name set for the plugin.
+   * not a property with the given name set for the plugin. The `constructor`
+   * of the room is not returned either, it would give plugins access to the
+   * `Function` constructor.
+   *
+   * While events are being recorded, native room functions are returned
+   * wrapped by the {@link EventRecorder}.
    *
    * @function TrappedRoomManager#onPropertyGet
    * @param {*} _ Unused.
@@ -903,10 +1100,23 @@ class TrappedRoomManager {
 
     const pluginProperties = this.properties.get(pluginId);
 
-    if (pluginProperties.has(propertyName) || propertyName.startsWith(`_`)) {
+    if (pluginProperties.has(propertyName) || propertyName.startsWith(`_`)
+        || propertyName === `constructor`) {
       return pluginProperties.get(propertyName);
     }
 
+    if (!this.checkPermission(pluginId, propertyName)) {
+      return this._createBlockedFunction(pluginId, propertyName);
+    }
+
+    const eventRecorder = this.room._pluginManager.eventRecorder;
+
+    if (eventRecorder !== undefined
+        && eventRecorder.isRecordedFunction(propertyName)) {
+      return eventRecorder.wrapFunction(propertyName,
+          this.room[propertyName]);
+    }
+
     return this.room[propertyName];
   }
 
@@ -1023,10 +1233,34 @@ class TrappedRoomManager {
     this.postEventHooks.forEach(clearPluginHooks);
 
     this.properties.delete(pluginId);
+    this.pluginRoomViews.delete(pluginId);
     this.handlers.delete(pluginId);
     this.handlersDirty = true;
   }
 
+  /**
+   * Restores the state captured by {@link TrappedRoomManager#createSnapshot}.
+   *
+   * @function TrappedRoomManager#restoreSnapshot
+   * @param {object.<*>} snapshot Snapshot to be restored.
+   */
+  restoreSnapshot(snapshot) {
+    restoreMap(this.handlers, snapshot.handlers);
+    restoreMap(this.postEventHandlerHooks, snapshot.postEventHandlerHooks);
+    restoreMap(this.postEventHooks, snapshot.postEventHooks);
+    restoreMap(this.preEventHandlerHooks, snapshot.preEventHandlerHooks);
+    restoreMap(this.preEventHooks, snapshot.preEventHooks);
+    restoreMap(this.properties, snapshot.properties);
+
+    this.handlerNames.clear();
+    snapshot.handlerNames.forEach((name) => this.handlerNames.add(name));
+
+    snapshot.handlerHooks.forEach((hooks, handlerObject) =>
+        Object.assign(handlerObject.data[`hhm/core`], hooks));
+
+    this.handlersDirty = true;
+  }
+
   /**
    * Add a hook for the given handler names that is executed before every
    * single plugin event handler.
@@ -11,6 +11,9 @@ const stringify = require(`json-stable-stringify`);
 const seed =  Math.floor((Math.random() * 10000) + 1);
 
 const hash = require(`../hash`);
+const integrityUtil = require(`../integrity`);
+const platform = require(`../platform`);
+const signatureUtil = require(`../signature`);
 
 /**
  * Plugin repository class.
@@ -26,16 +29,20 @@ class Repository {
    * Repository constructor.
    *
    * @function repository.Repository#constructor
+   * @param {object.<*>} userRepositoryConfig Repository configuration object.
+   * @param {repository.RepositoryTypeHandler} handler Repository type handler.
+   * @param {object} [log] Logger, defaults to `HHM.log`.
    * @throws {repository.RepositoryConfigError} If the user repository
    *  configuration is invalid.
    */
-  constructor(userRepositoryConfig, handler) {
+  constructor(userRepositoryConfig, handler, log = HHM.log) {
 
     this.userRepositoryConfig = userRepositoryConfig;
     this.handler = handler;
+    this.log = log;
     this.type = handler.type;
 
-    this.repositoryConfig = $.extend({},
+    this.repositoryConfig = platform.get().extend({},
         this.handler.getRepositoryConfigurationDefaults(),
         this.userRepositoryConfig);
 
@@ -44,47 +51,51 @@ class Repository {
     // TODO Turn into map
     this.pluginSources = new Map();
 
-    this.initializationDeferred = new $.Deferred();
+    this.signatureVerified = false;
+
+    this.initializationDeferred = platform.get().createDeferred();
     this.handler.getRepositoryInformation(this)
-        .then((repositoryInformation) => {
+        .then(async (repositoryInformation) => {
 
-      this.repositoryInformation = $.extend(
+      this.repositoryInformation = platform.get().extend(
           { name: stringify(this.userRepositoryConfig).substring(0, 200) },
           repositoryInformation);
 
       // Merge in repository configuration
       if (this.repositoryInformation.hasOwnProperty(`config`)) {
-        $.extend(this.repositoryConfig, this.repositoryInformation.config);
+        platform.get().extend(this.repositoryConfig,
+            this.repositoryInformation.config);
       }
 
       this.configHash = hash(stringify(this.repositoryConfig), seed);
 
+      try {
+        await this._verifySignature();
+      } catch (e) {
+        // Treat the repository as unsigned, which keeps its plugins from being
+        // loaded if a signature is required
+        this.signatureVerified = false;
+        this.log.error(`Unable to verify the signature of repository `
+            + `${this.getName()}. ${e.name}: ${e.message}`);
+      }
+
       this.initializationDeferred.resolve(this);
     });
   }
 
   /**
-   * Helper function which loads data from the given URL using $.ajax.
+   * Helper function which loads data from the given URL using the platform
+   * adapter.
    *
    * @function repository.Repository#_loadDataFromUrl
    * @private
    * @async
    * @param {string} url URL from which to load data.
    * @returns {Promise.<*>} Returned data.
+   * @see module:src/platform~PlatformAdapter
    */
   async _loadDataFromUrl(url) {
-    let data = false;
-
-    await $.ajax({
-      cache: false,
-      crossDomain: true,
-      url: url,
-      success: (result) => {
-        data = result;
-      },
-    });
-
-    return data;
+    return platform.get().fetch(url);
   }
 
   /**
@@ -100,7 +111,7 @@ class Repository {
    * @see repository.Repository#_loadDataFromUrl
    */
   async _postProcessPluginResult(data) {
-    if (data.toString().startsWith(`http`)) {
+    if (/^(https?|file):/.test(data.toString())) {
       return this._loadDataFromUrl(data.toString());
     }
 
@@ -132,6 +143,96 @@ class Repository {
             + this.repositoryConfig.type);
       }
     }
+
+    const { trustedKeys, requireSignature } = this.userRepositoryConfig;
+
+    if (trustedKeys !== undefined && !Array.isArray(trustedKeys)) {
+      throw new RepositoryConfigError(`trustedKeys must be an array`);
+    }
+
+    if (requireSignature === true && (trustedKeys || []).length === 0) {
+      throw new RepositoryConfigError(
+          `requireSignature is set, but no trustedKeys are given`);
+    }
+  }
+
+  /**
+   * Verifies the signature of the repository information using the trusted
+   * keys of the user repository configuration.
+   *
+   * Only the user repository configuration is taken into account, so the
+   * repository information cannot declare themselves trusted.
+   *
+   * @function repository.Repository#_verifySignature
+   * @private
+   * @async
+   * @see module:src/signature.verify
+   */
+  async _verifySignature() {
+    const trustedKeys = this.userRepositoryConfig.trustedKeys || [];
+
+    if (trustedKeys.length === 0) {
+      return;
+    }
+
+    this.signatureVerified = await signatureUtil.verify(
+        this.repositoryInformation, trustedKeys);
+
+    if (!this.signatureVerified) {
+      const message = `Repository ${this.getName()} has no valid signature by `
+          + `a trusted key`;
+
+      this.userRepositoryConfig.requireSignature === true
+          ? this.log.error(`${message}, its plugins will not be loaded`)
+          : this.log.warn(message);
+    }
+  }
+
+  /**
+   * Checks the given plugin source against the given integrity value and, if
+   * the repository requires a signature, against the signed manifest.
+   *
+   * @function repository.Repository#_verifyPluginSource
+   * @private
+   * @async
+   * @param {string} pluginName Plugin name.
+   * @param {(string|Function)} pluginSource Plugin source.
+   * @param {string} [integrity] Expected integrity value.
+   * @throws {repository.SignatureError} If the repository requires a
+   *  signature and the plugin is not covered by a valid signature.
+   * @throws {repository.IntegrityError} If the plugin source does not match.
+   */
+  async _verifyPluginSource(pluginName, pluginSource, integrity) {
+    const integrityValues = [integrity];
+
+    if (this.userRepositoryConfig.requireSignature === true) {
+      const signedIntegrity = this.getPluginIntegrity(pluginName);
+
+      if (!this.signatureVerified || signedIntegrity === undefined) {
+        throw new SignatureError(pluginName, this.getName());
+      }
+
+      integrityValues.unshift(signedIntegrity);
+    }
+
+    for (let expected of new Set(integrityValues)) {
+      if (expected === undefined) {
+        continue;
+      }
+
+      let actual;
+
+      try {
+        actual = await integrityUtil.verify(pluginSource, expected);
+      } catch (e) {
+        throw new IntegrityError(pluginName, this.getName(), expected,
+            undefined);
+      }
+
+      if (actual !== undefined) {
+        throw new IntegrityError(pluginName, this.getName(), expected, actual);
+      }
+    }
   }
 
   /**
@@ -146,6 +247,18 @@ class Repository {
     return this.initializationDeferred.promise();
   }
 
+  /**
+   * Removes the source of the given plugin from the cache, so that it is
+   * requested again by the next call to
+   * {@link repository.Repository#getPluginSource}.
+   *
+   * @function repository.Repository#clearPluginSource
+   * @param {string} pluginName Plugin name.
+   */
+  clearPluginSource(pluginName) {
+    this.pluginSources.delete(pluginName);
+  }
+
   /**
    * Returns the full repository configuration.
    *
@@ -198,23 +311,63 @@ class Repository {
    * Returns the source code for the given plugin name or false if it doesn't
    * exist in this repository.
    *
-   * The plugin source is returned as string or as Function.
+   * The plugin source is returned as string or as Function. Sources are
+   * cached, concurrent calls for the same plugin share one request.
+   *
+   * If an integrity value is given or the repository information contain one
+   * for the plugin, the source is only returned if it matches. Repositories
+   * configured with `requireSignature: true` only return plugins whose
+   * integrity value is part of the manifest signed by a trusted key.
    *
    * @function repository.Repository#getPluginSource
    * @async
    * @param {string} pluginName Plugin name.
+   * @param {string} [integrity] Expected integrity value of the plugin source,
+   *  see {@link module:src/integrity}. Defaults to the integrity value in the
+   *  repository information.
    * @returns {Promise.<(string|Function|boolean)>} Plugin source or false if
    *  the plugin does not exist in this repository.
+   * @throws {repository.IntegrityError} If the plugin source does not match
+   *  the integrity value.
+   * @throws {repository.SignatureError} If the repository requires a
+   *  signature and the plugin is not signed.
    * @see repository.RepositoryTypeHandler.getPluginSource
    */
-  async getPluginSource(pluginName) {
+  async getPluginSource(pluginName, integrity = this.getPluginIntegrity(
+      pluginName)) {
     if (!this.pluginSources.has(pluginName)) {
-      this.pluginSources.set(pluginName,
-          await this._postProcessPluginResult(
-          await this.handler.getPluginSource(this, pluginName)));
+      // Handlers may return the source directly instead of a promise
+      const pluginSource = Promise.resolve()
+          .then(() => this.handler.getPluginSource(this, pluginName))
+          .then((data) => this._postProcessPluginResult(data));
+
+      this.pluginSources.set(pluginName, pluginSource);
+
+      // Do not cache errors
+      pluginSource.catch(() => this.pluginSources.delete(pluginName));
+    }
+
+    const pluginSource = await this.pluginSources.get(pluginName);
+
+    if (pluginSource !== false) {
+      await this._verifyPluginSource(pluginName, pluginSource, integrity);
     }
 
-    return this.pluginSources.get(pluginName);
+    return pluginSource;
+  }
+
+  /**
+   * Returns the integrity value of the given plugin from the repository
+   * information.
+   *
+   * @function repository.Repository#getPluginIntegrity
+   * @param {string} pluginName Plugin name.
+   * @returns {(string|undefined)} Integrity value or `undefined` if the
+   *  repository information do not contain one.
+   * @see repository.RepositoryInformation
+   */
+  getPluginIntegrity(pluginName) {
+    return ((this.repositoryInformation || {}).integrity || {})[pluginName];
   }
 
   /**
@@ -269,6 +422,37 @@ class Repository {
     return this.userRepositoryConfig;
   }
 
+  /**
+   * Resolves the configured version to an immutable version, if the repository
+   * type supports it.
+   *
+   * @function repository.Repository#resolveVersion
+   * @async
+   * @returns {Promise.<(string|undefined)>} Resolved version, e.g. a commit
+   *  SHA, or `undefined` if the version cannot be resolved.
+   * @see repository.RepositoryTypeHandler.resolveVersion
+   */
+  async resolveVersion() {
+    if (typeof this.handler.resolveVersion !== `function`) {
+      return undefined;
+    }
+
+    return this.handler.resolveVersion(this);
+  }
+
+  /**
+   * Returns whether the repository information carry a valid signature by one
+   * of the trusted keys of the repository configuration.
+   *
+   * @function repository.Repository#isSignatureVerified
+   * @returns {boolean} Whether the signature was verified, always `false` for
+   *  repositories without trusted keys.
+   * @see module:src/signature
+   */
+  isSignatureVerified() {
+    return this.signatureVerified;
+  }
+
   /**
    * Returns whether the repository has been initialized.
    *
@@ -291,7 +475,8 @@ class Repository {
  * @see repository.Repository
  */
 class RepositoryFactory {
-  constructor(repositoryTypeHandlers = {}) {
+  constructor(repositoryTypeHandlers = {}, log = HHM.log) {
+    this.log = log;
     this.repositories = new Map();
     this.userRepositoryConfigs = new Map();
     this.repositoryTypeHandlers = new Map();
@@ -300,7 +485,7 @@ class RepositoryFactory {
       try {
         this.addRepositoryTypeHandler(repositoryTypeHandlers[type], type);
       } catch (e) {
-        HHM.log.error(`Failed to add repository type handler ${type}. `
+        this.log.error(`Failed to add repository type handler ${type}. `
             + `${e.name}: ${e.message}`);
       }
     });
@@ -321,7 +506,8 @@ class RepositoryFactory {
     }
 
     // TODO warning if replace?
-    this.repositoryTypeHandlers.set(type, $.extend(handler, { type }));
+    this.repositoryTypeHandlers.set(type,
+        platform.get().extend(handler, { type }));
   }
 
   /**
@@ -352,7 +538,7 @@ class RepositoryFactory {
 
     // Create repo from config, then compare resulting config with cache
     const repository = new Repository(userRepositoryConfig,
-        this.repositoryTypeHandlers.get(userRepositoryConfig.type));
+        this.repositoryTypeHandlers.get(userRepositoryConfig.type), this.log);
 
     await repository.awaitInitialization();
 
@@ -396,9 +582,55 @@ class RepositoryTypeError extends RepositoryConfigError {
   }
 }
 
+/**
+ * Error thrown when a plugin source does not match the expected integrity
+ * value.
+ *
+ * @class repository.IntegrityError
+ * @property {string} pluginName Plugin name.
+ * @property {string} repositoryName Name of the repository the source was
+ *  loaded from.
+ * @property {string} expected Expected integrity value.
+ * @property {(string|undefined)} actual Actual integrity value, `undefined` if
+ *  the expected integrity value is invalid.
+ */
+class IntegrityError extends Error {
+  constructor(pluginName, repositoryName, expected, actual) {
+    super(actual === undefined
+        ? `Invalid integrity value ${expected} for plugin ${pluginName}`
+        : `Source of plugin ${pluginName} from repository ${repositoryName} `
+            + `does not match integrity ${expected}, got ${actual}`);
+    this.name = `IntegrityError`;
+    this.pluginName = pluginName;
+    this.repositoryName = repositoryName;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Error thrown when a plugin is loaded from a repository which requires a
+ * signature, but the plugin is not covered by a valid signature.
+ *
+ * @class repository.SignatureError
+ * @property {string} pluginName Plugin name.
+ * @property {string} repositoryName Repository name.
+ */
+class SignatureError extends Error {
+  constructor(pluginName, repositoryName) {
+    super(`Plugin ${pluginName} from repository ${repositoryName} is not `
+        + `signed by a trusted key`);
+    this.name = `SignatureError`;
+    this.pluginName = pluginName;
+    this.repositoryName = repositoryName;
+  }
+}
+
 module.exports = {
+  IntegrityError,
   RepositoryFactory,
   RepositoryConfigError,
   RepositoryTypeError,
-  Repository
+  Repository,
+  SignatureError,
 };
\ No newline at end of file
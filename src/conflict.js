@@ -0,0 +1,135 @@
+/**
+ * Plugin conflict module.
+ *
+ * Plugins declare conflicts in the `incompatible_with` property of their
+ * plugin specification, using the same format as dependencies: a plugin name,
+ * optionally followed by `@` and a semver version range, e.g.
+ * `sav/roles@<2.0.0`. Without a version range, all versions of the plugin
+ * conflict.
+ *
+ * Conflicts are symmetric: two plugins conflict if either of them declares a
+ * conflict with the other one. How conflicts are resolved is controlled by
+ * `HHM.config.conflictPolicy`.
+ *
+ * @module src/conflict
+ * @see module:src/dependency
+ * @see PluginManager#_checkPluginsCompatible
+ */
+
+const dependencyUtil = require(`./dependency`);
+
+/**
+ * Conflict policies.
+ *
+ * - `refuse`: the plugin causing the conflict is not loaded and an error is
+ *   logged, the whole load fails even if the plugin was only an optional
+ *   dependency (default)
+ * - `prefer-first`: the plugin which was loaded first is kept, the plugin
+ *   causing the conflict is not loaded, optional dependencies causing a
+ *   conflict are skipped
+ * - `prefer-user-config`: the plugin which is listed in the user config is
+ *   kept, the other one is not loaded or, if it was loaded first, removed if no
+ *   other plugin depends on it. If both or none of the plugins are listed, the
+ *   plugin which was loaded first is kept
+ *
+ * @alias module:src/conflict.policies
+ */
+const policies = {
+  PREFER_FIRST: `prefer-first`,
+  PREFER_USER_CONFIG: `prefer-user-config`,
+  REFUSE: `refuse`,
+};
+
+/**
+ * Conflict resolutions.
+ *
+ * - `refused`: the conflict was not resolved, the plugin causing it was not
+ *   loaded
+ * - `keptExisting`: the plugin which was loaded first was kept
+ * - `replacedExisting`: the plugin which was loaded first was removed
+ *
+ * @alias module:src/conflict.resolutions
+ */
+const resolutions = {
+  KEPT_EXISTING: `keptExisting`,
+  REFUSED: `refused`,
+  REPLACED_EXISTING: `replacedExisting`,
+};
+
+/**
+ * Returns the conflict declaration of the given plugin specification which
+ * matches the given plugin.
+ *
+ * @alias module:src/conflict.getDeclaration
+ * @param {object} pluginSpec Plugin specification of the declaring plugin.
+ * @param {string} pluginName Name of the other plugin.
+ * @param {string} [version] Version of the other plugin.
+ * @returns {(string|undefined)} Matching conflict declaration, or `undefined`
+ *  if the plugin specification declares no conflict with the given plugin.
+ */
+function getDeclaration(pluginSpec, pluginName, version) {
+  return (pluginSpec.incompatible_with || []).find((declaration) => {
+    const { name, range } = dependencyUtil.parse(declaration);
+
+    return name === pluginName && dependencyUtil.satisfies(version, range);
+  });
+}
+
+/**
+ * Returns the conflict between the given plugins, if any.
+ *
+ * The conflict declarations of the first plugin are checked first.
+ *
+ * @alias module:src/conflict.find
+ * @param {{name: string, pluginSpec: object}} plugin First plugin.
+ * @param {{name: string, pluginSpec: object}} otherPlugin Second plugin.
+ * @returns {({declaredBy: string, declaration: string}|undefined)} Name of the
+ *  declaring plugin and the declaration, or `undefined` if the plugins do not
+ *  conflict.
+ */
+function find(plugin, otherPlugin) {
+  for (let [declaring, other] of [[plugin, otherPlugin],
+    [otherPlugin, plugin]]) {
+    const declaration = getDeclaration(declaring.pluginSpec, other.name,
+        other.pluginSpec.version);
+
+    if (declaration !== undefined) {
+      return { declaredBy: declaring.name, declaration };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns the configured conflict policy.
+ *
+ * @alias module:src/conflict.getPolicy
+ * @param {object} [config] HHM configuration, defaults to `HHM.config`.
+ * @returns {string} One of {@link module:src/conflict.policies}, `refuse` if
+ *  `conflictPolicy` is not set or invalid.
+ */
+function getPolicy(config = HHM.config) {
+  const policy = config.conflictPolicy;
+
+  if (policy === undefined) {
+    return policies.REFUSE;
+  }
+
+  if (!Object.values(policies).includes(policy)) {
+    HHM.log.warn(`Invalid conflict policy ${policy}, using `
+        + policies.REFUSE);
+
+    return policies.REFUSE;
+  }
+
+  return policy;
+}
+
+module.exports = {
+  find,
+  getDeclaration,
+  getPolicy,
+  policies,
+  resolutions,
+};
@@ -0,0 +1,85 @@
+/**
+ * Plugin dependency module.
+ *
+ * Dependencies are declared as plugin names, optionally followed by an `@` and
+ * a semver version range which the `version` of the dependency's plugin
+ * specification has to satisfy, e.g. `sav/roles@^1.2.0`.
+ *
+ * @module src/dependency
+ * @see https://github.com/npm/node-semver
+ */
+
+const semver = require(`semver`);
+
+/**
+ * Parses the given dependency string.
+ *
+ * @alias module:src/dependency.parse
+ * @param {string} dependency Dependency string, e.g. `sav/roles@^1.2.0`.
+ * @returns {{name: string, range: (string|undefined)}} Plugin name and version
+ *  range or `undefined` if no version range was given.
+ */
+function parse(dependency) {
+  dependency = String(dependency);
+
+  // Plugin names may not start with an @, so index 0 is not a separator
+  const separatorIndex = dependency.lastIndexOf(`@`);
+
+  if (separatorIndex <= 0) {
+    return { name: dependency, range: undefined };
+  }
+
+  return {
+    name: dependency.substring(0, separatorIndex),
+    range: dependency.substring(separatorIndex + 1).trim() || undefined,
+  };
+}
+
+/**
+ * Returns the plugin names for the given dependency strings.
+ *
+ * @alias module:src/dependency.getNames
+ * @param {Array.<string>} [dependencies] Dependency strings.
+ * @returns {Array.<string>} Plugin names without version ranges.
+ */
+function getNames(dependencies = []) {
+  return dependencies.map((dependency) => parse(dependency).name);
+}
+
+/**
+ * Returns whether the given plugin version satisfies the given version range.
+ *
+ * Versions which are not valid semver versions are coerced if possible, e.g.
+ * `1.2` is treated like `1.2.0`.
+ *
+ * @alias module:src/dependency.satisfies
+ * @param {string} [version] Plugin version, usually taken from the plugin
+ *  specification.
+ * @param {string} [range] Semver version range.
+ * @returns {boolean} `true` if no range was given or the version satisfies the
+ *  range, `false` otherwise, including when the plugin has no valid version.
+ */
+function satisfies(version, range) {
+  if (range === undefined) {
+    return true;
+  }
+
+  if (version === undefined) {
+    return false;
+  }
+
+  const parsedVersion = semver.valid(String(version), { loose: true })
+      || semver.valid(semver.coerce(String(version)));
+
+  if (parsedVersion === null) {
+    return false;
+  }
+
+  return semver.satisfies(parsedVersion, range, { loose: true });
+}
+
+module.exports = {
+  getNames,
+  parse,
+  satisfies,
+};
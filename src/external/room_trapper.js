@@ -67,7 +67,22 @@
  * @property {string} [author] Name of the plugin author.
  * @property {string} [version] Plugin version.
  * @property {Array.<string>} [dependencies] `Array` of plugin names that this
- *  plugin depends on.
+ *  plugin depends on, each optionally followed by `@` and a semver version
+ *  range, e.g. `sav/roles@^1.2.0`.
+ * @property {Array.<string>} [optionalDependencies] `Array` of plugin names
+ *  that this plugin can use if available, in the same format as
+ *  `dependencies`.
+ * @property {Array.<string>} [provides] `Array` of interfaces this plugin
+ *  provides, each optionally followed by `@` and the provided version, e.g.
+ *  `roles@1.2.0`.
+ * @property {Array.<string>} [requires] `Array` of interfaces this plugin
+ *  requires, each optionally followed by `@` and a semver version range, e.g.
+ *  `roles@^1.0.0`.
+ * @property {Array.<string>} [permissions] `Array` of permissions required to
+ *  access privileged room properties, see {@link module:src/permissions}.
+ * @property {Array.<string>} [incompatible_with] `Array` of plugin names that
+ *  this plugin conflicts with, in the same format as `dependencies`, see
+ *  {@link module:src/conflict}.
  * @property {Object.<string, Object.<string, Array.<string>>>} Specifies
  *  execution order for event handlers. It maps event handler names to `Object`s
  *  which contain an array of plugin names `before` or `after` which this
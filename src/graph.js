@@ -0,0 +1,160 @@
+/**
+ * Dependency graph module.
+ *
+ * Converts the dependency graph created by
+ * {@link PluginManager#getDependencyGraph} into Graphviz DOT, Mermaid or JSON.
+ *
+ * In DOT and Mermaid output, dependency edges point from the depending plugin
+ * to its dependency, optional dependencies are drawn dashed. Execution order
+ * edges point from a plugin to the plugin whose handler is executed next and
+ * are labeled with the handler name. Disabled plugins are drawn in gray.
+ *
+ * @module src/graph
+ * @see https://graphviz.org/doc/info/lang.html
+ * @see https://mermaid.js.org/syntax/flowchart.html
+ */
+
+/**
+ * Supported export formats.
+ *
+ * @alias module:src/graph.formats
+ */
+const formats = {
+  DOT: `dot`,
+  JSON: `json`,
+  MERMAID: `mermaid`,
+};
+
+/**
+ * Returns the execution order edges of the given graph.
+ *
+ * @param {PluginManager~DependencyGraph} graph Dependency graph.
+ * @returns {Array.<{from: string, to: string, handlerName: string}>} One edge
+ *  for each pair of consecutive plugins in each execution order.
+ */
+function getExecutionOrderEdges(graph) {
+  const edges = [];
+
+  for (let handlerName of Object.getOwnPropertyNames(graph.executionOrders)) {
+    const pluginNames = graph.executionOrders[handlerName];
+
+    for (let i = 1; i < pluginNames.length; i++) {
+      edges.push({ from: pluginNames[i - 1], to: pluginNames[i], handlerName });
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Returns the label lines for the given plugin.
+ *
+ * @param {PluginManager~DependencyGraphPlugin} plugin Plugin.
+ * @returns {Array.<string>} Plugin name, version and repository, if known.
+ */
+function getLabelLines(plugin) {
+  return [plugin.name, plugin.version, plugin.loadedFrom]
+      .filter((line) => line !== undefined)
+      .map(String);
+}
+
+/**
+ * Converts the given dependency graph to Graphviz DOT.
+ *
+ * @alias module:src/graph.toDot
+ * @param {PluginManager~DependencyGraph} graph Dependency graph.
+ * @returns {string} DOT source.
+ */
+function toDot(graph) {
+  const quote = (value) => `"${String(value).replace(/(["\\])/g, `\\$1`)}"`;
+  const lines = [`digraph hhm {`];
+
+  for (let plugin of graph.plugins) {
+    const label = getLabelLines(plugin).map((line) => quote(line).slice(1, -1))
+        .join(`\\n`);
+
+    lines.push(`  ${quote(plugin.name)} [label="${label}"`
+        + (plugin.enabled ? `` : `, color=gray, fontcolor=gray`) + `];`);
+  }
+
+  for (let { from, to, optional } of graph.dependencies) {
+    lines.push(`  ${quote(from)} -> ${quote(to)}`
+        + (optional ? ` [style=dashed]` : ``) + `;`);
+  }
+
+  for (let { from, to, handlerName } of getExecutionOrderEdges(graph)) {
+    lines.push(`  ${quote(from)} -> ${quote(to)} [label=${quote(handlerName)}, `
+        + `color=blue, fontcolor=blue, constraint=false];`);
+  }
+
+  lines.push(`}`);
+
+  return lines.join(`\n`);
+}
+
+/**
+ * Converts the given dependency graph to a Mermaid flowchart.
+ *
+ * @alias module:src/graph.toMermaid
+ * @param {PluginManager~DependencyGraph} graph Dependency graph.
+ * @returns {string} Mermaid source.
+ */
+function toMermaid(graph) {
+  const escape = (value) => String(value).replace(/"/g, `#quot;`);
+  const nodeIds = new Map(graph.plugins.map((p, i) => [p.name, `p${i}`]));
+  const lines = [`graph LR`];
+
+  for (let plugin of graph.plugins) {
+    lines.push(`  ${nodeIds.get(plugin.name)}["`
+        + getLabelLines(plugin).map(escape).join(`<br>`) + `"]`);
+  }
+
+  for (let { from, to, optional } of graph.dependencies) {
+    lines.push(`  ${nodeIds.get(from)} ${optional ? `-.->` : `-->`} `
+        + nodeIds.get(to));
+  }
+
+  for (let { from, to, handlerName } of getExecutionOrderEdges(graph)) {
+    lines.push(`  ${nodeIds.get(from)} ==>|"${escape(handlerName)}"| `
+        + nodeIds.get(to));
+  }
+
+  const disabledNodeIds = graph.plugins.filter((p) => !p.enabled)
+      .map((p) => nodeIds.get(p.name));
+
+  if (disabledNodeIds.length > 0) {
+    lines.push(`  classDef disabled color:gray,stroke:gray`);
+    lines.push(`  class ${disabledNodeIds.join(`,`)} disabled`);
+  }
+
+  return lines.join(`\n`);
+}
+
+/**
+ * Converts the given dependency graph to the given format.
+ *
+ * @alias module:src/graph.format
+ * @param {PluginManager~DependencyGraph} graph Dependency graph.
+ * @param {string} formatName One of {@link module:src/graph.formats}.
+ * @returns {(string|undefined)} Formatted graph, or `undefined` if the format
+ *  is not supported.
+ */
+function format(graph, formatName) {
+  switch (formatName) {
+    case formats.DOT:
+      return toDot(graph);
+    case formats.JSON:
+      return JSON.stringify(graph, null, 2);
+    case formats.MERMAID:
+      return toMermaid(graph);
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  format,
+  formats,
+  toDot,
+  toMermaid,
+};
@@ -0,0 +1,111 @@
+/**
+ * Plugin source integrity module.
+ *
+ * Integrity values use the format of the `integrity` attribute of subresource
+ * integrity: an algorithm prefix followed by the base64-encoded digest of the
+ * plugin source, e.g. `sha384-<digest>`. Digests can be created with
+ * `openssl dgst -sha384 -binary plugin.js | openssl base64 -A` or
+ * {@link module:src/integrity.compute}. Multiple values can be separated by
+ * whitespace, the source is valid if it matches any of them.
+ *
+ * Digests are computed from the plugin source as returned by the repository,
+ * or from its string representation for plugins defined as functions.
+ *
+ * @module src/integrity
+ * @see https://www.w3.org/TR/SRI/
+ * @see repository.Repository#getPluginSource
+ */
+
+/**
+ * Supported digest algorithms, mapped to their WebCrypto names.
+ *
+ * @alias module:src/integrity.algorithms
+ */
+const algorithms = {
+  sha256: `SHA-256`,
+  sha384: `SHA-384`,
+};
+
+/**
+ * Parses the given integrity value.
+ *
+ * @alias module:src/integrity.parse
+ * @param {string} integrity Integrity value.
+ * @returns {(Array.<{algorithm: string, digest: string}>|undefined)} Parsed
+ *  values, or `undefined` if the integrity value is invalid or uses an
+ *  unsupported algorithm.
+ */
+function parse(integrity) {
+  if (typeof integrity !== `string`) {
+    return undefined;
+  }
+
+  const values = integrity.trim().split(/\s+/).map((value) => {
+    const separatorIndex = value.indexOf(`-`);
+
+    return {
+      algorithm: value.substring(0, separatorIndex),
+      digest: value.substring(separatorIndex + 1),
+    };
+  });
+
+  if (values.some(({ algorithm, digest }) => !algorithms.hasOwnProperty(
+      algorithm) || digest.length === 0)) {
+    return undefined;
+  }
+
+  return values;
+}
+
+/**
+ * Computes the integrity value of the given plugin source.
+ *
+ * @alias module:src/integrity.compute
+ * @async
+ * @param {(string|Function)} source Plugin source.
+ * @param {string} [algorithm] One of the keys of
+ *  {@link module:src/integrity.algorithms}.
+ * @returns {Promise.<string>} Integrity value.
+ */
+async function compute(source, algorithm = `sha384`) {
+  const data = new TextEncoder().encode(source.toString());
+  const digest = new Uint8Array(
+      await crypto.subtle.digest(algorithms[algorithm], data));
+
+  return `${algorithm}-` + btoa(String.fromCharCode(...digest));
+}
+
+/**
+ * Checks whether the given plugin source matches the given integrity value.
+ *
+ * @alias module:src/integrity.verify
+ * @async
+ * @param {(string|Function)} source Plugin source.
+ * @param {string} integrity Expected integrity value.
+ * @returns {Promise.<(string|undefined)>} `undefined` if the source matches,
+ *  otherwise the actual integrity value using the algorithm of the first
+ *  expected value.
+ * @throws {Error} If the integrity value is invalid.
+ */
+async function verify(source, integrity) {
+  const values = parse(integrity);
+
+  if (values === undefined) {
+    throw new Error(`Invalid integrity value ${integrity}`);
+  }
+
+  for (let { algorithm, digest } of values) {
+    if (await compute(source, algorithm) === `${algorithm}-${digest}`) {
+      return undefined;
+    }
+  }
+
+  return compute(source, values[0].algorithm);
+}
+
+module.exports = {
+  algorithms,
+  compute,
+  parse,
+  verify,
+};
@@ -18,23 +18,30 @@
  * Creates a new loglevel logger instance, with a static `HHM` prefix and
  * dynamic level prefix.
  *
+ * Without a name, the default loglevel logger is used. Named loggers are used
+ * by additional plugin managers, see {@link module:src/manager.createManager}.
+ *
  * @TODO make initial log level configurable
  * @TODO document log levels
  *
  * @alias module:src/log.constructor
+ * @param {string} [name] Name added to the static prefix.
+ * @param {string} [loggerName] Unique loglevel logger name, defaults to
+ *  `name`.
  * @returns {Object} Logger instance.
  */
-function constructor() {
-  let log = require(`loglevel`).noConflict();
+function constructor(name, loggerName = name) {
+  let log = name === undefined ? require(`loglevel`).noConflict()
+      : require(`loglevel`).getLogger(loggerName);
   let loglevelMessagePrefix = require(`@natlibfi/loglevel-message-prefix`);
   log.setLevel(`info`);
 
   loglevelMessagePrefix(log, {
     prefixes: [`level`],
-    staticPrefixes: [`HHM`],
+    staticPrefixes: name === undefined ? [`HHM`] : [`HHM`, name],
   });
 
-  $.extend(log, {
+  Object.assign(log, {
     level: {
       TRACE: `trace`,
       DEBUG: `debug`,
@@ -0,0 +1,67 @@
+/**
+ * Plugin manager module.
+ *
+ * The HHM creates one plugin manager, `HHM.manager`, which uses the global
+ * `HHM.config`. Additional managers with their own configuration can be
+ * created to host several rooms in one page.
+ *
+ * @module src/manager
+ * @see PluginManager
+ */
+
+const platform = require(`./platform`);
+
+let managerCount = 0;
+
+/**
+ * Creates a plugin manager which is independent of `HHM.manager`.
+ *
+ * The manager gets its own configuration, deferreds, logger, room link and
+ * repositories. Call {@link PluginManager#start} to create the room from
+ * `config.room` and load the configured plugins.
+ *
+ * The stored data of its plugins is kept apart from other managers using a
+ * storage namespace derived from the manager name: `localStorage` keys of the
+ * plugins and the names of storage instances created through `HHM.storage` by
+ * plugins loaded from source code (like `hhm/persistence`) are prefixed with
+ * it. Plugins passed as functions see the global `HHM.storage` and have to use
+ * `window.HHM.storage` or {@link PluginManager#getStorage} instead.
+ *
+ * @alias module:src/manager.createManager
+ * @param {object} options Manager options.
+ * @param {object} options.config HHM configuration, in the same format as
+ *  `HHM.config`.
+ * @param {string} [options.name] Name of the manager, used as log prefix and
+ *  storage namespace, defaults to the room name. Use the same name to access
+ *  the stored data again after a restart, managers with the same name share
+ *  their stored data.
+ * @returns {PluginManager} Plugin manager.
+ * @throws {Error} If no configuration was given.
+ */
+function createManager({ config, name } = {}) {
+  if (typeof config !== `object` || config === null) {
+    throw new Error(`Unable to create plugin manager without configuration`);
+  }
+
+  managerCount++;
+
+  const managerName = name || (config.room || {}).roomName
+      || `manager ${managerCount}`;
+  const log = require(`./log`)(managerName, `hhm-manager-${managerCount}`);
+
+  log.setLevel(config.logLevel || log.getLevel());
+
+  return new HHM.classes.PluginManager({
+    config,
+    deferreds: {
+      managerStarted: platform.get().createDeferred(),
+      roomLink: platform.get().createDeferred(),
+    },
+    log,
+    storageNamespace: `hhm-manager-${managerName}`,
+  });
+}
+
+module.exports = {
+  createManager,
+};
@@ -36,7 +36,8 @@ module.exports.populate = () => {
   /**
    * Stores global deferreds.
    *
-   * These are jQuery deferred objects.
+   * These are jQuery deferred objects, or compatible deferred objects created
+   * by the platform adapter.
    *
    * @see https://api.jquery.com/category/deferred-object/
    * @member HHM.deferreds
@@ -77,14 +78,41 @@ module.exports.populate = () => {
    */
   global.HHM.classes = {
     EventHandlerExecutionMetadata: require(`./classes/EventHandlerExecutionMetadata`),
+    EventRecorder: require(`./classes/EventRecorder`),
+    EventReplayer: require(`./classes/EventReplayer`),
+    ExtensionRegistry: require(`./classes/ExtensionRegistry`),
     FunctionReflector: require(`./classes/FunctionReflector`),
+    HarnessAssertionError: require(`./classes/HarnessAssertionError`),
+    Membrane: require(`./classes/Membrane`),
+    MemoryStorage: require(`./classes/MemoryStorage`),
     PluginLoader: require(`./classes/PluginLoader`),
+    PluginLoadFailure: require(`./classes/PluginLoadFailure`),
     PluginManager: require(`./classes/PluginManager`),
+    PluginSandbox: require(`./classes/PluginSandbox`),
     ...require(`./classes/repository`),
+    RoomSimulator: require(`./classes/RoomSimulator`),
+    TestHarness: require(`./classes/TestHarness`),
     TrappedRoomManager: require(`./classes/TrappedRoomManager`),
   };
 
 
+  /**
+   * Creates a plugin manager with its own configuration, e.g. to host several
+   * rooms in one page.
+   *
+   * @function HHM.createManager
+   * @see module:src/manager.createManager
+   */
+  global.HHM.createManager = require(`./manager`).createManager;
+
+  /**
+   * Platform adapters providing HTTP fetching, deferreds, storage and globals.
+   *
+   * @member HHM.platform
+   * @see module:src/platform
+   */
+  global.HHM.platform = require(`./platform`);
+
   // TODO move to separate file?
   /**
    * HHM events, the event name will be passed along with each event in addition
@@ -115,6 +143,40 @@ module.exports.populate = () => {
      */
     'EVENT_HANDLER_UNSET': `eventHandlerUnset`,
 
+    /**
+     * Triggered after a room extension was added by a plugin, and no other
+     * plugin provided the extension before.
+     *
+     * @property {HhmRoomObject} plugin Plugin providing the extension.
+     * @property {string} extensionName Name of the extended room property.
+     *
+     * @memberOf HHM.events
+     */
+    'EXTENSION_ADDED': `extensionAdded`,
+
+    /**
+     * Triggered after a room extension was overridden by another plugin.
+     *
+     * @property {HhmRoomObject} plugin Plugin providing the new extension.
+     * @property {string} extensionName Name of the extended room property.
+     * @property {HhmRoomObject} previousPlugin Plugin which provided the
+     *  extension before.
+     *
+     * @memberOf HHM.events
+     */
+    'EXTENSION_OVERRIDDEN': `extensionOverridden`,
+
+    /**
+     * Triggered after the room extensions of a plugin were removed because the
+     * plugin is being removed.
+     *
+     * @property {HhmRoomObject} plugin Plugin which provided the extension.
+     * @property {string} extensionName Name of the extended room property.
+     *
+     * @memberOf HHM.events
+     */
+    'EXTENSION_REMOVED': `extensionRemoved`,
+
     /**
      * Triggered before a local event is dispatched.
      *
@@ -125,6 +187,10 @@ module.exports.populate = () => {
      *  - enable
      *  - disable
      *  - configSet
+     *  - dependencyAvailable
+     *  - dependencyUnavailable
+     *  - beforeReload
+     *  - afterReload
      *
      * @property {HhmRoomObject} plugin Associated plugin.
      * @property {string} localEventName Name of the local event, see the list
@@ -135,6 +201,39 @@ module.exports.populate = () => {
      */
     'LOCAL_EVENT': `localEvent`,
 
+    /**
+     * Triggered when a plugin conflicts with another loaded plugin.
+     *
+     * Triggered after the conflict was resolved according to
+     * `HHM.config.conflictPolicy`, but before any conflicting plugin was
+     * removed.
+     *
+     * @property {HhmRoomObject} plugin Plugin whose loading caused the
+     *  conflict.
+     * @property {HhmRoomObject} conflictingPlugin Plugin which was loaded
+     *  first.
+     * @property {PluginManager~ConflictReport} report Conflict report.
+     *
+     * @memberOf HHM.events
+     */
+    'PLUGIN_CONFLICT': `pluginConflict`,
+
+    /**
+     * Triggered when a plugin source does not match its integrity value.
+     *
+     * The plugin source is not executed, the remaining repositories are tried.
+     *
+     * @property {string} pluginName Plugin name.
+     * @property {repository.Repository} repository Repository the source was
+     *  loaded from.
+     * @property {string} expected Expected integrity value.
+     * @property {(string|undefined)} actual Actual integrity value, `undefined`
+     *  if the expected integrity value is invalid.
+     *
+     * @memberOf HHM.events
+     */
+    'PLUGIN_INTEGRITY_MISMATCH': `pluginIntegrityMismatch`,
+
     /**
      * Triggered after a plugin was disabled.
      *
@@ -226,5 +325,38 @@ module.exports.populate = () => {
      * @memberOf HHM.events
      */
     'USER_PLUGINS_LOADED': `userPluginsLoaded`,
+
+    /**
+     * Triggered after the `userPluginsLoaded` event.
+     *
+     * @property {PluginManager~BootReport} report Boot report, also available
+     *  using {@link PluginManager#getBootReport}.
+     *
+     * @memberOf HHM.events
+     */
+    'BOOT_REPORT': `bootReport`,
+
+    /**
+     * Triggered when the HHM is being stopped, before any plugin is disabled
+     * or its data is persisted.
+     *
+     * @property {boolean} persist Whether plugin data will be persisted.
+     *
+     * @see PluginManager#stop
+     * @memberOf HHM.events
+     */
+    'BEFORE_SHUTDOWN': `beforeShutdown`,
+
+    /**
+     * Triggered after the room was restarted and all plugins received the new
+     * room link.
+     *
+     * @property {string} roomLink New room link.
+     * @property {object} roomConfig Configuration of the new room.
+     *
+     * @see PluginManager#restartRoom
+     * @memberOf HHM.events
+     */
+    'ROOM_RESTARTED': `roomRestarted`,
   }
 };
\ No newline at end of file
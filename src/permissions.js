@@ -0,0 +1,135 @@
+/**
+ * Plugin permissions module.
+ *
+ * Plugins declare the permissions they need in the `permissions` property of
+ * their plugin specification. Each permission grants access to a number of
+ * privileged room properties, which are checked whenever a plugin accesses
+ * them through its room proxy.
+ *
+ * Whether missing permissions only lead to a warning or whether access is
+ * blocked is controlled by `HHM.config.permissionMode`. Both the mode and the
+ * permission overrides of the plugin configuration are copied when the plugin
+ * manager is started, see {@link module:src/permissions.createSettings}.
+ *
+ * @module src/permissions
+ * @see TrappedRoomManager#onPropertyGet
+ * @see PluginManager#getPluginPermissions
+ */
+
+/**
+ * Wildcard permission, grants all permissions.
+ *
+ * @alias module:src/permissions.ALL
+ */
+const ALL = `*`;
+
+/**
+ * Permission modes.
+ *
+ * - `warn`: log a warning the first time a plugin accesses a privileged
+ *   property without permission
+ * - `enforce`: block access and log an error whenever a plugin calls a
+ *   privileged function without permission (default)
+ *
+ * @alias module:src/permissions.modes
+ */
+const modes = {
+  ENFORCE: `enforce`,
+  WARN: `warn`,
+};
+
+/**
+ * Permission names and the room properties they grant access to.
+ *
+ * @alias module:src/permissions.privilegedProperties
+ */
+const privilegedProperties = {
+  admin: [`setPlayerAdmin`],
+  ban: [`clearBan`, `clearBans`],
+  kick: [`kickPlayer`],
+  manager: [`getParentRoom`, `getPluginManager`, `getRoomManager`],
+  password: [`setPassword`],
+};
+
+const permissionsByProperty = new Map();
+
+for (let permission of Object.getOwnPropertyNames(privilegedProperties)) {
+  for (let propertyName of privilegedProperties[permission]) {
+    permissionsByProperty.set(propertyName, permission);
+  }
+}
+
+/**
+ * Creates a frozen copy of the permission settings of the given HHM
+ * configuration.
+ *
+ * Plugins can access the configuration at runtime, so the plugin manager only
+ * uses this copy to decide about permissions.
+ *
+ * @alias module:src/permissions.createSettings
+ * @param {object} config HHM configuration.
+ * @returns {module:src/permissions~Settings} Frozen permission settings.
+ */
+function createSettings(config) {
+  const plugins = config.plugins || {};
+  const overrides = {};
+
+  for (let pluginName of Object.getOwnPropertyNames(plugins)) {
+    const override = (plugins[pluginName] || {}).permissions;
+
+    if (Array.isArray(override)) {
+      overrides[pluginName] = Object.freeze([...override]);
+    } else if (typeof override === `object` && override !== null) {
+      overrides[pluginName] = Object.freeze({
+        grant: Object.freeze([...(override.grant || [])]),
+        revoke: Object.freeze([...(override.revoke || [])]),
+      });
+    }
+  }
+
+  return Object.freeze({
+    mode: config.permissionMode || modes.ENFORCE,
+    overrides: Object.freeze(overrides),
+  });
+}
+
+/**
+ * Returns the permission required to access the given room property.
+ *
+ * @alias module:src/permissions.getPermission
+ * @param {string} propertyName Room property name.
+ * @returns {(string|undefined)} Permission name or `undefined` if the property
+ *  is not privileged.
+ */
+function getPermission(propertyName) {
+  return permissionsByProperty.get(propertyName);
+}
+
+/**
+ * Returns the names of all known permissions.
+ *
+ * @alias module:src/permissions.getPermissionNames
+ * @returns {Array.<string>} Permission names, without the wildcard.
+ */
+function getPermissionNames() {
+  return Object.getOwnPropertyNames(privilegedProperties);
+}
+
+module.exports = {
+  ALL,
+  createSettings,
+  getPermission,
+  getPermissionNames,
+  modes,
+  privilegedProperties,
+};
+
+/**
+ * Permission settings of a plugin manager.
+ *
+ * @typedef {object} module:src/permissions~Settings
+ * @property {string} mode One of {@link module:src/permissions.modes}.
+ * @property {Object.<string, (Array.<string>|{grant: Array.<string>,
+ *  revoke: Array.<string>})>} overrides Permission overrides from the
+ *  `permissions` property of the plugin configurations, by plugin name.
+ */
@@ -0,0 +1,56 @@
+/**
+ * Browser platform adapter.
+ *
+ * Uses jQuery (the global `$`, which is set up by the HHM if it is missing)
+ * for HTTP requests and deferreds, localForage for storage and a hidden
+ * iframe as sandbox realm.
+ *
+ * @module src/platform/browser
+ * @see module:src/platform~PlatformAdapter
+ */
+
+module.exports = {
+  name: `browser`,
+
+  get global() {
+    return window;
+  },
+
+  get localStorage() {
+    return window.localStorage;
+  },
+
+  fetch: async (url, { dataType, headers } = {}) => {
+    return $.ajax({
+      cache: false,
+      crossDomain: true,
+      url,
+      dataType,
+      headers,
+    });
+  },
+
+  createDeferred: () => new $.Deferred(),
+
+  extend: (...objects) => $.extend(...objects),
+
+  createStorage: async (config) => {
+    return require(`localforage`).createInstance(config);
+  },
+
+  createRoom: (roomConfig) => HBInit(roomConfig),
+
+  createRealm: () => {
+    const iframe = document.createElement(`iframe`);
+    iframe.style.display = `none`;
+    document.documentElement.appendChild(iframe);
+
+    return iframe.contentWindow;
+  },
+
+  destroyRealm: (realm) => {
+    if (realm.frameElement) {
+      realm.frameElement.remove();
+    }
+  },
+};
@@ -0,0 +1,105 @@
+/**
+ * Platform module.
+ *
+ * The core of the HHM does not access browser APIs like `$.ajax`,
+ * `$.Deferred`, `window` or `localStorage` directly, it uses the platform
+ * adapter returned by {@link module:src/platform.get} instead. This allows
+ * running the HHM outside of the browser, e.g. in Node.js against a headless
+ * HaxBall bridge or in unit tests.
+ *
+ * The browser adapter is used by default if `window` is defined, the Node.js
+ * adapter otherwise. A different adapter can be set using
+ * {@link module:src/platform.set} before the plugin manager is started.
+ *
+ * @module src/platform
+ * @see module:src/platform/browser
+ * @see module:src/platform/node
+ */
+
+/**
+ * Built-in platform adapters.
+ *
+ * @alias module:src/platform.adapters
+ */
+const adapters = {
+  browser: require(`./browser`),
+  node: require(`./node`),
+};
+
+let adapter;
+
+/**
+ * Returns the current platform adapter.
+ *
+ * @alias module:src/platform.get
+ * @returns {module:src/platform~PlatformAdapter} Platform adapter.
+ */
+function get() {
+  if (adapter === undefined) {
+    adapter = typeof window !== `undefined` ? adapters.browser : adapters.node;
+  }
+
+  return adapter;
+}
+
+/**
+ * Sets the platform adapter.
+ *
+ * Missing functions and properties are taken from the default adapter, so
+ * partial adapters can be used to replace e.g. only the HTTP fetching.
+ *
+ * @alias module:src/platform.set
+ * @param {(module:src/platform~PlatformAdapter|string)} newAdapter Platform
+ *  adapter or name of a built-in adapter.
+ * @throws {Error} If an unknown adapter name was given.
+ */
+function set(newAdapter) {
+  if (typeof newAdapter === `string`) {
+    if (!adapters.hasOwnProperty(newAdapter)) {
+      throw new Error(`Unknown platform adapter ${newAdapter}`);
+    }
+
+    newAdapter = adapters[newAdapter];
+  }
+
+  adapter = undefined;
+  const defaultAdapter = get();
+
+  adapter = Object.create(defaultAdapter,
+      Object.getOwnPropertyDescriptors(newAdapter));
+}
+
+module.exports = {
+  adapters,
+  get,
+  set,
+};
+
+/**
+ * Platform adapter.
+ *
+ * @typedef {object} module:src/platform~PlatformAdapter
+ * @property {string} name Name of the platform.
+ * @property {object} global Global object which is passed to unsandboxed
+ *  plugins as `window` and from which sandboxed plugins take their globals.
+ * @property {Storage} localStorage Storage implementing the Web Storage API,
+ *  used for the `localStorage` of plugins.
+ * @property {function(string, object=): Promise.<*>} fetch Loads the data at
+ *  the given URL. Supported options are `dataType` (`json` or `text`) and
+ *  `headers`. The returned promise is rejected if the data could not be
+ *  loaded.
+ * @property {function(): external:jQuery.Deferred} createDeferred Creates a
+ *  deferred object which supports at least `resolve()`, `reject()`,
+ *  `promise()` and `state()`.
+ * @property {function(object, ...object): object} extend Copies the
+ *  properties of the given objects into the first object like `$.extend()`,
+ *  skipping `undefined` values, and returns it.
+ * @property {function(object): Promise.<LocalForage>} createStorage Creates a
+ *  localForage-compatible storage instance, see {@link module:src/storage}.
+ * @property {function(object): external:native-api.RoomObject} createRoom
+ *  Creates a native room from the given room configuration like `HBInit`.
+ * @property {function(): object} createRealm Creates the global object of a
+ *  new realm for sandboxed plugins, see {@link PluginSandbox}.
+ * @property {function(object)} destroyRealm Releases the realm with the given
+ *  global object once it is no longer used.
+ */
@@ -0,0 +1,198 @@
+/**
+ * Node.js platform adapter.
+ *
+ * Uses `fetch` (Node.js 18 or later) for HTTP requests, `fs` for `file:`
+ * URLs, native promises for deferreds, an in-memory storage and a `vm`
+ * context as sandbox realm.
+ *
+ * None of the data stored by plugins is persisted, use
+ * {@link module:src/platform.set} with a custom `localStorage` and
+ * `createStorage` to change that.
+ *
+ * @module src/platform/node
+ * @see module:src/platform~PlatformAdapter
+ */
+
+const MemoryStorage = require(`../classes/MemoryStorage`);
+
+let localStorage;
+const memoryStores = new Map();
+
+/**
+ * Deferred object based on native promises, implementing the subset of
+ * jQuery deferreds used within the HHM.
+ *
+ * Like with jQuery deferreds, rejections are not reported as unhandled.
+ */
+class Deferred {
+  constructor() {
+    this._state = `pending`;
+    this._promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+    this._promise.catch(() => {});
+  }
+
+  resolve(value) {
+    if (this._state === `pending`) {
+      this._state = `resolved`;
+      this._resolve(value);
+    }
+
+    return this;
+  }
+
+  reject(reason) {
+    if (this._state === `pending`) {
+      this._state = `rejected`;
+      this._reject(reason);
+    }
+
+    return this;
+  }
+
+  state() {
+    return this._state;
+  }
+
+  promise() {
+    return this._promise;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Creates an in-memory storage implementing the localForage API subset used
+ * by plugins.
+ *
+ * Instances with the same name and store name share their data, like with
+ * localForage.
+ *
+ * @param {object} [config] localForage configuration.
+ * @returns {object} Storage instance.
+ */
+function createMemoryStore({ name = `localforage`,
+                             storeName = `keyvaluepairs` } = {}) {
+  const storeId = `${name}/${storeName}`;
+
+  if (!memoryStores.has(storeId)) {
+    memoryStores.set(storeId, new Map());
+  }
+
+  const items = memoryStores.get(storeId);
+  const copy = (value) => value === undefined ? null : structuredClone(value);
+
+  return {
+    getItem: async (key) => items.has(key) ? copy(items.get(key)) : null,
+    setItem: async (key, value) => {
+      items.set(key, copy(value));
+      return value;
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+    clear: async () => {
+      items.clear();
+    },
+    length: async () => items.size,
+    key: async (n) => n < items.size ? [...items.keys()][n] : null,
+    keys: async () => [...items.keys()],
+    iterate: async (iterator) => {
+      let iterationNumber = 1;
+
+      for (let [key, value] of items) {
+        const result = iterator(copy(value), key, iterationNumber++);
+
+        if (result !== undefined) {
+          return result;
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Parses the given text according to the given data type.
+ *
+ * @param {string} text Loaded text.
+ * @param {string} [dataType] Requested data type.
+ * @param {boolean} [isJson] Whether the data is JSON if no data type was
+ *  requested.
+ * @returns {*} Parsed data.
+ */
+function parseData(text, dataType, isJson = false) {
+  if (dataType === `json` || (dataType === undefined && isJson)) {
+    return JSON.parse(text);
+  }
+
+  return text;
+}
+
+module.exports = {
+  name: `node`,
+
+  global: globalThis,
+
+  get localStorage() {
+    if (localStorage === undefined) {
+      localStorage = new MemoryStorage();
+    }
+
+    return localStorage;
+  },
+
+  fetch: async (url, { dataType, headers } = {}) => {
+    if (url.startsWith(`file:`)) {
+      const text = await require(`fs`).promises.readFile(new URL(url), `utf8`);
+
+      return parseData(text, dataType, url.endsWith(`.json`));
+    }
+
+    const response = await fetch(url, { cache: `no-store`, headers });
+
+    if (!response.ok) {
+      throw new Error(`Unable to load ${url}: HTTP ${response.status}`);
+    }
+
+    return parseData(await response.text(), dataType,
+        (response.headers.get(`content-type`) || ``).includes(`json`));
+  },
+
+  createDeferred: () => new Deferred(),
+
+  extend: (target, ...objects) => {
+    for (let object of objects) {
+      if (object === undefined || object === null) continue;
+
+      for (let key in object) {
+        const value = object[key];
+
+        if (value !== undefined && value !== target) {
+          target[key] = value;
+        }
+      }
+    }
+
+    return target;
+  },
+
+  createStorage: async (config) => createMemoryStore(config),
+
+  createRoom: (roomConfig) => {
+    if (typeof globalThis.HBInit !== `function`) {
+      throw new Error(`HBInit is not available, pass a room or a room factory `
+          + `to the start of the plugin manager`);
+    }
+
+    return globalThis.HBInit(roomConfig);
+  },
+
+  createRealm: () => require(`vm`).runInNewContext(`this`),
+
+  // Contexts are garbage collected
+  destroyRealm: () => {},
+};
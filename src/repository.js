@@ -10,6 +10,7 @@
  * @see repository.RepositoryTypeHandler
  */
 
+const platform = require(`./platform`);
 const repositoryClasses = require(`./classes/repository`);
 
 /**
@@ -58,15 +59,8 @@ const github = {
     let pluginSource = false;
 
     try {
-      await $.ajax({
-        cache: false,
-        crossDomain: true,
-        url: pluginUrl,
-        dataType: `text`,
-        success: text => {
-          pluginSource = text;
-        },
-      });
+      pluginSource = await platform.get().fetch(pluginUrl,
+          { dataType: `text` });
     } catch (e) {
       // Plugin not available from this repository, no action necessary
     }
@@ -117,22 +111,52 @@ const github = {
     let repositoryInformation = {};
 
     try {
-      await $.ajax({
-        cache: false,
-        crossDomain: true,
-        url: repositoryInformationUrl,
-        dataType: `json`,
-        success: json => {
-          repositoryInformation = json;
-        },
-      });
+      repositoryInformation = await platform.get().fetch(
+          repositoryInformationUrl, { dataType: `json` });
     } catch (e) {
       // No information available for this repository, no action necessary
     }
 
-    return $.extend({ name: `${repositoryName}@${version}` },
+    return platform.get().extend({ name: `${repositoryName}@${version}` },
         repositoryInformation, { name });
   },
+
+  /**
+   * Resolves the configured branch, tag or commit to a commit SHA using the
+   * GitHub API.
+   *
+   * @function repository.github.resolveVersion
+   * @async
+   * @param {repository.Repository} repository Repository object.
+   * @throws {repository.RepositoryTypeError} If a non-github repository is given.
+   * @returns {Promise.<(string|undefined)>} Commit SHA or `undefined` if it
+   *  could not be resolved.
+   */
+  resolveVersion: async (repository) => {
+
+    if (repository.getType() !== `github`) {
+      throw new repositoryClasses.RepositoryTypeError(repository.getType());
+    }
+
+    const { "repository": repositoryName, version }
+        = repository.getConfiguration();
+
+    let commit;
+
+    try {
+      commit = (await platform.get().fetch(
+          `https://api.github.com/repos/${repositoryName}/commits/`
+              + encodeURIComponent(version),
+          {
+            headers: { Accept: `application/vnd.github.sha` },
+            dataType: `text`,
+          })).trim();
+    } catch (e) {
+      // Version cannot be resolved, no action necessary
+    }
+
+    return commit;
+  },
 };
 
 /**
@@ -211,7 +235,7 @@ const local = {
 
     let pluginNames = Object.getOwnPropertyNames(plugins);
 
-    return $.extend({}, { name: path, plugins: pluginNames },
+    return platform.get().extend({}, { name: path, plugins: pluginNames },
         repositoryInformation, { name });
   },
 };
@@ -302,20 +326,13 @@ const plain = {
     let repositoryInformation = {};
 
     try {
-      await $.ajax({
-        cache: false,
-        crossDomain: true,
-        url: repositoryInformationUrl,
-        dataType: `json`,
-        success: json => {
-          repositoryInformation = json;
-        },
-      });
+      repositoryInformation = await platform.get().fetch(
+          repositoryInformationUrl, { dataType: `json` });
     } catch (e) {
       // No information available for this repository, no action necessary
     }
 
-    return $.extend({ name: url }, repositoryInformation);
+    return platform.get().extend({ name: url }, repositoryInformation);
   },
 };
 
@@ -368,6 +385,20 @@ module.exports = RepositoryTypeHandlers;
  * @returns {Promise.<repository.RepositoryInformation>} Repository information.
  */
 
+/**
+ * Optional, resolves the configured version of the given repository to an
+ * immutable version like a commit SHA, which is stored in lockfiles.
+ *
+ * The resolved version must be usable as the `version` of a repository
+ * configuration of the same type.
+ *
+ * @function repository.RepositoryTypeHandler.resolveVersion
+ * @async
+ * @param {repository.Repository} repository Repository object.
+ * @returns {Promise.<(string|undefined)>} Resolved version or `undefined`.
+ * @see PluginManager#generateLockfile
+ */
+
 /**
  * Repository information object.
  *
@@ -386,4 +417,11 @@ module.exports = RepositoryTypeHandlers;
  * @property {string} [description] Repository description
  * @property {string} [author] Author(s) of the plugins in this repository.
  * @property {Array.<string>} [plugins] Plugins contained in the repository.
+ * @property {Object.<string, Array.<string>>} [dependencies] Dependencies of
+ *  the plugins contained in the repository, in the format of the
+ *  `dependencies` property of the plugin specification. Only used to prefetch
+ *  plugin sources, see {@link PluginLoader#prefetchPluginSources}.
+ * @property {Object.<string, string>} [integrity] Integrity values of the
+ *  plugins contained in the repository, plugin sources which do not match are
+ *  not loaded, see {@link module:src/integrity}.
  */
\ No newline at end of file
@@ -5,6 +5,9 @@
  * @extends external:native-api.RoomObject
  */
 
+const permissionsUtil = require(`./permissions`);
+const platform = require(`./platform`);
+
 /***
  * Extends the given room with HHM features.
  */
@@ -13,7 +16,7 @@ module.exports.createRoom = function(room, pluginManager) {
   // Copy room because we have to re-use the given instance
   const parentRoom = Object.assign({}, room);
 
-  return $.extend(room, {
+  return platform.get().extend(room, {
     _class: `HhmRoomObject`,
 
     /**
@@ -123,7 +126,13 @@ module.exports.createRoom = function(room, pluginManager) {
      * with the same name, the extension will fail and false will be returned.
      *
      * The plugin room and previously defined function (if any) are passed in
-     * a destructuring first argument.
+     * a destructuring first argument. The previous function calls the next
+     * enabled provider of the function, or the original room function.
+     *
+     * Extensions are removed when the providing plugin is removed.
+     *
+     * Extending privileged properties like `kickPlayer` requires the same
+     * permission as accessing them, see {@link module:src/permissions}.
      *
      * @memberOf HhmRoomObject
      * @instance
@@ -136,41 +145,35 @@ module.exports.createRoom = function(room, pluginManager) {
      */
     extend: function(name, element) {
 
-      if (typeof element !== `function` && room[name] === undefined) {
-        room[name] = element;
-        return true;
-      } else if (typeof element === `function`) {
-        if (!isValidExtensionFunction(element)) {
-          HHM.log.error(`Unable to extend room with invalid extension function `
-              + `for property ${name}: function must expect destructuring `
-              + `object as first parameter`);
-        }
-
-        const previousFn = room[name];
-        const definingPlugin = this;
-
-        // TODO change this into a linked list so functions from removed plugins
-        //  can be removed, they lead to leaks otherwise
-        room[name] = function(...args) {
-          if (definingPlugin.isEnabled()) {
-            return element({
-              previousFunction: previousFn,
-              callingPluginName: this._name,
-            }, ...args);
-          } else if (typeof previousFn === `function`) {
-            return previousFn(...args);
-          } else {
-            this.log(`Plugin ${definingPlugin._name}, which provides function ${name}, `
-              + `is disabled, please make sure to properly declare dependencies `
-              + `and honor plugin states.`);
-            return () => {};
-          }
-        };
-
-        return true;
+      if (!pluginManager.getRoomManager().checkPermission(this._id, name)) {
+        pluginManager.log.error(`Plugin ${this._name} is not allowed to extend room `
+            + `property ${name}, permission `
+            + `${permissionsUtil.getPermission(name)} is missing`);
+        return false;
       }
 
-      return false;
+      if (typeof element === `function` && !isValidExtensionFunction(element)) {
+        pluginManager.log.error(`Unable to extend room with invalid extension `
+            + `function for property ${name}: function must expect `
+            + `destructuring object as first parameter`);
+      }
+
+      return pluginManager.getExtensionRegistry()
+          .addProvider(this._id, name, element);
+    },
+
+    /**
+     * Returns the names of the plugins providing the given room extension.
+     *
+     * @memberOf HhmRoomObject
+     * @instance
+     * @param {string} name Name of the extended room property.
+     * @returns {Array.<string>} Plugin names, the plugin whose extension is
+     *  called first comes first. Empty if the property was not extended.
+     * @see ExtensionRegistry#getProviders
+     */
+    getExtensionProviders: function(name) {
+      return pluginManager.getExtensionRegistry().getProviders(name);
     },
 
     /**
@@ -245,6 +248,9 @@ module.exports.createRoom = function(room, pluginManager) {
     /**
      * Returns the parent room object.
      *
+     * Calling its functions bypasses the HHM, so plugins need the `manager`
+     * permission to access it.
+     *
      * @memberOf HhmRoomObject
      * @returns {external:native-api.RoomObject} Parent room object, in most
      *  cases this is the native headless API room object.
@@ -264,11 +270,19 @@ module.exports.createRoom = function(room, pluginManager) {
      *  and a new plugin is created.
      * @returns {(external:haxball-room-trapper.TrappedRoom|undefined)} Plugin
      *  room proxy or undefined if the plugin was not found and `create` is
-     *  `false`.
+     *  `false`. When called by a plugin, privileged properties of the rooms of
+     *  other plugins require the permissions of the calling plugin as well.
      * @see PluginManager#getPlugin
+     * @see TrappedRoomManager#getPluginRoomView
      */
     getPlugin: function(pluginName, create) {
-      return pluginManager.getPlugin(pluginName, create);
+      const plugin = pluginManager.getPlugin(pluginName, create);
+
+      if (plugin === undefined || this._id === undefined || plugin === this) {
+        return plugin;
+      }
+
+      return pluginManager.getRoomManager().getPluginRoomView(this._id, plugin);
     },
 
     /**
@@ -414,10 +428,11 @@ module.exports.createRoom = function(room, pluginManager) {
      * @param {string} level Log level.
      * @see module:src/log
      */
-    log: function(message, level = HHM.log.level.INFO) {
-      level = HHM.log.hasOwnProperty(level) ? level : HHM.log.level.INFO;
+    log: function(message, level = pluginManager.log.level.INFO) {
+      level = pluginManager.log.hasOwnProperty(level) ? level
+          : pluginManager.log.level.INFO;
 
-      HHM.log[level](`[${this._name}] ` + message);
+      pluginManager.log[level](`[${this._name}] ` + message);
     },
 
     /**
@@ -467,6 +482,68 @@ module.exports.createRoom = function(room, pluginManager) {
   });
 };
 
+/**
+ * Event handler names of the native room object.
+ *
+ * @see external:native-api.RoomObject
+ */
+const nativeEventHandlerNames = [`onGamePause`, `onGameStart`, `onGameStop`,
+  `onGameTick`, `onGameUnpause`, `onKickRateLimitSet`, `onPlayerActivity`,
+  `onPlayerAdminChange`, `onPlayerBallKick`, `onPlayerChat`, `onPlayerJoin`,
+  `onPlayerKicked`, `onPlayerLeave`, `onPlayerTeamChange`, `onPositionsReset`,
+  `onStadiumChange`, `onTeamGoal`, `onTeamsLockChange`, `onTeamVictory`];
+
+module.exports.nativeEventHandlerNames = nativeEventHandlerNames;
+
+/***
+ * Binds the given room to a new native room object.
+ *
+ * The room object keeps its identity, since plugins and the trapped room
+ * manager refer to it. Instead, the functions of the new native room are
+ * copied to the room and its parent room, except for functions which were
+ * overridden on the room, and the event handlers of the new native room are
+ * redirected to the room. `onRoomLink` is not redirected. Room extensions
+ * wrapping a native function call the new native function afterwards.
+ */
+module.exports.replaceNativeRoom = function(room, nativeRoom) {
+  const parentRoom = room.getParentRoom();
+  const extensionRegistry = room._pluginManager.extensionRegistry;
+
+  for (let propertyName of Object.getOwnPropertyNames(nativeRoom)) {
+    if (propertyName.startsWith(`on`)
+        || typeof nativeRoom[propertyName] !== `function`) {
+      continue;
+    }
+
+    if (room[propertyName] === parentRoom[propertyName]) {
+      room[propertyName] = nativeRoom[propertyName];
+    } else if (extensionRegistry !== undefined) {
+      extensionRegistry.replaceOriginal(propertyName, parentRoom[propertyName],
+          nativeRoom[propertyName]);
+    }
+
+    parentRoom[propertyName] = nativeRoom[propertyName];
+  }
+
+  const handlerNames = new Set([...nativeEventHandlerNames,
+    ...Object.getOwnPropertyNames(room).filter((name) => name.startsWith(`on`)
+        && typeof room[name] === `function`)]);
+
+  handlerNames.delete(`onRoomLink`);
+
+  for (let handlerName of handlerNames) {
+    Object.defineProperty(nativeRoom, handlerName, {
+      configurable: true,
+      enumerable: true,
+      get: () => room.hasOwnProperty(handlerName) ? room[handlerName]
+          : undefined,
+      set: () => {},
+    });
+  }
+
+  return room;
+};
+
 const functionReflector = new HHM.classes.FunctionReflector(
     Math.floor((Math.random() * 10000) + 1));
 
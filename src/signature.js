@@ -0,0 +1,136 @@
+/**
+ * Repository signature module.
+ *
+ * Repository maintainers can sign the plugin manifest of their repository,
+ * which is the `integrity` property of the repository information (see
+ * {@link repository.RepositoryInformation}) serialized with sorted keys.
+ * Since the manifest contains the integrity values of the plugins, a valid
+ * signature covers the plugin sources as well.
+ *
+ * Signatures are ECDSA signatures using the P-256 curve and SHA-256, in the
+ * raw format produced by WebCrypto, base64-encoded and stored in the
+ * `signature` property of the repository information. Public keys are given
+ * as base64-encoded SPKI or as JWK objects.
+ *
+ * @module src/signature
+ * @see module:src/integrity
+ * @see repository.Repository#isSignatureVerified
+ */
+
+const stringify = require(`json-stable-stringify`);
+
+/**
+ * WebCrypto algorithm parameters used to sign and verify manifests.
+ */
+const keyAlgorithm = { name: `ECDSA`, namedCurve: `P-256` };
+const signatureAlgorithm = { name: `ECDSA`, hash: `SHA-256` };
+
+/**
+ * Returns the plugin manifest of the given repository information.
+ *
+ * @alias module:src/signature.getManifest
+ * @param {repository.RepositoryInformation} repositoryInformation Repository
+ *  information.
+ * @returns {Uint8Array} Serialized manifest.
+ */
+function getManifest(repositoryInformation) {
+  return new TextEncoder().encode(
+      stringify(repositoryInformation.integrity || {}));
+}
+
+/**
+ * Imports the given public or private key.
+ *
+ * @alias module:src/signature.importKey
+ * @async
+ * @param {(string|object)} key Base64-encoded SPKI public key or JWK.
+ * @returns {Promise.<CryptoKey>} Imported key.
+ */
+async function importKey(key) {
+  if (typeof key === `string`) {
+    return crypto.subtle.importKey(`spki`, decode(key), keyAlgorithm, false,
+        [`verify`]);
+  }
+
+  return crypto.subtle.importKey(`jwk`, key, keyAlgorithm, false,
+      key.d === undefined ? [`verify`] : [`sign`]);
+}
+
+/**
+ * Decodes the given base64 string.
+ *
+ * @param {string} data Base64 string.
+ * @returns {Uint8Array} Decoded data.
+ */
+function decode(data) {
+  return Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Signs the plugin manifest of the given repository information.
+ *
+ * Meant for repository maintainers, e.g. in a Node.js script.
+ *
+ * @alias module:src/signature.sign
+ * @async
+ * @param {repository.RepositoryInformation} repositoryInformation Repository
+ *  information.
+ * @param {(object|CryptoKey)} privateKey Private key as JWK or CryptoKey.
+ * @returns {Promise.<string>} Base64-encoded signature.
+ */
+async function sign(repositoryInformation, privateKey) {
+  const key = privateKey instanceof CryptoKey ? privateKey
+      : await importKey(privateKey);
+  const signature = new Uint8Array(await crypto.subtle.sign(
+      signatureAlgorithm, key, getManifest(repositoryInformation)));
+
+  return btoa(String.fromCharCode(...signature));
+}
+
+/**
+ * Verifies the signature of the given repository information.
+ *
+ * @alias module:src/signature.verify
+ * @async
+ * @param {repository.RepositoryInformation} repositoryInformation Repository
+ *  information.
+ * @param {Array.<(string|object)>} trustedKeys Trusted public keys, see
+ *  {@link module:src/signature.importKey}.
+ * @returns {Promise.<boolean>} Whether the repository information contain a
+ *  signature made by one of the trusted keys which matches the manifest.
+ */
+async function verify(repositoryInformation, trustedKeys) {
+  if (typeof repositoryInformation.signature !== `string`) {
+    return false;
+  }
+
+  const manifest = getManifest(repositoryInformation);
+  let signature;
+
+  try {
+    signature = decode(repositoryInformation.signature);
+  } catch (e) {
+    return false;
+  }
+
+  for (let trustedKey of trustedKeys) {
+    try {
+      if (await crypto.subtle.verify(signatureAlgorithm,
+          await importKey(trustedKey), signature, manifest)) {
+        return true;
+      }
+    } catch (e) {
+      HHM.log.warn(`Unable to verify repository signature with trusted key. `
+          + `${e.name}: ${e.message}`);
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  getManifest,
+  importKey,
+  sign,
+  verify,
+};
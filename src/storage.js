@@ -1,13 +1,15 @@
 /**
  * Storage module.
  *
- * localForage is used to provide persistent storage.
+ * localForage is used to provide persistent storage in the browser, other
+ * platforms provide localForage-compatible storage instances.
  *
  * @see https://github.com/localForage/localForage
+ * @see module:src/platform~PlatformAdapter
  * @module src/storage
  */
 
-const localForage = require(`localforage`);
+const platform = require(`./platform`);
 
 /**
  * LocalForage factory function.
@@ -16,7 +18,24 @@ const localForage = require(`localforage`);
  * @async
  */
 async function createStorage(config) {
-  return localForage.createInstance(config);
+  return platform.get().createStorage(config);
 }
 
-module.exports.create = createStorage;
\ No newline at end of file
+/**
+ * Returns a storage module whose storage instances are separated from the ones
+ * of the given storage module by prefixing their names with the namespace.
+ *
+ * @alias module:src/storage.withNamespace
+ * @param {object} storage Storage module, usually `HHM.storage`.
+ * @param {string} namespace Namespace, e.g. the name of a plugin manager.
+ * @returns {object} Storage module with a `create` function.
+ */
+function withNamespace(storage, namespace) {
+  return Object.assign({}, storage, {
+    create: (config = {}) => storage.create(Object.assign({}, config,
+        { name: `${namespace}/${config.name || `localforage`}` })),
+  });
+}
+
+module.exports.create = createStorage;
+module.exports.withNamespace = withNamespace;
\ No newline at end of file
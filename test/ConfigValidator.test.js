@@ -0,0 +1,155 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const ConfigValidator = require(`../src/classes/ConfigValidator`);
+
+const { policies } = require(`../src/conflict`);
+const { reasons } = HHM.classes.PluginLoadFailure;
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/admin': createPlugin({ name: `test/admin`,
+      dependencies: [`test/roles@^2.0.0`],
+      order: { onPlayerJoin: { before: [`test/roles`] } } }),
+    'test/app': createPlugin({ name: `test/app`,
+      dependencies: [`test/roles`], optionalDependencies: [`test/stats`],
+      requires: [`auth@1`] }),
+    'test/auth': createPlugin({ name: `test/auth`, provides: [`auth@1.0.0`] }),
+    'test/legacy-ui': createPlugin({ name: `test/legacy-ui`,
+      incompatible_with: [`test/roles@<2.0.0`] }),
+    'test/roles': createPlugin({ name: `test/roles`, version: `1.0.0`,
+      order: { onPlayerJoin: { before: [`test/admin`] } } }),
+  },
+}];
+
+// Validated configurations resolve the pre-user plugins as well
+const preUserRepositories = [{
+  type: `local`,
+  plugins: {
+    'hhm/core': createPlugin({ name: `hhm/core` }),
+    'hhm/persistence': createPlugin({ name: `hhm/persistence` }),
+  },
+}, ...repositories];
+
+async function startManager(name) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: {},
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+function getProblems(problems) {
+  return problems.map(({ pluginName, reason }) => [pluginName, reason]);
+}
+
+test(`resolves dependencies and configured interface providers`,
+    async () => {
+      const manager = await startManager(`valid`);
+      const report = await manager.validateConfig({
+        repositories: preUserRepositories,
+        plugins: { 'test/app': {} }, interfaces: { auth: `test/auth` } });
+
+      assert.strictEqual(report.valid, true);
+      assert.deepStrictEqual(report.errors, []);
+      assert.deepStrictEqual(getProblems(report.warnings),
+          [[`test/stats`, reasons.LOAD_FAILED]]);
+      assert.deepStrictEqual(Object.keys(report.plugins), [`hhm/core`,
+        `hhm/persistence`, `test/app`, `test/roles`, `test/auth`]);
+      assert.strictEqual(report.plugins[`test/roles`].requiredBy, `test/app`);
+      assert.strictEqual(report.plugins[`test/roles`].version, `1.0.0`);
+
+      // Validated plugins are not loaded
+      assert.ok(!manager.hasPlugin(`test/app`));
+      assert.ok(!manager.hasPlugin(`test/roles`));
+
+      await manager.stop({ persist: false });
+    });
+
+test(`reports all problems of the configuration`, async () => {
+  const manager = await startManager(`invalid`);
+  const config = { repositories: preUserRepositories, plugins: {
+    'test/app': {}, 'test/admin': {}, 'test/legacy-ui': {},
+    'test/missing': {} } };
+  const report = await manager.validateConfig(config);
+
+  assert.strictEqual(report.valid, false);
+  assert.deepStrictEqual(getProblems(report.errors), [
+    [`test/missing`, reasons.LOAD_FAILED],
+    [`test/roles`, reasons.VERSION_MISMATCH],
+    [`test/app`, reasons.INTERFACE_UNAVAILABLE],
+    [`test/legacy-ui`, reasons.INCOMPATIBLE],
+    [undefined, reasons.ORDER_CYCLE],
+  ]);
+  assert.strictEqual(report.errors[1].message, `Plugin test/roles@^2.0.0 `
+      + `required (required by test/admin), but version 1.0.0 is resolved`);
+
+  await assert.rejects(manager.validateConfig(config, true), (e) => {
+    assert.strictEqual(e.message, `Invalid HHM configuration:\n- `
+        + report.errors.map(({ message }) => message).join(`\n- `));
+
+    return true;
+  });
+
+  const preferFirstReport = await manager.validateConfig({
+    repositories: preUserRepositories,
+    plugins: { 'test/legacy-ui': {}, 'test/roles': {} },
+    conflictPolicy: `prefer-first` });
+
+  assert.strictEqual(preferFirstReport.valid, true);
+  assert.deepStrictEqual(getProblems(preferFirstReport.warnings),
+      [[`test/legacy-ui`, reasons.INCOMPATIBLE]]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`checks the structure of the configuration`, async () => {
+  assert.deepStrictEqual(ConfigValidator.checkStructure(null),
+      [`Configuration must be an object`]);
+  assert.deepStrictEqual(ConfigValidator.checkStructure({
+    plugins: { 'test/app': [], 'test/lazy': { lazy: true } },
+    profiles: { tournament: { plugins: `test/referee` } },
+    repositories: {},
+    conflictPolicy: `newest`,
+  }), [
+    `HHM.config.plugins['test/app'] must be an object`,
+    `HHM.config.plugins['test/lazy'] is lazy, but has no triggers`,
+    `HHM.config.profiles.tournament.plugins must be an object`,
+    `HHM.config.repositories must be an array`,
+    `HHM.config.conflictPolicy must be one of `
+        + Object.values(policies).join(`, `),
+  ]);
+
+  const manager = await startManager(`structure`);
+  const report = await manager.validateConfig({ repositories: {} });
+
+  assert.deepStrictEqual(getProblems(report.errors),
+      [[undefined, reasons.INVALID_CONFIG]]);
+
+  await manager.stop({ persist: false });
+
+  const simulator = new HHM.classes.RoomSimulator();
+  const invalidManager = HHM.createManager({ name: `invalidStructure`,
+    config: { room: { roomName: `invalidStructure`, noPlayer: true },
+      plugins: [], logLevel: `silent` } });
+
+  await assert.rejects(invalidManager.start(simulator.HBInit, true),
+      /^Error: Invalid HHM configuration:\n- HHM\.config\.plugins must be an/);
+});
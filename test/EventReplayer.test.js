@@ -0,0 +1,110 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/greeter': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/greeter', version: '1.0.0' };
+
+      room.onPlayerJoin = (player) => {
+        room.sendAnnouncement('Welcome ' + player.name + ', '
+            + room.getPlayerList().length + ' players online');
+      };`,
+    'test/guard': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/guard', permissions: ['kick'] };
+
+      room.onPlayerChat = (player, message) => {
+        if (message.includes('spam')) {
+          room.kickPlayer(player.id, 'No spam', false);
+          return false;
+        }
+      };`,
+  },
+}];
+
+const plugins = { 'test/greeter': {}, 'test/guard': {} };
+
+test(`replays a recorded event log against the room simulator`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name: `recorded`, config: {
+    room: { roomName: `Recorded room`, noPlayer: true, password: `secret`,
+      token: `thr1.token` },
+    plugins,
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit(manager.config.room));
+
+  assert.ok(manager.hasPlugin(`test/greeter`));
+  assert.ok(manager.hasPlugin(`test/guard`));
+
+  manager.startEventRecording({ name: `scenario`, saveInterval: 0 });
+
+  const alice = simulator.addPlayer({ name: `Alice`, auth: `alice-auth` });
+  const bob = simulator.addPlayer({ name: `Bob`, auth: `bob-auth` });
+  simulator.chat(alice.id, `hello`);
+  simulator.chat(bob.id, `buy spam`);
+
+  const recordedLog = await manager.stopEventRecording();
+
+  assert.strictEqual(manager.getEventRecorder(), undefined);
+  assert.ok(JSON.stringify(recordedLog.entries).includes(`alice-auth`));
+  assert.deepStrictEqual(recordedLog.roomConfig,
+      { roomName: `Recorded room`, noPlayer: true });
+
+  const eventLog = await HHM.classes.EventRecorder.load(`scenario`);
+
+  assert.deepStrictEqual(eventLog.entries, recordedLog.entries);
+  assert.ok((await HHM.classes.EventRecorder.list()).includes(`scenario`));
+
+  await manager.stop();
+
+  const report = await new HHM.classes.EventReplayer(eventLog,
+      { config: { plugins, repositories, logLevel: `silent` } }).run();
+
+  assert.strictEqual(report.events, 4);
+  assert.deepStrictEqual(report.expected.map(({ functionName }) =>
+      functionName), [`sendAnnouncement`, `sendAnnouncement`, `kickPlayer`]);
+  assert.deepStrictEqual(report.diff, []);
+  assert.ok(report.matches);
+});
+
+test(`replays event logs recorded with redacted properties`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name: `redacted`, config: {
+    room: { roomName: `Redacted room`, noPlayer: true },
+    plugins,
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit(manager.config.room));
+
+  manager.startEventRecording({ name: `redacted`, saveInterval: 0,
+    redact: [`auth`, `conn`] });
+
+  const alice = simulator.addPlayer({ name: `Alice`, auth: `alice-auth` });
+  simulator.chat(alice.id, `spam`);
+
+  const eventLog = await manager.stopEventRecording();
+  await manager.stop();
+
+  assert.deepStrictEqual(eventLog.redacted, [`auth`, `conn`]);
+  assert.ok(!JSON.stringify(eventLog.entries).includes(`alice-auth`));
+
+  const replayer = new HHM.classes.EventReplayer(eventLog,
+      { config: { plugins, repositories, logLevel: `silent` } });
+  const report = await replayer.run();
+
+  assert.ok(report.matches);
+  assert.deepStrictEqual(report.replayLog.redacted, [`auth`, `conn`]);
+  assert.strictEqual(replayer.manager.room, undefined);
+});
@@ -0,0 +1,151 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const extensionEvents = [];
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/base': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/base' };
+
+      room.extend('greet', ({ callingPluginName }, name) =>
+          'Hello ' + name + ' from ' + callingPluginName);`,
+    'test/shout': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/shout' };
+
+      room.extend('greet', ({ previousFunction }, name) =>
+          previousFunction(name) + '!');
+
+      room.extend('sendAnnouncement', ({ previousFunction }, message,
+          ...args) => previousFunction(message.toUpperCase(), ...args));`,
+    'test/caller': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/caller' };
+
+      room.onPlayerJoin = (player) => {
+        room.sendAnnouncement(room.greet(player.name));
+      };`,
+    'test/watcher': (HBInit) => {
+      const room = HBInit();
+
+      room.pluginSpec = { name: `test/watcher` };
+
+      for (let eventName of [`extensionAdded`, `extensionOverridden`,
+        `extensionRemoved`]) {
+        room[`onHhm_${eventName}`] = ({ plugin, extensionName }) => {
+          extensionEvents.push(
+              `${eventName} ${extensionName} ${plugin.getName()}`);
+        };
+      }
+    },
+  },
+}];
+
+async function startManager(name, plugins, simulator) {
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins,
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+function getAnnouncements(simulator) {
+  return simulator.getMessages().map(({ message }) => message);
+}
+
+test(`chains extensions of enabled plugins`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`chain`, { 'test/base': {},
+    'test/shout': {}, 'test/caller': {} }, simulator);
+
+  assert.deepStrictEqual(manager.room.getExtensionProviders(`greet`),
+      [`test/shout`, `test/base`]);
+
+  simulator.addPlayer({ name: `Alice` });
+  manager.disablePlugin(`test/shout`);
+  simulator.addPlayer({ name: `Bob` });
+
+  assert.deepStrictEqual(getAnnouncements(simulator), [
+    `HELLO ALICE FROM TEST/CALLER!`, `Hello Bob from test/caller`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`removes extensions along with the providing plugin`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`removal`, { 'test/watcher': {},
+    'test/base': {}, 'test/shout': {} }, simulator);
+  const { original } = manager.getExtensionRegistry().extensions
+      .get(`sendAnnouncement`);
+
+  extensionEvents.length = 0;
+
+  assert.ok(manager.removePlugin(`test/shout`));
+
+  assert.deepStrictEqual(manager.room.getExtensionProviders(`greet`),
+      [`test/base`]);
+  assert.deepStrictEqual(manager.room.getExtensionProviders(
+      `sendAnnouncement`), []);
+  assert.strictEqual(manager.room.greet(`Alice`),
+      `Hello Alice from undefined`);
+
+  assert.ok(manager.removePlugin(`test/base`));
+
+  assert.strictEqual(manager.room.greet, undefined);
+  assert.strictEqual(manager.getExtensionRegistry().extensions.size, 0);
+  assert.strictEqual(manager.room.sendAnnouncement, original);
+  assert.deepStrictEqual(extensionEvents, [
+    `extensionRemoved greet test/shout`,
+    `extensionRemoved sendAnnouncement test/shout`,
+    `extensionRemoved greet test/base`,
+  ]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`reports added and overridden extensions`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+
+  extensionEvents.length = 0;
+
+  const manager = await startManager(`events`, { 'test/watcher': {},
+    'test/base': {}, 'test/shout': {} }, simulator);
+
+  assert.deepStrictEqual(extensionEvents, [
+    `extensionAdded greet test/base`,
+    `extensionOverridden greet test/shout`,
+    `extensionAdded sendAnnouncement test/shout`,
+  ]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`refuses to replace existing values`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`values`, {}, simulator);
+  const registry = manager.getExtensionRegistry();
+  const pluginId = await manager.addPlugin({ pluginCode: `
+    HBInit().pluginSpec = { name: 'test/values' };` });
+
+  assert.strictEqual(registry.addProvider(pluginId, `maxPlayers`, 10), true);
+  assert.strictEqual(registry.addProvider(pluginId, `maxPlayers`, 12), false);
+  assert.strictEqual(manager.room.maxPlayers, 10);
+
+  registry.removeProviders(pluginId);
+
+  assert.strictEqual(manager.room.maxPlayers, undefined);
+
+  await manager.stop({ persist: false });
+});
@@ -0,0 +1,192 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const platform = require(`../src/platform`);
+
+function execute(code, globals = {}) {
+  const results = {};
+  const report = (name, value) => {
+    results[name] = value;
+  };
+
+  new HHM.classes.PluginSandbox().execute(code, { ...globals, report });
+
+  return results;
+}
+
+test(`sandboxed code cannot reach the Function constructor of the HHM`, () => {
+  const host = {
+    object: {},
+    fn: () => {},
+    fail: () => {
+      throw new Error(`host error`);
+    },
+  };
+
+  const results = execute(`
+    const attempts = {
+      objectConstructor: () =>
+          host.object.constructor.constructor('return globalThis')(),
+      functionConstructor: () => host.fn.constructor('return globalThis')(),
+      prototype: () => Object.getPrototypeOf(host.fn)
+          .constructor('return globalThis')(),
+      errorConstructor: () => {
+        try {
+          host.fail();
+        } catch (e) {
+          return e.constructor.constructor('return globalThis')();
+        }
+      },
+      sandboxFunction: () => Function('return globalThis')(),
+      asyncFunction: () => (async () => {}).constructor('return 1')(),
+      eval: () => eval('globalThis'),
+    };
+
+    for (const name of Object.keys(attempts)) {
+      try {
+        report(name, attempts[name]());
+      } catch (e) {
+        report(name, e.name + ': ' + e.message);
+      }
+    }`, { host });
+
+  assert.deepStrictEqual(results, {
+    objectConstructor: `TypeError: Function is not available in the plugin `
+        + `sandbox`,
+    functionConstructor: `TypeError: Function is not available in the `
+        + `plugin sandbox`,
+    prototype: `TypeError: Function is not available in the plugin sandbox`,
+    errorConstructor: `TypeError: Function is not available in the plugin `
+        + `sandbox`,
+    sandboxFunction: `TypeError: Function is not available in the plugin `
+        + `sandbox`,
+    asyncFunction: `TypeError: AsyncFunction is not available in the plugin `
+        + `sandbox`,
+    eval: `TypeError: eval is not available in the plugin sandbox`,
+  });
+});
+
+test(`sandboxed code only sees the globals it was given`, () => {
+  const results = execute(`
+    report('globals', [typeof process, typeof require, typeof document,
+      typeof parent, typeof HHM].join());
+    report('this', (function() { return this; })());
+    report('window', window === globalThis && this === window);
+    report('assigned', (leaked = 1, typeof window.leaked));
+    report('stackTrace', (() => {
+      try {
+        Error.prepareStackTrace = (error, callSites) => callSites;
+      } catch (e) {
+        return e.name;
+      }
+    })());`);
+
+  assert.deepStrictEqual(results, {
+    globals: `undefined,undefined,undefined,undefined,undefined`,
+    this: undefined,
+    window: true,
+    assigned: `number`,
+    stackTrace: `TypeError`,
+  });
+  assert.strictEqual(global.leaked, undefined);
+});
+
+test(`objects of the HHM keep working in the sandbox`, () => {
+  const players = [{ id: 1, name: `Alice` }];
+  const host = {
+    players,
+    getPlayerList: () => players,
+    frozen: Object.freeze({ name: `Bob` }),
+    fail: () => {
+      throw new RangeError(`host error`);
+    },
+  };
+
+  const results = execute(`
+    const list = host.getPlayerList();
+    report('array', Array.isArray(list) && list instanceof Array);
+    report('names', list.map((player) => player.name).join());
+    report('same', list === host.players && list[0] === host.players[0]);
+    report('json', JSON.stringify(host.frozen));
+    report('error', (() => {
+      try {
+        host.fail();
+      } catch (e) {
+        return e instanceof RangeError && e.message;
+      }
+    })());
+    host.players.push({ id: 2, name: 'Carol' });
+    host.callback = (player) => player.name + '!';`, { host });
+
+  assert.deepStrictEqual(results, { array: true, names: `Alice`,
+    same: true, json: `{"name":"Bob"}`, error: `host error` });
+  assert.strictEqual(players[1].name, `Carol`);
+  assert.strictEqual(host.callback(players[0]), `Alice!`);
+});
+
+test(`sandboxed code cannot use strings as code`, () => {
+  const sandbox = new HHM.classes.PluginSandbox();
+
+  assert.throws(() => sandbox.execute(`setTimeout('report()', 0);`, {}),
+      /setTimeout only accepts functions/);
+  assert.throws(() => sandbox.execute(`import('fs');`, {}),
+      /Dynamic imports are not available/);
+  assert.throws(() => sandbox.execute(`}); (function() {`, {}),
+      SyntaxError);
+});
+
+test(`sandboxed plugins get their own realm until they are removed`,
+    async () => {
+      const destroyedRealms = [];
+      platform.set({ destroyRealm: (realm) => destroyedRealms.push(realm) });
+
+      try {
+        const simulator = new HHM.classes.RoomSimulator();
+        const manager = HHM.createManager({ name: `sandboxed`, config: {
+          room: { roomName: `Sandboxed room`, noPlayer: true },
+          plugins: { 'test/first': {}, 'test/second': {} },
+          repositories: [{
+            type: `local`,
+            sandbox: true,
+            plugins: {
+              'test/first': `const room = HBInit();
+                room.pluginSpec = { name: 'test/first' };
+                room.onPlayerJoin = (player) => {
+                  room.sendAnnouncement('Hello ' + player.name);
+                };`,
+              'test/second': `const room = HBInit();
+                room.pluginSpec = { name: 'test/second' };
+                Array.prototype.polluted = true;`,
+            },
+          }],
+          logLevel: `silent`,
+        } });
+
+        await manager.start(simulator.HBInit);
+
+        const realms = manager.pluginLoader.realms;
+        const firstId = manager.getPluginId(`test/first`);
+
+        assert.strictEqual(realms.size, 2);
+        assert.notStrictEqual(realms.get(firstId),
+            realms.get(manager.getPluginId(`test/second`)));
+        assert.strictEqual([].polluted, undefined);
+
+        simulator.addPlayer({ name: `Alice` });
+        assert.deepStrictEqual(simulator.getMessages().map(
+            ({ message }) => message), [`Hello Alice`]);
+
+        const firstRealm = realms.get(firstId);
+        manager.removePlugin(firstId);
+        await manager.stop({ persist: false });
+
+        assert.strictEqual(realms.size, 0);
+        assert.ok(destroyedRealms.includes(firstRealm));
+      } finally {
+        platform.set(`node`);
+      }
+    });
@@ -0,0 +1,48 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const config = {
+  room: { roomName: `Harness room`, noPlayer: true },
+  plugins: { 'test/guard': {} },
+  repositories: [{
+    type: `local`,
+    plugins: {
+      'test/guard': `const room = HBInit();
+
+        room.pluginSpec = { name: 'test/guard', permissions: ['kick'] };
+
+        room.onPlayerJoin = (player) => {
+          room.sendAnnouncement('Welcome ' + player.name, player.id);
+        };
+
+        room.onPlayerChat = (player, message) => {
+          if (message.includes('spam')) {
+            room.kickPlayer(player.id, 'No spam', false);
+            return false;
+          }
+        };`,
+    },
+  }],
+  logLevel: `silent`,
+};
+
+test(`runs a scripted scenario against the room simulator`, async () => {
+  const harness = await new HHM.classes.TestHarness({ config }).start();
+
+  const alice = harness.join(`Alice`);
+  harness.expectMessage(`Welcome Alice`, { to: alice });
+
+  harness.chat(alice, `hello`);
+  harness.expectNoMessage(`No spam`);
+  assert.throws(() => harness.expectKick(alice),
+      HHM.classes.HarnessAssertionError);
+
+  harness.clear();
+  harness.chat(alice, `buy spam`);
+  harness.expectReturnValue(`onPlayerChat`, false);
+  harness.expectKick(alice, { reason: `No spam`, ban: false });
+});
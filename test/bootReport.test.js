@@ -0,0 +1,110 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const { reasons } = HHM.classes.PluginLoadFailure;
+
+const bootReports = [];
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/app': createPlugin({ name: `test/app`, version: `1.2.0`,
+      dependencies: [`test/roles`] }),
+    'test/broken': `throw new Error('Broken plugin');`,
+    'test/guard': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/guard' };
+
+      room.onRoomLink = () => {
+        room.kickPlayer;
+      };`,
+    'test/legacy-ui': createPlugin({ name: `test/legacy-ui`,
+      incompatible_with: [`test/roles`] }),
+    'test/reports': createPlugin({ name: `test/reports` }),
+    'test/roles': createPlugin({ name: `test/roles` }),
+    'test/watcher': (HBInit) => {
+      const room = HBInit();
+
+      room.pluginSpec = { name: `test/watcher` };
+
+      room.onHhm_bootReport = ({ report }) => {
+        bootReports.push(report);
+      };
+    },
+  },
+}, { type: `unknown` }];
+
+test(`reports the plugins, repositories and failures of the boot`,
+    async () => {
+      const simulator = new HHM.classes.RoomSimulator();
+      const manager = HHM.createManager({ name: `bootReport`, config: {
+        room: { roomName: `bootReport`, noPlayer: true },
+        plugins: {
+          'test/watcher': {},
+          'test/app': {},
+          'test/broken': {},
+          'test/guard': {},
+          'test/legacy-ui': {},
+          'test/reports': { lazy: true, triggers: [`onTournamentStart`] },
+        },
+        repositories,
+        permissionMode: `warn`,
+        logLevel: `silent`,
+      } });
+
+      assert.strictEqual(manager.getBootReport(), undefined);
+
+      await manager.start(simulator.HBInit);
+
+      const report = manager.getBootReport();
+
+      assert.deepStrictEqual(bootReports, [report]);
+      assert.strictEqual(report.duration,
+          report.finishedAt - report.startedAt);
+      assert.deepStrictEqual(report.repositories.map(
+          ({ index, type, error }) => [index, type, error !== undefined]),
+      [[0, `local`, false], [1, `unknown`, true]]);
+      assert.deepStrictEqual(report.lazyPlugins, [`test/reports`]);
+
+      const plugins = new Map(report.plugins.map((p) => [p.name, p]));
+
+      assert.strictEqual(plugins.get(`test/app`).version, `1.2.0`);
+      assert.strictEqual(plugins.get(`test/app`).configEntry,
+          `HHM.config.plugins['test/app']`);
+      assert.strictEqual(plugins.get(`test/app`).repository,
+          manager.getPlugin(`test/app`)._loadedFrom.getName());
+      assert.strictEqual(typeof plugins.get(`test/app`).fetchTime, `number`);
+      assert.strictEqual(typeof plugins.get(`test/app`).roomLinkDuration,
+          `number`);
+      assert.deepStrictEqual(plugins.get(`test/roles`).dependencyChains,
+          [[`test/roles`, `test/app`]]);
+      assert.deepStrictEqual(plugins.get(`test/roles`).warnings, [
+        `Conflict between plugins test/legacy-ui and test/roles, `
+            + `resolution: refused`,
+      ]);
+      assert.deepStrictEqual(plugins.get(`test/guard`).warnings,
+          [`Accessed kickPlayer without permission`]);
+      assert.ok(!plugins.has(`test/broken`));
+      assert.ok(!plugins.has(`test/reports`));
+
+      // The pre-user plugins are missing from the repositories
+      assert.deepStrictEqual(report.failures.map(
+          ({ pluginName, errors }) => [pluginName, errors[0].reason]), [
+        [`hhm/core`, reasons.LOAD_FAILED],
+        [`hhm/persistence`, reasons.LOAD_FAILED],
+        [`test/broken`, reasons.LOAD_FAILED],
+        [`test/legacy-ui`, reasons.INCOMPATIBLE],
+      ]);
+
+      await manager.stop({ persist: false });
+    });
@@ -0,0 +1,174 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const conflictUtil = require(`../src/conflict`);
+
+const { reasons } = HHM.classes.PluginLoadFailure;
+const { policies, resolutions } = conflictUtil;
+
+const conflictEvents = [];
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/bundle': createPlugin({ name: `test/bundle`,
+      dependencies: [`test/legacy-ui`] }),
+    'test/chat': createPlugin({ name: `test/chat` }),
+    'test/dashboard': createPlugin({ name: `test/dashboard`,
+      optionalDependencies: [`test/legacy-ui`] }),
+    'test/legacy-ui': createPlugin({ name: `test/legacy-ui`,
+      incompatible_with: [`test/roles@<2.0.0`] }),
+    'test/modern-ui': createPlugin({ name: `test/modern-ui`,
+      incompatible_with: [`test/roles@>=2.0.0`] }),
+    'test/roles': createPlugin({ name: `test/roles`, version: `1.5.0` }),
+    'test/strict-roles': createPlugin({ name: `test/strict-roles`,
+      incompatible_with: [`test/chat`] }),
+    'test/watcher': (HBInit) => {
+      const room = HBInit();
+
+      room.pluginSpec = { name: `test/watcher` };
+
+      room.onHhm_pluginConflict = ({ plugin, conflictingPlugin, report }) => {
+        conflictEvents.push([plugin.getName(), conflictingPlugin.getName(),
+          report.resolution]);
+      };
+    },
+  },
+}];
+
+async function startManager(name, plugins, conflictPolicy) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: { 'test/watcher': {}, ...plugins },
+    repositories,
+    conflictPolicy,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+test(`detects conflicts with version ranges`, () => {
+  const roles = { name: `test/roles`, pluginSpec: { version: `1.5.0` } };
+  const legacyUi = { name: `test/legacy-ui`,
+    pluginSpec: { incompatible_with: [`test/roles@<2.0.0`] } };
+
+  assert.deepStrictEqual(conflictUtil.find(roles, legacyUi),
+      { declaredBy: `test/legacy-ui`, declaration: `test/roles@<2.0.0` });
+  assert.strictEqual(conflictUtil.find(legacyUi,
+      { name: `test/roles`, pluginSpec: { version: `2.1.0` } }), undefined);
+  assert.strictEqual(conflictUtil.getPolicy({}), policies.REFUSE);
+  assert.strictEqual(conflictUtil.getPolicy({ conflictPolicy: `newest` }),
+      policies.REFUSE);
+});
+
+test(`refuses conflicting plugins by default`, async () => {
+  const manager = await startManager(`refuse`, { 'test/roles': {} });
+
+  conflictEvents.length = 0;
+
+  assert.strictEqual(await manager.addPlugin(
+      { pluginName: `test/legacy-ui` }), -1);
+  assert.notStrictEqual(await manager.addPlugin(
+      { pluginName: `test/modern-ui` }), -1);
+
+  const [report] = manager.getConflicts();
+
+  assert.strictEqual(report.declaredBy, `test/legacy-ui`);
+  assert.strictEqual(report.declaration, `test/roles@<2.0.0`);
+  assert.strictEqual(report.policy, policies.REFUSE);
+  assert.strictEqual(report.resolution, resolutions.REFUSED);
+  assert.deepStrictEqual(report.plugins.map(({ pluginName, configEntry }) =>
+      [pluginName, configEntry]), [[`test/legacy-ui`, undefined],
+    [`test/roles`, `HHM.config.plugins['test/roles']`]]);
+  assert.deepStrictEqual(conflictEvents,
+      [[`test/legacy-ui`, `test/roles`, resolutions.REFUSED]]);
+
+  const [error] = manager.getLastLoadFailure().getErrors(reasons.INCOMPATIBLE);
+
+  assert.strictEqual(error.conflict, report);
+  assert.strictEqual(error.message, `Plugin test/legacy-ui conflicts with `
+      + `plugin test/roles (test/roles@<2.0.0 declared by test/legacy-ui)`);
+
+  await manager.stop({ persist: false });
+});
+
+test(`detects conflicts declared by loaded plugins`, async () => {
+  const manager = await startManager(`declaredByLoaded`,
+      { 'test/strict-roles': {} });
+
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/chat` }), -1);
+  assert.strictEqual(manager.getConflicts()[0].declaredBy,
+      `test/strict-roles`);
+
+  await manager.stop({ persist: false });
+});
+
+test(`reports the dependency chain of conflicting plugins`, async () => {
+  const manager = await startManager(`chain`, { 'test/roles': {} });
+
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/bundle` }),
+      -1);
+  assert.deepStrictEqual(manager.getConflicts()[0].plugins[0]
+      .dependencyChains, [[`test/legacy-ui`, `test/bundle`]]);
+  assert.ok(!manager.hasPlugin(`test/bundle`));
+
+  await manager.stop({ persist: false });
+});
+
+test(`prefer-first keeps the loaded plugin`, async () => {
+  const manager = await startManager(`preferFirst`, { 'test/roles': {} },
+      policies.PREFER_FIRST);
+
+  assert.strictEqual(await manager.addPlugin(
+      { pluginName: `test/legacy-ui` }), -1);
+  assert.strictEqual(manager.getConflicts()[0].resolution,
+      resolutions.KEPT_EXISTING);
+
+  // Optional dependencies causing a conflict are skipped
+  assert.notStrictEqual(await manager.addPlugin(
+      { pluginName: `test/dashboard` }), -1);
+  assert.ok(!manager.hasPlugin(`test/legacy-ui`));
+
+  await manager.stop({ persist: false });
+
+  const refusingManager = await startManager(`refuseOptional`,
+      { 'test/roles': {} });
+
+  assert.strictEqual(await refusingManager.addPlugin(
+      { pluginName: `test/dashboard` }), -1);
+
+  await refusingManager.stop({ persist: false });
+});
+
+test(`prefer-user-config replaces plugins missing from the config`,
+    async () => {
+      const manager = await startManager(`preferUserConfig`, {
+        'test/legacy-ui': { lazy: true, triggers: [`onTournamentStart`] },
+      }, policies.PREFER_USER_CONFIG);
+
+      await manager.addPlugin({ pluginName: `test/roles` });
+
+      conflictEvents.length = 0;
+
+      assert.notStrictEqual(await manager.addPlugin(
+          { pluginName: `test/legacy-ui` }), -1);
+      assert.ok(!manager.hasPlugin(`test/roles`));
+      assert.deepStrictEqual(conflictEvents,
+          [[`test/legacy-ui`, `test/roles`, resolutions.REPLACED_EXISTING]]);
+
+      await manager.stop({ persist: false });
+    });
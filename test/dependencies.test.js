@@ -0,0 +1,150 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const dependencyUtil = require(`../src/dependency`);
+
+const { reasons } = HHM.classes.PluginLoadFailure;
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/roles': createPlugin({ name: `test/roles`, version: `0.9.0` }),
+    'test/legacy': createPlugin({ name: `test/legacy`,
+      dependencies: [`test/roles@<1.0.0`] }),
+  },
+}, {
+  type: `local`,
+  plugins: {
+    'test/roles': createPlugin({ name: `test/roles`, version: `1.3.0` }),
+    'test/app': createPlugin({ name: `test/app`, version: `1.0.0`,
+      dependencies: [`test/roles@^1.2.0`] }),
+    'test/future': createPlugin({ name: `test/future`,
+      dependencies: [`test/roles@^2.0.0`] }),
+    'test/stats': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/stats',
+        optionalDependencies: ['test/roles@^1.0.0', 'test/chat'] };
+
+      room.onDependencyAvailable = (name) => {
+        room.sendAnnouncement('Available ' + name);
+      };
+
+      room.onDependencyUnavailable = (name) => {
+        room.sendAnnouncement('Unavailable ' + name);
+      };`,
+  },
+}];
+
+async function startManager(name,
+                            simulator = new HHM.classes.RoomSimulator()) {
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: {},
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+test(`parses dependency strings with version ranges`, () => {
+  assert.deepStrictEqual(dependencyUtil.parse(`sav/roles@^1.2.0`),
+      { name: `sav/roles`, range: `^1.2.0` });
+  assert.deepStrictEqual(dependencyUtil.parse(`sav/roles`),
+      { name: `sav/roles`, range: undefined });
+  assert.deepStrictEqual(dependencyUtil.parse(`sav/roles@`),
+      { name: `sav/roles`, range: undefined });
+  assert.deepStrictEqual(dependencyUtil.getNames([`a@1`, `b`]), [`a`, `b`]);
+});
+
+test(`checks versions against semver ranges`, () => {
+  assert.ok(dependencyUtil.satisfies(`1.3.0`, `^1.2.0`));
+  assert.ok(dependencyUtil.satisfies(`1.2`, `^1.2.0`));
+  assert.ok(dependencyUtil.satisfies(undefined, undefined));
+  assert.ok(!dependencyUtil.satisfies(`2.0.0`, `^1.2.0`));
+  assert.ok(!dependencyUtil.satisfies(undefined, `^1.2.0`));
+  assert.ok(!dependencyUtil.satisfies(`latest`, `^1.2.0`));
+});
+
+test(`loads the dependency version matching the range`, async () => {
+  const manager = await startManager(`matching`);
+
+  assert.notStrictEqual(await manager.addPlugin({ pluginName: `test/app` }),
+      -1);
+  assert.strictEqual(manager.getPlugin(`test/roles`).getPluginSpec().version,
+      `1.3.0`);
+
+  await manager.stop({ persist: false });
+});
+
+test(`fails if no version matches the range`, async () => {
+  const manager = await startManager(`unavailable`);
+
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/future` }),
+      -1);
+  assert.ok(!manager.hasPlugin(`test/future`));
+  assert.ok(!manager.hasPlugin(`test/roles`));
+
+  const loadFailure = manager.getLastLoadFailure();
+
+  assert.strictEqual(loadFailure.pluginName, `test/future`);
+  assert.strictEqual(loadFailure.getErrors(reasons.LOAD_FAILED)[0].message,
+      `Plugin test/roles matching ^2.0.0 could not be loaded`);
+  assert.match(loadFailure.getErrors(reasons.DEPENDENCY_FAILED)[0]
+      .dependencyChain, /^test\/future required by user config/);
+
+  await manager.stop({ persist: false });
+});
+
+test(`fails if the loaded version conflicts with the range`, async () => {
+  const manager = await startManager(`conflicting`);
+
+  await manager.addPlugin({ pluginName: `test/app` });
+
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/legacy` }),
+      -1);
+  assert.ok(manager.hasPlugin(`test/roles`));
+  assert.ok(!manager.hasPlugin(`test/legacy`));
+
+  const [error] = manager.getLastLoadFailure()
+      .getErrors(reasons.VERSION_MISMATCH);
+
+  assert.strictEqual(error.message, `Plugin test/legacy requires `
+      + `test/roles@<1.0.0, but version 1.3.0 is loaded`);
+  assert.match(error.dependencyChain, /^test\/roles required by test\/app/);
+
+  await manager.stop({ persist: false });
+});
+
+test(`loads optional dependencies without failing on them`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`optional`, simulator);
+
+  assert.notStrictEqual(await manager.addPlugin({ pluginName: `test/stats` }),
+      -1);
+  assert.ok(manager.hasPlugin(`test/roles`));
+  assert.ok(!manager.hasPlugin(`test/chat`));
+
+  manager.disablePlugin(`test/roles`);
+  manager.enablePlugin(`test/roles`);
+  await manager.addPlugin({ pluginCode: createPlugin({ name: `test/chat` }) });
+  manager.removePlugin(`test/chat`);
+
+  assert.deepStrictEqual(simulator.getMessages().map(({ message }) => message),
+      [`Unavailable test/roles`, `Available test/roles`, `Available test/chat`,
+        `Unavailable test/chat`]);
+
+  await manager.stop({ persist: false });
+});
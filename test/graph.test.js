@@ -0,0 +1,99 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/app': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/app', version: '2.0.0',
+        dependencies: ['test/core'], optionalDependencies: ['test/stats'],
+        order: { onPlayerJoin: { before: ['test/core'] } } };
+
+      room.onPlayerJoin = () => {};`,
+    'test/core': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/core', version: '1.0.0' };
+
+      room.onPlayerJoin = () => {};`,
+    'test/stats': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/stats' };`,
+  },
+}];
+
+async function startManager(name) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: { 'test/app': {}, 'test/stats': {} },
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+  manager.disablePlugin(`test/stats`);
+
+  return manager;
+}
+
+test(`exports the dependency graph as JSON`, async () => {
+  const manager = await startManager(`json`);
+  const graph = JSON.parse(manager.exportDependencyGraph());
+  const plugins = graph.plugins.filter(({ name }) => name.startsWith(`test/`));
+
+  assert.deepStrictEqual(plugins.map(({ name, version, enabled }) =>
+      [name, version, enabled]), [[`test/app`, `2.0.0`, true],
+    [`test/core`, `1.0.0`, true], [`test/stats`, undefined, false]]);
+  assert.deepStrictEqual(graph.dependencies, [
+    { from: `test/app`, to: `test/core`, optional: false },
+    { from: `test/app`, to: `test/stats`, optional: true },
+  ]);
+  assert.deepStrictEqual(graph.executionOrders.onPlayerJoin,
+      [`test/app`, `test/core`]);
+  assert.strictEqual(manager.exportDependencyGraph({ format: `json` }),
+      JSON.stringify(manager.getDependencyGraph(), null, 2));
+
+  await manager.stop({ persist: false });
+});
+
+test(`exports the dependency graph as DOT and Mermaid`, async () => {
+  const manager = await startManager(`dotAndMermaid`);
+  const dot = manager.exportDependencyGraph({ format: `dot` });
+  const mermaid = manager.exportDependencyGraph({ format: `mermaid` });
+
+  assert.match(dot, /^digraph hhm \{\n/);
+  assert.match(dot,
+      /\n {2}"test\/stats" \[label="test\/stats\\n.*", color=gray, /);
+  assert.ok(dot.includes(`\n  "test/app" -> "test/core";\n`));
+  assert.ok(dot.includes(`\n  "test/app" -> "test/stats" [style=dashed];\n`));
+  assert.ok(dot.includes(`\n  "test/app" -> "test/core" [label="onPlayerJoin", `
+      + `color=blue, fontcolor=blue, constraint=false];\n`));
+
+  const nodeIds = new Map([...mermaid.matchAll(/^ {2}(p\d+)\["([^<"]+)/gm)]
+      .map(([, nodeId, name]) => [name, nodeId]));
+  const app = nodeIds.get(`test/app`);
+  const core = nodeIds.get(`test/core`);
+  const stats = nodeIds.get(`test/stats`);
+
+  assert.match(mermaid, /^graph LR\n/);
+  assert.ok(mermaid.includes(`\n  ${app} --> ${core}\n`));
+  assert.ok(mermaid.includes(`\n  ${app} -.-> ${stats}\n`));
+  assert.ok(mermaid.includes(`\n  ${app} ==>|"onPlayerJoin"| ${core}\n`));
+  assert.ok(mermaid.endsWith(`\n  class ${stats} disabled`));
+
+  await manager.stop({ persist: false });
+});
+
+test(`does not export unsupported formats`, async () => {
+  const manager = await startManager(`unsupported`);
+
+  assert.strictEqual(manager.exportDependencyGraph({ format: `svg` }),
+      undefined);
+
+  await manager.stop({ persist: false });
+});
@@ -0,0 +1,115 @@
+const assert = require(`node:assert`);
+const crypto = require(`node:crypto`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const integrityUtil = require(`../src/integrity`);
+
+const mismatches = [];
+
+const source = `const room = HBInit();
+
+  room.pluginSpec = { name: 'test/app' };`;
+const tamperedSource = `${source}
+
+  room.onPlayerJoin = (player) => room.kickPlayer(player.id);`;
+
+function getIntegrity(pluginSource, algorithm = `sha384`) {
+  return `${algorithm}-` + crypto.createHash(algorithm).update(pluginSource)
+      .digest(`base64`);
+}
+
+const watcherRepository = {
+  type: `local`,
+  name: `watcher`,
+  plugins: {
+    'test/watcher': (HBInit) => {
+      const room = HBInit();
+
+      room.pluginSpec = { name: `test/watcher` };
+
+      room.onHhm_pluginIntegrityMismatch = ({ pluginName, repository,
+        expected, actual }) => {
+        mismatches.push({ pluginName, repositoryName: repository.getName(),
+          expected, actual });
+      };
+    },
+  },
+};
+
+async function startManager(name, repositories, pluginConfig = {}) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: { 'test/watcher': {}, 'test/app': pluginConfig },
+    repositories: [watcherRepository, ...repositories],
+    logLevel: `silent`,
+  } });
+
+  mismatches.length = 0;
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+test(`computes and verifies integrity values`, async () => {
+  const integrity = getIntegrity(source);
+
+  assert.strictEqual(await integrityUtil.compute(source), integrity);
+  assert.strictEqual(await integrityUtil.compute(source, `sha256`),
+      getIntegrity(source, `sha256`));
+  assert.deepStrictEqual(integrityUtil.parse(`sha256-abc  sha384-def`), [
+    { algorithm: `sha256`, digest: `abc` },
+    { algorithm: `sha384`, digest: `def` },
+  ]);
+  assert.strictEqual(integrityUtil.parse(`md5-abc`), undefined);
+  assert.strictEqual(integrityUtil.parse(`sha384-`), undefined);
+
+  assert.strictEqual(await integrityUtil.verify(source,
+      `sha256-invalid ${integrity}`), undefined);
+  assert.strictEqual(await integrityUtil.verify(tamperedSource, integrity),
+      getIntegrity(tamperedSource));
+  await assert.rejects(integrityUtil.verify(source, `md5-abc`),
+      /^Error: Invalid integrity value md5-abc$/);
+});
+
+test(`loads plugins matching the configured integrity`, async () => {
+  const manager = await startManager(`configIntegrity`, [
+    { type: `local`, name: `mirror`, plugins: { 'test/app': tamperedSource } },
+    { type: `local`, name: `origin`, plugins: { 'test/app': source } },
+  ], { integrity: getIntegrity(source) });
+
+  assert.strictEqual(manager.getPluginOrigin(`test/app`).loadedFrom,
+      `origin`);
+  assert.deepStrictEqual(mismatches, [{
+    pluginName: `test/app`,
+    repositoryName: `mirror`,
+    expected: getIntegrity(source),
+    actual: getIntegrity(tamperedSource),
+  }]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`refuses plugins not matching the repository integrity`, async () => {
+  const manager = await startManager(`repositoryIntegrity`, [{
+    type: `local`,
+    name: `mirror`,
+    plugins: { 'test/app': tamperedSource },
+    repositoryInformation: {
+      integrity: { 'test/app': getIntegrity(source, `sha256`) },
+    },
+  }]);
+
+  assert.ok(!manager.hasPlugin(`test/app`));
+  assert.strictEqual(manager.getLastLoadFailure().pluginName, `test/app`);
+  assert.deepStrictEqual(mismatches.map(({ expected, actual }) =>
+      [expected, actual]), [[getIntegrity(source, `sha256`),
+    getIntegrity(tamperedSource, `sha256`)]]);
+
+  await manager.stop({ persist: false });
+});
@@ -0,0 +1,123 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const { reasons } = HHM.classes.PluginLoadFailure;
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/app': createPlugin({ name: `test/app`, requires: [`roles@1`] }),
+    'test/in-house': createPlugin({ name: `test/in-house`,
+      provides: [`roles@1.0.0`] }),
+    'test/old-roles': createPlugin({ name: `test/old-roles`,
+      provides: [`roles@0.5.0`] }),
+    'test/other': createPlugin({ name: `test/other` }),
+    'test/sav-roles': createPlugin({ name: `test/sav-roles`,
+      provides: [`roles@1.2.0`, `auth@2.0.0`] }),
+  },
+}];
+
+async function startManager(name, interfaces = {}) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: {},
+    repositories,
+    interfaces,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+test(`resolves required interfaces to loaded providers`, async () => {
+  const manager = await startManager(`loadedProvider`);
+
+  await manager.addPlugin({ pluginName: `test/old-roles` });
+  await manager.addPlugin({ pluginName: `test/sav-roles` });
+
+  assert.deepStrictEqual(manager.getInterfaceProviders(`roles`),
+      [`test/old-roles`, `test/sav-roles`]);
+  assert.deepStrictEqual(manager.getInterfaceProviders(`roles@1`),
+      [`test/sav-roles`]);
+  assert.deepStrictEqual(manager.getInterfaceProviders(`auth@^2`),
+      [`test/sav-roles`]);
+
+  assert.notStrictEqual(await manager.addPlugin({ pluginName: `test/app` }),
+      -1);
+  assert.deepStrictEqual(manager.getPlugin(`test/app`)._interfaceProviders,
+      { 'roles@1': `test/sav-roles` });
+  assert.deepStrictEqual(manager.getPluginDependencies(`test/app`),
+      [`test/sav-roles`]);
+  assert.ok(!manager.removePlugin(`test/sav-roles`));
+
+  await manager.stop({ persist: false });
+});
+
+test(`loads the provider chosen in the configuration`, async () => {
+  const manager = await startManager(`configuredProvider`,
+      { roles: [`test/in-house`, `test/sav-roles`] });
+
+  await manager.addPlugin({ pluginName: `test/sav-roles` });
+
+  assert.notStrictEqual(await manager.addPlugin({ pluginName: `test/app` }),
+      -1);
+  assert.deepStrictEqual(manager.getPlugin(`test/app`)._interfaceProviders,
+      { 'roles@1': `test/sav-roles` });
+
+  await manager.stop({ persist: false });
+
+  const unloadedManager = await startManager(`unloadedProvider`,
+      { roles: `test/in-house` });
+
+  assert.notStrictEqual(await unloadedManager.addPlugin(
+      { pluginName: `test/app` }), -1);
+  assert.ok(unloadedManager.hasPlugin(`test/in-house`));
+  assert.deepStrictEqual(unloadedManager.getInterfaceProviders(`roles@1`),
+      [`test/in-house`]);
+
+  await unloadedManager.stop({ persist: false });
+});
+
+test(`fails if no plugin provides a required interface`, async () => {
+  const manager = await startManager(`missingProvider`);
+
+  await manager.addPlugin({ pluginName: `test/old-roles` });
+
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/app` }), -1);
+  assert.deepStrictEqual(manager.getLastLoadFailure().errors.map(
+      ({ reason, message }) => [reason, message]), [[
+    reasons.INTERFACE_UNAVAILABLE,
+    `No plugin provides interface roles@1 required by plugin test/app`,
+  ]]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`fails if the configured provider lacks the interface`, async () => {
+  const manager = await startManager(`wrongProvider`,
+      { roles: `test/other` });
+
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/app` }), -1);
+  assert.ok(!manager.hasPlugin(`test/other`));
+  assert.deepStrictEqual(manager.getLastLoadFailure().errors.map(
+      ({ reason, message }) => [reason, message]), [[
+    reasons.INTERFACE_UNAVAILABLE,
+    `Plugin test/other does not provide interface roles@1 required by `
+        + `plugin test/app`,
+  ]]);
+
+  await manager.stop({ persist: false });
+});
@@ -0,0 +1,108 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/broken': `throw new Error('Broken plugin');`,
+    'test/reports': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/reports' };
+
+      room.onTournamentStart = (stage) => {
+        room.sendAnnouncement('Reports for the ' + stage);
+      };
+
+      room.onPlayerChat = (player, message) => {
+        room.sendAnnouncement('Report ' + message);
+      };`,
+    'test/tournament': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/tournament',
+        dependencies: ['test/reports'] };`,
+  },
+}];
+
+async function startManager(name, plugins) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins,
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return { manager, simulator };
+}
+
+function getAnnouncements(simulator) {
+  return simulator.getMessages().filter(({ playerId }) => playerId === null)
+      .map(({ message }) => message);
+}
+
+test(`custom events trigger lazy plugins`, async () => {
+  const { manager, simulator } = await startManager(`customTrigger`,
+      { 'test/reports': { lazy: true, triggers: [`onTournamentStart`] } });
+
+  assert.deepStrictEqual(manager.getLazyPluginNames(), [`test/reports`]);
+
+  const alice = simulator.addPlayer({ name: `Alice` });
+  simulator.chat(alice.id, `ignored`);
+  manager.triggerEvent(`onTournamentStart`, `final`);
+  await manager.lazyPluginQueue;
+
+  assert.ok(manager.hasPlugin(`test/reports`));
+  assert.deepStrictEqual(manager.getLazyPluginNames(), []);
+
+  simulator.chat(alice.id, `loaded`);
+
+  assert.deepStrictEqual(getAnnouncements(simulator),
+      [`Reports for the final`, `Report loaded`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`lazy plugins are loaded early if another plugin needs them`,
+    async () => {
+      const { manager } = await startManager(`dependencyTrigger`, {
+        'test/reports': { lazy: true, triggers: [`onTournamentStart`] },
+        'test/tournament': {},
+      });
+
+      assert.ok(manager.hasPlugin(`test/reports`));
+      assert.deepStrictEqual(manager.getLazyPluginNames(), []);
+
+      await manager.stop({ persist: false });
+    });
+
+test(`lazy plugins without triggers are loaded immediately`, async () => {
+  const { manager } = await startManager(`noTriggers`,
+      { 'test/reports': { lazy: true } });
+
+  assert.ok(manager.hasPlugin(`test/reports`));
+
+  await manager.stop({ persist: false });
+});
+
+test(`lazy plugins which fail to load are only tried once`, async () => {
+  const { manager, simulator } = await startManager(`failedTrigger`,
+      { 'test/broken': { lazy: true, triggers: [`onPlayerJoin`] } });
+
+  simulator.addPlayer({ name: `Alice` });
+  assert.strictEqual(await manager.lazyPluginQueue, false);
+
+  simulator.addPlayer({ name: `Bob` });
+  await manager.lazyPluginQueue;
+
+  assert.ok(!manager.hasPlugin(`test/broken`));
+  assert.deepStrictEqual(manager.getLazyPluginNames(), []);
+  assert.strictEqual(manager.getLastLoadFailure().pluginName, `test/broken`);
+
+  await manager.stop({ persist: false });
+});
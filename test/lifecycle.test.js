@@ -0,0 +1,164 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/lazy': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/lazy' };
+
+      room.onPlayerChat = (player, message) => {
+        room.sendAnnouncement('Lazy ' + message);
+      };`,
+    'test/lifecycle': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/lifecycle' };
+
+      room.onHhm_beforeShutdown = ({ persist }) => {
+        room.sendAnnouncement('Shutdown ' + persist);
+      };
+
+      room.onDisable = () => room.sendAnnouncement('Disabled');
+
+      room.onHhm_roomRestarted = ({ roomLink }) => {
+        room.sendAnnouncement('Restarted ' + roomLink);
+      };`,
+  },
+}];
+
+async function startManager(name, plugins, config = {}) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins,
+    repositories,
+    logLevel: `silent`,
+    ...config,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return { manager, simulator };
+}
+
+function getAnnouncements(simulator) {
+  return simulator.getMessages().filter(({ playerId }) => playerId === null)
+      .map(({ message }) => message);
+}
+
+test(`stop disables and unloads all plugins`, async () => {
+  const { manager, simulator } = await startManager(`stop`,
+      { 'test/lifecycle': {} });
+
+  assert.strictEqual(await manager.stop({ persist: false }), true);
+
+  assert.deepStrictEqual(getAnnouncements(simulator), [`Shutdown false`,
+    `Disabled`]);
+  assert.strictEqual(manager.room, undefined);
+  assert.strictEqual(manager.hasPlugin(`test/lifecycle`), false);
+
+  // Events after the shutdown are ignored
+  assert.strictEqual(manager.triggerEvent(`onPlayerChat`, {}, `hi`), true);
+  manager.triggerHhmEvent(HHM.events.BEFORE_SHUTDOWN);
+
+  assert.strictEqual(await manager.stop(), false);
+});
+
+test(`stop cancels lazy plugins which have not been loaded`, async () => {
+  const { manager, simulator } = await startManager(`lazy`,
+      { 'test/lazy': { lazy: true, triggers: [`onPlayerChat`] } });
+
+  const alice = simulator.addPlayer({ name: `Alice` });
+  simulator.chat(alice.id, `hello`);
+
+  assert.strictEqual(await manager.stop({ persist: false }), true);
+  assert.strictEqual(manager.hasPlugin(`test/lazy`), false);
+
+  // The cancelled load must neither load the plugin nor throw
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.strictEqual(manager.hasPlugin(`test/lazy`), false);
+  assert.deepStrictEqual(getAnnouncements(simulator), []);
+});
+
+test(`lazy plugins are loaded and receive the triggering event`, async () => {
+  const { manager, simulator } = await startManager(`lazy-loaded`,
+      { 'test/lazy': { lazy: true, triggers: [`onPlayerChat`] } });
+
+  assert.strictEqual(manager.hasPlugin(`test/lazy`), false);
+
+  const alice = simulator.addPlayer({ name: `Alice` });
+  simulator.chat(alice.id, `hello`);
+  await manager.lazyPluginQueue;
+
+  assert.ok(manager.hasPlugin(`test/lazy`));
+  assert.deepStrictEqual(getAnnouncements(simulator),
+      [`Lazy hello`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`restartRoom binds the room to a room from the same factory`, async () => {
+  const { manager, simulator } = await startManager(`restart`,
+      { 'test/lifecycle': {} });
+  const room = manager.room;
+  const previousNativeRoom = simulator.room;
+
+  simulator.roomLink = `https://www.haxball.com/play?c=restarted`;
+
+  assert.strictEqual(await manager.restartRoom({ maxPlayers: 4 }), room);
+
+  assert.notStrictEqual(simulator.room, previousNativeRoom);
+  assert.strictEqual(manager.nativeRoom, simulator.room);
+  assert.strictEqual(manager.roomLink, simulator.roomLink);
+  assert.strictEqual(simulator.roomConfig.maxPlayers, 4);
+  assert.ok(manager.hasPlugin(`test/lifecycle`));
+
+  // The new room is not closed, events of the new room reach the plugins
+  assert.strictEqual(simulator.settings.password, null);
+  simulator.addPlayer({ name: `Alice` });
+  assert.strictEqual(manager.room.getPlayerList().length, 1);
+  assert.deepStrictEqual(getAnnouncements(simulator),
+      [`Restarted ${simulator.roomLink}`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`restartRoom keeps the room if no room link arrives`, async () => {
+  const { manager, simulator } = await startManager(`restart-timeout`,
+      { 'test/lifecycle': {} }, { roomRestartTimeout: 10 });
+  const nativeRoom = manager.nativeRoom;
+
+  simulator.autoLink = false;
+
+  assert.strictEqual(await manager.restartRoom(), false);
+  assert.strictEqual(manager.nativeRoom, nativeRoom);
+  assert.strictEqual(manager.roomLink,
+      `https://www.haxball.com/play?c=simulated`);
+
+  await manager.stop({ persist: false });
+});
+
+test(`restartRoom fails if no room can be created`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name: `restart-no-factory`, config: {
+    room: { roomName: `No factory`, noPlayer: true },
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  assert.strictEqual(await manager.restartRoom(), false);
+
+  // Without room factory, rooms are created using the global HBInit
+  await manager.start(simulator.HBInit(manager.config.room));
+
+  assert.strictEqual(typeof global.HBInit, `undefined`);
+  assert.strictEqual(await manager.restartRoom(), false);
+
+  await manager.stop({ persist: false });
+});
@@ -0,0 +1,137 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/app': createPlugin({ name: `test/app`, version: `1.0.0`,
+      dependencies: [`test/roles`] }),
+    'test/chat': createPlugin({ name: `test/chat` }),
+    'test/reports': createPlugin({ name: `test/reports` }),
+    'test/roles': createPlugin({ name: `test/roles` }),
+  },
+}, {
+  type: `local`,
+  plugins: {
+    'test/stats': (HBInit) => {
+      HBInit().pluginSpec = { name: `test/stats` };
+    },
+  },
+}];
+
+// Takes precedence over the locked repositories if the lockfile is ignored
+const untrustedRepository = {
+  type: `local`,
+  plugins: {
+    'test/app': createPlugin({ name: `test/app`, version: `6.6.6`,
+      dependencies: [`test/roles`] }),
+  },
+};
+
+async function startManager(name, config) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    repositories,
+    logLevel: `silent`,
+    ...config,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+async function generateLockfile() {
+  const manager = await startManager(`generate`, {
+    plugins: { 'test/app': {}, 'test/stats': {},
+      'test/reports': { lazy: true, triggers: [`onTournamentStart`] } },
+  });
+
+  await manager.addPlugin({ pluginCode: createPlugin({ name: `test/code` }) });
+
+  const lockfile = await manager.generateLockfile();
+
+  await manager.stop({ persist: false });
+
+  return lockfile;
+}
+
+test(`records the repository and source hash of loaded plugins`,
+    async () => {
+      const lockfile = await generateLockfile();
+      const { plugins } = lockfile;
+
+      assert.strictEqual(lockfile.lockfileVersion, 1);
+      assert.deepStrictEqual(Object.keys(plugins).sort(),
+          [`test/app`, `test/roles`, `test/stats`]);
+      assert.strictEqual(plugins[`test/app`].version, `1.0.0`);
+      assert.strictEqual(typeof plugins[`test/app`].sourceHash, `number`);
+      assert.deepStrictEqual(plugins[`test/app`].repositoryConfig,
+          repositories[0]);
+
+      // Repositories containing functions can only be referenced by name
+      assert.strictEqual(plugins[`test/stats`].repositoryConfig, undefined);
+      assert.strictEqual(typeof plugins[`test/stats`].repository, `string`);
+    });
+
+test(`loads plugins from the locked repositories only`, async () => {
+  const lockfile = await generateLockfile();
+  const manager = await startManager(`locked`, {
+    plugins: { 'test/app': {}, 'test/stats': {} },
+    repositories: [untrustedRepository, ...repositories],
+    lockfile,
+  });
+
+  assert.strictEqual(manager.getPluginOrigin(`test/app`).version, `1.0.0`);
+  assert.ok(manager.hasPlugin(`test/roles`));
+  assert.ok(manager.hasPlugin(`test/stats`));
+
+  await manager.stop({ persist: false });
+});
+
+test(`refuses plugins whose source changed`, async () => {
+  const lockfile = await generateLockfile();
+
+  lockfile.plugins[`test/app`].sourceHash++;
+
+  const manager = await startManager(`changedSource`,
+      { plugins: { 'test/app': {} }, lockfile });
+
+  assert.ok(!manager.hasPlugin(`test/app`));
+  assert.strictEqual(manager.getLastLoadFailure().pluginName, `test/app`);
+
+  await manager.stop({ persist: false });
+});
+
+test(`refuses unlocked plugins unless allowed`, async () => {
+  const lockfile = await generateLockfile();
+  const manager = await startManager(`unlocked`,
+      { plugins: { 'test/chat': {} }, lockfile });
+
+  assert.ok(!manager.hasPlugin(`test/chat`));
+  assert.strictEqual(await manager.addPlugin({ pluginName: `test/chat` }), -1);
+
+  // Plugins loaded by code are not affected by the lockfile
+  assert.notStrictEqual(await manager.addPlugin(
+      { pluginCode: createPlugin({ name: `test/code` }) }), -1);
+
+  await manager.stop({ persist: false });
+
+  const allowingManager = await startManager(`allowUnlocked`,
+      { plugins: { 'test/chat': {} }, lockfile, allowUnlockedPlugins: true });
+
+  assert.ok(allowingManager.hasPlugin(`test/chat`));
+
+  await allowingManager.stop({ persist: false });
+});
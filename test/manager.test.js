@@ -0,0 +1,82 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const platform = require(`../src/platform`);
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/counter': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/counter', permissions: ['manager'],
+        config: { value: '' } };
+
+      room.onRoomLink = () => {
+        const value = room.getConfig('value');
+
+        localStorage.setItem('value', value);
+        HHM.storage.create({ name: 'stats' })
+            .then((storage) => storage.setItem('value', value));
+      };`,
+  },
+}];
+
+async function startManager(name, value) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: `Room ${value}`, noPlayer: true },
+    plugins: { 'test/counter': { value } },
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  // Wait for the storage of the plugin
+  await new Promise((resolve) => setImmediate(resolve));
+
+  return manager;
+}
+
+async function getStoredValue(storage) {
+  return (await storage.create({ name: `stats` })).getItem(`value`);
+}
+
+test(`keeps the stored data of managers apart`, async () => {
+  const alpha = await startManager(`alpha`, `a`);
+  const beta = await startManager(`beta`, `b`);
+  const { localStorage } = platform.get();
+
+  assert.strictEqual(
+      localStorage.getItem(`hhm-manager-alpha/test/counter.value`), `a`);
+  assert.strictEqual(
+      localStorage.getItem(`hhm-manager-beta/test/counter.value`), `b`);
+  assert.strictEqual(localStorage.getItem(`test/counter.value`), null);
+
+  assert.strictEqual(await getStoredValue(alpha.getStorage()), `a`);
+  assert.strictEqual(await getStoredValue(beta.getStorage()), `b`);
+  assert.strictEqual(await getStoredValue(HHM.storage), null);
+
+  await alpha.stop({ persist: false });
+  await beta.stop({ persist: false });
+
+  // Managers with the same name share their stored data
+  const restarted = HHM.createManager({ name: `alpha`, config: {} });
+
+  assert.strictEqual(await getStoredValue(restarted.getStorage()), `a`);
+});
+
+test(`names managers after their room by default`, async () => {
+  const manager = HHM.createManager({ config: {
+    room: { roomName: `Futsal 3v3`, noPlayer: true },
+  } });
+
+  assert.strictEqual(manager.storageNamespace, `hhm-manager-Futsal 3v3`);
+  assert.notStrictEqual(manager.getStorage(), HHM.storage);
+  assert.throws(() => HHM.createManager({ name: `empty` }),
+      /^Error: Unable to create plugin manager without configuration$/);
+});
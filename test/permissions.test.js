@@ -0,0 +1,163 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/escape': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/escape' };
+
+      const attempt = (escape) => {
+        try {
+          return String(escape());
+        } catch (e) {
+          return e.name;
+        }
+      };
+
+      room.sendAnnouncement([typeof HHM, typeof window.HHM,
+        typeof room.constructor, typeof room.getPluginManager].join());
+
+      room.onRoomLink = () => {
+        room.sendAnnouncement([
+          attempt(() => room.constructor.constructor('return globalThis')()),
+          attempt(() => room.getPlayerList.constructor('return 1')()),
+          attempt(() => room.getPluginManager()),
+          attempt(() => typeof HHM),
+        ].join());
+      };`,
+    'test/guard': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/guard' };
+
+      room.onPlayerChat = (player) => {
+        room.kickPlayer(player.id, 'Kicked', false);
+      };`,
+    'test/manager': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/manager', permissions: ['manager'] };
+
+      room.sendAnnouncement('Top level ' + typeof HHM);
+
+      room.onRoomLink = () => {
+        room.sendAnnouncement('Linked ' + typeof HHM.createManager + ' '
+            + typeof room.getPluginManager().getPluginLoader);
+      };`,
+  },
+}];
+
+async function startManager(name, plugins, config = {}) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins,
+    repositories,
+    logLevel: `silent`,
+    ...config,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return { manager, simulator };
+}
+
+function getAnnouncements(simulator) {
+  return simulator.getMessages().filter(({ playerId }) => playerId === null)
+      .map(({ message }) => message);
+}
+
+test(`plugins without the manager permission cannot reach the HHM`,
+    async () => {
+      const { manager, simulator } = await startManager(`escape`,
+          { 'test/escape': {} });
+
+      assert.ok(manager.pluginLoader.isSandboxedPlugin(
+          manager.getPluginId(`test/escape`)));
+      assert.deepStrictEqual(getAnnouncements(simulator), [
+        `undefined,undefined,undefined,function`,
+        `TypeError,TypeError,undefined,undefined`,
+      ]);
+
+      await manager.stop({ persist: false });
+    });
+
+test(`plugins with the manager permission get the HHM once loaded`,
+    async () => {
+      const { manager, simulator } = await startManager(`manager`,
+          { 'test/manager': {} });
+
+      assert.deepStrictEqual(getAnnouncements(simulator),
+          [`Top level undefined`, `Linked function function`]);
+
+      await manager.stop({ persist: false });
+    });
+
+test(`undeclared permissions are blocked in enforce mode`, async () => {
+  const { manager, simulator } = await startManager(`enforce`,
+      { 'test/guard': {} });
+  const alice = simulator.addPlayer({ name: `Alice` });
+
+  simulator.chat(alice.id, `hello`);
+
+  assert.ok(simulator.players.has(alice.id));
+  assert.deepStrictEqual(manager.getPluginPermissions(`test/guard`), []);
+
+  await manager.stop({ persist: false });
+});
+
+test(`undeclared permissions are only logged in warn mode`, async () => {
+  const { manager, simulator } = await startManager(`warn`,
+      { 'test/guard': {} }, { permissionMode: `warn` });
+  const alice = simulator.addPlayer({ name: `Alice` });
+  const pluginId = manager.getPluginId(`test/guard`);
+  const { permissionWarnings } = manager.getRoomManager();
+
+  assert.ok(!manager.pluginLoader.isSandboxedPlugin(pluginId));
+  assert.deepStrictEqual([...permissionWarnings], []);
+
+  simulator.chat(alice.id, `hello`);
+
+  assert.ok(!simulator.players.has(alice.id));
+  assert.deepStrictEqual([...permissionWarnings], [`${pluginId}:kickPlayer`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`permissions can be granted and revoked in the configuration`,
+    async () => {
+      const { manager, simulator } = await startManager(`overrides`, {
+        'test/guard': { permissions: { grant: [`kick`, `ban`],
+          revoke: [`ban`] } },
+        'test/manager': { permissions: { revoke: [`manager`] } },
+      });
+      const alice = simulator.addPlayer({ name: `Alice` });
+
+      assert.deepStrictEqual(manager.getPluginPermissions(`test/guard`),
+          [`kick`]);
+      assert.deepStrictEqual(manager.getPluginPermissions(`test/manager`),
+          []);
+
+      simulator.chat(alice.id, `hello`);
+
+      assert.ok(!simulator.players.has(alice.id));
+
+      await manager.stop({ persist: false });
+    });
+
+test(`plugins configured with sandbox: false are not sandboxed`,
+    async () => {
+      const { manager, simulator } = await startManager(`unsandboxed`,
+          { 'test/escape': { sandbox: false } });
+
+      assert.ok(!manager.pluginLoader.isSandboxedPlugin(
+          manager.getPluginId(`test/escape`)));
+      assert.strictEqual(getAnnouncements(simulator)[0],
+          `object,object,undefined,function`);
+
+      await manager.stop({ persist: false });
+    });
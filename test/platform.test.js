@@ -0,0 +1,111 @@
+const assert = require(`node:assert`);
+const path = require(`node:path`);
+const { pathToFileURL } = require(`node:url`);
+const { test } = require(`node:test`);
+
+const MemoryStorage = require(`../src/classes/MemoryStorage`);
+const platform = require(`../src/platform`);
+
+const node = platform.adapters.node;
+
+test(`deferreds settle once`, async () => {
+  const deferred = node.createDeferred();
+
+  assert.strictEqual(deferred.state(), `pending`);
+  assert.strictEqual(deferred.resolve(1), deferred);
+  deferred.resolve(2);
+  deferred.reject(new Error(`Too late`));
+
+  assert.strictEqual(deferred.state(), `resolved`);
+  assert.strictEqual(await deferred.promise(), 1);
+  assert.strictEqual(await deferred.then((value) => value + 1), 2);
+
+  const rejected = node.createDeferred().reject(new Error(`Failed`));
+
+  // Rejections without handlers are not reported as unhandled
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.strictEqual(rejected.state(), `rejected`);
+  await assert.rejects(rejected.promise(), /^Error: Failed$/);
+});
+
+test(`MemoryStorage implements the Web Storage API`, () => {
+  const storage = new MemoryStorage();
+
+  storage.setItem(`count`, 3);
+  storage.setItem(`name`, `Alice`);
+
+  assert.strictEqual(storage.length, 2);
+  assert.strictEqual(storage.getItem(`count`), `3`);
+  assert.strictEqual(storage.getItem(`missing`), null);
+  assert.strictEqual(storage.key(1), `name`);
+  assert.strictEqual(storage.key(2), null);
+
+  storage.removeItem(`count`);
+
+  assert.deepStrictEqual([storage.length, storage.key(0)], [1, `name`]);
+
+  storage.clear();
+
+  assert.strictEqual(storage.length, 0);
+  assert.ok(node.localStorage instanceof MemoryStorage);
+  assert.strictEqual(node.localStorage, node.localStorage);
+});
+
+test(`storage instances with the same name share their data`, async () => {
+  const storage = await node.createStorage({ name: `test/platform` });
+  const sameStorage = await node.createStorage({ name: `test/platform` });
+  const otherStorage = await node.createStorage({ name: `test/platform`,
+    storeName: `other` });
+  const value = { players: [`Alice`] };
+
+  await storage.setItem(`stats`, value);
+  value.players.push(`Bob`);
+
+  assert.deepStrictEqual(await sameStorage.getItem(`stats`),
+      { players: [`Alice`] });
+  assert.strictEqual(await otherStorage.getItem(`stats`), null);
+
+  await sameStorage.setItem(`rounds`, 3);
+
+  assert.deepStrictEqual(await storage.keys(), [`stats`, `rounds`]);
+  assert.strictEqual(await storage.length(), 2);
+  assert.strictEqual(await storage.key(1), `rounds`);
+  assert.strictEqual(await storage.iterate((item, key) =>
+    key === `rounds` ? item : undefined), 3);
+
+  await storage.removeItem(`stats`);
+  assert.deepStrictEqual(await sameStorage.keys(), [`rounds`]);
+
+  await storage.clear();
+  assert.strictEqual(await sameStorage.length(), 0);
+});
+
+test(`fetches files and parses JSON`, async () => {
+  const packageUrl = pathToFileURL(
+      path.join(__dirname, `..`, `package.json`)).href;
+
+  assert.strictEqual((await node.fetch(packageUrl)).name,
+      require(`../package.json`).name);
+  assert.strictEqual(typeof await node.fetch(packageUrl,
+      { dataType: `text` }), `string`);
+  await assert.rejects(node.fetch(pathToFileURL(
+      path.join(__dirname, `missing.json`)).href), { code: `ENOENT` });
+});
+
+test(`partial adapters fall back to the default adapter`, () => {
+  const fetch = async () => `source`;
+
+  try {
+    platform.set({ fetch });
+
+    assert.strictEqual(platform.get().fetch, fetch);
+    assert.strictEqual(platform.get().createDeferred, node.createDeferred);
+  } finally {
+    platform.set(`node`);
+  }
+
+  assert.throws(() => platform.set(`deno`),
+      /^Error: Unknown platform adapter deno$/);
+  assert.throws(() => node.createRoom({}), /^Error: HBInit is not available/);
+});
@@ -0,0 +1,124 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const sources = {
+  'test/app': createPlugin({ name: `test/app`, dependencies: [`test/roles`] }),
+  'test/chat': createPlugin({ name: `test/chat` }),
+  'test/roles': createPlugin({ name: `test/roles` }),
+  'test/stats': createPlugin({ name: `test/stats` }),
+};
+
+// Plugin sources arrive after a delay, so concurrent requests overlap
+function createDelayedHandler() {
+  const stats = { requests: [], active: 0, maxActive: 0 };
+
+  const handler = {
+    getPluginSource: async (repository, pluginName) => {
+      stats.requests.push(pluginName);
+      stats.maxActive = Math.max(stats.maxActive, ++stats.active);
+
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      stats.active--;
+
+      if (pluginName === `test/unavailable`) {
+        throw new Error(`Repository unavailable`);
+      }
+
+      return sources[pluginName] || false;
+    },
+    getRepositoryConfigurationDefaults: () => ({}),
+    getRepositoryInformation: async () => ({
+      name: `delayed`,
+      dependencies: { 'test/app': [`test/roles@^1.0.0`] },
+    }),
+  };
+
+  return { handler, stats };
+}
+
+function createManager(name, config) {
+  const { handler, stats } = createDelayedHandler();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: { 'test/app': {}, 'test/chat': {}, 'test/stats': {} },
+    repositories: [{ type: `delayed` }],
+    logLevel: `silent`,
+    ...config,
+  } });
+
+  manager.getPluginRepositoryFactory().addRepositoryTypeHandler(handler,
+      `delayed`);
+
+  return { manager, stats };
+}
+
+function getTestRequests(stats) {
+  return stats.requests.filter((pluginName) => pluginName.startsWith(`test/`));
+}
+
+test(`prefetches plugin sources and dependencies concurrently`, async () => {
+  const { manager, stats } = createManager(`prefetch`,
+      { prefetchConcurrency: 2 });
+
+  await manager.start(new HHM.classes.RoomSimulator().HBInit);
+
+  assert.ok(manager.hasPlugin(`test/app`));
+  assert.ok(manager.hasPlugin(`test/roles`));
+  assert.ok(stats.maxActive > 1);
+
+  // Loading uses the prefetched sources instead of requesting them again
+  assert.deepStrictEqual(getTestRequests(stats).sort(),
+      [`test/app`, `test/chat`, `test/roles`, `test/stats`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`fetches plugin sources one after the other without prefetching`,
+    async () => {
+      const { manager, stats } = createManager(`noPrefetch`,
+          { prefetchConcurrency: 0 });
+
+      await manager.start(new HHM.classes.RoomSimulator().HBInit);
+
+      assert.strictEqual(stats.maxActive, 1);
+      assert.deepStrictEqual(getTestRequests(stats),
+          [`test/app`, `test/roles`, `test/chat`, `test/stats`]);
+
+      await manager.stop({ persist: false });
+    });
+
+test(`ignores plugins which cannot be prefetched`, async () => {
+  const { manager, stats } = createManager(`prefetchFailures`,
+      { plugins: {}, prefetchConcurrency: 0 });
+
+  await manager.start(new HHM.classes.RoomSimulator().HBInit);
+  stats.requests.length = 0;
+
+  const pluginNames = await manager.pluginLoader.prefetchPluginSources([
+    { pluginName: `test/app` },
+    { pluginName: `test/missing` },
+    { pluginName: `test/unavailable` },
+  ], 3);
+
+  assert.deepStrictEqual(pluginNames.sort(), [`test/app`, `test/roles`]);
+  assert.deepStrictEqual(stats.requests,
+      [`test/app`, `test/missing`, `test/unavailable`, `test/roles`]);
+
+  // Failed requests are not cached
+  await manager.pluginLoader.prefetchPluginSources(
+      [{ pluginName: `test/unavailable` }]);
+
+  assert.deepStrictEqual(stats.requests.slice(4), [`test/unavailable`]);
+
+  await manager.stop({ persist: false });
+});
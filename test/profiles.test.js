@@ -0,0 +1,116 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+function createPlugin(pluginSpec) {
+  return `const room = HBInit();
+
+    room.pluginSpec = ${JSON.stringify(pluginSpec)};`;
+}
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/broken': `throw new Error('Broken plugin');`,
+    'test/greeter': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/greeter',
+        config: { greeting: 'Hello' } };
+
+      room.onPlayerJoin = (player) => {
+        room.sendAnnouncement(room.getConfig('greeting') + ' ' + player.name);
+      };`,
+    'test/referee': createPlugin({ name: `test/referee` }),
+    'test/stats': createPlugin({ name: `test/stats`,
+      dependencies: [`test/storage`] }),
+    'test/storage': createPlugin({ name: `test/storage` }),
+  },
+}];
+
+async function startManager(name) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: { 'test/greeter': {}, 'test/stats': {} },
+    profiles: {
+      broken: { plugins: { 'test/greeter': { greeting: `Hey` },
+        'test/broken': {} } },
+      tournament: { plugins: { 'test/greeter': { greeting: `Welcome` },
+        'test/referee': {} } },
+    },
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return { manager, simulator };
+}
+
+function getPluginNames(manager) {
+  return manager.getLoadedPluginIds().map((id) => manager.getPluginName(id))
+      .filter((name) => name.startsWith(`test/`)).sort();
+}
+
+test(`switches plugins and their configuration`, async () => {
+  const { manager, simulator } = await startManager(`tournament`);
+
+  assert.strictEqual(await manager.switchProfile(`tournament`), true);
+
+  assert.strictEqual(manager.getActiveProfile(), `tournament`);
+  assert.deepStrictEqual(getPluginNames(manager),
+      [`test/greeter`, `test/referee`]);
+
+  simulator.addPlayer({ name: `Alice` });
+
+  assert.deepStrictEqual(simulator.getMessages().map(({ message }) => message),
+      [`Welcome Alice`]);
+  assert.strictEqual(await manager.switchProfile(`tournament`), true);
+
+  await manager.stop({ persist: false });
+});
+
+test(`keeps disabled plugins disabled`, async () => {
+  const { manager } = await startManager(`disabled`);
+
+  manager.disablePlugin(`test/greeter`);
+
+  assert.strictEqual(await manager.switchProfile(`tournament`), true);
+  assert.ok(!manager.isPluginEnabled(`test/greeter`));
+  assert.ok(manager.isPluginEnabled(`test/referee`));
+
+  await manager.stop({ persist: false });
+});
+
+test(`restores the previous state if the switch fails`, async () => {
+  const { manager, simulator } = await startManager(`broken`);
+  const pluginIds = new Map(manager.pluginIds);
+
+  assert.strictEqual(await manager.switchProfile(`broken`), false);
+
+  assert.strictEqual(manager.getActiveProfile(), undefined);
+  assert.deepStrictEqual(manager.pluginIds, pluginIds);
+  assert.deepStrictEqual(getPluginNames(manager),
+      [`test/greeter`, `test/stats`, `test/storage`]);
+  assert.ok(manager.isPluginEnabled(`test/stats`));
+  assert.ok(manager.isPluginEnabled(`test/storage`));
+
+  simulator.addPlayer({ name: `Alice` });
+
+  assert.deepStrictEqual(simulator.getMessages().map(({ message }) => message),
+      [`Hello Alice`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`refuses unknown profiles`, async () => {
+  const { manager } = await startManager(`unknown`);
+
+  assert.strictEqual(await manager.switchProfile(`casual`), false);
+  assert.strictEqual(manager.getActiveProfile(), undefined);
+
+  await manager.stop({ persist: false });
+});
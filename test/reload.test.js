@@ -0,0 +1,108 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+function createCounter(version) {
+  return `const room = HBInit();
+
+    room.pluginSpec = { name: 'test/counter', version: '${version}' };
+
+    let joins = 0;
+
+    room.onPlayerJoin = () => {
+      joins++;
+    };
+
+    room.onBeforeReload = () => ({ joins });
+
+    room.onAfterReload = (state, oldVersion) => {
+      joins = state.joins;
+      room.sendAnnouncement('${version} restored ' + joins + ' joins from '
+          + oldVersion);
+    };`;
+}
+
+async function startManager(name, simulator) {
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: { 'test/counter': {} },
+    repositories: [{
+      type: `local`,
+      plugins: { 'test/counter': createCounter(`1.0.0`) },
+    }],
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+function setPluginCode(manager, pluginCode) {
+  manager.getPlugin(`test/counter`)._loadedFrom.getConfiguration()
+      .plugins[`test/counter`] = pluginCode;
+}
+
+function getAnnouncements(simulator) {
+  return simulator.getMessages().map(({ message }) => message);
+}
+
+test(`passes the state of the old instance to the new one`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`reload`, simulator);
+  const oldPlugin = manager.getPlugin(`test/counter`);
+
+  simulator.addPlayer({ name: `Alice` });
+  simulator.addPlayer({ name: `Bob` });
+  setPluginCode(manager, createCounter(`1.1.0`));
+
+  assert.strictEqual(await manager.reloadPlugin(`test/counter`), true);
+
+  const newPlugin = manager.getPlugin(`test/counter`);
+
+  assert.notStrictEqual(newPlugin, oldPlugin);
+  assert.strictEqual(newPlugin.getPluginSpec().version, `1.1.0`);
+  assert.ok(newPlugin.isLoaded() && newPlugin.isEnabled());
+  assert.deepStrictEqual(getAnnouncements(simulator),
+      [`1.1.0 restored 2 joins from 1.0.0`]);
+
+  await manager.stop({ persist: false });
+});
+
+test(`restores the old instance if the new one fails to load`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`failedReload`, simulator);
+  const oldPlugin = manager.getPlugin(`test/counter`);
+
+  simulator.addPlayer({ name: `Alice` });
+  setPluginCode(manager, `throw new Error('Broken update');`);
+
+  assert.strictEqual(await manager.reloadPlugin(`test/counter`), false);
+
+  assert.strictEqual(manager.getPlugin(`test/counter`), oldPlugin);
+  assert.ok(oldPlugin.isEnabled());
+  assert.deepStrictEqual(getAnnouncements(simulator),
+      [`1.0.0 restored 1 joins from 1.0.0`]);
+
+  simulator.addPlayer({ name: `Bob` });
+  setPluginCode(manager, createCounter(`1.1.0`));
+  await manager.reloadPlugin(`test/counter`);
+
+  assert.strictEqual(getAnnouncements(simulator)[1],
+      `1.1.0 restored 2 joins from 1.0.0`);
+
+  await manager.stop({ persist: false });
+});
+
+test(`refuses to reload plugins which are not loaded`, async () => {
+  const manager = await startManager(`missingReload`,
+      new HHM.classes.RoomSimulator());
+
+  await assert.rejects(manager.reloadPlugin(`test/missing`),
+      /Plugin test\/missing is not loaded/);
+
+  await manager.stop({ persist: false });
+});
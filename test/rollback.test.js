@@ -0,0 +1,124 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const { reasons } = HHM.classes.PluginLoadFailure;
+
+const repositories = [{
+  type: `local`,
+  plugins: {
+    'test/base': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/base' };`,
+    'test/broken': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/broken' };
+
+      throw new Error('Broken plugin');`,
+    'test/extender': `const room = HBInit();
+
+      room.pluginSpec = { name: 'test/extender',
+        dependencies: ['test/base', 'test/broken'] };
+
+      room.extend('greet', ({ previousFunction }, name) => 'Hi ' + name);
+
+      room.addPreEventHook('onPlayerJoin', () => {
+        room.sendAnnouncement('Hook');
+      });
+
+      room.onPlayerJoin = () => room.sendAnnouncement('Joined');`,
+  },
+}];
+
+async function startManager(name, simulator) {
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins: {},
+    repositories,
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+test(`rolls back a plugin whose dependency failed to load`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`failedDependency`, simulator);
+  const roomManager = manager.getRoomManager();
+
+  const pluginIds = new Map(manager.pluginIds);
+  const handlerNames = manager.getHandlerNames(false);
+
+  assert.strictEqual(await manager.addPlugin(
+      { pluginName: `test/extender` }), -1);
+
+  assert.ok(!manager.hasPlugin(`test/extender`));
+  assert.ok(!manager.hasPlugin(`test/base`));
+  assert.ok(!manager.hasPlugin(`test/broken`));
+  assert.deepStrictEqual(manager.pluginIds, pluginIds);
+  assert.deepStrictEqual(manager.getHandlerNames(false), handlerNames);
+  assert.strictEqual(manager.dependencies.has(`test/base`), false);
+  assert.strictEqual(manager.dependencies.has(`test/broken`), false);
+  assert.strictEqual(roomManager.preEventHooks.has(`onPlayerJoin`), false);
+  assert.deepStrictEqual(manager.room.getExtensionProviders(`greet`), []);
+  assert.strictEqual(manager.room.greet, undefined);
+
+  simulator.addPlayer({ name: `Alice` });
+  assert.deepStrictEqual(simulator.getMessages(), []);
+
+  const loadFailure = manager.getLastLoadFailure();
+
+  assert.strictEqual(loadFailure.pluginName, `test/extender`);
+  assert.deepStrictEqual(loadFailure.errors.map(({ pluginName, reason }) =>
+      [pluginName, reason]), [[`test/broken`, reasons.LOAD_FAILED],
+    [`test/extender`, reasons.DEPENDENCY_FAILED]]);
+  assert.match(loadFailure.toString(), /^Failed to load plugin test\/extender/);
+
+  await manager.stop({ persist: false });
+});
+
+test(`rolls back a plugin whose code throws`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`failedCode`, simulator);
+  const pluginIds = new Map(manager.pluginIds);
+
+  const pluginCode = `const room = HBInit();
+
+    room.pluginSpec = { name: 'test/throwing' };
+    room.onPlayerJoin = () => room.sendAnnouncement('Joined');
+
+    throw new Error('Broken plugin');`;
+
+  assert.strictEqual(await manager.addPlugin({ pluginCode }), -1);
+
+  assert.ok(!manager.hasPlugin(`test/throwing`));
+  assert.deepStrictEqual(manager.pluginIds, pluginIds);
+  assert.deepStrictEqual(manager.getLastLoadFailure().getErrors().map(
+      ({ reason }) => reason), [reasons.LOAD_FAILED]);
+
+  simulator.addPlayer({ name: `Alice` });
+  assert.deepStrictEqual(simulator.getMessages(), []);
+
+  await manager.stop({ persist: false });
+});
+
+test(`keeps plugins which were loaded before a failed load`, async () => {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = await startManager(`successfulLoad`, simulator);
+
+  assert.notStrictEqual(await manager.addPlugin({ pluginName: `test/base` }),
+      -1);
+  assert.strictEqual(await manager.addPlugin(
+      { pluginName: `test/extender` }), -1);
+
+  assert.ok(manager.hasPlugin(`test/base`));
+  assert.ok(manager.getPlugin(`test/base`).isLoaded());
+  assert.ok(!manager.dependencies.has(`test/base`));
+
+  await manager.stop({ persist: false });
+});
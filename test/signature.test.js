@@ -0,0 +1,128 @@
+const assert = require(`node:assert`);
+const { test } = require(`node:test`);
+
+global.HHM = { config: { logLevel: `silent` } };
+require(`../src/namespace`).populate();
+HHM.storage = require(`../src/storage`);
+
+const integrityUtil = require(`../src/integrity`);
+const signatureUtil = require(`../src/signature`);
+
+const sources = {
+  'test/app': `HBInit().pluginSpec = { name: 'test/app' };`,
+  'test/extra': `HBInit().pluginSpec = { name: 'test/extra' };`,
+};
+
+async function createKeys() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+      { name: `ECDSA`, namedCurve: `P-256` }, true, [`sign`, `verify`]);
+  const spki = new Uint8Array(
+      await crypto.subtle.exportKey(`spki`, publicKey));
+
+  return {
+    privateKey: await crypto.subtle.exportKey(`jwk`, privateKey),
+    publicKey: await crypto.subtle.exportKey(`jwk`, publicKey),
+    spki: btoa(String.fromCharCode(...spki)),
+  };
+}
+
+async function createSignedRepositoryInformation(privateKey) {
+  const repositoryInformation = { integrity: {
+    'test/app': await integrityUtil.compute(sources[`test/app`]),
+  } };
+
+  repositoryInformation.signature =
+      await signatureUtil.sign(repositoryInformation, privateKey);
+
+  return repositoryInformation;
+}
+
+async function startManager(name, repositoryConfig, plugins) {
+  const simulator = new HHM.classes.RoomSimulator();
+  const manager = HHM.createManager({ name, config: {
+    room: { roomName: name, noPlayer: true },
+    plugins,
+    repositories: [{ type: `local`, name: `signed`, plugins: sources,
+      ...repositoryConfig }],
+    logLevel: `silent`,
+  } });
+
+  await manager.start(simulator.HBInit);
+
+  return manager;
+}
+
+test(`signs and verifies plugin manifests`, async () => {
+  const trusted = await createKeys();
+  const untrusted = await createKeys();
+  const repositoryInformation =
+      await createSignedRepositoryInformation(trusted.privateKey);
+
+  assert.ok(await signatureUtil.verify(repositoryInformation,
+      [untrusted.spki, trusted.spki]));
+  assert.ok(await signatureUtil.verify(repositoryInformation,
+      [trusted.publicKey]));
+  assert.ok(!await signatureUtil.verify(repositoryInformation,
+      [untrusted.spki]));
+  assert.ok(!await signatureUtil.verify({ integrity: {} }, [trusted.spki]));
+  assert.ok(!await signatureUtil.verify({ ...repositoryInformation,
+    signature: `not base64!` }, [trusted.spki]));
+
+  // The signature covers the integrity values of the plugins
+  repositoryInformation.integrity[`test/extra`] =
+      await integrityUtil.compute(sources[`test/extra`]);
+
+  assert.ok(!await signatureUtil.verify(repositoryInformation,
+      [trusted.spki]));
+});
+
+test(`loads signed plugins from repositories requiring a signature`,
+    async () => {
+      const { privateKey, spki } = await createKeys();
+      const manager = await startManager(`signed`, {
+        repositoryInformation:
+            await createSignedRepositoryInformation(privateKey),
+        trustedKeys: [spki],
+        requireSignature: true,
+      }, { 'test/app': {}, 'test/extra': {} });
+
+      assert.ok(manager.hasPlugin(`test/app`));
+      assert.deepStrictEqual(manager.getBootReport().repositories.map(
+          ({ name, signatureVerified }) => [name, signatureVerified]),
+      [[`signed`, true]]);
+
+      // Plugins missing from the signed manifest are refused
+      assert.ok(!manager.hasPlugin(`test/extra`));
+
+      await manager.stop({ persist: false });
+    });
+
+test(`refuses plugins of repositories without a trusted signature`,
+    async () => {
+      const trusted = await createKeys();
+      const untrusted = await createKeys();
+      const repositoryInformation =
+          await createSignedRepositoryInformation(untrusted.privateKey);
+      const manager = await startManager(`untrusted`, {
+        repositoryInformation,
+        trustedKeys: [trusted.spki],
+        requireSignature: true,
+      }, { 'test/app': {} });
+
+      assert.ok(!manager.hasPlugin(`test/app`));
+      assert.strictEqual(manager.getLastLoadFailure().pluginName, `test/app`);
+
+      await manager.stop({ persist: false });
+
+      // Without requireSignature, the missing signature is only logged
+      const warningManager = await startManager(`unsigned`, {
+        repositoryInformation,
+        trustedKeys: [trusted.spki],
+      }, { 'test/app': {} });
+
+      assert.ok(warningManager.hasPlugin(`test/app`));
+      assert.strictEqual(warningManager.getPlugin(`test/app`)._loadedFrom
+          .isSignatureVerified(), false);
+
+      await warningManager.stop({ persist: false });
+    });